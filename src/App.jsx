@@ -1,10 +1,18 @@
 import './App.css';
 import Controls from './components/Controls';
 import Visualizer from './components/Visualizer';
+import IterationScrubber from './components/IterationScrubber';
 import TracePlots from './components/TracePlots';
+import EnergyPlot from './components/EnergyPlot';
+import PhaseSpacePlot from './components/PhaseSpacePlot';
 import HistogramPlots from './components/HistogramPlots';
+import SummaryTable from './components/SummaryTable';
+import GroundTruthTable from './components/GroundTruthTable';
+import TargetDistancePlot from './components/TargetDistancePlot';
+import AutocorrelationPlot from './components/AutocorrelationPlot';
 import useSamplingController from './hooks/useSamplingController';
 import useRecording from './hooks/useRecording';
+import useTrajectoryPlayback from './hooks/useTrajectoryPlayback';
 
 function App() {
   const {
@@ -14,7 +22,13 @@ function App() {
     isRunning,
     error,
     contourData,
+    gaussianTarget,
+    groundTruth,
     setLogP,
+    targetParameters,
+    setTargetParameter,
+    resetOnParameterChange,
+    setResetOnParameterChange,
     setChainConfig,
     addChain,
     removeChain,
@@ -23,8 +37,25 @@ function App() {
     reset,
     burnIn,
     setBurnIn,
+    nSteps,
+    setNSteps,
+    showAcceptedOnly,
+    setShowAcceptedOnly,
+    scrubIteration,
+    setScrubIteration,
+    historyLimit,
+    setHistoryLimit,
     rHat,
+    splitRHat,
+    rankRHat,
     ess,
+    summary,
+    hdiProb,
+    setHdiProb,
+    truthErrors,
+    targetDistances,
+    checkpointInterval,
+    setCheckpointInterval,
     histogramData,
     essPerChain,
     histogramDataPerChain,
@@ -33,6 +64,11 @@ function App() {
     useFastMode,
     setUseFastMode,
     stopSampling,
+    exportSamples,
+    saveSession,
+    loadSession,
+    createShareLink,
+    progress,
   } = useSamplingController();
 
   const {
@@ -43,6 +79,8 @@ function App() {
     captureFrame,
   } = useRecording();
 
+  const playback = useTrajectoryPlayback(chains);
+
   return (
     <div className="App">
       <div className="App-sidebar">
@@ -53,6 +91,10 @@ function App() {
           isRunning={isRunning}
           error={error}
           setLogP={setLogP}
+          targetParameters={targetParameters}
+          setTargetParameter={setTargetParameter}
+          resetOnParameterChange={resetOnParameterChange}
+          setResetOnParameterChange={setResetOnParameterChange}
           setChainConfig={setChainConfig}
           addChain={addChain}
           removeChain={removeChain}
@@ -61,6 +103,12 @@ function App() {
           reset={reset}
           burnIn={burnIn}
           setBurnIn={setBurnIn}
+          nSteps={nSteps}
+          setNSteps={setNSteps}
+          showAcceptedOnly={showAcceptedOnly}
+          setShowAcceptedOnly={setShowAcceptedOnly}
+          historyLimit={historyLimit}
+          setHistoryLimit={setHistoryLimit}
           axisLimits={axisLimits}
           setAxisLimits={setAxisLimits}
           useFastMode={useFastMode}
@@ -70,6 +118,12 @@ function App() {
           startRecording={startRecording}
           stopRecording={stopRecording}
           stopSampling={stopSampling}
+          exportSamples={exportSamples}
+          saveSession={saveSession}
+          loadSession={loadSession}
+          createShareLink={createShareLink}
+          progress={progress}
+          playback={playback}
         />
       </div>
       <div className="App-main">
@@ -108,23 +162,55 @@ function App() {
           contourData={contourData}
           chains={chains}
           axisLimits={axisLimits}
+          showAcceptedOnly={showAcceptedOnly}
+          playbackFrame={playback.isEnabled ? playback.frame : null}
           isRecording={isRecording}
           captureFrame={captureFrame}
         />
         <div className="trace-plots-section">
           {contourData && (
             <>
+              <IterationScrubber
+                iterationCount={iterationCount}
+                scrubIteration={scrubIteration}
+                setScrubIteration={setScrubIteration}
+                isRunning={isRunning}
+              />
               <TracePlots
                 chains={chains}
                 burnIn={burnIn}
                 rHat={rHat}
+                splitRHat={splitRHat}
+                rankRHat={rankRHat}
                 ess={ess}
                 essPerChain={essPerChain}
               />
+              <AutocorrelationPlot chains={chains} burnIn={burnIn} />
+              <SummaryTable
+                summary={summary}
+                hdiProb={hdiProb}
+                setHdiProb={setHdiProb}
+              />
+              <EnergyPlot chains={chains} />
+              <PhaseSpacePlot
+                chains={chains}
+                gaussianTarget={gaussianTarget}
+                axisLimits={axisLimits}
+              />
               <HistogramPlots
                 histogramData={histogramData}
                 histogramDataPerChain={histogramDataPerChain}
                 axisLimits={axisLimits}
+                groundTruth={groundTruth}
+              />
+              <GroundTruthTable
+                groundTruth={groundTruth}
+                truthErrors={truthErrors}
+              />
+              <TargetDistancePlot
+                targetDistances={targetDistances}
+                checkpointInterval={checkpointInterval}
+                setCheckpointInterval={setCheckpointInterval}
               />
             </>
           )}
@@ -0,0 +1,95 @@
+import './AutocorrelationPlot.css';
+import { useMemo } from 'react';
+import Plot from 'react-plotly.js';
+import PropTypes from 'prop-types';
+import { ACF_PLOT, HMC_SAMPLER } from '../utils/plotConfig.json';
+import {
+  createAutocorrelationTrace,
+  createCutoffShape,
+} from '../utils/plotFunctions';
+import { calculateACF } from '../utils/statistics';
+
+/**
+ * Lag-k autocorrelation of x and y for each chain after burn-in. The dashed
+ * line marks the last lag Geyer's truncation kept: ESS is the number of
+ * draws divided by 1 + 2 × the sum of the autocorrelations up to it, so a
+ * slowly decaying ACF means few effective samples.
+ */
+function AutocorrelationPlot({ chains, burnIn = 0 }) {
+  const acfs = useMemo(
+    () =>
+      chains
+        .map((chain, index) => ({
+          chain,
+          index,
+          acf: calculateACF(
+            (chain.samples || []).slice(burnIn),
+            ACF_PLOT.maxLag
+          ),
+        }))
+        .filter(({ acf }) => acf !== null),
+    [chains, burnIn]
+  );
+  if (acfs.length === 0) return null;
+
+  const panels = ['x', 'y'].map((axis) => {
+    const traces = [];
+    const shapes = [];
+    acfs.forEach(({ chain, index, acf }) => {
+      const color =
+        index === 0
+          ? HMC_SAMPLER.styles.primaryColor
+          : HMC_SAMPLER.styles.secondaryColor;
+      const { acf: values, cutoff } = acf[axis];
+      traces.push(
+        createAutocorrelationTrace(
+          values,
+          color,
+          `Chain ${index + 1} (${chain.samplerType}), cut-off lag ${cutoff}`
+        )
+      );
+      shapes.push(createCutoffShape(cutoff, color));
+    });
+    return { axis, traces, shapes };
+  });
+
+  return (
+    <div className="acf-container">
+      <h4 className="acf-title">Autocorrelation (after burn-in)</h4>
+      <div className="acf-grid">
+        {panels.map(({ axis, traces, shapes }) => (
+          <Plot
+            key={axis}
+            data={traces}
+            layout={{
+              ...ACF_PLOT.layout,
+              xaxis: { ...ACF_PLOT.layout.xaxis, range: [0, ACF_PLOT.maxLag] },
+              yaxis: { ...ACF_PLOT.layout.yaxis, title: `ρ_${axis}(k)` },
+              shapes,
+              showlegend: true,
+              legend: { orientation: 'h', y: -0.25 },
+            }}
+            config={{ displayModeBar: false, responsive: true }}
+            style={{ width: '100%', height: '300px' }}
+            useResizeHandler={true}
+          />
+        ))}
+      </div>
+    </div>
+  );
+}
+
+AutocorrelationPlot.propTypes = {
+  chains: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+      samplerType: PropTypes.string,
+      samples: PropTypes.arrayOf(
+        PropTypes.shape({ x: PropTypes.number, y: PropTypes.number })
+      ),
+    })
+  ).isRequired,
+  burnIn: PropTypes.number,
+};
+
+export default AutocorrelationPlot;
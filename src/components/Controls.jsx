@@ -1,7 +1,61 @@
 import './Controls.css';
-import { useState } from 'react';
+import { useState, useRef, useEffect } from 'react';
 import PropTypes from 'prop-types';
 import { PREDEFINED_FUNCTIONS } from '../utils/predefinedFunctions';
+import {
+  DEFAULT_DIVERGENCE_THRESHOLD,
+  DEFAULT_HISTORY_LIMIT,
+  MAX_TREE_DEPTH,
+} from '../samplers/defaultConfigs';
+import {
+  MIN_PLAYBACK_SPEED,
+  MAX_PLAYBACK_SPEED,
+} from '../hooks/useTrajectoryPlayback';
+
+/** Shared default, so the prop keeps its identity across renders */
+const NO_PARAMETERS = {};
+
+/**
+ * Energy error threshold of a chain's HMC or NUTS sampler. Values that are not
+ * positive numbers are ignored.
+ *
+ * @param {{ chain: object, setChainConfig: Function }} props
+ */
+function DivergenceThresholdInput({ chain, setChainConfig }) {
+  return (
+    <div className="control-group">
+      <label
+        htmlFor={`divergence-threshold-${chain.id}`}
+        className="control-label"
+      >
+        Divergence Threshold (ΔH)
+      </label>
+      <input
+        id={`divergence-threshold-${chain.id}`}
+        type="number"
+        className="control-input"
+        step="10"
+        min="0"
+        value={chain.params.divergenceThreshold ?? DEFAULT_DIVERGENCE_THRESHOLD}
+        onChange={(e) => {
+          const threshold = parseFloat(e.target.value);
+          if (!isNaN(threshold) && threshold > 0)
+            setChainConfig(chain.id, {
+              params: { ...chain.params, divergenceThreshold: threshold },
+            });
+        }}
+      />
+    </div>
+  );
+}
+
+DivergenceThresholdInput.propTypes = {
+  chain: PropTypes.shape({
+    id: PropTypes.oneOfType([PropTypes.number, PropTypes.string]).isRequired,
+    params: PropTypes.object.isRequired,
+  }).isRequired,
+  setChainConfig: PropTypes.func.isRequired,
+};
 
 function Controls({
   logP,
@@ -9,6 +63,10 @@ function Controls({
   isRunning,
   error,
   setLogP,
+  targetParameters = NO_PARAMETERS,
+  setTargetParameter,
+  resetOnParameterChange = false,
+  setResetOnParameterChange,
   setChainConfig,
   addChain,
   removeChain,
@@ -17,6 +75,12 @@ function Controls({
   reset,
   burnIn,
   setBurnIn,
+  nSteps = 10,
+  setNSteps,
+  showAcceptedOnly = false,
+  setShowAcceptedOnly,
+  historyLimit = DEFAULT_HISTORY_LIMIT,
+  setHistoryLimit,
   axisLimits,
   setAxisLimits,
   useFastMode,
@@ -26,22 +90,42 @@ function Controls({
   startRecording,
   stopRecording,
   stopSampling,
+  exportSamples,
+  saveSession,
+  loadSession,
+  createShareLink,
+  progress = null,
+  playback = null,
 }) {
-  const [nSteps, setNSteps] = useState(10);
+  const [localNSteps, setLocalNSteps] = useState(nSteps);
   const [draftLogP, setDraftLogP] = useState(logP);
   const [localPositions, setLocalPositions] = useState({});
   const [localSeeds, setLocalSeeds] = useState({});
   const [localSeedStrings, setLocalSeedStrings] = useState({});
   const [localBurnIn, setLocalBurnIn] = useState(burnIn);
+  const [localHistoryLimit, setLocalHistoryLimit] = useState(historyLimit);
   const [localAxisLimits, setLocalAxisLimits] = useState(
     axisLimits || { xMin: -5, xMax: 5, yMin: -5, yMax: 5 }
   );
+  // Range inputs of the target parameters, as typed ({name: {min, max}})
+  const [localParameterRanges, setLocalParameterRanges] = useState({});
+  // Slider positions not yet applied ({name: value})
+  const [localParameterValues, setLocalParameterValues] = useState({});
+  // Latest slider positions waiting for the next animation frame
+  const pendingParameterValuesRef = useRef({});
+  const parameterFrameRef = useRef(null);
   const [useSeededMode, setUseSeededMode] = useState(false);
+  const [includeSessionSamples, setIncludeSessionSamples] = useState(true);
+  const [shareStatus, setShareStatus] = useState(null);
+  const sessionFileRef = useRef(null);
 
   const [prevLogP, setPrevLogP] = useState(logP);
   const [prevBurnIn, setPrevBurnIn] = useState(burnIn);
+  const [prevNSteps, setPrevNSteps] = useState(nSteps);
+  const [prevHistoryLimit, setPrevHistoryLimit] = useState(historyLimit);
   const [prevAxisLimits, setPrevAxisLimits] = useState(axisLimits);
   const [prevChains, setPrevChains] = useState(chains);
+  const [prevTargetParameters, setPrevTargetParameters] = useState(null);
 
   if (logP !== prevLogP) {
     setDraftLogP(logP);
@@ -51,10 +135,27 @@ function Controls({
     setLocalBurnIn(burnIn);
     setPrevBurnIn(burnIn);
   }
+  if (nSteps !== prevNSteps) {
+    setLocalNSteps(nSteps);
+    setPrevNSteps(nSteps);
+  }
+  if (historyLimit !== prevHistoryLimit) {
+    setLocalHistoryLimit(historyLimit);
+    setPrevHistoryLimit(historyLimit);
+  }
   if (axisLimits !== prevAxisLimits) {
     setLocalAxisLimits(axisLimits);
     setPrevAxisLimits(axisLimits);
   }
+  if (targetParameters !== prevTargetParameters) {
+    const ranges = {};
+    Object.entries(targetParameters).forEach(([name, { min, max }]) => {
+      ranges[name] = { min, max };
+    });
+    setLocalParameterRanges(ranges);
+    setLocalParameterValues({});
+    setPrevTargetParameters(targetParameters);
+  }
   if (chains !== prevChains) {
     const lPos = {};
     const lSeed = {};
@@ -75,6 +176,37 @@ function Controls({
     setPrevChains(chains);
   }
 
+  const hasSamples = chains.some((c) => c.samples && c.samples.length > 0);
+
+  const handleSessionFile = (e) => {
+    const file = e.target.files && e.target.files[0];
+    if (!file) return;
+    const reader = new FileReader();
+    reader.onload = () => loadSession(reader.result);
+    reader.readAsText(file);
+    // Allow the same file to be loaded again
+    e.target.value = '';
+  };
+
+  const handleNStepsChange = (value) => {
+    const n = parseInt(value) || 1;
+    setLocalNSteps(n);
+    if (setNSteps) setNSteps(n);
+  };
+
+  const handleShareLink = () => {
+    const url = createShareLink();
+    // Without clipboard access the link is still in the address bar
+    if (!navigator.clipboard) {
+      setShareStatus('Link is in the address bar');
+      return;
+    }
+    navigator.clipboard.writeText(url).then(
+      () => setShareStatus('Link copied'),
+      () => setShareStatus('Link is in the address bar')
+    );
+  };
+
   const handleApplyLogP = () => setLogP(draftLogP);
   const hasUnsavedChanges = draftLogP !== logP;
 
@@ -86,6 +218,58 @@ function Controls({
     else setLocalAxisLimits((prev) => ({ ...prev, [key]: axisLimits[key] }));
   };
 
+  const handleParameterRangeChange = (name, key, value) =>
+    setLocalParameterRanges((prev) => ({
+      ...prev,
+      [name]: { ...prev[name], [key]: value },
+    }));
+  const handleParameterRangeBlur = (name, key) => {
+    const val = parseFloat(localParameterRanges[name][key]);
+    // An invalid range is ignored by the controller; show the current one again
+    if (isNaN(val) || !setTargetParameter(name, { [key]: val })) {
+      setLocalParameterRanges((prev) => ({
+        ...prev,
+        [name]: { ...prev[name], [key]: targetParameters[name][key] },
+      }));
+    }
+  };
+
+  // Keep the frame callback pointing at the latest setter
+  const setTargetParameterRef = useRef(setTargetParameter);
+  useEffect(() => {
+    setTargetParameterRef.current = setTargetParameter;
+  }, [setTargetParameter]);
+  useEffect(() => () => cancelAnimationFrame(parameterFrameRef.current), []);
+
+  // Applies one slider per frame, so each call sees the previous one's result
+  const applyPendingParameterValue = () => {
+    parameterFrameRef.current = null;
+    const pending = pendingParameterValuesRef.current;
+    const [entry] = Object.entries(pending);
+    if (!entry) return;
+    const [name, value] = entry;
+    delete pending[name];
+    if (!setTargetParameterRef.current(name, { value })) {
+      setLocalParameterValues((prev) => ({ ...prev, [name]: undefined }));
+    }
+    if (Object.keys(pending).length > 0) {
+      parameterFrameRef.current = requestAnimationFrame(
+        applyPendingParameterValue
+      );
+    }
+  };
+
+  // A slider recompiles the target at most once per frame, with its latest value
+  const handleParameterValueChange = (name, value) => {
+    setLocalParameterValues((prev) => ({ ...prev, [name]: value }));
+    pendingParameterValuesRef.current[name] = value;
+    if (parameterFrameRef.current === null) {
+      parameterFrameRef.current = requestAnimationFrame(
+        applyPendingParameterValue
+      );
+    }
+  };
+
   const handlePosChange = (id, axis, value) => {
     const val = parseFloat(value);
     if (!isNaN(val)) {
@@ -152,6 +336,63 @@ function Controls({
               </div>
             )}
           </div>
+          {Object.keys(targetParameters).length > 0 && (
+            <div className="target-parameters">
+              <h3 className="section-title">Target Parameters</h3>
+              {Object.entries(targetParameters).map(([name, setting]) => (
+                <div key={name} className="control-group">
+                  <label htmlFor={`param-${name}`} className="control-label">
+                    {name} = {localParameterValues[name] ?? setting.value}
+                  </label>
+                  <input
+                    id={`param-${name}`}
+                    type="range"
+                    min={setting.min}
+                    max={setting.max}
+                    step={setting.step}
+                    value={localParameterValues[name] ?? setting.value}
+                    onChange={(e) =>
+                      handleParameterValueChange(
+                        name,
+                        parseFloat(e.target.value)
+                      )
+                    }
+                    style={{ width: '100%' }}
+                  />
+                  <div style={{ display: 'flex', gap: '8px' }}>
+                    {['min', 'max'].map((k) => (
+                      <input
+                        key={k}
+                        type="number"
+                        className="control-input"
+                        aria-label={`${name} ${k === 'min' ? 'minimum' : 'maximum'}`}
+                        step={setting.step}
+                        value={localParameterRanges[name]?.[k] ?? setting[k]}
+                        onChange={(e) =>
+                          handleParameterRangeChange(name, k, e.target.value)
+                        }
+                        onBlur={() => handleParameterRangeBlur(name, k)}
+                      />
+                    ))}
+                  </div>
+                </div>
+              ))}
+              <div
+                className="checkbox-group"
+                style={{ display: 'flex', alignItems: 'center', gap: '8px' }}
+              >
+                <input
+                  id="reset-on-parameter-toggle"
+                  type="checkbox"
+                  checked={resetOnParameterChange}
+                  onChange={(e) => setResetOnParameterChange(e.target.checked)}
+                />
+                <label htmlFor="reset-on-parameter-toggle">
+                  Reset chains when a parameter changes
+                </label>
+              </div>
+            </div>
+          )}
         </section>
 
         {/* Global Settings */}
@@ -175,6 +416,24 @@ function Controls({
               }}
             />
           </div>
+          <div className="control-group">
+            <label htmlFor="history-limit-input" className="control-label">
+              Trajectory History Limit
+            </label>
+            <input
+              id="history-limit-input"
+              type="number"
+              className="control-input"
+              min="0"
+              step="100"
+              value={localHistoryLimit}
+              onChange={(e) => {
+                const n = parseInt(e.target.value);
+                setLocalHistoryLimit(n);
+                if (!isNaN(n) && n >= 0) setHistoryLimit(n);
+              }}
+            />
+          </div>
           <div className="control-group">
             <div
               className="checkbox-group"
@@ -195,6 +454,22 @@ function Controls({
               <label>Use Random Seed</label>
             </div>
           </div>
+          <div className="control-group">
+            <div
+              className="checkbox-group"
+              style={{ display: 'flex', alignItems: 'center', gap: '8px' }}
+            >
+              <input
+                id="accepted-only-toggle"
+                type="checkbox"
+                checked={showAcceptedOnly}
+                onChange={(e) => setShowAcceptedOnly(e.target.checked)}
+              />
+              <label htmlFor="accepted-only-toggle">
+                Plot Accepted Samples Only
+              </label>
+            </div>
+          </div>
         </section>
 
         {/* Chain Render loops */}
@@ -228,6 +503,12 @@ function Controls({
               >
                 <option value="HMC">Hamiltonian Monte Carlo (HMC)</option>
                 <option value="GIBBS">Gibbs Sampling</option>
+                <option value="NUTS">No-U-Turn Sampler (NUTS)</option>
+                <option value="METROPOLIS">Random-Walk Metropolis</option>
+                <option value="MALA">
+                  Metropolis-Adjusted Langevin (MALA)
+                </option>
+                <option value="ULA">Unadjusted Langevin (ULA)</option>
               </select>
             </div>
 
@@ -279,6 +560,147 @@ function Controls({
                     }
                   />
                 </div>
+                <DivergenceThresholdInput
+                  chain={chain}
+                  setChainConfig={setChainConfig}
+                />
+                <div className="control-group">
+                  <label
+                    htmlFor={`metric-${chain.id}`}
+                    className="control-label"
+                  >
+                    Mass Matrix
+                  </label>
+                  <select
+                    id={`metric-${chain.id}`}
+                    className="control-select"
+                    style={{ width: '100%', padding: '6px' }}
+                    value={chain.params.metric || 'identity'}
+                    onChange={(e) =>
+                      setChainConfig(chain.id, {
+                        params: { ...chain.params, metric: e.target.value },
+                      })
+                    }
+                  >
+                    <option value="identity">Identity</option>
+                    <option value="diag">Diagonal (fit in burn-in)</option>
+                    <option value="dense">Dense (fit in burn-in)</option>
+                  </select>
+                </div>
+                <div className="control-group">
+                  <div
+                    className="checkbox-group"
+                    style={{
+                      display: 'flex',
+                      alignItems: 'center',
+                      gap: '8px',
+                    }}
+                  >
+                    <input
+                      id={`adapt-epsilon-${chain.id}`}
+                      type="checkbox"
+                      checked={!!chain.adaptation}
+                      onChange={(e) =>
+                        setChainConfig(chain.id, {
+                          adaptation: e.target.checked
+                            ? { targetAccept: 0.8 }
+                            : null,
+                        })
+                      }
+                    />
+                    <label htmlFor={`adapt-epsilon-${chain.id}`}>
+                      Adapt ε during burn-in
+                    </label>
+                  </div>
+                </div>
+                {chain.adaptation && (
+                  <div className="control-group">
+                    <label
+                      htmlFor={`target-accept-${chain.id}`}
+                      className="control-label"
+                    >
+                      Target Acceptance
+                    </label>
+                    <input
+                      id={`target-accept-${chain.id}`}
+                      type="number"
+                      className="control-input"
+                      min="0.05"
+                      max="0.99"
+                      step="0.05"
+                      value={chain.adaptation.targetAccept}
+                      onChange={(e) => {
+                        const t = parseFloat(e.target.value);
+                        if (!isNaN(t) && t > 0 && t < 1)
+                          setChainConfig(chain.id, {
+                            adaptation: { targetAccept: t },
+                          });
+                      }}
+                    />
+                  </div>
+                )}
+              </>
+            )}
+            {chain.samplerType === 'NUTS' && (
+              <>
+                <div className="control-group">
+                  <label
+                    htmlFor={`epsilon-${chain.id}`}
+                    className="control-label"
+                  >
+                    Epsilon (ε)
+                  </label>
+                  <input
+                    id={`epsilon-${chain.id}`}
+                    type="number"
+                    className="control-input"
+                    step="0.001"
+                    value={chain.params.epsilon}
+                    onChange={(e) =>
+                      setChainConfig(chain.id, {
+                        params: {
+                          ...chain.params,
+                          epsilon: parseFloat(e.target.value),
+                        },
+                      })
+                    }
+                  />
+                </div>
+                <div className="control-group">
+                  <label
+                    htmlFor={`max-tree-depth-${chain.id}`}
+                    className="control-label"
+                  >
+                    Max Tree Depth
+                  </label>
+                  <input
+                    id={`max-tree-depth-${chain.id}`}
+                    type="number"
+                    className="control-input"
+                    min="1"
+                    max={MAX_TREE_DEPTH}
+                    step="1"
+                    value={chain.params.maxTreeDepth}
+                    onChange={(e) => {
+                      const depth = parseInt(e.target.value);
+                      // Each extra level doubles the leapfrog steps per iteration
+                      if (!isNaN(depth))
+                        setChainConfig(chain.id, {
+                          params: {
+                            ...chain.params,
+                            maxTreeDepth: Math.min(
+                              Math.max(depth, 1),
+                              MAX_TREE_DEPTH
+                            ),
+                          },
+                        });
+                    }}
+                  />
+                </div>
+                <DivergenceThresholdInput
+                  chain={chain}
+                  setChainConfig={setChainConfig}
+                />
               </>
             )}
             {chain.samplerType === 'GIBBS' && (
@@ -306,6 +728,134 @@ function Controls({
                 />
               </div>
             )}
+            {(chain.samplerType === 'MALA' || chain.samplerType === 'ULA') && (
+              <div className="control-group">
+                <label
+                  htmlFor={`epsilon-${chain.id}`}
+                  className="control-label"
+                >
+                  Epsilon (ε)
+                </label>
+                <input
+                  id={`epsilon-${chain.id}`}
+                  type="number"
+                  className="control-input"
+                  step="0.01"
+                  value={chain.params.epsilon}
+                  onChange={(e) =>
+                    setChainConfig(chain.id, {
+                      params: {
+                        ...chain.params,
+                        epsilon: parseFloat(e.target.value),
+                      },
+                    })
+                  }
+                />
+              </div>
+            )}
+            {chain.samplerType === 'METROPOLIS' && (
+              <>
+                <div className="control-group">
+                  <label
+                    htmlFor={`proposal-shape-${chain.id}`}
+                    className="control-label"
+                  >
+                    Proposal Shape
+                  </label>
+                  <select
+                    id={`proposal-shape-${chain.id}`}
+                    className="control-select"
+                    style={{ width: '100%', padding: '6px' }}
+                    value={chain.params.covariance ? 'full' : 'isotropic'}
+                    onChange={(e) => {
+                      const s = chain.params.scale;
+                      setChainConfig(chain.id, {
+                        params: {
+                          ...chain.params,
+                          covariance:
+                            e.target.value === 'full'
+                              ? { xx: s * s, xy: 0, yy: s * s }
+                              : null,
+                        },
+                      });
+                    }}
+                  >
+                    <option value="isotropic">Isotropic (σ·I)</option>
+                    <option value="full">Full Covariance (Σ)</option>
+                  </select>
+                </div>
+                {chain.params.covariance ? (
+                  <div
+                    className="control-row"
+                    style={{ display: 'flex', gap: '8px' }}
+                  >
+                    {[
+                      ['xx', 'Σxx'],
+                      ['xy', 'Σxy'],
+                      ['yy', 'Σyy'],
+                    ].map(([key, text]) => (
+                      <div
+                        key={key}
+                        className="control-group"
+                        style={{ flex: 1 }}
+                      >
+                        <label
+                          htmlFor={`proposal-cov-${key}-${chain.id}`}
+                          className="control-label"
+                        >
+                          {text}
+                        </label>
+                        <input
+                          id={`proposal-cov-${key}-${chain.id}`}
+                          type="number"
+                          className="control-input"
+                          step="0.05"
+                          value={chain.params.covariance[key]}
+                          onChange={(e) => {
+                            const cov = {
+                              ...chain.params.covariance,
+                              [key]: parseFloat(e.target.value),
+                            };
+                            // Only positive definite covariances are valid proposals
+                            if (
+                              cov.xx > 0 &&
+                              cov.xx * cov.yy - cov.xy * cov.xy > 0
+                            )
+                              setChainConfig(chain.id, {
+                                params: { ...chain.params, covariance: cov },
+                              });
+                          }}
+                        />
+                      </div>
+                    ))}
+                  </div>
+                ) : (
+                  <div className="control-group">
+                    <label
+                      htmlFor={`proposal-scale-${chain.id}`}
+                      className="control-label"
+                    >
+                      Proposal Scale (σ)
+                    </label>
+                    <input
+                      id={`proposal-scale-${chain.id}`}
+                      type="number"
+                      className="control-input"
+                      step="0.05"
+                      min="0"
+                      value={chain.params.scale}
+                      onChange={(e) => {
+                        const scale = parseFloat(e.target.value);
+                        if (!isNaN(scale) && scale > 0)
+                          setChainConfig(chain.id, {
+                            params: { ...chain.params, scale },
+                          });
+                      }}
+                    />
+                  </div>
+                )}
+              </>
+            )}
 
             <div
               className="control-row"
@@ -450,19 +1000,19 @@ function Controls({
               className="control-input control-input-inline"
               style={{ flex: 1 }}
               min="1"
-              value={nSteps}
-              onChange={(e) => setNSteps(parseInt(e.target.value) || 1)}
+              value={localNSteps}
+              onChange={(e) => handleNStepsChange(e.target.value)}
             />
             <button
               className="btn btn-accent"
               style={{ flex: 2 }}
-              onClick={() => sampleSteps(nSteps)}
+              onClick={() => sampleSteps(localNSteps)}
               disabled={isRunning || !logP}
             >
               Sample N Steps
             </button>
           </div>
-          {isRunning && !useFastMode && (
+          {isRunning && (
             <button
               className="btn btn-secondary"
               style={{ width: '100%', marginTop: '8px' }}
@@ -498,6 +1048,37 @@ function Controls({
                 : 'Start Recording'}
           </button>
 
+          <div
+            className="export-group"
+            style={{ display: 'flex', gap: '8px', marginTop: '8px' }}
+          >
+            <button
+              className="btn btn-secondary"
+              style={{ flex: 1 }}
+              onClick={() => exportSamples('csv')}
+              disabled={isRunning || !hasSamples}
+            >
+              Export CSV
+            </button>
+            <button
+              className="btn btn-secondary"
+              style={{ flex: 1 }}
+              onClick={() => exportSamples('json')}
+              disabled={isRunning || !hasSamples}
+            >
+              Export JSON
+            </button>
+            <button
+              className="btn btn-secondary"
+              style={{ flex: 1 }}
+              onClick={() => exportSamples('arviz')}
+              disabled={isRunning || !hasSamples}
+              title="InferenceData JSON for az.from_json"
+            >
+              Export ArviZ
+            </button>
+          </div>
+
           {isRecording && (
             <div
               className="recording-indicator"
@@ -538,9 +1119,175 @@ function Controls({
               }}
             >
               Generating samples...
+              {progress && (
+                <div className="running-progress">
+                  {progress.completed} / {progress.total}
+                </div>
+              )}
             </div>
           )}
         </section>
+
+        {/* Session save / load */}
+        <section className="control-section">
+          <h3 className="section-title">Session</h3>
+          <div className="control-group">
+            <div
+              className="checkbox-group"
+              style={{ display: 'flex', alignItems: 'center', gap: '8px' }}
+            >
+              <input
+                id="session-samples-toggle"
+                type="checkbox"
+                checked={includeSessionSamples}
+                onChange={(e) => setIncludeSessionSamples(e.target.checked)}
+              />
+              <label htmlFor="session-samples-toggle">
+                Include Samples in Session
+              </label>
+            </div>
+          </div>
+          <div style={{ display: 'flex', gap: '8px' }}>
+            <button
+              className="btn btn-secondary"
+              style={{ flex: 1 }}
+              onClick={() =>
+                saveSession({ includeSamples: includeSessionSamples })
+              }
+              disabled={isRunning}
+            >
+              Save Session
+            </button>
+            <button
+              className="btn btn-secondary"
+              style={{ flex: 1 }}
+              onClick={() => sessionFileRef.current.click()}
+              disabled={isRunning}
+            >
+              Load Session
+            </button>
+            <input
+              ref={sessionFileRef}
+              data-testid="session-file-input"
+              type="file"
+              accept="application/json,.json"
+              style={{ display: 'none' }}
+              onChange={handleSessionFile}
+            />
+          </div>
+          {createShareLink && (
+            <div className="control-group" style={{ marginTop: '8px' }}>
+              <button
+                className="btn btn-secondary"
+                style={{ width: '100%' }}
+                onClick={handleShareLink}
+                disabled={isRunning}
+              >
+                Copy Share Link
+              </button>
+              {shareStatus && (
+                <span className="control-hint" role="status">
+                  {shareStatus}
+                </span>
+              )}
+            </div>
+          )}
+        </section>
+
+        {/* Leapfrog playback of the latest trajectory */}
+        {playback && (
+          <section className="control-section">
+            <h3 className="section-title">Trajectory Playback</h3>
+            <div className="control-group">
+              <div
+                className="checkbox-group"
+                style={{ display: 'flex', alignItems: 'center', gap: '8px' }}
+              >
+                <input
+                  id="playback-toggle"
+                  type="checkbox"
+                  checked={playback.isEnabled}
+                  onChange={(e) => playback.setEnabled(e.target.checked)}
+                />
+                <label htmlFor="playback-toggle">
+                  Reveal Trajectory Step by Step
+                </label>
+              </div>
+            </div>
+
+            {playback.isEnabled && (
+              <>
+                <div
+                  className="playback-buttons"
+                  style={{ display: 'flex', gap: '8px' }}
+                >
+                  <button
+                    className="btn btn-secondary"
+                    style={{ flex: 1 }}
+                    onClick={playback.stepBack}
+                    disabled={playback.frame === 0}
+                    aria-label="Step back"
+                  >
+                    ◀
+                  </button>
+                  <button
+                    className="btn btn-primary"
+                    style={{ flex: 2 }}
+                    onClick={
+                      playback.isPlaying ? playback.pause : playback.play
+                    }
+                    disabled={playback.frameCount < 2}
+                  >
+                    {playback.isPlaying ? 'Pause' : 'Play'}
+                  </button>
+                  <button
+                    className="btn btn-secondary"
+                    style={{ flex: 1 }}
+                    onClick={playback.stepForward}
+                    disabled={playback.frame >= playback.frameCount - 1}
+                    aria-label="Step forward"
+                  >
+                    ▶
+                  </button>
+                </div>
+                <div className="control-group">
+                  <label htmlFor="playback-scrubber" className="control-label">
+                    Leapfrog step {playback.frame} /{' '}
+                    {Math.max(playback.frameCount - 1, 0)}
+                  </label>
+                  <input
+                    id="playback-scrubber"
+                    type="range"
+                    min="0"
+                    max={Math.max(playback.frameCount - 1, 0)}
+                    step="1"
+                    value={playback.frame}
+                    onChange={(e) => playback.seek(parseInt(e.target.value))}
+                    disabled={playback.frameCount < 2}
+                    style={{ width: '100%' }}
+                  />
+                </div>
+                <div className="control-group">
+                  <label htmlFor="playback-speed" className="control-label">
+                    Speed: {playback.speed} steps/s
+                  </label>
+                  <input
+                    id="playback-speed"
+                    type="range"
+                    min={MIN_PLAYBACK_SPEED}
+                    max={MAX_PLAYBACK_SPEED}
+                    step="1"
+                    value={playback.speed}
+                    onChange={(e) =>
+                      playback.setSpeed(parseInt(e.target.value))
+                    }
+                    style={{ width: '100%' }}
+                  />
+                </div>
+              </>
+            )}
+          </section>
+        )}
       </div>
     </div>
   );
@@ -558,6 +1305,7 @@ Controls.propTypes = {
         y: PropTypes.number,
       }),
       seed: PropTypes.number,
+      adaptation: PropTypes.shape({ targetAccept: PropTypes.number }),
       samples: PropTypes.array,
       trajectory: PropTypes.array,
       rejectedCount: PropTypes.number,
@@ -568,6 +1316,17 @@ Controls.propTypes = {
   isRunning: PropTypes.bool,
   error: PropTypes.string,
   setLogP: PropTypes.func,
+  targetParameters: PropTypes.objectOf(
+    PropTypes.shape({
+      min: PropTypes.number,
+      max: PropTypes.number,
+      step: PropTypes.number,
+      value: PropTypes.number,
+    })
+  ),
+  setTargetParameter: PropTypes.func,
+  resetOnParameterChange: PropTypes.bool,
+  setResetOnParameterChange: PropTypes.func,
   setChainConfig: PropTypes.func,
   addChain: PropTypes.func,
   removeChain: PropTypes.func,
@@ -576,6 +1335,12 @@ Controls.propTypes = {
   reset: PropTypes.func,
   burnIn: PropTypes.number,
   setBurnIn: PropTypes.func,
+  nSteps: PropTypes.number,
+  setNSteps: PropTypes.func,
+  showAcceptedOnly: PropTypes.bool,
+  setShowAcceptedOnly: PropTypes.func,
+  historyLimit: PropTypes.number,
+  setHistoryLimit: PropTypes.func,
   axisLimits: PropTypes.shape({
     xMin: PropTypes.number,
     xMax: PropTypes.number,
@@ -590,6 +1355,28 @@ Controls.propTypes = {
   startRecording: PropTypes.func,
   stopRecording: PropTypes.func,
   stopSampling: PropTypes.func,
+  exportSamples: PropTypes.func,
+  saveSession: PropTypes.func,
+  loadSession: PropTypes.func,
+  createShareLink: PropTypes.func,
+  progress: PropTypes.shape({
+    completed: PropTypes.number,
+    total: PropTypes.number,
+  }),
+  playback: PropTypes.shape({
+    isEnabled: PropTypes.bool,
+    setEnabled: PropTypes.func,
+    isPlaying: PropTypes.bool,
+    play: PropTypes.func,
+    pause: PropTypes.func,
+    stepForward: PropTypes.func,
+    stepBack: PropTypes.func,
+    seek: PropTypes.func,
+    frame: PropTypes.number,
+    frameCount: PropTypes.number,
+    speed: PropTypes.number,
+    setSpeed: PropTypes.func,
+  }),
 };
 
 export default Controls;
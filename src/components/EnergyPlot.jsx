@@ -0,0 +1,82 @@
+import './EnergyPlot.css';
+import Plot from 'react-plotly.js';
+import PropTypes from 'prop-types';
+import { ENERGY_PLOT, HMC_SAMPLER } from '../utils/plotConfig.json';
+import { createEnergyTraces } from '../utils/plotFunctions';
+
+/**
+ * Energy along the most recent trajectory of each HMC chain. A symplectic
+ * integrator keeps H oscillating around its starting value; a step size that
+ * is too large shows up as H drifting away from H₀.
+ */
+function EnergyPlot({ chains }) {
+  const traces = [];
+  const stats = [];
+
+  chains.forEach((chain, index) => {
+    if (!chain.energy || chain.energy.length === 0) return;
+    const color =
+      index === 0
+        ? HMC_SAMPLER.styles.primaryColor
+        : HMC_SAMPLER.styles.secondaryColor;
+    const label = `Chain ${index + 1} (${chain.samplerType})`;
+    traces.push(...createEnergyTraces(chain.energy, color, label));
+
+    const H0 = chain.energy[0].H;
+    const errors = chain.energy.map((e) => e.H - H0);
+    stats.push({
+      id: chain.id,
+      index,
+      color,
+      deltaH: errors[errors.length - 1],
+      maxError: Math.max(...errors.map(Math.abs)),
+    });
+  });
+
+  if (traces.length === 0) return null;
+
+  const formatEnergy = (val) => (isFinite(val) ? val.toFixed(4) : '∞');
+
+  return (
+    <div className="energy-plot-container">
+      <h4 className="energy-title">Energy (latest trajectory)</h4>
+      <div className="energy-stats">
+        {stats.map((s) => (
+          <span className="energy-stat" key={s.id} style={{ color: s.color }}>
+            Chain {s.index + 1}: ΔH = {formatEnergy(s.deltaH)}, max |H − H₀| ={' '}
+            {formatEnergy(s.maxError)}
+          </span>
+        ))}
+      </div>
+      <Plot
+        data={traces}
+        layout={{
+          ...ENERGY_PLOT.layout,
+          showlegend: true,
+          legend: { orientation: 'h', y: -0.25 },
+        }}
+        config={{ displayModeBar: false, responsive: true }}
+        style={{ width: '100%', height: '300px' }}
+        useResizeHandler={true}
+      />
+    </div>
+  );
+}
+
+EnergyPlot.propTypes = {
+  chains: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+      samplerType: PropTypes.string,
+      energy: PropTypes.arrayOf(
+        PropTypes.shape({
+          H: PropTypes.number,
+          K: PropTypes.number,
+          U: PropTypes.number,
+        })
+      ),
+    })
+  ).isRequired,
+};
+
+export default EnergyPlot;
@@ -0,0 +1,148 @@
+import './GroundTruthTable.css';
+import PropTypes from 'prop-types';
+
+const DIMENSIONS = ['x', 'y'];
+
+/**
+ * Exact summaries of the target from numerical integration, and how far each
+ * chain's post-burn-in draws are from them. Errors are estimate minus truth;
+ * the CDF gap is the largest distance between the empirical and true
+ * marginal CDFs (the Kolmogorov–Smirnov statistic).
+ */
+function GroundTruthTable({ groundTruth, truthErrors = [] }) {
+  if (!groundTruth) return null;
+
+  const format = (val) => (isFinite(val) ? val.toPrecision(3) : '—');
+  const { domain, cells } = groundTruth;
+
+  return (
+    <div className="ground-truth-container">
+      <h4 className="ground-truth-title">
+        Ground Truth (numerical integration)
+      </h4>
+      <p className="ground-truth-note">
+        {cells}×{cells} grid on [{format(domain.xMin)}, {format(domain.xMax)}] ×
+        [{format(domain.yMin)}, {format(domain.yMax)}], Corr(x, y) ={' '}
+        {format(groundTruth.correlation)}
+      </p>
+      {!groundTruth.converged && (
+        <p className="ground-truth-warning">
+          Grid refinement did not converge; the reference is approximate.
+        </p>
+      )}
+      {groundTruth.truncated && (
+        <p className="ground-truth-warning">
+          The density is not negligible at the edge of the integration domain;
+          widen the axis limits.
+        </p>
+      )}
+      <table className="ground-truth-table">
+        <thead>
+          <tr>
+            <th scope="col">Dim</th>
+            <th scope="col">Mean</th>
+            <th scope="col">SD</th>
+            {groundTruth.quantiles.x.map((q) => (
+              <th scope="col" key={q.prob}>
+                {Math.round(q.prob * 100)}%
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {DIMENSIONS.map((dim) => (
+            <tr key={dim}>
+              <th scope="row">{dim}</th>
+              <td>{format(groundTruth.mean[dim])}</td>
+              <td>{format(groundTruth.sd[dim])}</td>
+              {groundTruth.quantiles[dim].map((q) => (
+                <td key={q.prob}>{format(q.value)}</td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      {truthErrors.length > 0 && (
+        <table className="ground-truth-table ground-truth-errors">
+          <caption>Chain error against the truth (after burn-in)</caption>
+          <thead>
+            <tr>
+              <th scope="col">Chain</th>
+              <th scope="col">Dim</th>
+              <th scope="col">Mean error</th>
+              <th scope="col">SD error</th>
+              <th scope="col">Max CDF gap</th>
+            </tr>
+          </thead>
+          <tbody>
+            {truthErrors.flatMap((entry) =>
+              DIMENSIONS.map((dim, i) => (
+                <tr key={`${entry.chainId}-${dim}`}>
+                  {i === 0 && (
+                    <th
+                      scope="rowgroup"
+                      rowSpan={DIMENSIONS.length}
+                      className="ground-truth-chain"
+                    >
+                      {entry.label}
+                    </th>
+                  )}
+                  <th scope="row">{dim}</th>
+                  <td>{format(entry.errors[dim].meanError)}</td>
+                  <td>{format(entry.errors[dim].sdError)}</td>
+                  <td>{entry.errors[dim].ks.toFixed(3)}</td>
+                </tr>
+              ))
+            )}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+}
+
+const dimensionErrorShape = PropTypes.shape({
+  meanError: PropTypes.number,
+  sdError: PropTypes.number,
+  ks: PropTypes.number,
+});
+
+GroundTruthTable.propTypes = {
+  /** Result of computeGroundTruth (utils/groundTruth.js) */
+  groundTruth: PropTypes.shape({
+    mean: PropTypes.shape({ x: PropTypes.number, y: PropTypes.number }),
+    sd: PropTypes.shape({ x: PropTypes.number, y: PropTypes.number }),
+    correlation: PropTypes.number,
+    quantiles: PropTypes.shape({
+      x: PropTypes.arrayOf(
+        PropTypes.shape({ prob: PropTypes.number, value: PropTypes.number })
+      ),
+      y: PropTypes.arrayOf(
+        PropTypes.shape({ prob: PropTypes.number, value: PropTypes.number })
+      ),
+    }),
+    domain: PropTypes.shape({
+      xMin: PropTypes.number,
+      xMax: PropTypes.number,
+      yMin: PropTypes.number,
+      yMax: PropTypes.number,
+    }),
+    cells: PropTypes.number,
+    converged: PropTypes.bool,
+    truncated: PropTypes.bool,
+  }),
+  truthErrors: PropTypes.arrayOf(
+    PropTypes.shape({
+      chainId: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+      label: PropTypes.string,
+      draws: PropTypes.number,
+      errors: PropTypes.shape({
+        x: dimensionErrorShape,
+        y: dimensionErrorShape,
+      }),
+    })
+  ),
+};
+
+export default GroundTruthTable;
@@ -5,6 +5,7 @@ import { HISTOGRAM, HMC_SAMPLER } from '../utils/plotConfig.json';
 import {
   createHistogram2DTrace,
   createMarginalHistogramTrace,
+  createTrueMarginalTrace,
 } from '../utils/plotFunctions';
 
 /**
@@ -22,9 +23,12 @@ import {
  * Extracted so that it can be used both in the legacy single-panel path
  * and the new per-chain multi-panel path.
  *
- * @param {{ samples: Array<{x:number,y:number}>, axisLimits: object|undefined }} props
+ * With a ground-truth reference the marginals are drawn as densities, with
+ * the true marginal density on top.
+ *
+ * @param {{ samples: Array<{x:number,y:number}>, axisLimits: object|undefined, groundTruth: object|null }} props
  */
-function SingleHistogramPanel({ samples, axisLimits }) {
+function SingleHistogramPanel({ samples, axisLimits, groundTruth = null }) {
   if (!samples || samples.length === 0) return null;
 
   // 2D Joint Histogram Trace
@@ -32,15 +36,23 @@ function SingleHistogramPanel({ samples, axisLimits }) {
   const h2d = createHistogram2DTrace(samples, 'Blues', 'Posterior');
   if (h2d) traces2D.push(h2d);
 
+  const histnorm = groundTruth ? 'probability density' : '';
+
   // X Marginal Trace
   const tracesX = [];
   const hx = createMarginalHistogramTrace(
     samples,
     'x',
     HMC_SAMPLER.styles.primaryColor,
-    'X Distribution'
+    'X Distribution',
+    'v',
+    histnorm
   );
   if (hx) tracesX.push(hx);
+  const tx = groundTruth
+    ? createTrueMarginalTrace(groundTruth.marginals.x, 'x')
+    : null;
+  if (tx) tracesX.push(tx);
 
   // Y Marginal Trace (Vertical/Rotated)
   const tracesY = [];
@@ -49,9 +61,14 @@ function SingleHistogramPanel({ samples, axisLimits }) {
     'y',
     HMC_SAMPLER.styles.primaryColor,
     'Y Distribution',
-    'h' // horizontal orientation makes it vertical when y-axis is data
+    'h', // horizontal orientation makes it vertical when y-axis is data
+    histnorm
   );
   if (hy) tracesY.push(hy);
+  const ty = groundTruth
+    ? createTrueMarginalTrace(groundTruth.marginals.y, 'y', 'h')
+    : null;
+  if (ty) tracesY.push(ty);
 
   const commonLayout = {
     ...HISTOGRAM.layout,
@@ -138,6 +155,19 @@ function SingleHistogramPanel({ samples, axisLimits }) {
   );
 }
 
+const groundTruthShape = PropTypes.shape({
+  marginals: PropTypes.shape({
+    x: PropTypes.shape({
+      grid: PropTypes.arrayOf(PropTypes.number),
+      density: PropTypes.arrayOf(PropTypes.number),
+    }),
+    y: PropTypes.shape({
+      grid: PropTypes.arrayOf(PropTypes.number),
+      density: PropTypes.arrayOf(PropTypes.number),
+    }),
+  }).isRequired,
+});
+
 SingleHistogramPanel.propTypes = {
   samples: PropTypes.arrayOf(
     PropTypes.shape({
@@ -151,9 +181,15 @@ SingleHistogramPanel.propTypes = {
     yMin: PropTypes.number,
     yMax: PropTypes.number,
   }),
+  groundTruth: groundTruthShape,
 };
 
-function HistogramPlots({ histogramData, histogramDataPerChain, axisLimits }) {
+function HistogramPlots({
+  histogramData,
+  histogramDataPerChain,
+  axisLimits,
+  groundTruth = null,
+}) {
   // Per-chain split layout: one panel per chain with its sampler label
   if (histogramDataPerChain && histogramDataPerChain.length > 0) {
     return (
@@ -166,6 +202,7 @@ function HistogramPlots({ histogramData, histogramDataPerChain, axisLimits }) {
               <SingleHistogramPanel
                 samples={entry.samples}
                 axisLimits={axisLimits}
+                groundTruth={groundTruth}
               />
             </div>
           ))}
@@ -184,7 +221,11 @@ function HistogramPlots({ histogramData, histogramDataPerChain, axisLimits }) {
   return (
     <div className="histogram-plots-container">
       <h3 className="section-title">Posterior Distributions</h3>
-      <SingleHistogramPanel samples={samples} axisLimits={axisLimits} />
+      <SingleHistogramPanel
+        samples={samples}
+        axisLimits={axisLimits}
+        groundTruth={groundTruth}
+      />
     </div>
   );
 }
@@ -219,6 +260,8 @@ HistogramPlots.propTypes = {
     yMin: PropTypes.number,
     yMax: PropTypes.number,
   }),
+  /** Optional numerical reference (utils/groundTruth.js); overlays the true marginals */
+  groundTruth: groundTruthShape,
 };
 
 export default HistogramPlots;
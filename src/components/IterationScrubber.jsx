@@ -0,0 +1,59 @@
+import './IterationScrubber.css';
+import PropTypes from 'prop-types';
+
+/**
+ * Slider that rewinds every plot to a past iteration. Dragging it back sets
+ * `scrubIteration`; "Latest" returns to following the newest iteration.
+ */
+function IterationScrubber({
+  iterationCount,
+  scrubIteration = null,
+  setScrubIteration,
+  isRunning = false,
+}) {
+  if (iterationCount < 1) return null;
+
+  const lastIteration = iterationCount - 1;
+  const shown = scrubIteration === null ? lastIteration : scrubIteration;
+
+  return (
+    <div className="iteration-scrubber">
+      <label
+        htmlFor="iteration-scrubber-input"
+        className="iteration-scrubber-label"
+      >
+        Iteration {shown} / {lastIteration}
+      </label>
+      <input
+        id="iteration-scrubber-input"
+        className="iteration-scrubber-slider"
+        type="range"
+        min="0"
+        max={lastIteration}
+        step="1"
+        value={shown}
+        disabled={isRunning || lastIteration === 0}
+        onChange={(e) => {
+          const it = parseInt(e.target.value);
+          setScrubIteration(it >= lastIteration ? null : it);
+        }}
+      />
+      <button
+        className="iteration-scrubber-latest"
+        onClick={() => setScrubIteration(null)}
+        disabled={scrubIteration === null}
+      >
+        Latest
+      </button>
+    </div>
+  );
+}
+
+IterationScrubber.propTypes = {
+  iterationCount: PropTypes.number.isRequired,
+  scrubIteration: PropTypes.number,
+  setScrubIteration: PropTypes.func.isRequired,
+  isRunning: PropTypes.bool,
+};
+
+export default IterationScrubber;
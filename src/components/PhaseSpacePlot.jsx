@@ -0,0 +1,126 @@
+import './PhaseSpacePlot.css';
+import Plot from 'react-plotly.js';
+import PropTypes from 'prop-types';
+import { PHASE_SPACE, HMC_SAMPLER } from '../utils/plotConfig.json';
+import {
+  createPhaseSpaceTrace,
+  createPhaseLevelSetTrace,
+} from '../utils/plotFunctions';
+import { phaseSpaceHamiltonian } from '../utils/gaussianTarget';
+
+/**
+ * Latest HMC trajectory of each chain in the (q_x, p_x) and (q_y, p_y)
+ * planes. For Gaussian targets the Hamiltonian level sets are drawn
+ * underneath, so the leapfrog orbit can be compared with the exact one.
+ */
+function PhaseSpacePlot({ chains, gaussianTarget = null, axisLimits }) {
+  const plotted = chains
+    .map((chain, index) => ({ chain, index }))
+    .filter(({ chain }) => chain.momentum && chain.momentum.length > 0);
+  if (plotted.length === 0) return null;
+
+  // Level sets follow the metric of the first plotted chain
+  const invMass = plotted[0].chain.fittedMetric?.invMass || null;
+  const maxMomentum = Math.max(
+    PHASE_SPACE.minMomentumRange,
+    ...plotted.flatMap(({ chain }) =>
+      chain.momentum.map((p) => Math.max(Math.abs(p.x), Math.abs(p.y)))
+    )
+  );
+  const pRange = [-1.1 * maxMomentum, 1.1 * maxMomentum];
+
+  const panels = ['x', 'y'].map((axis) => {
+    const qRange =
+      axis === 'x'
+        ? [axisLimits.xMin, axisLimits.xMax]
+        : [axisLimits.yMin, axisLimits.yMax];
+    const traces = [];
+    if (gaussianTarget) {
+      traces.push(
+        createPhaseLevelSetTrace(
+          phaseSpaceHamiltonian(gaussianTarget, axis, invMass),
+          qRange,
+          pRange
+        )
+      );
+    }
+    plotted.forEach(({ chain, index }) => {
+      const color =
+        index === 0
+          ? HMC_SAMPLER.styles.primaryColor
+          : HMC_SAMPLER.styles.secondaryColor;
+      traces.push(
+        createPhaseSpaceTrace(
+          chain.trajectory,
+          chain.momentum,
+          axis,
+          color,
+          `Chain ${index + 1} (${chain.samplerType})`
+        )
+      );
+    });
+    return { axis, qRange, traces: traces.filter(Boolean) };
+  });
+
+  return (
+    <div className="phase-space-container">
+      <h4 className="phase-space-title">Phase Space (latest trajectory)</h4>
+      <div className="phase-space-grid">
+        {panels.map(({ axis, qRange, traces }) => (
+          <Plot
+            key={axis}
+            data={traces}
+            layout={{
+              ...PHASE_SPACE.layout,
+              xaxis: {
+                ...PHASE_SPACE.layout.xaxis,
+                title: `q_${axis}`,
+                range: qRange,
+              },
+              yaxis: {
+                ...PHASE_SPACE.layout.yaxis,
+                title: `p_${axis}`,
+                range: pRange,
+              },
+              showlegend: true,
+              legend: { orientation: 'h', y: -0.25 },
+            }}
+            config={{ displayModeBar: false, responsive: true }}
+            style={{ width: '100%', height: '320px' }}
+            useResizeHandler={true}
+          />
+        ))}
+      </div>
+    </div>
+  );
+}
+
+PhaseSpacePlot.propTypes = {
+  chains: PropTypes.arrayOf(
+    PropTypes.shape({
+      id: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+      samplerType: PropTypes.string,
+      trajectory: PropTypes.array,
+      momentum: PropTypes.arrayOf(
+        PropTypes.shape({ x: PropTypes.number, y: PropTypes.number })
+      ),
+      fittedMetric: PropTypes.object,
+    })
+  ).isRequired,
+  gaussianTarget: PropTypes.shape({
+    mean: PropTypes.shape({ x: PropTypes.number, y: PropTypes.number }),
+    precision: PropTypes.shape({
+      xx: PropTypes.number,
+      xy: PropTypes.number,
+      yy: PropTypes.number,
+    }),
+  }),
+  axisLimits: PropTypes.shape({
+    xMin: PropTypes.number,
+    xMax: PropTypes.number,
+    yMin: PropTypes.number,
+    yMax: PropTypes.number,
+  }).isRequired,
+};
+
+export default PhaseSpacePlot;
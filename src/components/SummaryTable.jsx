@@ -0,0 +1,176 @@
+import './SummaryTable.css';
+import { useState } from 'react';
+import PropTypes from 'prop-types';
+import { MIN_ESS_PER_CHAIN, RHAT_THRESHOLD } from '../utils/statistics';
+import { DEFAULT_HDI_PROB, SUMMARY_QUANTILES } from '../utils/summary';
+
+const DIMENSIONS = ['x', 'y'];
+
+/**
+ * Posterior summary of the post-burn-in draws, one pair of rows (x, y) per
+ * group of compatible chains: mean, sd, median, quantiles and HDI, each
+ * location estimate with its Monte Carlo standard error, followed by the
+ * rank-normalized R-hat and the bulk and tail ESS. R-hat at or above
+ * RHAT_THRESHOLD and ESS below MIN_ESS_PER_CHAIN per chain are flagged; a low
+ * tail ESS next to a healthy bulk ESS means the chains rarely reach the tails.
+ */
+function SummaryTable({ summary, hdiProb = DEFAULT_HDI_PROB, setHdiProb }) {
+  const [draftHdiProb, setDraftHdiProb] = useState(String(hdiProb));
+  const [prevHdiProb, setPrevHdiProb] = useState(hdiProb);
+  if (hdiProb !== prevHdiProb) {
+    setDraftHdiProb(String(hdiProb));
+    setPrevHdiProb(hdiProb);
+  }
+
+  if (!summary || summary.length === 0) return null;
+
+  const handleHdiChange = (value) => {
+    setDraftHdiProb(value);
+    const prob = parseFloat(value);
+    if (setHdiProb && prob > 0 && prob < 1) setHdiProb(prob);
+  };
+
+  const formatValue = (val) =>
+    val === null || !isFinite(val) ? '—' : val.toPrecision(3);
+  const formatESS = (val) =>
+    val === null || !isFinite(val) ? '—' : String(Math.round(val));
+  // Three decimals so values either side of the 1.01 threshold differ
+  const formatRHat = (val) =>
+    val === null ? '—' : isFinite(val) ? val.toFixed(3) : '∞';
+
+  const withMcse = (value, mcse) => (
+    <>
+      {formatValue(value)}
+      {mcse !== null && (
+        <span className="summary-mcse"> ± {formatValue(mcse)}</span>
+      )}
+    </>
+  );
+  const warn = (flag) => (flag ? 'summary-warning' : undefined);
+
+  return (
+    <div className="summary-table-container">
+      <div className="summary-header">
+        <h4 className="summary-title">Posterior Summary (after burn-in)</h4>
+        <label className="summary-hdi-label" htmlFor="summary-hdi-input">
+          HDI Probability
+        </label>
+        <input
+          id="summary-hdi-input"
+          className="summary-hdi-input"
+          type="number"
+          min="0.01"
+          max="0.99"
+          step="0.01"
+          value={draftHdiProb}
+          onChange={(e) => handleHdiChange(e.target.value)}
+        />
+      </div>
+      <table className="summary-table">
+        <thead>
+          <tr>
+            <th scope="col">Chains</th>
+            <th scope="col">Dim</th>
+            <th scope="col">Mean</th>
+            <th scope="col">SD</th>
+            <th scope="col">Median</th>
+            {SUMMARY_QUANTILES.map((prob) => (
+              <th scope="col" key={prob}>
+                {Math.round(prob * 100)}%
+              </th>
+            ))}
+            <th scope="col">HDI {Math.round(hdiProb * 100)}%</th>
+            <th scope="col">R̂</th>
+            <th scope="col">Bulk ESS</th>
+            <th scope="col">Tail ESS</th>
+          </tr>
+        </thead>
+        <tbody>
+          {summary.flatMap((group) => {
+            const minEss = MIN_ESS_PER_CHAIN * group.chainCount;
+            return DIMENSIONS.map((dim, i) => {
+              const s = group.stats[dim];
+              return (
+                <tr key={`${group.label}-${dim}`}>
+                  {i === 0 && (
+                    <th
+                      scope="rowgroup"
+                      rowSpan={DIMENSIONS.length}
+                      className="summary-group"
+                    >
+                      {group.label}
+                    </th>
+                  )}
+                  <th scope="row">{dim}</th>
+                  <td>{withMcse(s.mean, s.mcseMean)}</td>
+                  <td>{formatValue(s.sd)}</td>
+                  <td>{withMcse(s.median, s.mcseMedian)}</td>
+                  {s.quantiles.map((q) => (
+                    <td key={q.prob}>{withMcse(q.value, q.mcse)}</td>
+                  ))}
+                  <td>
+                    [{formatValue(s.hdi.lower)}, {formatValue(s.hdi.upper)}]
+                  </td>
+                  <td
+                    className={warn(
+                      s.rHat !== null && !(s.rHat < RHAT_THRESHOLD)
+                    )}
+                  >
+                    {formatRHat(s.rHat)}
+                  </td>
+                  <td
+                    className={warn(s.bulkEss !== null && s.bulkEss < minEss)}
+                  >
+                    {formatESS(s.bulkEss)}
+                  </td>
+                  <td
+                    className={warn(s.tailEss !== null && s.tailEss < minEss)}
+                  >
+                    {formatESS(s.tailEss)}
+                  </td>
+                </tr>
+              );
+            });
+          })}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+const quantileShape = PropTypes.shape({
+  prob: PropTypes.number,
+  value: PropTypes.number,
+  mcse: PropTypes.number,
+});
+
+const dimensionShape = PropTypes.shape({
+  mean: PropTypes.number,
+  sd: PropTypes.number,
+  median: PropTypes.number,
+  quantiles: PropTypes.arrayOf(quantileShape),
+  hdi: PropTypes.shape({ lower: PropTypes.number, upper: PropTypes.number }),
+  rHat: PropTypes.number,
+  bulkEss: PropTypes.number,
+  tailEss: PropTypes.number,
+  mcseMean: PropTypes.number,
+  mcseMedian: PropTypes.number,
+});
+
+SummaryTable.propTypes = {
+  /** Result of buildSummary (utils/summary.js) */
+  summary: PropTypes.arrayOf(
+    PropTypes.shape({
+      label: PropTypes.string,
+      chainIds: PropTypes.array,
+      samplerType: PropTypes.string,
+      chainCount: PropTypes.number,
+      draws: PropTypes.number,
+      stats: PropTypes.shape({ x: dimensionShape, y: dimensionShape }),
+    })
+  ),
+  hdiProb: PropTypes.number,
+  setHdiProb: PropTypes.func,
+};
+
+export default SummaryTable;
@@ -0,0 +1,128 @@
+import './TargetDistancePlot.css';
+import { useState } from 'react';
+import Plot from 'react-plotly.js';
+import PropTypes from 'prop-types';
+import { DISTANCE_PLOT, HMC_SAMPLER } from '../utils/plotConfig.json';
+import { createDistanceTrace } from '../utils/plotFunctions';
+import { DEFAULT_CHECKPOINT_INTERVAL } from '../utils/targetDistance';
+
+const METRICS = [
+  { key: 'kl', title: 'KL divergence', value: (c) => c.kl },
+  {
+    key: 'wasserstein',
+    title: 'Sliced Wasserstein',
+    value: (c) => c.wasserstein.sliced,
+  },
+  { key: 'mmd', title: 'MMD (RBF)', value: (c) => c.mmd },
+];
+
+/**
+ * How close each chain's post-burn-in draws are to the target as sampling
+ * goes on: KL divergence of the binned draws, the Wasserstein distance of
+ * the x and y marginals (averaged) and the RBF-kernel MMD, each measured
+ * against the numerically integrated target at every checkpoint. Chains of
+ * any sampler type share the axes, so samplers can be compared directly.
+ */
+function TargetDistancePlot({
+  targetDistances,
+  checkpointInterval = DEFAULT_CHECKPOINT_INTERVAL,
+  setCheckpointInterval,
+}) {
+  const [draftInterval, setDraftInterval] = useState(
+    String(checkpointInterval)
+  );
+  const [prevInterval, setPrevInterval] = useState(checkpointInterval);
+  if (checkpointInterval !== prevInterval) {
+    setDraftInterval(String(checkpointInterval));
+    setPrevInterval(checkpointInterval);
+  }
+
+  if (!targetDistances || targetDistances.length === 0) return null;
+
+  const handleIntervalChange = (value) => {
+    setDraftInterval(value);
+    const interval = Number(value);
+    if (setCheckpointInterval && Number.isInteger(interval) && interval > 0) {
+      setCheckpointInterval(interval);
+    }
+  };
+
+  const panels = METRICS.map(({ key, title, value }) => ({
+    key,
+    title,
+    traces: targetDistances.map((entry, index) =>
+      createDistanceTrace(
+        entry.checkpoints.map((c) => c.iteration),
+        entry.checkpoints.map(value),
+        index === 0
+          ? HMC_SAMPLER.styles.primaryColor
+          : HMC_SAMPLER.styles.secondaryColor,
+        entry.label
+      )
+    ),
+  }));
+
+  return (
+    <div className="distance-container">
+      <div className="distance-header">
+        <h4 className="distance-title">Distance to Target (after burn-in)</h4>
+        <label className="distance-interval-label" htmlFor="distance-interval">
+          Checkpoint Every
+        </label>
+        <input
+          id="distance-interval"
+          className="distance-interval-input"
+          type="number"
+          min="1"
+          step="1"
+          value={draftInterval}
+          onChange={(e) => handleIntervalChange(e.target.value)}
+        />
+      </div>
+      <div className="distance-grid">
+        {panels.map(({ key, title, traces }) => (
+          <Plot
+            key={key}
+            data={traces}
+            layout={{
+              ...DISTANCE_PLOT.layout,
+              title: { text: title, font: { size: 12 } },
+              showlegend: true,
+              legend: { orientation: 'h', y: -0.25 },
+            }}
+            config={{ displayModeBar: false, responsive: true }}
+            style={{ width: '100%', height: '280px' }}
+            useResizeHandler={true}
+          />
+        ))}
+      </div>
+    </div>
+  );
+}
+
+TargetDistancePlot.propTypes = {
+  /** Per-chain checkpoints from useSamplingController (utils/targetDistance.js) */
+  targetDistances: PropTypes.arrayOf(
+    PropTypes.shape({
+      chainId: PropTypes.oneOfType([PropTypes.number, PropTypes.string]),
+      label: PropTypes.string,
+      checkpoints: PropTypes.arrayOf(
+        PropTypes.shape({
+          iteration: PropTypes.number,
+          draws: PropTypes.number,
+          kl: PropTypes.number,
+          wasserstein: PropTypes.shape({
+            x: PropTypes.number,
+            y: PropTypes.number,
+            sliced: PropTypes.number,
+          }),
+          mmd: PropTypes.number,
+        })
+      ),
+    })
+  ),
+  checkpointInterval: PropTypes.number,
+  setCheckpointInterval: PropTypes.func,
+};
+
+export default TargetDistancePlot;
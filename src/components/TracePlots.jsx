@@ -3,12 +3,24 @@ import Plot from 'react-plotly.js';
 import PropTypes from 'prop-types';
 import { TRACE_PLOT, HMC_SAMPLER } from '../utils/plotConfig.json';
 import { createTracePlotTrace } from '../utils/plotFunctions';
+import { RHAT_THRESHOLD } from '../utils/statistics';
 
 /**
  * @param {Array<{chainId: *, ess: {x: number, y: number}}>|null|undefined} essPerChain
  *   When provided, each chain's ESS is sourced from this array instead of the aggregate `ess` prop.
+ * @param {{x: number, y: number}|null|undefined} splitRHat - Split R-hat over all chains.
+ * @param {{x: number, y: number}|null|undefined} rankRHat - Rank-normalized R-hat over all chains.
+ *   Both are coloured against RHAT_THRESHOLD.
  */
-function TracePlots({ chains, burnIn, rHat, ess, essPerChain }) {
+function TracePlots({
+  chains,
+  burnIn,
+  rHat,
+  splitRHat,
+  rankRHat,
+  ess,
+  essPerChain,
+}) {
   const commonLayout = {
     ...TRACE_PLOT.layout,
     showlegend: true,
@@ -18,6 +30,7 @@ function TracePlots({ chains, burnIn, rHat, ess, essPerChain }) {
 
   const xTraces = [];
   const yTraces = [];
+  const epsilonTraces = [];
 
   chains.forEach((chain, index) => {
     if (chain.samples && chain.samples.length > 0) {
@@ -33,13 +46,42 @@ function TracePlots({ chains, burnIn, rHat, ess, essPerChain }) {
         ...createTracePlotTrace(chain.samples, 'y', burnIn, color, label)
       );
     }
+    // Step-size history is only interesting while ε is being adapted
+    if (chain.adaptation && chain.epsilonHistory?.length > 0) {
+      const color =
+        index === 0
+          ? HMC_SAMPLER.styles.primaryColor
+          : HMC_SAMPLER.styles.secondaryColor;
+      const label = `Chain ${index + 1} (${chain.samplerType})`;
+      epsilonTraces.push(
+        ...createTracePlotTrace(
+          chain.epsilonHistory.map((epsilon) => ({ epsilon })),
+          'epsilon',
+          burnIn,
+          color,
+          label
+        )
+      );
+    }
   });
 
   const formatRHat = (val) =>
     !isFinite(val) ? ' (R̂ = ∞)' : val ? ` (R̂ = ${val.toFixed(2)})` : '';
+  // Split / rank-normalized R-hat with the 1.01 convergence colouring
+  const renderModernRHat = (label, value) => {
+    const converged = value < RHAT_THRESHOLD;
+    return (
+      <span
+        className={`stat-label ${converged ? 'rhat-ok' : 'rhat-warning'}`}
+        title={`${converged ? 'Below' : 'Not below'} the ${RHAT_THRESHOLD} convergence threshold`}
+      >
+        {label} = {isFinite(value) ? value.toFixed(3) : '∞'}
+      </span>
+    );
+  };
   const formatESS = (val) => (val ? ` (ESS = ${Math.round(val)})` : '');
   const formatRate = (chain) => {
-    const acc = chain.acceptedCount ?? chain.samples.length;
+    const acc = chain.acceptedCount ?? 0;
     const total = acc + (chain.rejectedCount ?? 0);
     return total === 0 ? '0.0%' : `${((acc / total) * 100).toFixed(1)}%`;
   };
@@ -61,8 +103,13 @@ function TracePlots({ chains, burnIn, rHat, ess, essPerChain }) {
             >
               Chain {index + 1}:
             </span>
-            <span className="stat-item">Acc: {chain.samples.length}</span>
+            <span className="stat-item">Acc: {chain.acceptedCount ?? 0}</span>
             <span className="stat-item">Rej: {chain.rejectedCount}</span>
+            <span
+              className={`stat-item${chain.divergentCount > 0 ? ' stat-warning' : ''}`}
+            >
+              Div: {chain.divergentCount ?? 0}
+            </span>
             <span className="stat-item">Rate: {formatRate(chain)}</span>
           </div>
         ))}
@@ -72,6 +119,8 @@ function TracePlots({ chains, burnIn, rHat, ess, essPerChain }) {
         <h4 className="trace-title">
           X Trace{' '}
           {rHat && <span className="stat-label">{formatRHat(rHat.x)}</span>}
+          {splitRHat && renderModernRHat('split R̂', splitRHat.x)}
+          {rankRHat && renderModernRHat('rank R̂', rankRHat.x)}
           {!essPerChain && ess && (
             <span className="stat-label">{formatESS(ess.x)}</span>
           )}
@@ -105,6 +154,8 @@ function TracePlots({ chains, burnIn, rHat, ess, essPerChain }) {
         <h4 className="trace-title">
           Y Trace{' '}
           {rHat && <span className="stat-label">{formatRHat(rHat.y)}</span>}
+          {splitRHat && renderModernRHat('split R̂', splitRHat.y)}
+          {rankRHat && renderModernRHat('rank R̂', rankRHat.y)}
           {!essPerChain && ess && (
             <span className="stat-label">{formatESS(ess.y)}</span>
           )}
@@ -134,6 +185,22 @@ function TracePlots({ chains, burnIn, rHat, ess, essPerChain }) {
           useResizeHandler={true}
         />
       </div>
+      {epsilonTraces.length > 0 && (
+        <div className="trace-plot-wrapper">
+          <h4 className="trace-title">Step Size (ε)</h4>
+          <Plot
+            data={epsilonTraces}
+            layout={{
+              ...commonLayout,
+              title: '',
+              yaxis: { ...commonLayout.yaxis, type: 'log' },
+            }}
+            config={xConfig}
+            style={{ width: '100%', height: '200px' }}
+            useResizeHandler={true}
+          />
+        </div>
+      )}
     </div>
   );
 }
@@ -149,15 +216,20 @@ TracePlots.propTypes = {
         y: PropTypes.number,
       }),
       seed: PropTypes.number,
+      adaptation: PropTypes.shape({ targetAccept: PropTypes.number }),
       samples: PropTypes.array,
+      epsilonHistory: PropTypes.arrayOf(PropTypes.number),
       trajectory: PropTypes.array,
       rejectedCount: PropTypes.number,
       acceptedCount: PropTypes.number,
+      divergentCount: PropTypes.number,
       error: PropTypes.string,
     })
   ),
   burnIn: PropTypes.number,
   rHat: PropTypes.shape({ x: PropTypes.number, y: PropTypes.number }),
+  splitRHat: PropTypes.shape({ x: PropTypes.number, y: PropTypes.number }),
+  rankRHat: PropTypes.shape({ x: PropTypes.number, y: PropTypes.number }),
   ess: PropTypes.shape({ x: PropTypes.number, y: PropTypes.number }),
   /** Optional: when provided, per-chain ESS is shown instead of aggregate ESS */
   essPerChain: PropTypes.arrayOf(
@@ -6,12 +6,19 @@ import { GENERAL, HMC_SAMPLER } from '../utils/plotConfig.json';
 import {
   createTrajectoryTrace,
   createSamplesTrace,
+  createTreeTraces,
+  createMetricEllipseTrace,
+  createRejectedTrace,
+  createDivergenceTrace,
+  createMomentumArrow,
 } from '../utils/plotFunctions';
 
 function Visualizer({
   contourData,
   chains,
   axisLimits,
+  showAcceptedOnly = false,
+  playbackFrame = null,
   isRecording = false,
   captureFrame = () => {},
 }) {
@@ -55,6 +62,7 @@ function Visualizer({
   }
 
   const traces = [contourData];
+  const annotations = [];
 
   chains.forEach((chain, index) => {
     const isPrimary = index === 0;
@@ -63,15 +71,70 @@ function Visualizer({
       : HMC_SAMPLER.styles.secondaryColor;
     const label = `Chain ${index + 1} (${chain.samplerType})`;
 
-    if (chain.samples && chain.samples.length > 0) {
+    // `samples` repeats the current state after every rejection
+    const points = showAcceptedOnly ? chain.acceptedSamples : chain.samples;
+    if (points && points.length > 0) {
+      traces.push(createSamplesTrace(points, color, `Samples (${label})`));
+    }
+
+    if (chain.rejectedProposals && chain.rejectedProposals.length > 0) {
+      traces.push(
+        createRejectedTrace(
+          chain.rejectedProposals,
+          color,
+          `Rejected (${label})`
+        )
+      );
+    }
+
+    if (chain.divergences && chain.divergences.length > 0) {
+      traces.push(
+        createDivergenceTrace(
+          chain.divergences,
+          color,
+          `Divergences (${label})`
+        )
+      );
+    }
+
+    if (chain.tree) {
+      // NUTS: draw the forward and backward expansions separately
+      traces.push(
+        ...createTreeTraces(
+          chain.tree,
+          color,
+          chain.divergent ? `Divergent tree (${label})` : `Tree (${label})`,
+          chain.divergent
+        )
+      );
+    } else if (chain.trajectory && chain.trajectory.length > 0) {
+      // During playback only the first playbackFrame + 1 points are revealed
+      let trajectory = chain.trajectory;
+      if (playbackFrame !== null) {
+        const frame = Math.min(playbackFrame, trajectory.length - 1);
+        trajectory = trajectory.slice(0, frame + 1);
+        const arrow = createMomentumArrow(
+          trajectory[frame],
+          chain.momentum?.[frame],
+          color
+        );
+        if (arrow) annotations.push(arrow);
+      }
       traces.push(
-        createSamplesTrace(chain.samples, color, `Samples (${label})`)
+        createTrajectoryTrace(
+          trajectory,
+          color,
+          chain.divergent
+            ? `Divergent trajectory (${label})`
+            : `Trajectory (${label})`,
+          chain.divergent
+        )
       );
     }
 
-    if (chain.trajectory && chain.trajectory.length > 0) {
+    if (chain.fittedMetric) {
       traces.push(
-        createTrajectoryTrace(chain.trajectory, color, `Trajectory (${label})`)
+        createMetricEllipseTrace(chain.fittedMetric, color, `Metric (${label})`)
       );
     }
   });
@@ -98,6 +161,7 @@ function Visualizer({
               ? [axisLimits.yMin, axisLimits.yMax]
               : GENERAL.layout.yaxis.range,
           },
+          annotations,
         }}
         config={GENERAL.config}
         style={{ width: '100%', height: '100%' }}
@@ -117,6 +181,8 @@ Visualizer.propTypes = {
   contourData: PropTypes.object,
   chains: PropTypes.array,
   axisLimits: PropTypes.object,
+  showAcceptedOnly: PropTypes.bool,
+  playbackFrame: PropTypes.number,
   isRecording: PropTypes.bool,
   captureFrame: PropTypes.func,
 };
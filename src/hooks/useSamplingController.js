@@ -1,36 +1,69 @@
-import { useState, useCallback, useRef, useEffect } from 'react';
-import { Logp } from '../utils/mathEngine';
+import { useState, useCallback, useRef, useEffect, useMemo } from 'react';
+import { Logp, detectParameters } from '../utils/mathEngine';
+import {
+  syncParameterSettings,
+  updateParameterSetting,
+  parameterValues,
+} from '../utils/targetParameters';
+import { detectGaussian } from '../utils/gaussianTarget';
+import { compareToTruth } from '../utils/groundTruth';
+import {
+  createDistanceReference,
+  distancesAtCheckpoints,
+  DEFAULT_CHECKPOINT_INTERVAL,
+} from '../utils/targetDistance';
 import { SamplingChain } from '../samplers/SamplingChain';
-import { DEFAULT_SAMPLER_PARAMS } from '../samplers/defaultConfigs';
+import {
+  DEFAULT_SAMPLER_PARAMS,
+  DEFAULT_HISTORY_LIMIT,
+} from '../samplers/defaultConfigs';
 import { generateGrid, createContourTrace } from '../utils/plotFunctions';
 import { CONTOUR } from '../utils/plotConfig.json';
-import { calculateGelmanRubin, calculateESS } from '../utils/statistics';
+import {
+  calculateGelmanRubin,
+  calculateESS,
+  calculateSplitRHat,
+  calculateRankNormalizedRHat,
+  MIN_SPLIT_DRAWS,
+} from '../utils/statistics';
 import {
   prepareHistogramData,
   prepareHistogramDataPerChain,
 } from '../utils/histogramUtils';
+import { chainAtIteration } from '../utils/chainHistory';
+import {
+  buildExport,
+  toCSV,
+  toJSON,
+  downloadText,
+} from '../utils/exportSamples';
+import {
+  buildInferenceData,
+  toInferenceDataJSON,
+} from '../utils/exportInferenceData';
+import { createSession, parseSession } from '../utils/session';
+import { encodeUrlState, decodeUrlState } from '../utils/urlState';
+import {
+  allChainsCompatible,
+  buildSummary,
+  DEFAULT_HDI_PROB,
+} from '../utils/summary';
 import { logger } from '../utils/logger';
+import { createSamplingWorker } from '../workers/createSamplingWorker';
+import {
+  MESSAGE_TYPES,
+  configureMessage,
+  stepMessage,
+  cancelMessage,
+  errorMessage,
+  groundTruthMessage,
+} from '../workers/samplingProtocol';
 
-/**
- * Returns true when all chains share the same samplerType and sampler params
- * (ignoring chain-specific fields: initialPosition and seed), or when there is
- * at most one chain. When this returns false, R-hat is meaningless and ESS
- * should be computed per-chain.
- *
- * @param {Array<{samplerType: string, params?: object}>} chains
- * @returns {boolean}
- */
-export function allChainsCompatible(chains) {
-  if (chains.length <= 1) return true;
-  const ref = chains[0];
-  return chains.every((c) => {
-    if (c.samplerType !== ref.samplerType) return false;
-    const refParams = ref.params || {};
-    const cParams = c.params || {};
-    const keys = new Set([...Object.keys(refParams), ...Object.keys(cParams)]);
-    return [...keys].every((k) => cParams[k] === refParams[k]);
-  });
-}
+// Re-exported for callers that used the hook module before it moved
+export { allChainsCompatible } from '../utils/summary';
+
+/** Quiet period after a target or axis change before the ground truth is requested */
+const GROUND_TRUTH_DELAY_MS = 150;
 
 /**
  * Custom hook to control the HMC sampling process using independent chains
@@ -38,6 +71,10 @@ export function allChainsCompatible(chains) {
  */
 export default function useSamplingController() {
   const [logP, setLogPString] = useState('');
+  // Slider settings of the free symbols in logP besides x and y, by name
+  const [targetParameters, setTargetParameters] = useState({});
+  // Start the chains afresh whenever a parameter moves
+  const [resetOnParameterChange, setResetOnParameterChange] = useState(false);
 
   // Now tracks an array of chain states instead of duplicated specific keys
   const [chains, setChains] = useState([
@@ -47,8 +84,21 @@ export default function useSamplingController() {
       params: { ...DEFAULT_SAMPLER_PARAMS['HMC'] },
       initialPosition: { x: 0, y: 0 },
       seed: null,
+      adaptation: null,
       samples: [],
+      acceptedSamples: [],
+      sampleStats: [],
       trajectory: [],
+      momentum: [],
+      energy: [],
+      tree: null,
+      history: [],
+      rejectedProposals: [],
+      divergences: [],
+      divergent: false,
+      divergentCount: 0,
+      epsilonHistory: [],
+      fittedMetric: null,
       rejectedCount: 0,
       acceptedCount: 0,
       error: null,
@@ -62,12 +112,31 @@ export default function useSamplingController() {
   // Per-chain error object: id → message
   const [chainErrors, setChainErrors] = useState({});
   const [contourData, setContourData] = useState(null);
+  // Mean and precision when the target is Gaussian, for phase-space level sets
+  const [gaussianTarget, setGaussianTarget] = useState(null);
+  // Numerically integrated reference for the target (see utils/groundTruth.js)
+  const [groundTruth, setGroundTruth] = useState(null);
 
   // Fast sampling mode
   const [useFastMode, setUseFastMode] = useState(false);
+  // Worker progress for fast-mode runs: { completed, total } or null
+  const [progress, setProgress] = useState(null);
 
   // Statistics
   const [rHat, setRHat] = useState(null);
+  // Split and rank-normalized R-hat over all chains (Vehtari et al. 2021)
+  const [splitRHat, setSplitRHat] = useState(null);
+  const [rankRHat, setRankRHat] = useState(null);
+  // Posterior summary per group of compatible chains (see utils/summary.js)
+  const [summary, setSummary] = useState([]);
+  const [hdiProb, setHdiProb] = useState(DEFAULT_HDI_PROB);
+  // Per-chain error against groundTruth
+  const [truthErrors, setTruthErrors] = useState([]);
+  // Per-chain KL, Wasserstein and MMD to the target at each checkpoint
+  const [targetDistances, setTargetDistances] = useState([]);
+  const [checkpointInterval, setCheckpointInterval] = useState(
+    DEFAULT_CHECKPOINT_INTERVAL
+  );
   const [ess, setEss] = useState(null);
   const [histogramData, setHistogramData] = useState({ samples: [] });
   // Per-chain stats — populated only when chains have different sampler types
@@ -76,6 +145,14 @@ export default function useSamplingController() {
 
   // Visualization params
   const [burnIn, setBurnIn] = useState(10);
+  // Iterations run by "Sample N Steps"; kept here so links can carry it
+  const [nSteps, setNSteps] = useState(10);
+  // Scatter only the accepted states instead of every iteration
+  const [showAcceptedOnly, setShowAcceptedOnly] = useState(false);
+  // Iteration the plots are rewound to, or null to follow the latest one
+  const [scrubIteration, setScrubIteration] = useState(null);
+  // Number of past trajectories each chain keeps for replay
+  const [historyLimit, setHistoryLimit] = useState(DEFAULT_HISTORY_LIMIT);
   const [axisLimits, setAxisLimitsState] = useState({
     xMin: CONTOUR.grid.xRange[0],
     xMax: CONTOUR.grid.xRange[1],
@@ -91,6 +168,14 @@ export default function useSamplingController() {
   // Real OOP sampling chains held in refs
   const samplingChainsRef = useRef(new Map());
 
+  // Fast mode runs batches in a worker; the id of the run in flight (or null)
+  // lets late results from a cancelled or superseded run be ignored
+  const workerRef = useRef(null);
+  const activeRunRef = useRef(null);
+  const nextRunIdRef = useRef(1);
+  // Id of the latest ground-truth request; older results are dropped
+  const groundTruthRequestRef = useRef(0);
+
   // Ensure refs match state size (initialize chains).
   // Depend only on chain IDs so this does not fire on every syncChainsState call.
   const chainIdsKey = chains.map((c) => c.id).join(',');
@@ -103,6 +188,26 @@ export default function useSamplingController() {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [chainIdsKey]);
 
+  // Step-size adaptation runs over the burn-in window
+  useEffect(() => {
+    samplingChainsRef.current.forEach((chain) => chain.setWarmupSteps(burnIn));
+  }, [burnIn, chainIdsKey]);
+
+  // Lowering the limit drops the oldest trajectories right away
+  useEffect(() => {
+    samplingChainsRef.current.forEach((chain) =>
+      chain.setHistoryLimit(historyLimit)
+    );
+    setChains((prev) =>
+      prev.map((c) => {
+        const impl = samplingChainsRef.current.get(c.id);
+        return impl && impl.history.length !== (c.history || []).length
+          ? { ...c, history: [...impl.history] }
+          : c;
+      })
+    );
+  }, [historyLimit, chainIdsKey]);
+
   const computeContour = useCallback(() => {
     if (!logpInstanceRef.current) {
       setContourData(null);
@@ -132,6 +237,9 @@ export default function useSamplingController() {
 
   useEffect(() => computeContour(), [computeContour]);
 
+  // Changes whenever a parameter value does (but not for range edits)
+  const parameterKey = JSON.stringify(parameterValues(targetParameters));
+
   // Sync back visual info from SamplingChains to React State.
   // Only copies trajectory (small, bounded) and the latest sample / counters.
   const syncChainsState = useCallback(() => {
@@ -142,7 +250,19 @@ export default function useSamplingController() {
         return {
           ...c,
           samples: [...impl.samples],
+          acceptedSamples: [...impl.acceptedSamples],
+          sampleStats: [...impl.sampleStats],
           trajectory: impl.trajectory.map((p) => ({ ...p })),
+          momentum: impl.momentum,
+          energy: impl.energy,
+          tree: impl.tree,
+          history: [...impl.history],
+          rejectedProposals: [...impl.rejectedProposals],
+          divergences: [...impl.divergences],
+          divergent: impl.divergent,
+          divergentCount: impl.divergentCount,
+          epsilonHistory: [...impl.epsilonHistory],
+          fittedMetric: impl.fittedMetric,
           rejectedCount: impl.rejectedCount,
           acceptedCount: impl.acceptedCount,
           error: impl.error,
@@ -153,6 +273,11 @@ export default function useSamplingController() {
   }, []);
 
   const reset = useCallback(() => {
+    if (activeRunRef.current !== null && workerRef.current) {
+      workerRef.current.postMessage(cancelMessage(activeRunRef.current));
+    }
+    activeRunRef.current = null;
+    setProgress(null);
     samplingChainsRef.current.forEach((chain) => chain.reset());
     setIterationCount(0);
     setIsRunning(false);
@@ -162,18 +287,28 @@ export default function useSamplingController() {
     setHistogramDataPerChain(null);
     setEssPerChain(null);
     setChainErrors({});
+    setScrubIteration(null);
     syncChainsState();
   }, [syncChainsState]);
 
-  // Sync stats when chains change OR iteration stops
+  // Chains as shown in the plots: rewound when scrubbing through the history
+  const visibleChains = useMemo(
+    () =>
+      scrubIteration === null
+        ? chains
+        : chains.map((c) => chainAtIteration(c, scrubIteration)),
+    [chains, scrubIteration]
+  );
+
+  // Sync stats when the visible chains change OR iteration stops
   useEffect(() => {
     if (isRunning) return;
 
-    if (allChainsCompatible(chains)) {
+    if (allChainsCompatible(visibleChains)) {
       // --- Same sampler type: existing merged behaviour ---
-      const samples1 = chains[0]?.samples || [];
-      const samples2 = chains[1]?.samples || [];
-      const hasSecondChain = chains.length > 1;
+      const samples1 = visibleChains[0]?.samples || [];
+      const samples2 = visibleChains[1]?.samples || [];
+      const hasSecondChain = visibleChains.length > 1;
 
       const hData = prepareHistogramData(
         samples1,
@@ -185,32 +320,40 @@ export default function useSamplingController() {
       setHistogramDataPerChain(null);
       setEssPerChain(null);
 
-      const validSamples1 = samples1.slice(burnIn);
-      const validSamples2 = samples2.slice(burnIn);
-
-      if (
-        hasSecondChain &&
-        validSamples1.length > 1 &&
-        validSamples2.length > 1
-      ) {
-        setRHat(calculateGelmanRubin([validSamples1, validSamples2]));
-        setEss(calculateESS([validSamples1, validSamples2]));
-      } else if (!hasSecondChain && validSamples1.length > 1) {
-        setRHat(null);
-        setEss(calculateESS([validSamples1]));
+      // Every statistic pools the whole compatible group
+      const postBurnIn = visibleChains.map((c) =>
+        (c.samples || []).slice(burnIn)
+      );
+
+      if (postBurnIn.length > 0 && postBurnIn.every((s) => s.length > 1)) {
+        setRHat(hasSecondChain ? calculateGelmanRubin(postBurnIn) : null);
+        setEss(calculateESS(postBurnIn));
       } else {
         setRHat(null);
         setEss(null);
       }
+
+      // Split R-hat works for any number of chains, even a single one
+      if (postBurnIn.every((s) => s.length >= MIN_SPLIT_DRAWS)) {
+        setSplitRHat(calculateSplitRHat(postBurnIn));
+        setRankRHat(calculateRankNormalizedRHat(postBurnIn));
+      } else {
+        setSplitRHat(null);
+        setRankRHat(null);
+      }
     } else {
       // --- Different sampler types: per-chain stats ---
       setHistogramData({ samples: [] });
       setRHat(null);
+      setSplitRHat(null);
+      setRankRHat(null);
       setEss(null);
 
-      setHistogramDataPerChain(prepareHistogramDataPerChain(chains, burnIn));
+      setHistogramDataPerChain(
+        prepareHistogramDataPerChain(visibleChains, burnIn)
+      );
 
-      const perChainEss = chains.map((c) => {
+      const perChainEss = visibleChains.map((c) => {
         const postBurnin = (c.samples || []).slice(burnIn);
         if (postBurnin.length <= 1) {
           logger.warn('ESS skipped — insufficient samples', {
@@ -225,7 +368,82 @@ export default function useSamplingController() {
       });
       setEssPerChain(perChainEss);
     }
-  }, [isRunning, chains, burnIn]);
+  }, [isRunning, visibleChains, burnIn]);
+
+  // Posterior summary, also recomputed when the HDI mass changes
+  useEffect(() => {
+    if (isRunning) return;
+    setSummary(buildSummary(visibleChains, { burnIn, hdiProb }));
+  }, [isRunning, visibleChains, burnIn, hdiProb]);
+
+  useEffect(() => {
+    if (isRunning) return;
+    if (!groundTruth) {
+      setTruthErrors([]);
+      return;
+    }
+    const errors = visibleChains
+      .map((c, i) => {
+        const postBurnin = (c.samples || []).slice(burnIn);
+        return {
+          chainId: c.id,
+          label: `Chain ${i + 1} (${c.samplerType})`,
+          draws: postBurnin.length,
+          errors: compareToTruth(postBurnin, groundTruth),
+        };
+      })
+      .filter((entry) => entry.errors !== null);
+    setTruthErrors(errors);
+  }, [isRunning, visibleChains, burnIn, groundTruth]);
+
+  // Binned reference and MMD terms, shared by every chain and checkpoint
+  const distanceReference = useMemo(
+    () => (groundTruth ? createDistanceReference(groundTruth) : null),
+    [groundTruth]
+  );
+
+  // Checkpoints of each chain by id, reused while its draws and the inputs
+  // are unchanged (e.g. when only another chain moved)
+  const distanceCacheRef = useRef(new Map());
+
+  useEffect(() => {
+    if (isRunning) return;
+    if (!distanceReference) {
+      distanceCacheRef.current.clear();
+      setTargetDistances([]);
+      return;
+    }
+    const cache = new Map();
+    const distances = visibleChains
+      .map((c, i) => {
+        const samples = c.samples || [];
+        const key = {
+          reference: distanceReference,
+          burnIn,
+          interval: checkpointInterval,
+          length: samples.length,
+          last: samples[samples.length - 1],
+        };
+        const cached = distanceCacheRef.current.get(c.id);
+        const hit =
+          cached && Object.keys(key).every((k) => cached.key[k] === key[k]);
+        const checkpoints = hit
+          ? cached.checkpoints
+          : distancesAtCheckpoints(samples, distanceReference, {
+              burnIn,
+              interval: checkpointInterval,
+            });
+        cache.set(c.id, { key, checkpoints });
+        return {
+          chainId: c.id,
+          label: `Chain ${i + 1} (${c.samplerType})`,
+          checkpoints,
+        };
+      })
+      .filter((entry) => entry.checkpoints.length > 0);
+    distanceCacheRef.current = cache;
+    setTargetDistances(distances);
+  }, [isRunning, visibleChains, burnIn, distanceReference, checkpointInterval]);
 
   const setLogP = useCallback(
     (str) => {
@@ -233,11 +451,22 @@ export default function useSamplingController() {
       setError(null);
       try {
         if (str) {
-          logpInstanceRef.current = new Logp(str);
+          // Parameters already known keep their ranges and values
+          const settings = syncParameterSettings(
+            detectParameters(str),
+            targetParameters
+          );
+          logpInstanceRef.current = new Logp(str, {
+            parameters: parameterValues(settings),
+          });
+          setTargetParameters(settings);
+          setGaussianTarget(detectGaussian(logpInstanceRef.current));
           computeContour();
           logger.info('logP set', { expr: str.slice(0, 60) });
         } else {
           logpInstanceRef.current = null;
+          setTargetParameters({});
+          setGaussianTarget(null);
           setContourData(null);
           logger.info('logP cleared');
         }
@@ -245,11 +474,50 @@ export default function useSamplingController() {
       } catch (e) {
         setError(e.message);
         logpInstanceRef.current = null;
+        setTargetParameters({});
+        setGaussianTarget(null);
         setContourData(null);
         logger.error('logP parse error', { message: e.message });
       }
     },
-    [reset, computeContour]
+    [reset, computeContour, targetParameters]
+  );
+
+  /**
+   * Change the value or range of a target parameter. A new value recompiles
+   * the density and redraws the contour; sampling in standard mode picks it
+   * up on the next step. An invalid change is ignored.
+   * @param {string} name - Parameter name (see detectParameters)
+   * @param {Object} patch - Any of value, min, max and step
+   * @returns {boolean} Whether the change was applied
+   */
+  const setTargetParameter = useCallback(
+    (name, patch) => {
+      const current = targetParameters[name];
+      const next = current && updateParameterSetting(current, patch);
+      if (!next) return false;
+      const settings = { ...targetParameters, [name]: next };
+      if (next.value !== current.value) {
+        try {
+          logpInstanceRef.current = new Logp(logP, {
+            parameters: parameterValues(settings),
+          });
+        } catch (e) {
+          // The previous density stays in place
+          setError(e.message);
+          logger.error('logP parse error', { message: e.message });
+          return false;
+        }
+        setGaussianTarget(detectGaussian(logpInstanceRef.current));
+        computeContour();
+        setError(null);
+        logger.debug('Target parameter set', { name, value: next.value });
+        if (resetOnParameterChange) reset();
+      }
+      setTargetParameters(settings);
+      return true;
+    },
+    [targetParameters, logP, computeContour, reset, resetOnParameterChange]
   );
 
   const setAxisLimits = useCallback((newLimits) => {
@@ -281,6 +549,8 @@ export default function useSamplingController() {
               impl.setInitialPosition(configUpdates.initialPosition);
             if (configUpdates.seed !== undefined)
               impl.setSeed(configUpdates.seed);
+            if (configUpdates.adaptation !== undefined)
+              impl.setAdaptation(configUpdates.adaptation);
           }
 
           // If samplerType changed, ensure params map default properly into react state
@@ -293,7 +563,19 @@ export default function useSamplingController() {
             };
             // Implicit reset inside sampling chain needs a sync or manual reset:
             result.samples = [];
+            result.acceptedSamples = [];
+            result.sampleStats = [];
             result.trajectory = [];
+            result.momentum = [];
+            result.energy = [];
+            result.tree = null;
+            result.history = [];
+            result.rejectedProposals = [];
+            result.divergences = [];
+            result.divergent = false;
+            result.divergentCount = 0;
+            result.epsilonHistory = [];
+            result.fittedMetric = null;
             result.rejectedCount = 0;
             result.acceptedCount = 0;
             result.error = null;
@@ -316,8 +598,21 @@ export default function useSamplingController() {
       params: { ...DEFAULT_SAMPLER_PARAMS[samplerType] },
       initialPosition: { x: 1, y: 1 },
       seed: null,
+      adaptation: null,
       samples: [],
+      acceptedSamples: [],
+      sampleStats: [],
       trajectory: [],
+      momentum: [],
+      energy: [],
+      tree: null,
+      history: [],
+      rejectedProposals: [],
+      divergences: [],
+      divergent: false,
+      divergentCount: 0,
+      epsilonHistory: [],
+      fittedMetric: null,
       rejectedCount: 0,
       acceptedCount: 0,
       error: null,
@@ -355,7 +650,19 @@ export default function useSamplingController() {
         return {
           ...c,
           samples: [],
+          acceptedSamples: [],
+          sampleStats: [],
           trajectory: [],
+          momentum: [],
+          energy: [],
+          tree: null,
+          history: [],
+          rejectedProposals: [],
+          divergences: [],
+          divergent: false,
+          divergentCount: 0,
+          epsilonHistory: [],
+          fittedMetric: null,
           rejectedCount: 0,
           acceptedCount: 0,
           error: null,
@@ -369,9 +676,129 @@ export default function useSamplingController() {
     });
   }, []);
 
+  /**
+   * Apply a worker message to the in-process chains and React state
+   * @param {Object} message - progress, results, error or groundTruthResult message
+   */
+  const handleWorkerMessage = useCallback(
+    (message) => {
+      if (message.type === MESSAGE_TYPES.GROUND_TRUTH_RESULT) {
+        if (message.requestId !== groundTruthRequestRef.current) return;
+        const { truth } = message;
+        if (!truth) {
+          logger.warn('Ground truth skipped', { message: message.message });
+        } else if (!truth.converged || truth.truncated) {
+          logger.warn('Ground truth inexact', {
+            converged: truth.converged,
+            truncated: truth.truncated,
+          });
+        }
+        setGroundTruth(truth);
+        return;
+      }
+
+      // Errors not tied to a run (runId -1) still end the active one
+      const untied = message.type === MESSAGE_TYPES.ERROR && message.runId < 0;
+      if (message.runId !== activeRunRef.current && !untied) return;
+
+      switch (message.type) {
+        case MESSAGE_TYPES.PROGRESS:
+          setProgress({ completed: message.completed, total: message.total });
+          break;
+        case MESSAGE_TYPES.RESULTS: {
+          const newErrors = {};
+          message.chains.forEach((snapshot) => {
+            const chain = samplingChainsRef.current.get(snapshot.config.id);
+            if (!chain) return;
+            chain.restore(snapshot.state);
+            if (chain.error) newErrors[snapshot.config.id] = chain.error;
+          });
+          activeRunRef.current = null;
+          setChainErrors(newErrors);
+          syncChainsState();
+          setIterationCount((prev) => prev + message.completed);
+          setProgress(null);
+          setIsRunning(false);
+          break;
+        }
+        case MESSAGE_TYPES.ERROR:
+          activeRunRef.current = null;
+          setError(message.message);
+          setProgress(null);
+          setIsRunning(false);
+          break;
+        default:
+          break;
+      }
+    },
+    [syncChainsState]
+  );
+
+  // Keep the worker's listener pointing at the latest handler
+  const handleWorkerMessageRef = useRef(handleWorkerMessage);
+  useEffect(() => {
+    handleWorkerMessageRef.current = handleWorkerMessage;
+  }, [handleWorkerMessage]);
+
+  const getWorker = useCallback(() => {
+    if (!workerRef.current) {
+      const worker = createSamplingWorker();
+      worker.onmessage = (event) => handleWorkerMessageRef.current(event.data);
+      // An uncaught exception leaves the worker in an unknown state: drop it
+      // and end the run, so the next one starts a fresh worker
+      worker.onerror = (event) => {
+        if (event.preventDefault) event.preventDefault();
+        logger.error('Sampling worker failed', { message: event.message });
+        worker.terminate();
+        if (workerRef.current === worker) workerRef.current = null;
+        handleWorkerMessageRef.current(
+          errorMessage(
+            activeRunRef.current ?? -1,
+            event.message || 'Sampling worker failed'
+          )
+        );
+      };
+      workerRef.current = worker;
+    }
+    return workerRef.current;
+  }, []);
+
+  // Terminate the worker on unmount
+  useEffect(
+    () => () => {
+      if (workerRef.current) workerRef.current.terminate();
+      workerRef.current = null;
+    },
+    []
+  );
+
+  // The reference depends only on the target and the window it starts from;
+  // logP or parameterKey changes whenever logpInstanceRef is replaced. The
+  // worker integrates it once the changes settle, and a result is applied
+  // only while no newer request has been made.
+  useEffect(() => {
+    const requestId = ++groundTruthRequestRef.current;
+    if (!logpInstanceRef.current) {
+      setGroundTruth(null);
+      return;
+    }
+    const id = setTimeout(() => {
+      getWorker().postMessage(
+        groundTruthMessage(
+          requestId,
+          logP,
+          JSON.parse(parameterKey),
+          axisLimits
+        )
+      );
+    }, GROUND_TRUTH_DELAY_MS);
+    return () => clearTimeout(id);
+  }, [logP, parameterKey, axisLimits, getWorker]);
+
   const sampleSteps = useCallback(
     (n) => {
       cancelRef.current = false;
+      setScrubIteration(null);
       logger.debug('Sampling started', {
         steps: n,
         mode: useFastMode ? 'fast' : 'standard',
@@ -384,28 +811,23 @@ export default function useSamplingController() {
       }
 
       if (useFastMode) {
-        setTimeout(() => {
-          try {
-            // Process all iteration batch before returning to main thread loop
-            for (let i = 0; i < n; i++) {
-              samplingChainsRef.current.forEach((chain) =>
-                chain.step(logpInstanceRef.current)
-              );
-            }
-            // Collect per-chain errors after batch
-            const newErrors = {};
-            samplingChainsRef.current.forEach((chain, id) => {
-              if (chain.error) newErrors[id] = chain.error;
-            });
-            setChainErrors(newErrors);
-            syncChainsState();
-            setIterationCount((prev) => prev + n);
-            setIsRunning(false);
-          } catch (e) {
-            setError(e.message);
-            setIsRunning(false);
-          }
-        }, 0);
+        // Hand the chains to the worker; they come back in the results message
+        const runId = nextRunIdRef.current++;
+        activeRunRef.current = runId;
+        setProgress({ completed: 0, total: n });
+        const worker = getWorker();
+        const snapshots = [...samplingChainsRef.current.values()].map((chain) =>
+          chain.toSnapshot()
+        );
+        worker.postMessage(
+          configureMessage(
+            logP,
+            snapshots,
+            parameterValues(targetParameters),
+            runId
+          )
+        );
+        worker.postMessage(stepMessage(runId, n));
         return;
       }
 
@@ -448,34 +870,293 @@ export default function useSamplingController() {
       };
       executeStep();
     },
-    [useFastMode, syncChainsState]
+    [useFastMode, syncChainsState, getWorker, logP, targetParameters]
   );
 
   const stepAction = useCallback(() => sampleSteps(1), [sampleSteps]);
 
   const stopSampling = useCallback(() => {
     cancelRef.current = true;
+    if (activeRunRef.current !== null && workerRef.current) {
+      workerRef.current.postMessage(cancelMessage(activeRunRef.current));
+    }
   }, []);
 
+  /**
+   * Download the samples. 'csv' and 'json' hold the visible chains, their
+   * configuration and the diagnostics; 'arviz' holds every draw of the
+   * sampling chains in the InferenceData layout read by `az.from_json`.
+   * @param {'csv'|'json'|'arviz'} format - File format
+   */
+  const exportSamples = useCallback(
+    (format) => {
+      if (format === 'arviz') {
+        const chainImpls = [...samplingChainsRef.current.values()];
+        const idata = buildInferenceData(chainImpls, { burnIn, logP });
+        downloadText(
+          toInferenceDataJSON(idata),
+          'hmc-inference-data.json',
+          'application/json'
+        );
+        logger.info('InferenceData exported', {
+          chains: chainImpls.length,
+          stats: Object.keys(idata.sample_stats).join(','),
+        });
+        return;
+      }
+
+      const doc = buildExport({
+        logP,
+        chains: visibleChains,
+        burnIn,
+        rHat,
+        ess,
+        essPerChain,
+      });
+      if (format === 'json') {
+        downloadText(toJSON(doc), 'hmc-samples.json', 'application/json');
+      } else {
+        downloadText(toCSV(doc), 'hmc-samples.csv', 'text/csv');
+      }
+      logger.info('Samples exported', {
+        format,
+        rows: doc.samples.length,
+      });
+    },
+    [logP, visibleChains, burnIn, rHat, ess, essPerChain]
+  );
+
+  /**
+   * Download the current session: target, plot settings and chain
+   * configurations, plus each chain's sampling state if requested
+   * @param {Object} [options]
+   * @param {boolean} [options.includeSamples=false] - Also save samples and RNG state
+   */
+  const saveSession = useCallback(
+    ({ includeSamples = false } = {}) => {
+      const snapshots = [...samplingChainsRef.current.values()].map((chain) =>
+        chain.toSnapshot()
+      );
+      const session = createSession(
+        {
+          logP,
+          parameters: targetParameters,
+          axisLimits,
+          burnIn,
+          nSteps,
+          useFastMode,
+          historyLimit,
+          showAcceptedOnly,
+        },
+        snapshots,
+        { includeSamples }
+      );
+      downloadText(
+        JSON.stringify(session),
+        'hmc-session.json',
+        'application/json'
+      );
+      logger.info('Session saved', {
+        chains: snapshots.length,
+        includeSamples,
+      });
+    },
+    [
+      logP,
+      targetParameters,
+      axisLimits,
+      burnIn,
+      nSteps,
+      useFastMode,
+      historyLimit,
+      showAcceptedOnly,
+    ]
+  );
+
+  /**
+   * Replace the whole app state with a session object. Settings the session
+   * does not carry keep their current values.
+   * @param {Function} readSession - Returns a validated session; may throw
+   * @param {string} source - What is being restored, for log messages
+   * @returns {boolean} Whether the session was applied
+   */
+  const applySession = useCallback(
+    (readSession, source) => {
+      let session;
+      let logp = null;
+      let settings = {};
+      try {
+        session = readSession();
+        if (session.logP) {
+          settings = syncParameterSettings(
+            detectParameters(session.logP),
+            session.parameters
+          );
+          logp = new Logp(session.logP, {
+            parameters: parameterValues(settings),
+          });
+        }
+      } catch (e) {
+        setError(e.message);
+        logger.error(`${source} load failed`, { message: e.message });
+        return false;
+      }
+
+      // Drop any worker run in flight; its results belong to the old chains
+      if (activeRunRef.current !== null && workerRef.current) {
+        workerRef.current.postMessage(cancelMessage(activeRunRef.current));
+      }
+      activeRunRef.current = null;
+
+      const impls = new Map();
+      session.chains.forEach((snapshot) => {
+        impls.set(
+          snapshot.config.id,
+          snapshot.state
+            ? SamplingChain.fromSnapshot(snapshot)
+            : new SamplingChain(snapshot.config)
+        );
+      });
+      samplingChainsRef.current = impls;
+
+      logpInstanceRef.current = logp;
+      setLogPString(session.logP);
+      setTargetParameters(settings);
+      setGaussianTarget(logp ? detectGaussian(logp) : null);
+      if (!logp) setContourData(null);
+      // A fresh object always recomputes the contour for the new target
+      setAxisLimitsState({ ...session.axisLimits });
+      setBurnIn(session.burnIn);
+      if (session.nSteps !== undefined) setNSteps(session.nSteps);
+      if (session.useFastMode !== undefined) {
+        setUseFastMode(!!session.useFastMode);
+      }
+      if (session.historyLimit !== undefined) {
+        setHistoryLimit(session.historyLimit);
+      }
+      if (session.showAcceptedOnly !== undefined) {
+        setShowAcceptedOnly(!!session.showAcceptedOnly);
+      }
+
+      setChains(
+        session.chains.map(({ config }) => ({
+          id: config.id,
+          samplerType: config.samplerType,
+          params: config.params,
+          initialPosition: config.initialPosition,
+          seed: config.seed ?? null,
+          adaptation: config.adaptation ?? null,
+        }))
+      );
+      syncChainsState();
+      setIterationCount(
+        Math.max(...[...impls.values()].map((c) => c.samples.length))
+      );
+      setIsRunning(false);
+      setProgress(null);
+      setError(null);
+      setChainErrors({});
+      setScrubIteration(null);
+      logger.info(`${source} loaded`, {
+        chains: impls.size,
+        withSamples: session.chains.some((c) => c.state),
+      });
+      return true;
+    },
+    [syncChainsState]
+  );
+
+  /**
+   * Replace the whole app state with a saved session. Chains saved with
+   * samples come back with their results, so plots and diagnostics match.
+   * @param {string} text - Contents of a session file
+   * @returns {boolean} Whether the session was loaded
+   */
+  const loadSession = useCallback(
+    (text) => applySession(() => parseSession(text), 'Session'),
+    [applySession]
+  );
+
+  /**
+   * Restore the configuration encoded in a link's hash. Hashes without
+   * encoded state are ignored.
+   * @param {string} hash - URL hash, e.g. window.location.hash
+   * @returns {boolean} Whether a configuration was restored
+   */
+  const loadFromHash = useCallback(
+    (hash) => {
+      let session = null;
+      try {
+        session = decodeUrlState(hash);
+      } catch (e) {
+        setError(e.message);
+        logger.error('Link load failed', { message: e.message });
+        return false;
+      }
+      return session ? applySession(() => session, 'Link') : false;
+    },
+    [applySession]
+  );
+
+  // Restore a shared link on load and whenever the hash is edited
+  useEffect(() => {
+    loadFromHash(window.location.hash);
+    const onHashChange = () => loadFromHash(window.location.hash);
+    window.addEventListener('hashchange', onHashChange);
+    return () => window.removeEventListener('hashchange', onHashChange);
+  }, [loadFromHash]);
+
+  /**
+   * Write the current configuration (not the samples) into the URL hash
+   * @returns {string} Full link that reproduces the configuration
+   */
+  const createShareLink = useCallback(() => {
+    const hash = encodeUrlState({
+      logP,
+      parameters: targetParameters,
+      axisLimits,
+      burnIn,
+      nSteps,
+      chains,
+    });
+    const { origin, pathname, search } = window.location;
+    const url = `${origin}${pathname}${search}#${hash}`;
+    // replaceState does not fire hashchange, so the app is not reloaded
+    window.history.replaceState(null, '', url);
+    logger.info('Share link created', { chains: chains.length });
+    return url;
+  }, [logP, targetParameters, axisLimits, burnIn, nSteps, chains]);
+
   // Derived properties for UI backwards compatibility (mostly handling fast mode rendering and general stats)
   return {
     logP,
-    chains,
+    targetParameters,
+    setTargetParameter,
+    resetOnParameterChange,
+    setResetOnParameterChange,
+    chains: visibleChains,
     isRunning,
     iterationCount,
     error,
     chainErrors,
     contourData,
+    gaussianTarget,
+    groundTruth,
 
     setLogP,
     sampleSteps,
     step: stepAction,
     reset,
     stopSampling,
+    exportSamples,
+    saveSession,
+    loadSession,
+    createShareLink,
 
     // Fast mode
     useFastMode,
     setUseFastMode,
+    progress,
 
     // Chain Management
     setChainConfig,
@@ -486,10 +1167,27 @@ export default function useSamplingController() {
     // Plot props
     burnIn,
     setBurnIn,
+    nSteps,
+    setNSteps,
+    showAcceptedOnly,
+    setShowAcceptedOnly,
+    scrubIteration,
+    setScrubIteration,
+    historyLimit,
+    setHistoryLimit,
     axisLimits,
     setAxisLimits,
     rHat,
+    splitRHat,
+    rankRHat,
     ess,
+    summary,
+    hdiProb,
+    setHdiProb,
+    truthErrors,
+    targetDistances,
+    checkpointInterval,
+    setCheckpointInterval,
     histogramData,
     // Per-chain stats (non-null only when chains have different sampler types)
     essPerChain,
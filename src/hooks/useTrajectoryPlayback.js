@@ -0,0 +1,139 @@
+import { useState, useEffect } from 'react';
+import { logger } from '../utils/logger';
+
+/** Default playback speed in leapfrog steps per second. */
+export const DEFAULT_PLAYBACK_SPEED = 4;
+
+/** Slowest and fastest speeds offered by the speed slider. */
+export const MIN_PLAYBACK_SPEED = 1;
+export const MAX_PLAYBACK_SPEED = 30;
+
+/**
+ * Number of points in the longest trajectory that can be replayed.
+ * NUTS chains draw their tree instead of a single path and are skipped.
+ * @param {Array<Object>} chains - Chain states from useSamplingController
+ * @returns {number} Number of playback frames
+ */
+function countFrames(chains) {
+  return chains.reduce(
+    (max, chain) =>
+      chain.tree ? max : Math.max(max, chain.trajectory?.length || 0),
+    0
+  );
+}
+
+/**
+ * Custom hook that owns step-by-step playback of the latest trajectories.
+ *
+ * While enabled, `frame` is the index of the last leapfrog point to reveal.
+ * A new trajectory (after any sampling step) rewinds playback to its start.
+ *
+ * @param {Array<Object>} chains - Chain states from useSamplingController
+ * @returns {{
+ *   isEnabled: boolean,
+ *   setEnabled: (enabled: boolean) => void,
+ *   isPlaying: boolean,
+ *   play: () => void,
+ *   pause: () => void,
+ *   stepForward: () => void,
+ *   stepBack: () => void,
+ *   seek: (frame: number) => void,
+ *   frame: number,
+ *   frameCount: number,
+ *   speed: number,
+ *   setSpeed: (speed: number) => void
+ * }}
+ */
+function useTrajectoryPlayback(chains) {
+  const [isEnabled, setIsEnabled] = useState(false);
+  const [isPlaying, setIsPlaying] = useState(false);
+  const [frame, setFrame] = useState(0);
+  const [speed, setSpeedState] = useState(DEFAULT_PLAYBACK_SPEED);
+  const [prevTrajectories, setPrevTrajectories] = useState(() =>
+    chains.map((c) => c.trajectory)
+  );
+
+  const frameCount = countFrames(chains);
+  const lastFrame = Math.max(frameCount - 1, 0);
+
+  const trajectoriesChanged =
+    chains.length !== prevTrajectories.length ||
+    chains.some((c, i) => c.trajectory !== prevTrajectories[i]);
+  if (trajectoriesChanged) {
+    setPrevTrajectories(chains.map((c) => c.trajectory));
+    setFrame(0);
+  }
+
+  useEffect(() => {
+    if (!isEnabled || !isPlaying) return undefined;
+    const id = setTimeout(() => {
+      const next = Math.min(frame + 1, lastFrame);
+      setFrame(next);
+      if (next >= lastFrame) setIsPlaying(false);
+    }, 1000 / speed);
+    return () => clearTimeout(id);
+  }, [isEnabled, isPlaying, frame, lastFrame, speed]);
+
+  /** Turns playback on or off; turning it off shows full trajectories again. */
+  const setEnabled = (enabled) => {
+    setIsEnabled(enabled);
+    setIsPlaying(false);
+    setFrame(0);
+    logger.debug('Trajectory playback toggled', { enabled });
+  };
+
+  /** Starts playing, rewinding first if the trajectory is fully revealed. */
+  const play = () => {
+    if (frameCount < 2) return;
+    if (frame >= lastFrame) setFrame(0);
+    setIsPlaying(true);
+  };
+
+  const pause = () => setIsPlaying(false);
+
+  const stepForward = () => {
+    setIsPlaying(false);
+    setFrame(Math.min(frame + 1, lastFrame));
+  };
+
+  const stepBack = () => {
+    setIsPlaying(false);
+    setFrame(Math.max(frame - 1, 0));
+  };
+
+  /**
+   * Jumps to a frame, e.g. from the timeline scrubber.
+   * @param {number} target - Frame index, clamped to the trajectory
+   */
+  const seek = (target) => {
+    setIsPlaying(false);
+    setFrame(Math.min(Math.max(Math.round(target), 0), lastFrame));
+  };
+
+  /**
+   * @param {number} value - Leapfrog steps per second
+   */
+  const setSpeed = (value) => {
+    if (!Number.isFinite(value)) return;
+    setSpeedState(
+      Math.min(Math.max(value, MIN_PLAYBACK_SPEED), MAX_PLAYBACK_SPEED)
+    );
+  };
+
+  return {
+    isEnabled,
+    setEnabled,
+    isPlaying,
+    play,
+    pause,
+    stepForward,
+    stepBack,
+    seek,
+    frame: Math.min(frame, lastFrame),
+    frameCount,
+    speed,
+    setSpeed,
+  };
+}
+
+export default useTrajectoryPlayback;
@@ -3,31 +3,23 @@
  * Encapsulates Hamiltonian Monte Carlo sampling logic
  */
 
-/**
- * Generate a standard normal random variable using Box-Muller transform
- * @param {Object} [rng] - Optional seeded RNG with random() method
- * @returns {number} Sample from N(0, 1)
- */
-function randn(rng = null) {
-  const randomFn = rng ? () => rng.random() : Math.random;
-  const u1 = randomFn();
-  const u2 = randomFn();
-  return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
-}
+import { kineticEnergy, sampleMomentum, velocity } from './massMatrix';
+import { DEFAULT_DIVERGENCE_THRESHOLD } from './defaultConfigs';
 
 /**
  * Leapfrog integrator for Hamiltonian dynamics
  * Implements symplectic integration:
  *   p_{t+ε/2} = p_t - (ε/2) * ∇U(q_t)
- *   q_{t+ε} = q_t + ε * p_{t+ε/2}
+ *   q_{t+ε} = q_t + ε * M⁻¹ p_{t+ε/2}
  *   p_{t+ε} = p_{t+ε/2} - (ε/2) * ∇U(q_{t+ε})
  * @param {Object} q - Position {x, y}
  * @param {Object} p - Momentum {x, y}
  * @param {number} epsilon - Step size
  * @param {Function} gradU - Gradient function (x, y) => {x, y}
+ * @param {Object|null} [invMass] - Inverse mass matrix {xx, xy, yy}; identity if omitted
  * @returns {Object} {q: {x, y}, p: {x, y}}
  */
-export function leapfrogStep(q, p, epsilon, gradU) {
+export function leapfrogStep(q, p, epsilon, gradU, invMass = null) {
   // Half-step momentum update
   const grad = gradU(q.x, q.y);
   const p_half = {
@@ -36,9 +28,10 @@ export function leapfrogStep(q, p, epsilon, gradU) {
   };
 
   // Full-step position update
+  const v = velocity(p_half, invMass);
   const q_new = {
-    x: q.x + epsilon * p_half.x,
-    y: q.y + epsilon * p_half.y,
+    x: q.x + epsilon * v.x,
+    y: q.y + epsilon * v.y,
   };
 
   // Final half-step momentum update
@@ -59,18 +52,27 @@ export function leapfrogStep(q, p, epsilon, gradU) {
  * @param {Function} U - Potential function (x, y) => number
  * @param {Function} gradU - Gradient function (x, y) => {x, y}
  * @param {Object} [rng] - Optional seeded RNG. If not provided, uses Math.random()
- * @returns {Object} {q_proposed, p_proposed, H_initial, H_proposed, trajectory}
+ * @param {Object|null} [invMass] - Inverse mass matrix {xx, xy, yy}; identity if omitted
+ * @param {number} [divergenceThreshold] - Energy error that marks the trajectory as divergent
+ * @returns {Object} {q_proposed, p_proposed, H_initial, H_proposed, trajectory, momentum, energy, divergent}
+ *   where momentum[i] = {x, y} and energy[i] = {H, K, U} after i leapfrog steps
+ *   (index 0 is the starting point; momentum is recorded before the final flip)
  */
-export function generateProposal(q, epsilon, L, U, gradU, rng = null) {
-  // 1. Sample initial momentum from N(0, I)
-  const p_initial = {
-    x: randn(rng),
-    y: randn(rng),
-  };
+export function generateProposal(
+  q,
+  epsilon,
+  L,
+  U,
+  gradU,
+  rng = null,
+  invMass = null,
+  divergenceThreshold = DEFAULT_DIVERGENCE_THRESHOLD
+) {
+  // 1. Sample initial momentum from N(0, M)
+  const p_initial = sampleMomentum(invMass, rng);
 
   // 2. Compute initial Hamiltonian
-  const K_initial =
-    0.5 * (p_initial.x * p_initial.x + p_initial.y * p_initial.y);
+  const K_initial = kineticEnergy(p_initial, invMass);
   const U_initial = U(q.x, q.y);
   const H_initial = K_initial + U_initial;
 
@@ -78,24 +80,41 @@ export function generateProposal(q, epsilon, L, U, gradU, rng = null) {
   let q_proposed = { x: q.x, y: q.y };
   let p_proposed = { x: p_initial.x, y: p_initial.y };
   const trajectory = [{ x: q.x, y: q.y }];
+  const momentum = [{ x: p_initial.x, y: p_initial.y }];
+  const energy = [{ H: H_initial, K: K_initial, U: U_initial }];
+  let divergent = false;
 
   for (let i = 0; i < L; i++) {
-    const result = leapfrogStep(q_proposed, p_proposed, epsilon, gradU);
+    const result = leapfrogStep(
+      q_proposed,
+      p_proposed,
+      epsilon,
+      gradU,
+      invMass
+    );
     q_proposed = result.q;
     p_proposed = result.p;
 
     // Store trajectory point (copy to avoid reference issues)
     trajectory.push({ x: q_proposed.x, y: q_proposed.y });
+    momentum.push({ x: p_proposed.x, y: p_proposed.y });
+
+    const K_step = kineticEnergy(p_proposed, invMass);
+    const U_step = U(q_proposed.x, q_proposed.y);
+    energy.push({ H: K_step + U_step, K: K_step, U: U_step });
+
+    // Stop integrating once the energy error blows up; negated so NaN counts
+    if (!(K_step + U_step - H_initial <= divergenceThreshold)) {
+      divergent = true;
+      break;
+    }
   }
 
   // 4. Negate momentum to make proposal symmetric
   p_proposed = { x: -p_proposed.x, y: -p_proposed.y };
 
-  // 5. Compute proposed Hamiltonian
-  const K_proposed =
-    0.5 * (p_proposed.x * p_proposed.x + p_proposed.y * p_proposed.y);
-  const U_proposed = U(q_proposed.x, q_proposed.y);
-  const H_proposed = K_proposed + U_proposed;
+  // 5. Proposed Hamiltonian is the last recorded energy (the flip leaves K unchanged)
+  const H_proposed = energy[energy.length - 1].H;
 
   return {
     q_proposed,
@@ -103,6 +122,9 @@ export function generateProposal(q, epsilon, L, U, gradU, rng = null) {
     H_initial,
     H_proposed,
     trajectory,
+    momentum,
+    energy,
+    divergent,
   };
 }
 
@@ -114,14 +136,35 @@ export function generateProposal(q, epsilon, L, U, gradU, rng = null) {
  * @param {Function} U - Potential function (x, y) => number
  * @param {Function} gradU - Gradient function (x, y) => {x, y}
  * @param {Object} [rng] - Optional seeded RNG. If not provided, uses Math.random()
- * @returns {Object} {q: {x, y}, p: {x, y}, accepted: boolean, trajectory: Array<{x, y}>}
+ * @param {Object|null} [invMass] - Inverse mass matrix {xx, xy, yy}; identity if omitted
+ * @param {number} [divergenceThreshold] - Energy error that marks the trajectory as divergent
+ * @returns {Object} {q: {x, y}, p: {x, y}, accepted: boolean, acceptProb: number, divergent: boolean, trajectory: Array<{x, y}>, momentum: Array<{x, y}>, energy: Array<{H, K, U}>}
  */
-export function hmcStep(q, epsilon, L, U, gradU, rng = null) {
-  const proposal = generateProposal(q, epsilon, L, U, gradU, rng);
+export function hmcStep(
+  q,
+  epsilon,
+  L,
+  U,
+  gradU,
+  rng = null,
+  invMass = null,
+  divergenceThreshold = DEFAULT_DIVERGENCE_THRESHOLD
+) {
+  const proposal = generateProposal(
+    q,
+    epsilon,
+    L,
+    U,
+    gradU,
+    rng,
+    invMass,
+    divergenceThreshold
+  );
+  const { divergent } = proposal;
 
-  // 6. Metropolis acceptance step
+  // 6. Metropolis acceptance step; divergent trajectories are always rejected
   const deltaH = proposal.H_proposed - proposal.H_initial;
-  const acceptProb = Math.min(1, Math.exp(-deltaH));
+  const acceptProb = divergent ? 0 : Math.min(1, Math.exp(-deltaH));
   const randomFn = rng ? () => rng.random() : Math.random;
   const accepted = randomFn() < acceptProb;
 
@@ -131,7 +174,11 @@ export function hmcStep(q, epsilon, L, U, gradU, rng = null) {
       q: proposal.q_proposed,
       p: proposal.p_proposed,
       accepted: true,
+      acceptProb,
+      divergent,
       trajectory: proposal.trajectory,
+      momentum: proposal.momentum,
+      energy: proposal.energy,
     };
   } else {
     // Rejected: return original position but still return the proposed trajectory
@@ -139,7 +186,11 @@ export function hmcStep(q, epsilon, L, U, gradU, rng = null) {
       q: q,
       p: { x: 0, y: 0 },
       accepted: false,
+      acceptProb,
+      divergent,
       trajectory: proposal.trajectory, // Return trajectory even for rejected steps
+      momentum: proposal.momentum,
+      energy: proposal.energy,
     };
   }
 }
@@ -150,13 +201,17 @@ import { logger } from '../utils/logger';
 export class HMCSampler extends BaseSampler {
   /**
    * Create a new HMC Sampler
-   * @param {Object} params - HMC parameters { epsilon, L }
+   * @param {Object} params - HMC parameters { epsilon, L, invMass, divergenceThreshold }
    * @param {number|null} [seed] - Random seed
    */
   constructor(params = {}, seed = null) {
     super(seed);
     this.epsilon = params.epsilon || 0.1;
     this.L = params.L || 10;
+    // Inverse mass matrix {xx, xy, yy}; null means identity
+    this.invMass = params.invMass || null;
+    this.divergenceThreshold =
+      params.divergenceThreshold || DEFAULT_DIVERGENCE_THRESHOLD;
     logger.debug('HMCSampler initialised', {
       epsilon: this.epsilon,
       L: this.L,
@@ -166,11 +221,15 @@ export class HMCSampler extends BaseSampler {
 
   /**
    * Update sampler parameters
-   * @param {Object} params - Partial parameters { epsilon, L }
+   * @param {Object} params - Partial parameters { epsilon, L, invMass, divergenceThreshold }
    */
   setParams(params) {
     if (params.epsilon !== undefined) this.epsilon = params.epsilon;
     if (params.L !== undefined) this.L = params.L;
+    if (params.invMass !== undefined) this.invMass = params.invMass;
+    if (params.divergenceThreshold !== undefined)
+      this.divergenceThreshold =
+        params.divergenceThreshold || DEFAULT_DIVERGENCE_THRESHOLD;
     logger.debug('HMCSampler params updated', { ...params });
   }
 
@@ -178,7 +237,7 @@ export class HMCSampler extends BaseSampler {
    * Perform one sampling step
    * @param {Object} currentState - Current particle state { q: {x, y}, ... }
    * @param {Object} logPInstance - Log probability instance with getLogProbability and getLogProbabilityGradient
-   * @returns {Object} Result of hmcStep { q, p, accepted, trajectory }
+   * @returns {Object} Result of hmcStep { q, p, accepted, acceptProb, divergent, trajectory, momentum, energy }
    */
   step(currentState, logPInstance) {
     const U = (x, y) => -logPInstance.getLogProbability(x, y);
@@ -187,6 +246,15 @@ export class HMCSampler extends BaseSampler {
       return { x: -dx, y: -dy };
     };
 
-    return hmcStep(currentState.q, this.epsilon, this.L, U, gradU, this.rng);
+    return hmcStep(
+      currentState.q,
+      this.epsilon,
+      this.L,
+      U,
+      gradU,
+      this.rng,
+      this.invMass,
+      this.divergenceThreshold
+    );
   }
 }
@@ -0,0 +1,194 @@
+/**
+ * Langevin-dynamics samplers
+ * MALA (Metropolis-adjusted) and ULA (unadjusted) share the same proposal:
+ * one Euler–Maruyama step of the Langevin diffusion,
+ * q' = q + (ε²/2)·∇log π(q) + ε·z with z ~ N(0, I).
+ */
+
+import { BaseSampler } from './BaseSampler';
+import { randn } from '../utils/seededRandom';
+import { logger } from '../utils/logger';
+
+/**
+ * Mean of the Langevin proposal from q: q + (ε²/2)·∇log π(q)
+ * @param {Object} q - Position {x, y}
+ * @param {number} epsilon - Step size
+ * @param {Function} gradLogP - Gradient of the log density (x, y) => {x, y}
+ * @returns {Object} Proposal mean {x, y}
+ */
+export function langevinMean(q, epsilon, gradLogP) {
+  const g = gradLogP(q.x, q.y);
+  const h = 0.5 * epsilon * epsilon;
+  return { x: q.x + h * g.x, y: q.y + h * g.y };
+}
+
+/**
+ * Log density (up to a constant) of the Langevin proposal q → qTo
+ * @param {Object} qTo - Target position {x, y}
+ * @param {Object} qFrom - Source position {x, y}
+ * @param {number} epsilon - Step size
+ * @param {Function} gradLogP - Gradient of the log density (x, y) => {x, y}
+ * @returns {number} log g(qTo | qFrom)
+ */
+export function langevinLogProposal(qTo, qFrom, epsilon, gradLogP) {
+  const mean = langevinMean(qFrom, epsilon, gradLogP);
+  const dx = qTo.x - mean.x;
+  const dy = qTo.y - mean.y;
+  return -(dx * dx + dy * dy) / (2 * epsilon * epsilon);
+}
+
+/**
+ * Draw a Langevin proposal from q
+ * @param {Object} q - Current position {x, y}
+ * @param {number} epsilon - Step size
+ * @param {Function} gradLogP - Gradient of the log density (x, y) => {x, y}
+ * @param {Object} [rng] - Optional seeded RNG. If not provided, uses Math.random()
+ * @returns {Object} Proposed position {x, y}
+ */
+export function langevinProposal(q, epsilon, gradLogP, rng = null) {
+  const mean = langevinMean(q, epsilon, gradLogP);
+  return {
+    x: mean.x + epsilon * randn(rng),
+    y: mean.y + epsilon * randn(rng),
+  };
+}
+
+/**
+ * Execute one MALA step. The Langevin proposal is not symmetric, so the
+ * Metropolis–Hastings ratio includes the forward and reverse proposal densities.
+ * @param {Object} q - Current position {x, y}
+ * @param {number} epsilon - Step size
+ * @param {Function} logP - Log density (x, y) => number
+ * @param {Function} gradLogP - Gradient of the log density (x, y) => {x, y}
+ * @param {Object} [rng] - Optional seeded RNG. If not provided, uses Math.random()
+ * @returns {Object} {q, p, accepted, acceptProb, proposal, trajectory}
+ */
+export function malaStep(q, epsilon, logP, gradLogP, rng = null) {
+  const proposal = langevinProposal(q, epsilon, gradLogP, rng);
+
+  const logRatio =
+    logP(proposal.x, proposal.y) -
+    logP(q.x, q.y) +
+    langevinLogProposal(q, proposal, epsilon, gradLogP) -
+    langevinLogProposal(proposal, q, epsilon, gradLogP);
+  // NaN (proposal outside the support) gives acceptProb 0
+  const acceptProb = logRatio >= 0 ? 1 : Math.exp(logRatio) || 0;
+  const u = rng ? rng.random() : Math.random();
+  const accepted = u < acceptProb;
+
+  return {
+    q: accepted ? proposal : q,
+    p: { x: 0, y: 0 }, // Langevin samplers have no persistent momentum
+    accepted,
+    acceptProb,
+    proposal,
+    trajectory: [{ x: q.x, y: q.y }, proposal],
+  };
+}
+
+/**
+ * Execute one ULA step: the Langevin proposal is always taken, so the chain
+ * targets a distribution that is biased by O(ε²) away from π.
+ * @param {Object} q - Current position {x, y}
+ * @param {number} epsilon - Step size
+ * @param {Function} gradLogP - Gradient of the log density (x, y) => {x, y}
+ * @param {Object} [rng] - Optional seeded RNG. If not provided, uses Math.random()
+ * @returns {Object} {q, p, accepted, acceptProb, trajectory}
+ */
+export function ulaStep(q, epsilon, gradLogP, rng = null) {
+  const qNew = langevinProposal(q, epsilon, gradLogP, rng);
+  return {
+    q: qNew,
+    p: { x: 0, y: 0 },
+    accepted: true, // No Metropolis correction
+    acceptProb: 1,
+    trajectory: [{ x: q.x, y: q.y }, qNew],
+  };
+}
+
+/**
+ * Adapt a Logp-like instance to the (x, y) => {x, y} gradient convention
+ * @param {Object} logPInstance - Instance with getLogProbabilityGradient
+ * @returns {Function} Gradient of the log density
+ */
+function gradientOf(logPInstance) {
+  return (x, y) => {
+    const [dx, dy] = logPInstance.getLogProbabilityGradient(x, y);
+    return { x: dx, y: dy };
+  };
+}
+
+export class MALASampler extends BaseSampler {
+  /**
+   * Create a new Metropolis-adjusted Langevin sampler
+   * @param {Object} params - MALA parameters { epsilon }
+   * @param {number|null} [seed] - Random seed
+   */
+  constructor(params = {}, seed = null) {
+    super(seed);
+    this.epsilon = params.epsilon || 0.1;
+    logger.debug('MALASampler initialised', { epsilon: this.epsilon, seed });
+  }
+
+  /**
+   * Update sampler parameters
+   * @param {Object} params - Partial parameters { epsilon }
+   */
+  setParams(params) {
+    if (params.epsilon !== undefined) this.epsilon = params.epsilon;
+    logger.debug('MALASampler params updated', { ...params });
+  }
+
+  /**
+   * Perform one sampling step
+   * @param {Object} currentState - Current particle state { q: {x, y}, ... }
+   * @param {Object} logPInstance - Log probability instance with getLogProbability and getLogProbabilityGradient
+   * @returns {Object} Result of malaStep { q, p, accepted, acceptProb, proposal, trajectory }
+   */
+  step(currentState, logPInstance) {
+    return malaStep(
+      currentState.q,
+      this.epsilon,
+      (x, y) => logPInstance.getLogProbability(x, y),
+      gradientOf(logPInstance),
+      this.rng
+    );
+  }
+}
+
+export class ULASampler extends BaseSampler {
+  /**
+   * Create a new unadjusted Langevin sampler
+   * @param {Object} params - ULA parameters { epsilon }
+   * @param {number|null} [seed] - Random seed
+   */
+  constructor(params = {}, seed = null) {
+    super(seed);
+    this.epsilon = params.epsilon || 0.1;
+    logger.debug('ULASampler initialised', { epsilon: this.epsilon, seed });
+  }
+
+  /**
+   * Update sampler parameters
+   * @param {Object} params - Partial parameters { epsilon }
+   */
+  setParams(params) {
+    if (params.epsilon !== undefined) this.epsilon = params.epsilon;
+    logger.debug('ULASampler params updated', { ...params });
+  }
+
+  /**
+   * Perform one sampling step
+   * @param {Object} currentState - Current particle state { q: {x, y}, ... }
+   * @param {Object} logPInstance - Log probability instance with getLogProbabilityGradient
+   * @returns {Object} Result of ulaStep { q, p, accepted, acceptProb, trajectory }
+   */
+  step(currentState, logPInstance) {
+    return ulaStep(
+      currentState.q,
+      this.epsilon,
+      gradientOf(logPInstance),
+      this.rng
+    );
+  }
+}
@@ -0,0 +1,103 @@
+/**
+ * MetropolisSampler class
+ * Random-walk Metropolis–Hastings with a Gaussian proposal
+ */
+
+import { BaseSampler } from './BaseSampler';
+import { cholesky } from './massMatrix';
+import { randn } from '../utils/seededRandom';
+import { logger } from '../utils/logger';
+
+/**
+ * Draw a Gaussian random-walk proposal q' = q + L·z with z ~ N(0, I).
+ * L is the Cholesky factor of the proposal covariance, or scale·I when no
+ * covariance is given.
+ * @param {Object} q - Current position {x, y}
+ * @param {number} scale - Isotropic proposal standard deviation
+ * @param {Object|null} [covariance] - Full proposal covariance {xx, xy, yy}; overrides scale
+ * @param {Object} [rng] - Optional seeded RNG. If not provided, uses Math.random()
+ * @returns {Object} Proposed position {x, y}
+ */
+export function proposeGaussian(q, scale, covariance = null, rng = null) {
+  const z = { x: randn(rng), y: randn(rng) };
+  if (!covariance) {
+    return { x: q.x + scale * z.x, y: q.y + scale * z.y };
+  }
+  const { l11, l21, l22 } = cholesky(covariance);
+  return { x: q.x + l11 * z.x, y: q.y + l21 * z.x + l22 * z.y };
+}
+
+/**
+ * Execute one Metropolis–Hastings step. The proposal is symmetric, so the
+ * acceptance probability is min(1, π(q') / π(q)).
+ * @param {Object} q - Current position {x, y}
+ * @param {Function} logP - Log density (x, y) => number
+ * @param {number} scale - Isotropic proposal standard deviation
+ * @param {Object|null} [covariance] - Full proposal covariance {xx, xy, yy}
+ * @param {Object} [rng] - Optional seeded RNG. If not provided, uses Math.random()
+ * @returns {Object} {q, p, accepted, acceptProb, proposal, trajectory}
+ */
+export function metropolisStep(q, logP, scale, covariance = null, rng = null) {
+  const proposal = proposeGaussian(q, scale, covariance, rng);
+
+  const logRatio = logP(proposal.x, proposal.y) - logP(q.x, q.y);
+  // NaN (proposal outside the support) gives acceptProb 0
+  const acceptProb = logRatio >= 0 ? 1 : Math.exp(logRatio) || 0;
+  const u = rng ? rng.random() : Math.random();
+  const accepted = u < acceptProb;
+
+  return {
+    q: accepted ? proposal : q,
+    p: { x: 0, y: 0 }, // Random-walk Metropolis has no momentum
+    accepted,
+    acceptProb,
+    proposal,
+    // Trajectory is the single proposal segment, drawn whether accepted or not
+    trajectory: [{ x: q.x, y: q.y }, proposal],
+  };
+}
+
+export class MetropolisSampler extends BaseSampler {
+  /**
+   * Create a new Metropolis Sampler
+   * @param {Object} params - Proposal parameters { scale, covariance }
+   * @param {number|null} [seed] - Random seed
+   */
+  constructor(params = {}, seed = null) {
+    super(seed);
+    this.scale = params.scale || 0.5;
+    // Full 2×2 proposal covariance {xx, xy, yy}; null means scale²·I
+    this.covariance = params.covariance || null;
+    logger.debug('MetropolisSampler initialised', {
+      scale: this.scale,
+      covariance: this.covariance,
+      seed,
+    });
+  }
+
+  /**
+   * Update sampler parameters
+   * @param {Object} params - Partial parameters { scale, covariance }
+   */
+  setParams(params) {
+    if (params.scale !== undefined) this.scale = params.scale;
+    if (params.covariance !== undefined) this.covariance = params.covariance;
+    logger.debug('MetropolisSampler params updated', { ...params });
+  }
+
+  /**
+   * Perform one sampling step
+   * @param {Object} currentState - Current particle state { q: {x, y}, ... }
+   * @param {Object} logPInstance - Log probability instance with getLogProbability
+   * @returns {Object} Result of metropolisStep { q, p, accepted, acceptProb, proposal, trajectory }
+   */
+  step(currentState, logPInstance) {
+    return metropolisStep(
+      currentState.q,
+      (x, y) => logPInstance.getLogProbability(x, y),
+      this.scale,
+      this.covariance,
+      this.rng
+    );
+  }
+}
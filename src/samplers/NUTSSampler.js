@@ -0,0 +1,290 @@
+/**
+ * NUTSSampler class
+ * Encapsulates the No-U-Turn Sampler (Hoffman & Gelman, 2014, Algorithm 3)
+ */
+
+import { BaseSampler } from './BaseSampler';
+import { leapfrogStep } from './HMCSampler';
+import { kineticEnergy, sampleMomentum } from './massMatrix';
+import { DEFAULT_DIVERGENCE_THRESHOLD, MAX_TREE_DEPTH } from './defaultConfigs';
+import { logger } from '../utils/logger';
+
+/**
+ * U-turn criterion: the trajectory starts doubling back on itself when the
+ * momentum at either end points against the span between the two ends.
+ * @param {Object} qMinus - Leftmost (backward) position {x, y}
+ * @param {Object} qPlus - Rightmost (forward) position {x, y}
+ * @param {Object} pMinus - Momentum at qMinus {x, y}
+ * @param {Object} pPlus - Momentum at qPlus {x, y}
+ * @returns {boolean} True if the trajectory has made a U-turn
+ */
+export function isUTurn(qMinus, qPlus, pMinus, pPlus) {
+  const dx = qPlus.x - qMinus.x;
+  const dy = qPlus.y - qMinus.y;
+  return dx * pMinus.x + dy * pMinus.y < 0 || dx * pPlus.x + dy * pPlus.y < 0;
+}
+
+/**
+ * Recursively build a balanced binary tree of 2^depth leapfrog steps
+ * in direction v, starting from the given edge of the current trajectory.
+ * @param {Object} start - Edge to extend from { q: {x, y}, p: {x, y} }
+ * @param {number} logU - Log slice variable
+ * @param {number} v - Direction (-1 backward, +1 forward)
+ * @param {number} depth - Subtree depth
+ * @param {number} epsilon - Step size
+ * @param {Function} U - Potential function (x, y) => number
+ * @param {Function} gradU - Gradient function (x, y) => {x, y}
+ * @param {Function} random - Uniform [0, 1) generator
+ * @param {number} [divergenceThreshold] - Energy error beyond which a leapfrog
+ *   step is divergent (Δ_max in Hoffman & Gelman, 2014)
+ * @returns {Object} { qMinus, pMinus, qPlus, pPlus, qProp, n, s, divergent, points }
+ */
+export function buildTree(
+  start,
+  logU,
+  v,
+  depth,
+  epsilon,
+  U,
+  gradU,
+  random,
+  divergenceThreshold = DEFAULT_DIVERGENCE_THRESHOLD
+) {
+  if (depth === 0) {
+    // Base case: a single leapfrog step in direction v
+    const { q, p } = leapfrogStep(start.q, start.p, v * epsilon, gradU);
+    const joint = -(U(q.x, q.y) + kineticEnergy(p));
+    // Negated comparison so that NaN energies count as divergent
+    const divergent = !(logU < divergenceThreshold + joint);
+    return {
+      qMinus: q,
+      pMinus: p,
+      qPlus: q,
+      pPlus: p,
+      qProp: q,
+      n: logU <= joint ? 1 : 0,
+      s: !divergent,
+      divergent,
+      points: [{ x: q.x, y: q.y }],
+    };
+  }
+
+  // Recursion: build the first half-tree, then extend it from its outer edge
+  const first = buildTree(
+    start,
+    logU,
+    v,
+    depth - 1,
+    epsilon,
+    U,
+    gradU,
+    random,
+    divergenceThreshold
+  );
+  if (!first.s) return first;
+
+  const edge =
+    v === -1
+      ? { q: first.qMinus, p: first.pMinus }
+      : { q: first.qPlus, p: first.pPlus };
+  const second = buildTree(
+    edge,
+    logU,
+    v,
+    depth - 1,
+    epsilon,
+    U,
+    gradU,
+    random,
+    divergenceThreshold
+  );
+
+  const ends =
+    v === -1
+      ? {
+          qMinus: second.qMinus,
+          pMinus: second.pMinus,
+          qPlus: first.qPlus,
+          pPlus: first.pPlus,
+        }
+      : {
+          qMinus: first.qMinus,
+          pMinus: first.pMinus,
+          qPlus: second.qPlus,
+          pPlus: second.pPlus,
+        };
+
+  const n = first.n + second.n;
+  const qProp = n > 0 && random() < second.n / n ? second.qProp : first.qProp;
+
+  return {
+    ...ends,
+    qProp,
+    n,
+    s: second.s && !isUTurn(ends.qMinus, ends.qPlus, ends.pMinus, ends.pPlus),
+    divergent: second.divergent,
+    points: [...first.points, ...second.points],
+  };
+}
+
+/**
+ * Execute one NUTS transition
+ * @param {Object} q - Current position {x, y}
+ * @param {number} epsilon - Step size
+ * @param {number} maxTreeDepth - Maximum number of trajectory doublings
+ * @param {Function} U - Potential function (x, y) => number
+ * @param {Function} gradU - Gradient function (x, y) => {x, y}
+ * @param {Object} [rng] - Optional seeded RNG. If not provided, uses Math.random()
+ * @param {number} [divergenceThreshold] - Energy error that marks a leapfrog step as divergent
+ * @returns {Object} {q, p, accepted, divergent, trajectory, tree, treeDepth, uTurn}
+ */
+export function nutsStep(
+  q,
+  epsilon,
+  maxTreeDepth,
+  U,
+  gradU,
+  rng = null,
+  divergenceThreshold = DEFAULT_DIVERGENCE_THRESHOLD
+) {
+  const random = rng ? () => rng.random() : Math.random;
+
+  // 1. Resample momentum and draw the slice variable u ~ U(0, exp(-H))
+  const p0 = sampleMomentum(null, rng);
+  const joint0 = -(U(q.x, q.y) + kineticEnergy(p0));
+  const logU = joint0 + Math.log(1 - random());
+
+  let qMinus = q;
+  let qPlus = q;
+  let pMinus = p0;
+  let pPlus = p0;
+  let qNew = q;
+  let n = 1;
+  let s = true;
+  let depth = 0;
+  let divergent = false;
+
+  const forward = [];
+  const backward = [];
+  const expansions = [];
+
+  // 2. Double the trajectory in a random direction until it makes a U-turn
+  while (s && depth < maxTreeDepth) {
+    const v = random() < 0.5 ? -1 : 1;
+    const edge = v === -1 ? { q: qMinus, p: pMinus } : { q: qPlus, p: pPlus };
+    const sub = buildTree(
+      edge,
+      logU,
+      v,
+      depth,
+      epsilon,
+      U,
+      gradU,
+      random,
+      divergenceThreshold
+    );
+
+    if (v === -1) {
+      qMinus = sub.qMinus;
+      pMinus = sub.pMinus;
+      backward.push(...sub.points);
+    } else {
+      qPlus = sub.qPlus;
+      pPlus = sub.pPlus;
+      forward.push(...sub.points);
+    }
+    expansions.push({ direction: v, depth, points: sub.points });
+
+    // 3. Move to the new subtree with probability min(1, n'/n)
+    if (sub.s && random() < sub.n / n) {
+      qNew = sub.qProp;
+    }
+    n += sub.n;
+    divergent = sub.divergent;
+    s = sub.s && !isUTurn(qMinus, qPlus, pMinus, pPlus);
+    depth++;
+  }
+
+  const uTurn = !s && !divergent;
+  const origin = { x: q.x, y: q.y };
+
+  return {
+    q: qNew,
+    p: { x: 0, y: 0 }, // Momentum is resampled at every transition
+    accepted: qNew !== q,
+    divergent,
+    // Full trajectory ordered from the backward end to the forward end
+    trajectory: [...[...backward].reverse(), origin, ...forward],
+    tree: { origin, forward, backward, expansions, depth, uTurn, divergent },
+    treeDepth: depth,
+    uTurn,
+  };
+}
+
+/**
+ * Round a tree depth to a whole number of doublings in [1, MAX_TREE_DEPTH]
+ * @param {number} depth - Requested maximum tree depth
+ * @returns {number} Depth the sampler will use
+ */
+export function clampTreeDepth(depth) {
+  return Math.min(Math.max(Math.round(depth), 1), MAX_TREE_DEPTH);
+}
+
+export class NUTSSampler extends BaseSampler {
+  /**
+   * Create a new NUTS Sampler
+   * @param {Object} params - NUTS parameters { epsilon, maxTreeDepth, divergenceThreshold }
+   * @param {number|null} [seed] - Random seed
+   */
+  constructor(params = {}, seed = null) {
+    super(seed);
+    this.epsilon = params.epsilon || 0.1;
+    this.maxTreeDepth = clampTreeDepth(params.maxTreeDepth || 10);
+    this.divergenceThreshold =
+      params.divergenceThreshold || DEFAULT_DIVERGENCE_THRESHOLD;
+    logger.debug('NUTSSampler initialised', {
+      epsilon: this.epsilon,
+      maxTreeDepth: this.maxTreeDepth,
+      divergenceThreshold: this.divergenceThreshold,
+      seed,
+    });
+  }
+
+  /**
+   * Update sampler parameters
+   * @param {Object} params - Partial parameters { epsilon, maxTreeDepth, divergenceThreshold }
+   */
+  setParams(params) {
+    if (params.epsilon !== undefined) this.epsilon = params.epsilon;
+    if (params.maxTreeDepth !== undefined)
+      this.maxTreeDepth = clampTreeDepth(params.maxTreeDepth);
+    if (params.divergenceThreshold !== undefined)
+      this.divergenceThreshold =
+        params.divergenceThreshold || DEFAULT_DIVERGENCE_THRESHOLD;
+    logger.debug('NUTSSampler params updated', { ...params });
+  }
+
+  /**
+   * Perform one sampling step
+   * @param {Object} currentState - Current particle state { q: {x, y}, ... }
+   * @param {Object} logPInstance - Log probability instance with getLogProbability and getLogProbabilityGradient
+   * @returns {Object} Result of nutsStep { q, p, accepted, divergent, trajectory, tree, treeDepth, uTurn }
+   */
+  step(currentState, logPInstance) {
+    const U = (x, y) => -logPInstance.getLogProbability(x, y);
+    const gradU = (x, y) => {
+      const [dx, dy] = logPInstance.getLogProbabilityGradient(x, y);
+      return { x: -dx, y: -dy };
+    };
+
+    return nutsStep(
+      currentState.q,
+      this.epsilon,
+      this.maxTreeDepth,
+      U,
+      gradU,
+      this.rng,
+      this.divergenceThreshold
+    );
+  }
+}
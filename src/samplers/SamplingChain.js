@@ -1,8 +1,53 @@
 import { HMCSampler } from './HMCSampler';
 import { GibbsSampler } from './GibbsSampler';
-import { DEFAULT_SAMPLER_PARAMS } from './defaultConfigs';
+import { NUTSSampler, clampTreeDepth } from './NUTSSampler';
+import { MetropolisSampler } from './MetropolisSampler';
+import { MALASampler, ULASampler } from './LangevinSampler';
+import {
+  DEFAULT_SAMPLER_PARAMS,
+  DEFAULT_HISTORY_LIMIT,
+} from './defaultConfigs';
+import { DualAveraging, MetricEstimator, metricWindows } from './adaptation';
 import { logger } from '../utils/logger';
 
+/**
+ * Plain sampling-state fields copied by toSnapshot and restore; the warmup
+ * adapters and the RNG state are handled separately
+ */
+export const STATE_FIELDS = [
+  'samples',
+  'acceptedSamples',
+  'sampleStats',
+  'trajectory',
+  'momentum',
+  'energy',
+  'tree',
+  'history',
+  'rejectedProposals',
+  'divergences',
+  'divergent',
+  'divergentCount',
+  'epsilonHistory',
+  'rejectedCount',
+  'acceptedCount',
+  'error',
+  'currentParticle',
+  'epsilon',
+  'fittedMetric',
+];
+
+/**
+ * Hamiltonian of the state a transition ended in (Stan's energy__): the last
+ * recorded energy if the proposal was accepted, the starting one otherwise
+ * @param {Object} result - Sampler step result
+ * @returns {number|null} H, or null when the sampler records no energy
+ */
+function finalEnergy(result) {
+  const { energy } = result;
+  if (!energy || energy.length === 0) return null;
+  return result.accepted ? energy[energy.length - 1].H : energy[0].H;
+}
+
 export class SamplingChain {
   constructor(config = {}) {
     this.id = config.id || 0;
@@ -12,18 +57,14 @@ export class SamplingChain {
     };
     this.initialPosition = config.initialPosition || { x: 0, y: 0 };
     this.seed = config.seed !== undefined ? config.seed : null;
-
-    this.samples = [];
-    this.trajectory = [];
-    this.rejectedCount = 0;
-    this.acceptedCount = 0;
-    this.error = null;
-    this.currentParticle = {
-      q: { ...this.initialPosition },
-      p: { x: 0, y: 0 },
-    };
+    // Optional step-size adaptation during warmup: { targetAccept } or null
+    this.adaptation = config.adaptation || null;
+    this.warmupSteps = config.warmupSteps || 0;
+    // Maximum number of past trajectories kept in `history`
+    this.historyLimit = config.historyLimit ?? DEFAULT_HISTORY_LIMIT;
 
     this._initializeSampler();
+    this._clearState();
     logger.debug('SamplingChain initialised', {
       id: this.id,
       sampler: this.samplerType,
@@ -35,6 +76,14 @@ export class SamplingChain {
   _initializeSampler() {
     if (this.samplerType === 'GIBBS') {
       this.sampler = new GibbsSampler(this.params, this.seed);
+    } else if (this.samplerType === 'NUTS') {
+      this.sampler = new NUTSSampler(this.params, this.seed);
+    } else if (this.samplerType === 'METROPOLIS') {
+      this.sampler = new MetropolisSampler(this.params, this.seed);
+    } else if (this.samplerType === 'MALA') {
+      this.sampler = new MALASampler(this.params, this.seed);
+    } else if (this.samplerType === 'ULA') {
+      this.sampler = new ULASampler(this.params, this.seed);
     } else {
       this.sampler = new HMCSampler(this.params, this.seed);
     }
@@ -44,6 +93,122 @@ export class SamplingChain {
     }
   }
 
+  /**
+   * Clear accumulated samples, counters and warmup state, returning the
+   * particle to the initial position.
+   */
+  _clearState() {
+    // One entry per iteration: a rejected step repeats the current state
+    this.samples = [];
+    // Accepted states only, for a less cluttered scatter plot
+    this.acceptedSamples = [];
+    // Per-iteration sampler diagnostics, aligned with `samples`:
+    // { accepted, acceptProb, divergent, energy, stepSize, treeDepth },
+    // with null for whatever the sampler does not report
+    this.sampleStats = [];
+    this.trajectory = [];
+    // Momentum and energy {H, K, U} along the latest HMC trajectory,
+    // one entry per leapfrog step
+    this.momentum = [];
+    this.energy = [];
+    this.tree = null;
+    // Per-iteration trajectory records for replay, oldest first and at most
+    // historyLimit long: { iteration, trajectory, momentum, energy, tree, divergent }
+    this.history = [];
+    // Rejected Metropolis proposals, kept so they can be marked on the plot
+    this.rejectedProposals = [];
+    // Starting points {x, y, iteration} of divergent transitions and whether
+    // the last one diverged
+    this.divergences = [];
+    this.divergent = false;
+    this.divergentCount = 0;
+    this.epsilonHistory = [];
+    this.rejectedCount = 0;
+    this.acceptedCount = 0;
+    this.error = null;
+    this.currentParticle = {
+      q: { ...this.initialPosition },
+      p: { x: 0, y: 0 },
+    };
+    this.epsilon = this.params.epsilon;
+    this.adapter = this._createAdapter();
+    // Inverse metric fitted during warmup: { invMass, center } or null
+    this.fittedMetric = null;
+    this.metricEstimator = this._createMetricEstimator();
+  }
+
+  /**
+   * Dual-averaging adapter for HMC chains with adaptation enabled, else null
+   * @param {number} [epsilon0] - Step size to start adapting from
+   * @returns {DualAveraging|null}
+   */
+  _createAdapter(epsilon0 = this.params.epsilon) {
+    if (this.samplerType !== 'HMC' || !this.adaptation) return null;
+    return new DualAveraging(epsilon0, {
+      targetAccept: this.adaptation.targetAccept,
+    });
+  }
+
+  /**
+   * Warmup covariance estimator for HMC chains with a non-identity metric
+   * @returns {MetricEstimator|null}
+   */
+  _createMetricEstimator() {
+    const { metric } = this.params;
+    if (this.samplerType !== 'HMC' || (metric !== 'diag' && metric !== 'dense'))
+      return null;
+    return new MetricEstimator(metric);
+  }
+
+  /**
+   * Advance step-size adaptation after a transition. On the last warmup
+   * iteration ε is frozen at the dual-averaging estimate ε̄.
+   * @param {Object} result - Sampler step result with acceptProb
+   * @param {number} iteration - Zero-based index of the transition
+   */
+  _adaptStepSize(result, iteration) {
+    if (!this.adapter || iteration >= this.warmupSteps) return;
+
+    const next = this.adapter.update(result.acceptProb);
+    const isLastWarmup = iteration === this.warmupSteps - 1;
+    this.epsilon = isLastWarmup ? this.adapter.finalEpsilon() : next;
+    this.sampler.setParams({ epsilon: this.epsilon });
+
+    if (isLastWarmup) {
+      logger.info('Step size adapted', { id: this.id, epsilon: this.epsilon });
+    }
+  }
+
+  /**
+   * Accumulate the current position into the active slow warmup window and
+   * refit the inverse metric when the window closes. Step-size adaptation
+   * restarts after every refit because the old ε was tuned to the old metric.
+   * @param {number} iteration - Zero-based index of the transition
+   */
+  _adaptMetric(iteration) {
+    if (!this.metricEstimator || iteration >= this.warmupSteps) return;
+
+    const window = metricWindows(this.warmupSteps).find(
+      (w) => iteration >= w.start && iteration < w.end
+    );
+    if (!window) return;
+
+    this.metricEstimator.add(this.currentParticle.q);
+    if (iteration !== window.end - 1) return;
+
+    const invMass = this.metricEstimator.estimate();
+    if (invMass) {
+      this.fittedMetric = {
+        invMass,
+        center: { ...this.metricEstimator.mean },
+      };
+      this.sampler.setParams({ invMass });
+      if (this.adapter) this.adapter = this._createAdapter(this.epsilon);
+      logger.info('Metric adapted', { id: this.id, ...invMass });
+    }
+    this.metricEstimator.restart();
+  }
+
   setParams(newParams) {
     const oldParams = { ...this.params };
     this.params = { ...this.params, ...newParams };
@@ -51,10 +216,49 @@ export class SamplingChain {
 
     if (this.sampler && this.sampler.setParams) {
       if (this.samplerType === 'HMC') {
-        const { epsilon, L, steps } = this.params;
-        // Only call sampler.setParams if relevant parameters changed
+        const { epsilon, L, steps, divergenceThreshold } = this.params;
+        // A new starting ε restarts adaptation from that value
+        if (epsilon !== oldParams.epsilon) {
+          this.epsilon = epsilon;
+          this.adapter = this._createAdapter();
+        }
+        // Only call sampler.setParams if relevant parameters changed; the
+        // sampler keeps the adapted ε when only L changes
         if (epsilon !== oldParams.epsilon || L !== oldParams.L) {
-          this.sampler.setParams({ epsilon, L, steps });
+          this.sampler.setParams({ epsilon: this.epsilon, L, steps });
+        }
+        if (divergenceThreshold !== oldParams.divergenceThreshold) {
+          this.sampler.setParams({ divergenceThreshold });
+        }
+        // A new metric type starts again from the identity
+        if (this.params.metric !== oldParams.metric) {
+          this.fittedMetric = null;
+          this.metricEstimator = this._createMetricEstimator();
+          this.sampler.setParams({ invMass: null });
+        }
+      } else if (this.samplerType === 'NUTS') {
+        if (this.params.maxTreeDepth !== undefined) {
+          this.params.maxTreeDepth = clampTreeDepth(this.params.maxTreeDepth);
+        }
+        const { epsilon, maxTreeDepth, divergenceThreshold } = this.params;
+        if (
+          epsilon !== oldParams.epsilon ||
+          maxTreeDepth !== oldParams.maxTreeDepth
+        ) {
+          this.sampler.setParams({ epsilon, maxTreeDepth });
+        }
+        if (divergenceThreshold !== oldParams.divergenceThreshold) {
+          this.sampler.setParams({ divergenceThreshold });
+        }
+      } else if (this.samplerType === 'METROPOLIS') {
+        const { scale, covariance } = this.params;
+        if (scale !== oldParams.scale || covariance !== oldParams.covariance) {
+          this.sampler.setParams({ scale, covariance: covariance || null });
+        }
+      } else if (this.samplerType === 'MALA' || this.samplerType === 'ULA') {
+        const { epsilon } = this.params;
+        if (epsilon !== oldParams.epsilon) {
+          this.sampler.setParams({ epsilon });
         }
       } else {
         const { w } = this.params;
@@ -77,15 +281,7 @@ export class SamplingChain {
         to: type,
       });
       // Internal reset but keeping initial pos and seed
-      this.samples = [];
-      this.trajectory = [];
-      this.rejectedCount = 0;
-      this.acceptedCount = 0;
-      this.error = null;
-      this.currentParticle = {
-        q: { ...this.initialPosition },
-        p: { x: 0, y: 0 },
-      };
+      this._clearState();
     }
   }
 
@@ -102,9 +298,47 @@ export class SamplingChain {
     logger.debug('Chain position changed', { id: this.id, ...pos });
   }
 
+  /**
+   * Enable or disable warmup step-size adaptation
+   * @param {{targetAccept: number}|null} adaptation - Adaptation settings, or null to disable
+   */
+  setAdaptation(adaptation) {
+    this.adaptation = adaptation;
+    this.adapter = this._createAdapter();
+    if (this.epsilon !== this.params.epsilon && this.sampler) {
+      this.epsilon = this.params.epsilon;
+      this.sampler.setParams({ epsilon: this.epsilon });
+    }
+    logger.debug('Chain adaptation changed', { id: this.id, ...adaptation });
+  }
+
+  /**
+   * Set how many past trajectories are kept, dropping the oldest if needed
+   * @param {number} limit - Maximum length of `history` (0 disables it)
+   */
+  setHistoryLimit(limit) {
+    this.historyLimit = limit;
+    this._trimHistory();
+  }
+
+  _trimHistory() {
+    const excess = this.history.length - this.historyLimit;
+    if (excess > 0) this.history.splice(0, excess);
+  }
+
+  /**
+   * Set the length of the warmup window (normally the burn-in length)
+   * @param {number} steps - Number of initial iterations used for adaptation
+   */
+  setWarmupSteps(steps) {
+    this.warmupSteps = steps;
+  }
+
   step(logpInstance) {
     if (!this.sampler) return null;
     try {
+      const iteration = this.acceptedCount + this.rejectedCount;
+      const start = this.currentParticle.q;
       const result = this.sampler.step(this.currentParticle, logpInstance);
 
       this.currentParticle = {
@@ -112,14 +346,53 @@ export class SamplingChain {
         p: result.p || { x: 0, y: 0 },
       };
 
+      this.samples.push(result.q);
       if (result.accepted) {
-        this.samples.push(result.q);
+        this.acceptedSamples.push(result.q);
         this.acceptedCount++;
       } else {
         this.rejectedCount++;
+        if (result.proposal) this.rejectedProposals.push(result.proposal);
+      }
+
+      this.divergent = !!result.divergent;
+      this.sampleStats.push({
+        accepted: !!result.accepted,
+        acceptProb: result.acceptProb ?? null,
+        divergent: this.divergent,
+        energy: finalEnergy(result),
+        stepSize:
+          this.samplerType === 'HMC'
+            ? this.epsilon
+            : (this.params.epsilon ?? null),
+        treeDepth: result.treeDepth ?? null,
+      });
+      if (this.divergent) {
+        this.divergentCount++;
+        this.divergences.push({ x: start.x, y: start.y, iteration });
       }
 
       this.trajectory = result.trajectory || [];
+      this.momentum = result.momentum || [];
+      this.energy = result.energy || [];
+      // Doubling tree is only reported by NUTS
+      this.tree = result.tree || null;
+      if (this.historyLimit > 0) {
+        this.history.push({
+          iteration,
+          trajectory: this.trajectory,
+          momentum: this.momentum,
+          energy: this.energy,
+          tree: this.tree,
+          divergent: this.divergent,
+        });
+        this._trimHistory();
+      }
+      if (this.samplerType === 'HMC') {
+        this.epsilonHistory.push(this.epsilon);
+        this._adaptStepSize(result, iteration);
+        this._adaptMetric(iteration);
+      }
       this.error = null;
       return result;
     } catch (e) {
@@ -130,14 +403,74 @@ export class SamplingChain {
 
   reset() {
     this._initializeSampler();
-    this.samples = [];
-    this.trajectory = [];
-    this.rejectedCount = 0;
-    this.acceptedCount = 0;
-    this.error = null;
-    this.currentParticle = {
-      q: { ...this.initialPosition },
-      p: { x: 0, y: 0 },
+    this._clearState();
+  }
+
+  /**
+   * Plain-object copy of the chain configuration and sampling state. Carries
+   * the warmup adapters and the sampler's RNG state so a chain can cross a
+   * worker boundary and continue a seeded run exactly where it left off.
+   * @returns {{config: Object, state: Object}} Structured-cloneable snapshot
+   */
+  toSnapshot() {
+    return {
+      config: {
+        id: this.id,
+        samplerType: this.samplerType,
+        params: this.params,
+        initialPosition: this.initialPosition,
+        seed: this.seed,
+        adaptation: this.adaptation,
+        warmupSteps: this.warmupSteps,
+        historyLimit: this.historyLimit,
+      },
+      state: {
+        ...Object.fromEntries(STATE_FIELDS.map((key) => [key, this[key]])),
+        adapter: this.adapter ? { ...this.adapter } : null,
+        metricEstimator: this.metricEstimator
+          ? { ...this.metricEstimator }
+          : null,
+        rngState:
+          this.sampler && this.sampler.rng ? this.sampler.rng.state : null,
+      },
     };
   }
+
+  /**
+   * Restore sampling state produced by toSnapshot on a chain with the same
+   * configuration
+   * @param {Object} state - The `state` part of a snapshot
+   */
+  restore(state) {
+    const { adapter, metricEstimator, rngState } = state;
+    // Fields the snapshot does not define are ignored
+    STATE_FIELDS.forEach((key) => {
+      if (state[key] !== undefined) this[key] = state[key];
+    });
+    if (this.adapter && adapter) Object.assign(this.adapter, adapter);
+    if (this.metricEstimator && metricEstimator)
+      Object.assign(this.metricEstimator, metricEstimator);
+
+    // Re-apply warmup results that live inside the sampler instance
+    if (this.epsilon !== this.params.epsilon) {
+      this.sampler.setParams({ epsilon: this.epsilon });
+    }
+    if (this.fittedMetric) {
+      this.sampler.setParams({ invMass: this.fittedMetric.invMass });
+    }
+    if (this.sampler.rng && rngState !== null) {
+      this.sampler.rng.state = rngState;
+    }
+  }
+
+  /**
+   * Rebuild a chain from a snapshot
+   * @param {{config: Object, state: Object}} snapshot - Result of toSnapshot
+   * @returns {SamplingChain}
+   */
+  static fromSnapshot(snapshot) {
+    const chain = new SamplingChain(snapshot.config);
+    chain.restore(snapshot.state);
+    return chain;
+  }
 }
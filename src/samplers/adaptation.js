@@ -0,0 +1,161 @@
+/**
+ * Warmup adaptation helpers for gradient-based samplers
+ */
+
+/**
+ * Nesterov dual averaging of log(ε) towards a target acceptance rate
+ * (Hoffman & Gelman, 2014, Section 3.2.1). The iterate ε_t is used while
+ * warming up; the averaged ε̄ is the value to freeze once warmup ends.
+ */
+export class DualAveraging {
+  /**
+   * @param {number} epsilon0 - Initial step size
+   * @param {Object} [options]
+   * @param {number} [options.targetAccept=0.8] - Target mean acceptance probability δ
+   * @param {number} [options.gamma=0.05] - Regularisation scale γ
+   * @param {number} [options.t0=10] - Iteration offset t₀ damping early updates
+   * @param {number} [options.kappa=0.75] - Averaging weight decay κ
+   */
+  constructor(
+    epsilon0,
+    { targetAccept = 0.8, gamma = 0.05, t0 = 10, kappa = 0.75 } = {}
+  ) {
+    this.targetAccept = targetAccept;
+    this.gamma = gamma;
+    this.t0 = t0;
+    this.kappa = kappa;
+    // Shrinkage point μ = log(10 ε₀) biases proposals towards larger steps
+    this.mu = Math.log(10 * epsilon0);
+    this.t = 0;
+    this.hBar = 0;
+    this.logEpsilon = Math.log(epsilon0);
+    this.logEpsilonBar = 0;
+  }
+
+  /**
+   * Feed one acceptance probability and return the next step size
+   * @param {number} acceptProb - Metropolis acceptance probability of the last transition
+   * @returns {number} Step size ε_t to use for the next transition
+   */
+  update(acceptProb) {
+    // Divergent transitions report NaN: treat them as certain rejections
+    const alpha = Number.isFinite(acceptProb) ? acceptProb : 0;
+
+    this.t += 1;
+    const eta = 1 / (this.t + this.t0);
+    this.hBar = (1 - eta) * this.hBar + eta * (this.targetAccept - alpha);
+    this.logEpsilon = this.mu - (Math.sqrt(this.t) / this.gamma) * this.hBar;
+
+    const weight = Math.pow(this.t, -this.kappa);
+    this.logEpsilonBar =
+      weight * this.logEpsilon + (1 - weight) * this.logEpsilonBar;
+
+    return Math.exp(this.logEpsilon);
+  }
+
+  /**
+   * Averaged step size ε̄ to freeze at the end of warmup
+   * @returns {number}
+   */
+  finalEpsilon() {
+    return Math.exp(this.logEpsilonBar);
+  }
+}
+
+/**
+ * Stan-style warmup schedule for metric estimation: an initial fast buffer,
+ * a series of doubling slow windows, and a terminal fast buffer. The metric
+ * is re-estimated at the end of every slow window.
+ * @param {number} warmupSteps - Total number of warmup iterations
+ * @param {Object} [options]
+ * @param {number} [options.initBuffer=75] - Iterations before the first window
+ * @param {number} [options.termBuffer=50] - Iterations after the last window
+ * @param {number} [options.baseWindow=25] - Size of the first slow window
+ * @returns {Array<{start: number, end: number}>} Slow windows as [start, end) iteration ranges
+ */
+export function metricWindows(
+  warmupSteps,
+  { initBuffer = 75, termBuffer = 50, baseWindow = 25 } = {}
+) {
+  // Too short to estimate anything meaningful
+  if (warmupSteps < 20) return [];
+
+  // Same fallback as Stan: 15% / 75% / 10% split for short warmups
+  if (initBuffer + baseWindow + termBuffer > warmupSteps) {
+    initBuffer = Math.floor(0.15 * warmupSteps);
+    termBuffer = Math.floor(0.1 * warmupSteps);
+    baseWindow = warmupSteps - initBuffer - termBuffer;
+  }
+
+  const lastEnd = warmupSteps - termBuffer;
+  const windows = [];
+  let start = initBuffer;
+  let size = baseWindow;
+  while (start < lastEnd) {
+    let end = start + size;
+    // Stretch the window to the terminal buffer if the next one would not fit
+    if (end + 2 * size > lastEnd) end = lastEnd;
+    windows.push({ start, end });
+    start = end;
+    size *= 2;
+  }
+  return windows;
+}
+
+/**
+ * Streaming (Welford) estimator of the sample covariance of chain positions,
+ * regularised towards a small multiple of the identity like Stan does.
+ */
+export class MetricEstimator {
+  /**
+   * @param {'diag'|'dense'} type - Metric structure to estimate
+   */
+  constructor(type) {
+    this.type = type;
+    this.restart();
+  }
+
+  /**
+   * Drop all accumulated draws
+   */
+  restart() {
+    this.n = 0;
+    this.mean = { x: 0, y: 0 };
+    this.m2 = { xx: 0, xy: 0, yy: 0 };
+  }
+
+  /**
+   * Add one chain position
+   * @param {{x: number, y: number}} q - Position
+   */
+  add(q) {
+    this.n += 1;
+    const dx = q.x - this.mean.x;
+    const dy = q.y - this.mean.y;
+    this.mean = { x: this.mean.x + dx / this.n, y: this.mean.y + dy / this.n };
+    const dx2 = q.x - this.mean.x;
+    const dy2 = q.y - this.mean.y;
+    this.m2 = {
+      xx: this.m2.xx + dx * dx2,
+      xy: this.m2.xy + dx * dy2,
+      yy: this.m2.yy + dy * dy2,
+    };
+  }
+
+  /**
+   * Regularised inverse mass matrix estimate
+   * @returns {{xx: number, xy: number, yy: number}|null} Inverse metric, or null with fewer than 3 draws
+   */
+  estimate() {
+    if (this.n < 3) return null;
+    const n = this.n;
+    // Shrink towards 1e-3·I; weights follow Stan's adaptation code
+    const w = n / (n + 5);
+    const reg = 1e-3 * (5 / (n + 5));
+    return {
+      xx: (w * this.m2.xx) / (n - 1) + reg,
+      xy: this.type === 'dense' ? (w * this.m2.xy) / (n - 1) : 0,
+      yy: (w * this.m2.yy) / (n - 1) + reg,
+    };
+  }
+}
@@ -1,4 +1,25 @@
 export const DEFAULT_SAMPLER_PARAMS = {
   HMC: { epsilon: 0.1, L: 10, steps: 1 },
   GIBBS: { w: 1.0 },
+  NUTS: { epsilon: 0.1, maxTreeDepth: 10 },
+  METROPOLIS: { scale: 0.5 },
+  MALA: { epsilon: 0.5 },
+  ULA: { epsilon: 0.5 },
 };
+
+/**
+ * Default energy error H - H₀ beyond which an HMC or NUTS transition is divergent
+ * (the Stan / Hoffman & Gelman value)
+ */
+export const DEFAULT_DIVERGENCE_THRESHOLD = 1000;
+
+/**
+ * Largest NUTS tree depth accepted. A tree of depth d takes up to 2^d leapfrog
+ * steps, and every point is kept in the chain's history.
+ */
+export const MAX_TREE_DEPTH = 12;
+
+/**
+ * Default number of past trajectories a chain keeps for history replay
+ */
+export const DEFAULT_HISTORY_LIMIT = 1000;
@@ -0,0 +1,79 @@
+/**
+ * 2×2 mass-matrix (metric) helpers for Hamiltonian dynamics.
+ *
+ * Metrics are stored as the inverse mass matrix M⁻¹ = [[xx, xy], [xy, yy]],
+ * which is what warmup estimates (an approximation of the target covariance).
+ * A null metric means the identity, so callers that never set one keep the
+ * original N(0, I) momentum and 0.5·pᵀp kinetic energy.
+ */
+
+import { randn } from '../utils/seededRandom';
+
+/** Supported metric types, in the order shown in the UI */
+export const METRIC_TYPES = ['identity', 'diag', 'dense'];
+
+/** Identity inverse mass matrix */
+export const IDENTITY_INV_MASS = { xx: 1, xy: 0, yy: 1 };
+
+/**
+ * Invert a symmetric 2×2 matrix
+ * @param {{xx: number, xy: number, yy: number}} m - Symmetric matrix
+ * @returns {{xx: number, xy: number, yy: number}} Inverse matrix
+ */
+export function invertSymmetric(m) {
+  const det = m.xx * m.yy - m.xy * m.xy;
+  if (!(det > 0)) {
+    throw new Error('Mass matrix must be positive definite');
+  }
+  return { xx: m.yy / det, xy: -m.xy / det, yy: m.xx / det };
+}
+
+/**
+ * Lower Cholesky factor of a symmetric positive definite 2×2 matrix
+ * @param {{xx: number, xy: number, yy: number}} m - Symmetric matrix
+ * @returns {{l11: number, l21: number, l22: number}} Factor L with m = L·Lᵀ
+ */
+export function cholesky(m) {
+  const l11 = Math.sqrt(m.xx);
+  const l21 = m.xy / l11;
+  const l22 = Math.sqrt(m.yy - l21 * l21);
+  return { l11, l21, l22 };
+}
+
+/**
+ * Velocity dq/dt = M⁻¹·p
+ * @param {Object} p - Momentum {x, y}
+ * @param {Object|null} invMass - Inverse mass matrix, or null for identity
+ * @returns {Object} Velocity {x, y}
+ */
+export function velocity(p, invMass = null) {
+  if (!invMass) return { x: p.x, y: p.y };
+  return {
+    x: invMass.xx * p.x + invMass.xy * p.y,
+    y: invMass.xy * p.x + invMass.yy * p.y,
+  };
+}
+
+/**
+ * Kinetic energy K(p) = 0.5·pᵀ·M⁻¹·p
+ * @param {Object} p - Momentum {x, y}
+ * @param {Object|null} invMass - Inverse mass matrix, or null for identity
+ * @returns {number}
+ */
+export function kineticEnergy(p, invMass = null) {
+  const v = velocity(p, invMass);
+  return 0.5 * (p.x * v.x + p.y * v.y);
+}
+
+/**
+ * Draw momentum p ~ N(0, M) as p = L·z with M = L·Lᵀ and z ~ N(0, I)
+ * @param {Object|null} invMass - Inverse mass matrix, or null for identity
+ * @param {Object} [rng] - Optional seeded RNG. If not provided, uses Math.random()
+ * @returns {Object} Momentum {x, y}
+ */
+export function sampleMomentum(invMass = null, rng = null) {
+  const z = { x: randn(rng), y: randn(rng) };
+  if (!invMass) return z;
+  const { l11, l21, l22 } = cholesky(invertSymmetric(invMass));
+  return { x: l11 * z.x, y: l21 * z.x + l22 * z.y };
+}
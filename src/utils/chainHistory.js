@@ -0,0 +1,93 @@
+/**
+ * Helpers for replaying a chain's past: rebuilds the chain state the UI
+ * would have shown right after a given iteration.
+ */
+
+/**
+ * Number of accepted iterations among the first `count`. The recorded
+ * per-iteration stats are used when they cover those iterations. Older
+ * histories without them fall back to counting the iterations that moved
+ * the chain: a rejected step repeats the previous state exactly, while an
+ * accepted continuous proposal rarely lands on it.
+ * @param {Array<{x: number, y: number}>} samples - Per-iteration states
+ * @param {{x: number, y: number}} start - State before the first iteration
+ * @param {number} count - Number of iterations to inspect
+ * @param {Array<{accepted: boolean}>} [sampleStats] - Per-iteration stats (see SamplingChain)
+ * @returns {number} Accepted iterations
+ */
+export function countAccepted(samples, start, count, sampleStats) {
+  if (sampleStats && sampleStats.length >= count) {
+    let accepted = 0;
+    for (let i = 0; i < count; i++) if (sampleStats[i].accepted) accepted++;
+    return accepted;
+  }
+
+  let accepted = 0;
+  let prev = start;
+  for (let i = 0; i < count; i++) {
+    const q = samples[i];
+    if (!prev || q.x !== prev.x || q.y !== prev.y) accepted++;
+    prev = q;
+  }
+  return accepted;
+}
+
+/**
+ * Find the history record of an iteration
+ * @param {Array<Object>} history - Chain history, oldest first, contiguous iterations
+ * @param {number} iteration - Zero-based iteration
+ * @returns {Object|null} The record, or null if it was dropped or never stored
+ */
+export function findHistoryEntry(history, iteration) {
+  if (!history || history.length === 0) return null;
+  const entry = history[iteration - history[0].iteration];
+  return entry && entry.iteration === iteration ? entry : null;
+}
+
+/**
+ * View of a chain state as it was right after `iteration`. Chains that have
+ * not reached `iteration` are returned unchanged.
+ * @param {Object} chain - Chain state from useSamplingController
+ * @param {number} iteration - Zero-based iteration to rewind to
+ * @returns {Object} Chain state truncated to iterations 0..iteration
+ */
+export function chainAtIteration(chain, iteration) {
+  const samples = chain.samples || [];
+  if (iteration >= samples.length - 1) return chain;
+
+  const count = Math.max(iteration + 1, 0);
+  const acceptedCount = countAccepted(
+    samples,
+    chain.initialPosition,
+    count,
+    chain.sampleStats
+  );
+  const rejectedCount = count - acceptedCount;
+  const divergences = (chain.divergences || []).filter(
+    (d) => d.iteration <= iteration
+  );
+  const entry = findHistoryEntry(chain.history, iteration);
+
+  return {
+    ...chain,
+    samples: samples.slice(0, count),
+    acceptedSamples: (chain.acceptedSamples || []).slice(0, acceptedCount),
+    sampleStats: (chain.sampleStats || []).slice(0, count),
+    // Only samplers that report a proposal record one per rejection
+    rejectedProposals: (chain.rejectedProposals || []).slice(0, rejectedCount),
+    divergences,
+    divergentCount: divergences.length,
+    epsilonHistory: (chain.epsilonHistory || []).slice(0, count),
+    trajectory: entry ? entry.trajectory : [],
+    momentum: entry ? entry.momentum : [],
+    energy: entry ? entry.energy : [],
+    tree: entry ? entry.tree : null,
+    divergent: entry ? entry.divergent : false,
+    acceptedCount,
+    rejectedCount,
+    currentParticle:
+      count > 0
+        ? { q: samples[count - 1], p: { x: 0, y: 0 } }
+        : chain.currentParticle,
+  };
+}
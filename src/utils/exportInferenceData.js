@@ -0,0 +1,117 @@
+/**
+ * Export of SamplingChain instances in the InferenceData JSON layout that
+ * ArviZ reads with `az.from_json` (which calls `az.from_dict(**json)`).
+ *
+ * Every variable is a nested list with dimensions (chain, draw). Burn-in
+ * draws go to the warmup groups. `az.from_json` passes `save_warmup=True`
+ * itself, so the file must not set it as well.
+ */
+
+/** sample_stats variable name (ArviZ convention) → SamplingChain.sampleStats field */
+export const SAMPLE_STAT_FIELDS = {
+  acceptance_rate: 'acceptProb',
+  energy: 'energy',
+  step_size: 'stepSize',
+  tree_depth: 'treeDepth',
+  diverging: 'divergent',
+};
+
+/** Samplers for which `diverging` is meaningful */
+const DIVERGING_SAMPLERS = ['HMC', 'NUTS'];
+
+/** Placeholder used to carry non-finite numbers through JSON.stringify */
+const NON_FINITE = '__non_finite__:';
+
+/**
+ * Whether every recorded iteration of a chain reports a sample statistic
+ * @param {Object} chain - SamplingChain instance
+ * @param {string} stat - sample_stats variable name
+ * @returns {boolean}
+ */
+function providesStat(chain, stat) {
+  if (stat === 'diverging') {
+    return DIVERGING_SAMPLERS.includes(chain.samplerType);
+  }
+  const field = SAMPLE_STAT_FIELDS[stat];
+  return (
+    chain.sampleStats.length > 0 &&
+    chain.sampleStats.every((s) => s[field] !== null && s[field] !== undefined)
+  );
+}
+
+/**
+ * Build the (chain, draw) arrays of one group
+ * @param {Array<Object>} chains - SamplingChain instances
+ * @param {number} start - First draw (inclusive)
+ * @param {number} end - Last draw (exclusive)
+ * @param {Array<string>} stats - sample_stats variables to include
+ * @returns {{posterior: Object, sampleStats: Object}}
+ */
+function buildGroups(chains, start, end, stats) {
+  const posterior = {
+    x: chains.map((c) => c.samples.slice(start, end).map((q) => q.x)),
+    y: chains.map((c) => c.samples.slice(start, end).map((q) => q.y)),
+  };
+  const sampleStats = {};
+  stats.forEach((stat) => {
+    const field = SAMPLE_STAT_FIELDS[stat];
+    sampleStats[stat] = chains.map((c) =>
+      c.sampleStats.slice(start, end).map((s) => s[field])
+    );
+  });
+  return { posterior, sampleStats };
+}
+
+/**
+ * Convert chains to an InferenceData dictionary. ArviZ needs the same number
+ * of draws in every chain, so longer chains are cut to the shortest one.
+ * @param {Array<Object>} chains - SamplingChain instances (e.g. from samplingChainsRef)
+ * @param {Object} [options]
+ * @param {number} [options.burnIn=0] - Draws moved to the warmup groups
+ * @param {string} [options.logP=''] - Target density, stored in attrs
+ * @returns {Object} Arguments for `az.from_dict`
+ */
+export function buildInferenceData(chains, { burnIn = 0, logP = '' } = {}) {
+  const nDraws = chains.length
+    ? Math.min(...chains.map((c) => c.samples.length))
+    : 0;
+  const nWarmup = Math.min(burnIn, nDraws);
+  const stats = Object.keys(SAMPLE_STAT_FIELDS).filter(
+    (stat) => chains.length > 0 && chains.every((c) => providesStat(c, stat))
+  );
+
+  const draws = buildGroups(chains, nWarmup, nDraws, stats);
+  const warmup = buildGroups(chains, 0, nWarmup, stats);
+
+  return {
+    posterior: draws.posterior,
+    sample_stats: draws.sampleStats,
+    warmup_posterior: warmup.posterior,
+    warmup_sample_stats: warmup.sampleStats,
+    attrs: {
+      inference_library: 'hmc-visualization',
+      target: logP,
+      chain_ids: chains.map((c) => String(c.id)).join(','),
+      sampler_types: chains.map((c) => c.samplerType).join(','),
+      burn_in: nWarmup,
+      sampler_params: JSON.stringify(chains.map((c) => c.params)),
+      seeds: JSON.stringify(chains.map((c) => c.seed)),
+    },
+  };
+}
+
+/**
+ * Serialise an InferenceData dictionary. Non-finite numbers (e.g. the energy
+ * of a divergent transition) are written as the NaN / Infinity tokens that
+ * Python's json module accepts, instead of the null JSON.stringify would emit.
+ * @param {Object} idata - Result of buildInferenceData
+ * @returns {string} JSON text
+ */
+export function toInferenceDataJSON(idata) {
+  const text = JSON.stringify(idata, (_, value) =>
+    typeof value === 'number' && !Number.isFinite(value)
+      ? `${NON_FINITE}${value}`
+      : value
+  );
+  return text.replace(new RegExp(`"${NON_FINITE}(-?\\w+)"`, 'g'), '$1');
+}
@@ -0,0 +1,144 @@
+/**
+ * Serialisation of chains, their configuration and the convergence
+ * diagnostics to CSV and JSON for analysis outside the app.
+ */
+
+/** Column order of the per-iteration draws table */
+export const EXPORT_COLUMNS = [
+  'iteration',
+  'chain_id',
+  'sampler_type',
+  'x',
+  'y',
+  'accepted',
+  'energy',
+];
+
+/**
+ * Flatten every chain into one row per iteration
+ * @param {Array<Object>} chains - Chain states from useSamplingController
+ * @returns {Array<Object>} Rows keyed by EXPORT_COLUMNS
+ */
+export function buildSampleRows(chains) {
+  return chains.flatMap((chain) =>
+    (chain.samples || []).map((q, i) => {
+      const stats = chain.sampleStats?.[i];
+      return {
+        iteration: i,
+        chain_id: chain.id,
+        sampler_type: chain.samplerType,
+        x: q.x,
+        y: q.y,
+        accepted: stats ? stats.accepted : null,
+        energy: stats ? stats.energy : null,
+      };
+    })
+  );
+}
+
+/**
+ * Chain configuration without the accumulated sampling state
+ * @param {Object} chain - Chain state from useSamplingController
+ * @returns {Object} Configuration that reproduces the chain
+ */
+function chainConfig(chain) {
+  return {
+    id: chain.id,
+    samplerType: chain.samplerType,
+    params: chain.params,
+    initialPosition: chain.initialPosition,
+    seed: chain.seed ?? null,
+    adaptation: chain.adaptation ?? null,
+    fittedMetric: chain.fittedMetric ?? null,
+    iterations: (chain.samples || []).length,
+    acceptedCount: chain.acceptedCount ?? 0,
+    divergentCount: chain.divergentCount ?? 0,
+  };
+}
+
+/**
+ * Collect everything that goes into an export
+ * @param {Object} data
+ * @param {string} data.logP - Target density expression
+ * @param {Array<Object>} data.chains - Chain states
+ * @param {number} data.burnIn - Burn-in length used for the diagnostics
+ * @param {Object|null} data.rHat - Pooled R-hat {x, y}
+ * @param {Object|null} data.ess - Pooled ESS {x, y}
+ * @param {Array<Object>|null} [data.essPerChain] - Per-chain ESS for mixed samplers
+ * @returns {Object} JSON-serialisable export document
+ */
+export function buildExport({
+  logP,
+  chains,
+  burnIn,
+  rHat,
+  ess,
+  essPerChain = null,
+}) {
+  return {
+    logP,
+    burnIn,
+    diagnostics: {
+      rHat: rHat ?? null,
+      ess: ess ?? null,
+      essPerChain: essPerChain ?? null,
+    },
+    chains: chains.map(chainConfig),
+    samples: buildSampleRows(chains),
+  };
+}
+
+/**
+ * Format one CSV field, quoting it when needed
+ * @param {*} value - Field value; null and undefined become empty fields
+ * @returns {string}
+ */
+function csvField(value) {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render an export as CSV. The metadata goes in leading `#` comment lines,
+ * like a Stan CSV file, so `pandas.read_csv(path, comment='#')` reads the
+ * draws directly.
+ * @param {Object} doc - Result of buildExport
+ * @returns {string} CSV text
+ */
+export function toCSV(doc) {
+  const meta = { logP: doc.logP, burnIn: doc.burnIn, ...doc.diagnostics };
+  const comments = [
+    ...Object.entries(meta).map(([k, v]) => `# ${k} = ${JSON.stringify(v)}`),
+    ...doc.chains.map((c) => `# chain = ${JSON.stringify(c)}`),
+  ];
+  const rows = doc.samples.map((row) =>
+    EXPORT_COLUMNS.map((col) => csvField(row[col])).join(',')
+  );
+  return [...comments, EXPORT_COLUMNS.join(','), ...rows].join('\n') + '\n';
+}
+
+/**
+ * Render an export as pretty-printed JSON
+ * @param {Object} doc - Result of buildExport
+ * @returns {string} JSON text
+ */
+export function toJSON(doc) {
+  return JSON.stringify(doc, null, 2);
+}
+
+/**
+ * Trigger a browser download of text content
+ * @param {string} content - File content
+ * @param {string} filename - Suggested file name
+ * @param {string} mimeType - MIME type of the content
+ */
+export function downloadText(content, filename, mimeType) {
+  const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  a.click();
+  // Some browsers start the download after click() returns
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -0,0 +1,67 @@
+/**
+ * Radix-2 fast Fourier transform, used for autocovariances of long chains.
+ */
+
+/**
+ * In-place iterative Cooley-Tukey FFT of a complex sequence.
+ *
+ * @param {Float64Array|Array<number>} re - Real parts; overwritten with the result.
+ * @param {Float64Array|Array<number>} im - Imaginary parts; overwritten with the result.
+ * @param {boolean} [inverse=false] - Compute the inverse transform (scaled by 1/n).
+ * @throws {Error} If the length is not a power of two.
+ */
+export function fft(re, im, inverse = false) {
+  const n = re.length;
+  if (n === 0 || (n & (n - 1)) !== 0 || im.length !== n) {
+    throw new Error('FFT length must be a power of two');
+  }
+
+  // Bit-reversal permutation
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+
+  // Butterflies of doubling size
+  for (let size = 2; size <= n; size <<= 1) {
+    const half = size >> 1;
+    const angle = ((inverse ? 2 : -2) * Math.PI) / size;
+    for (let k = 0; k < half; k++) {
+      const wRe = Math.cos(angle * k);
+      const wIm = Math.sin(angle * k);
+      for (let start = 0; start < n; start += size) {
+        const a = start + k;
+        const b = a + half;
+        const vRe = re[b] * wRe - im[b] * wIm;
+        const vIm = re[b] * wIm + im[b] * wRe;
+        re[b] = re[a] - vRe;
+        im[b] = im[a] - vIm;
+        re[a] += vRe;
+        im[a] += vIm;
+      }
+    }
+  }
+
+  if (inverse) {
+    for (let i = 0; i < n; i++) {
+      re[i] /= n;
+      im[i] /= n;
+    }
+  }
+}
+
+/**
+ * Smallest power of two that is at least `n`
+ * @param {number} n - Positive integer
+ * @returns {number}
+ */
+export function nextPowerOfTwo(n) {
+  let size = 1;
+  while (size < n) size <<= 1;
+  return size;
+}
@@ -0,0 +1,102 @@
+/**
+ * Recognise Gaussian targets from a compiled Logp instance.
+ *
+ * log π is quadratic exactly when its Hessian is constant, so the Hessian is
+ * estimated by central differences of the analytic gradient at a handful of
+ * probe points and compared. For a quadratic the differences are exact up to
+ * rounding, so any real curvature change is far above the tolerance.
+ */
+
+/** Probe points spread over the default plotting window */
+const PROBE_POINTS = [
+  { x: 0, y: 0 },
+  { x: 1.5, y: 0.5 },
+  { x: -1, y: 2 },
+  { x: -2.5, y: -1.5 },
+  { x: 0.7, y: -3 },
+];
+
+/** Finite-difference step for the Hessian */
+const H = 1e-3;
+
+/**
+ * Hessian of log π at (x, y) by central differences of the gradient
+ * @param {Object} logp - Instance with getLogProbabilityGradient
+ * @param {number} x
+ * @param {number} y
+ * @returns {{xx: number, xy: number, yx: number, yy: number}}
+ */
+function hessianAt(logp, x, y) {
+  const [gxp, gyp] = logp.getLogProbabilityGradient(x + H, y);
+  const [gxm, gym] = logp.getLogProbabilityGradient(x - H, y);
+  const [gxq, gyq] = logp.getLogProbabilityGradient(x, y + H);
+  const [gxr, gyr] = logp.getLogProbabilityGradient(x, y - H);
+  return {
+    xx: (gxp - gxm) / (2 * H),
+    xy: (gxq - gxr) / (2 * H),
+    yx: (gyp - gym) / (2 * H),
+    yy: (gyq - gyr) / (2 * H),
+  };
+}
+
+/**
+ * Mean and precision of the target if log π is a concave quadratic
+ * @param {Object} logp - Instance with getLogProbabilityGradient
+ * @param {Object} [options]
+ * @param {number} [options.tol=1e-4] - Allowed relative spread of the Hessian entries
+ * @returns {{mean: {x: number, y: number}, precision: {xx: number, xy: number, yy: number}}|null}
+ *   Gaussian parameters, or null if the target is not Gaussian
+ */
+export function detectGaussian(logp, { tol = 1e-4 } = {}) {
+  let hessians;
+  try {
+    hessians = PROBE_POINTS.map(({ x, y }) => hessianAt(logp, x, y));
+  } catch {
+    return null;
+  }
+
+  const [h0] = hessians;
+  const scale = Math.max(Math.abs(h0.xx), Math.abs(h0.yy), Math.abs(h0.xy), 1);
+  const close = (a, b) => Math.abs(a - b) <= tol * scale;
+  const constant = hessians.every(
+    (h) =>
+      [h.xx, h.xy, h.yx, h.yy].every(Number.isFinite) &&
+      close(h.xx, h0.xx) &&
+      close(h.xy, h0.xy) &&
+      close(h.yx, h0.yx) &&
+      close(h.yy, h0.yy)
+  );
+  if (!constant || !close(h0.xy, h0.yx)) return null;
+
+  // Precision P = -Hessian must be positive definite
+  const precision = { xx: -h0.xx, xy: -(h0.xy + h0.yx) / 2, yy: -h0.yy };
+  const det = precision.xx * precision.yy - precision.xy * precision.xy;
+  if (!(precision.xx > 0 && det > 0)) return null;
+
+  // ∇log π(0) = -P (0 - μ) = P μ, so μ = P⁻¹ ∇log π(0)
+  const [gx, gy] = logp.getLogProbabilityGradient(0, 0);
+  const mean = {
+    x: (precision.yy * gx - precision.xy * gy) / det,
+    y: (precision.xx * gy - precision.xy * gx) / det,
+  };
+  return { mean, precision };
+}
+
+/**
+ * One-dimensional slice of the Hamiltonian for a Gaussian target, with the
+ * other coordinate at its mean and its momentum at zero:
+ * H_d(q, p) = ½ P_dd (q − μ_d)² + ½ M⁻¹_dd p².
+ * Its level sets are exact phase-space orbits when the target and the metric
+ * are both axis-aligned; with correlations they are a guide only.
+ * @param {{mean: Object, precision: Object}} gaussian - Result of detectGaussian
+ * @param {'x'|'y'} axis - Coordinate
+ * @param {{xx: number, xy: number, yy: number}|null} [invMass] - Inverse mass matrix; identity if null
+ * @returns {Function} (q, p) => number
+ */
+export function phaseSpaceHamiltonian(gaussian, axis, invMass = null) {
+  const key = axis === 'x' ? 'xx' : 'yy';
+  const precision = gaussian.precision[key];
+  const mu = gaussian.mean[axis];
+  const m = invMass ? invMass[key] : 1;
+  return (q, p) => 0.5 * precision * (q - mu) ** 2 + 0.5 * m * p * p;
+}
@@ -0,0 +1,339 @@
+/**
+ * Ground-truth reference for 2-D targets by numerical integration of the
+ * unnormalized density, so sample estimates can be checked against exact
+ * values rather than against each other.
+ *
+ * The density is integrated with the midpoint rule on a uniform grid that
+ * adapts in two ways: the domain starts at the axis limits and is widened
+ * while the density on its boundary is not negligible, then the grid is
+ * refined by doubling until the normalizing constant and the moments stop
+ * changing.
+ */
+
+import { SUMMARY_QUANTILES } from './summary';
+
+/** Cells per axis of the first grid */
+export const INITIAL_GRID_CELLS = 64;
+
+/** Cells per axis of the finest grid tried */
+export const MAX_GRID_CELLS = 256;
+
+/** Relative change between refinements accepted as converged */
+export const GROUND_TRUTH_TOLERANCE = 1e-3;
+
+/** Boundary density, relative to the peak, above which the domain is widened */
+const BOUNDARY_DENSITY_RATIO = 1e-5;
+
+/** Times each side of the domain may be widened by half its span */
+const MAX_WIDENINGS = 3;
+
+/** Quantiles of the reference marginals */
+const REFERENCE_QUANTILES = [...SUMMARY_QUANTILES, 0.5].sort((a, b) => a - b);
+
+/**
+ * Evaluate log π at the cell centres of a uniform grid
+ * @param {Object} logp - Instance with getLogProbability
+ * @param {Object} domain - {xMin, xMax, yMin, yMax}
+ * @param {number} cells - Cells per axis
+ * @returns {{xs: Array<number>, ys: Array<number>, dx: number, dy: number, logDensity: Array<Float64Array>, maxLog: number}}
+ *   Cell centres and log density indexed [iy][ix]; non-finite values are -Infinity
+ */
+function evaluateGrid(logp, domain, cells) {
+  const dx = (domain.xMax - domain.xMin) / cells;
+  const dy = (domain.yMax - domain.yMin) / cells;
+  const xs = Array.from(
+    { length: cells },
+    (_, i) => domain.xMin + (i + 0.5) * dx
+  );
+  const ys = Array.from(
+    { length: cells },
+    (_, j) => domain.yMin + (j + 0.5) * dy
+  );
+
+  let maxLog = -Infinity;
+  const logDensity = ys.map((y) => {
+    const row = new Float64Array(cells);
+    xs.forEach((x, i) => {
+      let value;
+      try {
+        value = logp.getLogProbability(x, y);
+      } catch {
+        value = NaN;
+      }
+      // NaN (e.g. log of a negative expression) and +Infinity carry no usable mass
+      row[i] = Number.isFinite(value) ? value : -Infinity;
+      if (row[i] > maxLog) maxLog = row[i];
+    });
+    return row;
+  });
+  return { xs, ys, dx, dy, logDensity, maxLog };
+}
+
+/**
+ * Which sides of the domain still carry density
+ * @param {Object} grid - Result of evaluateGrid
+ * @returns {{left: boolean, right: boolean, bottom: boolean, top: boolean}}
+ */
+function massOnBoundary({ logDensity, maxLog }) {
+  const threshold = maxLog + Math.log(BOUNDARY_DENSITY_RATIO);
+  const last = logDensity.length - 1;
+  const column = (i) => logDensity.some((row) => row[i] > threshold);
+  const row = (j) => logDensity[j].some((v) => v > threshold);
+  return {
+    left: column(0),
+    right: column(last),
+    bottom: row(0),
+    top: row(last),
+  };
+}
+
+/**
+ * Normalized cell masses and the moments they imply
+ * @param {Object} grid - Result of evaluateGrid
+ * @returns {Object|null} logZ, joint and marginal cell masses, mean and covariance, or null without mass
+ */
+function integrateGrid({ xs, ys, dx, dy, logDensity, maxLog }) {
+  if (!Number.isFinite(maxLog)) return null;
+
+  const massX = new Float64Array(xs.length);
+  const massY = new Float64Array(ys.length);
+  let total = 0;
+  let sxy = 0;
+  const joint = logDensity.map((row, j) => {
+    const weights = new Float64Array(row.length);
+    row.forEach((logValue, i) => {
+      const w = Math.exp(logValue - maxLog);
+      weights[i] = w;
+      massX[i] += w;
+      massY[j] += w;
+      sxy += w * xs[i] * ys[j];
+      total += w;
+    });
+    return weights;
+  });
+  joint.forEach((weights) => {
+    for (let i = 0; i < weights.length; i++) weights[i] /= total;
+  });
+
+  const moments = (centres, mass) => {
+    let m1 = 0;
+    let m2 = 0;
+    centres.forEach((c, k) => {
+      m1 += (mass[k] / total) * c;
+      m2 += (mass[k] / total) * c * c;
+    });
+    return { mean: m1, variance: m2 - m1 * m1 };
+  };
+  const x = moments(xs, massX);
+  const y = moments(ys, massY);
+
+  return {
+    logZ: maxLog + Math.log(total * dx * dy),
+    joint,
+    massX: Array.from(massX, (m) => m / total),
+    massY: Array.from(massY, (m) => m / total),
+    mean: { x: x.mean, y: y.mean },
+    covariance: {
+      xx: x.variance,
+      xy: sxy / total - x.mean * y.mean,
+      yy: y.variance,
+    },
+  };
+}
+
+/**
+ * Whether two refinements agree to within the tolerance
+ * @param {Object} a - integrateGrid result
+ * @param {Object} b - integrateGrid result on the refined grid
+ * @param {number} tol - Relative tolerance
+ * @returns {boolean}
+ */
+function agrees(a, b, tol) {
+  const sdX = Math.sqrt(b.covariance.xx);
+  const sdY = Math.sqrt(b.covariance.yy);
+  const relative = (u, v, scale) => Math.abs(u - v) <= tol * scale;
+  return (
+    relative(a.logZ, b.logZ, 1) &&
+    relative(a.mean.x, b.mean.x, sdX) &&
+    relative(a.mean.y, b.mean.y, sdY) &&
+    relative(a.covariance.xx, b.covariance.xx, b.covariance.xx) &&
+    relative(a.covariance.yy, b.covariance.yy, b.covariance.yy) &&
+    relative(a.covariance.xy, b.covariance.xy, sdX * sdY)
+  );
+}
+
+/**
+ * Marginal of one dimension: density at the cell centres and CDF at the edges
+ * @param {number} min - Lower domain edge
+ * @param {number} width - Cell width
+ * @param {Array<number>} centres - Cell centres
+ * @param {Array<number>} mass - Normalized cell masses
+ * @returns {{grid: Array<number>, density: Array<number>, edges: Array<number>, cdf: Array<number>}}
+ */
+function marginal(min, width, centres, mass) {
+  const edges = [min];
+  const cdf = [0];
+  mass.forEach((m, k) => {
+    edges.push(min + (k + 1) * width);
+    cdf.push(cdf[k] + m);
+  });
+  return {
+    grid: centres,
+    density: mass.map((m) => m / width),
+    edges,
+    cdf,
+  };
+}
+
+/**
+ * CDF of a reference marginal, linear within each cell
+ * @param {Object} m - Marginal from computeGroundTruth
+ * @param {number} value
+ * @returns {number} Probability below value
+ */
+export function marginalCdf(m, value) {
+  const { edges, cdf } = m;
+  if (value <= edges[0]) return 0;
+  if (value >= edges[edges.length - 1]) return 1;
+  const width = edges[1] - edges[0];
+  const k = Math.min(Math.floor((value - edges[0]) / width), cdf.length - 2);
+  const t = (value - edges[k]) / width;
+  return cdf[k] + t * (cdf[k + 1] - cdf[k]);
+}
+
+/**
+ * Quantile of a reference marginal, inverting its piecewise-linear CDF
+ * @param {Object} m - Marginal from computeGroundTruth
+ * @param {number} prob - Probability in [0, 1]
+ * @returns {number}
+ */
+export function marginalQuantile(m, prob) {
+  const { edges, cdf } = m;
+  let k = 0;
+  while (k < cdf.length - 2 && cdf[k + 1] < prob) k++;
+  const step = cdf[k + 1] - cdf[k];
+  const t = step > 0 ? (prob - cdf[k]) / step : 0;
+  return edges[k] + Math.min(Math.max(t, 0), 1) * (edges[k + 1] - edges[k]);
+}
+
+/**
+ * Normalize the target numerically and derive its exact summaries
+ * @param {Object} logp - Logp instance (getLogProbability)
+ * @param {Object} axisLimits - {xMin, xMax, yMin, yMax}, the initial domain
+ * @param {Object} [options]
+ * @param {number} [options.initialCells=INITIAL_GRID_CELLS] - Cells per axis of the first grid
+ * @param {number} [options.maxCells=MAX_GRID_CELLS] - Cells per axis of the finest grid
+ * @param {number} [options.tol=GROUND_TRUTH_TOLERANCE] - Relative tolerance between refinements
+ * @returns {Object} {logZ, mean, sd, covariance, correlation, quantiles,
+ *   marginals: {x, y}, joint, domain, cells, converged, truncated}; joint
+ *   holds the probability of each grid cell, indexed [iy][ix]
+ * @throws {Error} If the density has no finite mass on the grid
+ */
+export function computeGroundTruth(
+  logp,
+  axisLimits,
+  {
+    initialCells = INITIAL_GRID_CELLS,
+    maxCells = MAX_GRID_CELLS,
+    tol = GROUND_TRUTH_TOLERANCE,
+  } = {}
+) {
+  const domain = { ...axisLimits };
+  let grid = evaluateGrid(logp, domain, initialCells);
+  if (!Number.isFinite(grid.maxLog)) {
+    throw new Error('Ground truth: the density has no mass on the grid');
+  }
+
+  // Widen each side that still carries density, by half the span
+  let boundary = massOnBoundary(grid);
+  for (
+    let widening = 0;
+    widening < MAX_WIDENINGS && Object.values(boundary).some(Boolean);
+    widening++
+  ) {
+    const halfX = (domain.xMax - domain.xMin) / 2;
+    const halfY = (domain.yMax - domain.yMin) / 2;
+    if (boundary.left) domain.xMin -= halfX;
+    if (boundary.right) domain.xMax += halfX;
+    if (boundary.bottom) domain.yMin -= halfY;
+    if (boundary.top) domain.yMax += halfY;
+    grid = evaluateGrid(logp, domain, initialCells);
+    boundary = massOnBoundary(grid);
+  }
+
+  let cells = initialCells;
+  let result = integrateGrid(grid);
+  let converged = false;
+  while (!converged && cells * 2 <= maxCells) {
+    cells *= 2;
+    grid = evaluateGrid(logp, domain, cells);
+    const refined = integrateGrid(grid);
+    converged = agrees(result, refined, tol);
+    result = refined;
+  }
+
+  const marginals = {
+    x: marginal(domain.xMin, grid.dx, grid.xs, result.massX),
+    y: marginal(domain.yMin, grid.dy, grid.ys, result.massY),
+  };
+  const sd = {
+    x: Math.sqrt(result.covariance.xx),
+    y: Math.sqrt(result.covariance.yy),
+  };
+  const quantiles = {};
+  ['x', 'y'].forEach((dim) => {
+    quantiles[dim] = REFERENCE_QUANTILES.map((prob) => ({
+      prob,
+      value: marginalQuantile(marginals[dim], prob),
+    }));
+  });
+
+  return {
+    logZ: result.logZ,
+    mean: result.mean,
+    sd,
+    covariance: result.covariance,
+    correlation: result.covariance.xy / (sd.x * sd.y),
+    quantiles,
+    marginals,
+    joint: result.joint,
+    domain,
+    cells,
+    converged,
+    truncated: Object.values(massOnBoundary(grid)).some(Boolean),
+  };
+}
+
+/**
+ * Error of one chain's draws against the reference
+ * @param {Array<{x: number, y: number}>} samples - Post-burn-in draws
+ * @param {Object} truth - Result of computeGroundTruth
+ * @returns {Object|null} Per dimension: meanError and sdError (estimate minus
+ *   truth) and ks, the largest gap between the empirical and true marginal
+ *   CDFs; null with fewer than 2 draws
+ */
+export function compareToTruth(samples, truth) {
+  if (!samples || samples.length < 2) return null;
+  const n = samples.length;
+  const errors = {};
+  ['x', 'y'].forEach((dim) => {
+    const values = samples.map((s) => s[dim]).sort((a, b) => a - b);
+    const mean = values.reduce((a, b) => a + b, 0) / n;
+    const sd = Math.sqrt(
+      values.reduce((acc, v) => acc + (v - mean) ** 2, 0) / (n - 1)
+    );
+
+    let ks = 0;
+    values.forEach((v, i) => {
+      const F = marginalCdf(truth.marginals[dim], v);
+      ks = Math.max(ks, (i + 1) / n - F, F - i / n);
+    });
+
+    errors[dim] = {
+      meanError: mean - truth.mean[dim],
+      sdError: sd - truth.sd[dim],
+      ks,
+    };
+  });
+  return errors;
+}
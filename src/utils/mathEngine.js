@@ -1,28 +1,139 @@
-import { parse, derivative, simplify } from 'mathjs';
+import { parse, derivative, simplify, ConstantNode } from 'mathjs';
+import { compileNative } from './nativeCompiler';
 import { logger } from './logger';
 
+/**
+ * Extract the real part when math.js returns a complex number
+ * @param {number|Object} value - math.js evaluation result
+ * @returns {number}
+ */
+function realPart(value) {
+  if (typeof value === 'object' && value !== null && 're' in value) {
+    return value.re;
+  }
+  return value;
+}
+
+/**
+ * Evaluate with the native function when there is one, falling back to
+ * math.js when it yields NaN. Math gives NaN where math.js returns a complex
+ * number (e.g. sqrt of a negative), so the fallback keeps the real-part
+ * semantics of the evaluate path.
+ * @param {Function|null} nativeFn - Generated `(x, y) => number` function
+ * @param {Object} compiled - math.js compiled expression
+ * @param {number} x
+ * @param {number} y
+ * @returns {number}
+ */
+function evaluateReal(nativeFn, compiled, x, y) {
+  if (nativeFn) {
+    const value = nativeFn(x, y);
+    if (!Number.isNaN(value)) return value;
+  }
+  return realPart(compiled.evaluate({ x, y }));
+}
+
+/** Symbols math.js defines itself, which are never target parameters */
+const BUILTIN_SYMBOLS = new Set([
+  'e',
+  'E',
+  'pi',
+  'PI',
+  'tau',
+  'phi',
+  'i',
+  'Infinity',
+  'NaN',
+  'true',
+  'false',
+  'null',
+  'LN2',
+  'LN10',
+  'LOG2E',
+  'LOG10E',
+  'SQRT1_2',
+  'SQRT2',
+]);
+
+/**
+ * Free symbols of a parsed expression other than x, y and math.js constants
+ * @param {Object} node - math.js node
+ * @returns {Array<string>} Names in order of first appearance
+ */
+function freeSymbols(node) {
+  const names = [];
+  node.traverse((child, path, parent) => {
+    // The name of a called function is a SymbolNode too
+    if (
+      !child.isSymbolNode ||
+      (parent && parent.isFunctionNode && path === 'fn')
+    ) {
+      return;
+    }
+    const { name } = child;
+    if (name === 'x' || name === 'y' || BUILTIN_SYMBOLS.has(name)) return;
+    if (!names.includes(name)) names.push(name);
+  });
+  return names;
+}
+
+/**
+ * Target parameters of a density expression: every free symbol besides x and y
+ * @param {string} pdfString - Unnormalized PDF, e.g. "exp(-(x - mu)^2 / (2*sigma^2))"
+ * @returns {Array<string>} Parameter names in order of first appearance
+ * @throws {Error} If the expression does not parse
+ */
+export function detectParameters(pdfString) {
+  try {
+    return freeSymbols(parse(pdfString));
+  } catch (e) {
+    throw new Error(`Syntax error in PDF string: ${e.message}`);
+  }
+}
+
 export class Logp {
   /**
    * @param {string} pdfString - User input string for unnormalized PDF, e.g., "exp(-(x^2 + y^2))"
+   * @param {Object} [options]
+   * @param {boolean} [options.native=true] - Generate plain JS functions from the simplified expressions where possible
+   * @param {Object<string, number>} [options.parameters={}] - Values of the free symbols besides x and y (see detectParameters)
    */
-  constructor(pdfString) {
+  constructor(pdfString, { native = true, parameters = {} } = {}) {
     if (!pdfString || typeof pdfString !== 'string') {
       throw new Error('Invalid input: PDF must be a non-empty string.');
     }
 
     // 1. Parse the string to validate and check symbols
+    let pdfNode;
     try {
-      parse(pdfString);
+      pdfNode = parse(pdfString);
     } catch (e) {
       logger.error('logP compile error', { message: e.message });
       throw new Error(`Syntax error in PDF string: ${e.message}`);
     }
+    this.parameters = freeSymbols(pdfNode);
+    this.parameterValues = {};
+    this.parameters.forEach((name) => {
+      if (!Number.isFinite(parameters[name])) {
+        logger.error('logP compile error', { missingParameter: name });
+        throw new Error(`Missing value for parameter '${name}'`);
+      }
+      this.parameterValues[name] = parameters[name];
+    });
 
     // 2. Apply log transform: log(pdfString)
     const logExpr = `log(${pdfString})`;
     let logNode;
     try {
-      logNode = parse(logExpr);
+      // Parameters become constants, so simplification, gradients and
+      // native code see an expression in x and y only
+      logNode = parse(logExpr).transform((node, path, parent) =>
+        node.isSymbolNode &&
+        Object.hasOwn(this.parameterValues, node.name) &&
+        !(parent && parent.isFunctionNode && path === 'fn')
+          ? new ConstantNode(this.parameterValues[node.name])
+          : node
+      );
     } catch (e) {
       logger.error('logP compile error', { message: e.message });
       throw new Error(`Error parsing log expression: ${e.message}`);
@@ -45,7 +156,7 @@ export class Logp {
     } catch (e) {
       logger.error('logP compile error', { message: e.message });
       throw new Error(
-        `Invalid function: unable to evaluate. Ensure only 'x' and 'y' are used as variables. Details: ${e.message}`
+        `Invalid function: unable to evaluate. Ensure only 'x', 'y' and target parameters are used as variables. Details: ${e.message}`
       );
     }
 
@@ -64,6 +175,16 @@ export class Logp {
     this.gradXCompiled = this.gradXNode.compile();
     this.gradYCompiled = this.gradYNode.compile();
 
+    // 7. Native code generation; null entries use math.js evaluate
+    this.logNative = native ? compileNative(this.logNode) : null;
+    this.gradXNative = native ? compileNative(this.gradXNode) : null;
+    this.gradYNative = native ? compileNative(this.gradYNode) : null;
+    logger.debug('logP native compile', {
+      logP: !!this.logNative,
+      gradX: !!this.gradXNative,
+      gradY: !!this.gradYNative,
+    });
+
     logger.info('logP compiled', { expr: pdfString.slice(0, 60) });
   }
 
@@ -75,13 +196,9 @@ export class Logp {
    */
   getLogProbability(x, y) {
     try {
-      const result = this.logCompiled.evaluate({ x, y });
-      // Math.js may return complex numbers for some expressions
-      // Extract the real part if it's a complex number object
-      if (typeof result === 'object' && result !== null && 're' in result) {
-        return result.re;
-      }
-      return result;
+      // Math.js may return complex numbers for some expressions;
+      // only their real part is used
+      return evaluateReal(this.logNative, this.logCompiled, x, y);
     } catch (e) {
       throw new Error(`Error evaluating log probability: ${e.message}`);
     }
@@ -95,18 +212,10 @@ export class Logp {
    */
   getLogProbabilityGradient(x, y) {
     try {
-      let dx = this.gradXCompiled.evaluate({ x, y });
-      let dy = this.gradYCompiled.evaluate({ x, y });
-
-      // Extract real parts if math.js returned complex numbers
-      if (typeof dx === 'object' && dx !== null && 're' in dx) {
-        dx = dx.re;
-      }
-      if (typeof dy === 'object' && dy !== null && 're' in dy) {
-        dy = dy.re;
-      }
-
-      return [dx, dy];
+      return [
+        evaluateReal(this.gradXNative, this.gradXCompiled, x, y),
+        evaluateReal(this.gradYNative, this.gradYCompiled, x, y),
+      ];
     } catch (e) {
       throw new Error(`Error evaluating gradient: ${e.message}`);
     }
@@ -0,0 +1,161 @@
+/**
+ * Code generation from simplified math.js expression trees to plain
+ * `(x, y) => number` JavaScript functions.
+ *
+ * Only a whitelisted subset of nodes is translated; anything else makes
+ * compileNative return null so the caller can keep using math.js evaluate.
+ * The generated source only ever contains numeric literals, the parameters
+ * x and y, operators and Math.* calls, never user-supplied identifiers.
+ */
+
+/** Unary Math functions with a direct math.js counterpart */
+const UNARY_FUNCTIONS = {
+  exp: 'Math.exp',
+  sqrt: 'Math.sqrt',
+  abs: 'Math.abs',
+  sin: 'Math.sin',
+  cos: 'Math.cos',
+  tan: 'Math.tan',
+  asin: 'Math.asin',
+  acos: 'Math.acos',
+  atan: 'Math.atan',
+  sinh: 'Math.sinh',
+  cosh: 'Math.cosh',
+  tanh: 'Math.tanh',
+  cbrt: 'Math.cbrt',
+  log10: 'Math.log10',
+  log2: 'Math.log2',
+  log1p: 'Math.log1p',
+  expm1: 'Math.expm1',
+  sign: 'Math.sign',
+};
+
+/** Functions expressed in terms of their arguments' generated source */
+const CUSTOM_FUNCTIONS = {
+  log: (args) =>
+    args.length === 1
+      ? `Math.log(${args[0]})`
+      : `(Math.log(${args[0]}) / Math.log(${args[1]}))`,
+  square: ([a]) => `(${a} * ${a})`,
+  cube: ([a]) => `(${a} * ${a} * ${a})`,
+  sec: ([a]) => `(1 / Math.cos(${a}))`,
+  csc: ([a]) => `(1 / Math.sin(${a}))`,
+  cot: ([a]) => `(1 / Math.tan(${a}))`,
+  atan2: ([a, b]) => `Math.atan2(${a}, ${b})`,
+  pow: ([a, b]) => `Math.pow(${a}, ${b})`,
+};
+
+/** Allowed argument counts for CUSTOM_FUNCTIONS */
+const CUSTOM_ARITY = {
+  log: [1, 2],
+  square: [1],
+  cube: [1],
+  sec: [1],
+  csc: [1],
+  cot: [1],
+  atan2: [2],
+  pow: [2],
+};
+
+/** Binary operators that map one-to-one onto JavaScript */
+const BINARY_OPERATORS = {
+  add: '+',
+  subtract: '-',
+  multiply: '*',
+  divide: '/',
+};
+
+/** Symbols other than the variables that are safe to inline */
+const CONSTANT_SYMBOLS = {
+  x: 'x',
+  y: 'y',
+  pi: 'Math.PI',
+  PI: 'Math.PI',
+  e: 'Math.E',
+  E: 'Math.E',
+};
+
+/**
+ * Translate one node to a JavaScript expression string
+ * @param {Object} node - math.js node
+ * @returns {string} Fully parenthesised JavaScript source
+ * @throws {Error} If the node (or one of its children) is not supported
+ */
+function toSource(node) {
+  switch (node.type) {
+    case 'ConstantNode':
+      if (typeof node.value !== 'number') break;
+      return `(${String(node.value)})`;
+
+    case 'SymbolNode':
+      if (Object.hasOwn(CONSTANT_SYMBOLS, node.name)) {
+        return CONSTANT_SYMBOLS[node.name];
+      }
+      break;
+
+    case 'ParenthesisNode':
+      return toSource(node.content);
+
+    case 'OperatorNode': {
+      const args = node.args.map(toSource);
+      if (args.length === 1) {
+        if (node.fn === 'unaryMinus') return `(-${args[0]})`;
+        if (node.fn === 'unaryPlus') return args[0];
+      } else if (args.length === 2) {
+        if (node.fn === 'pow') return `Math.pow(${args[0]}, ${args[1]})`;
+        if (Object.hasOwn(BINARY_OPERATORS, node.fn)) {
+          return `(${args[0]} ${BINARY_OPERATORS[node.fn]} ${args[1]})`;
+        }
+      }
+      break;
+    }
+
+    case 'FunctionNode': {
+      const name = node.fn.name;
+      const args = node.args.map(toSource);
+      if (Object.hasOwn(UNARY_FUNCTIONS, name) && args.length === 1) {
+        return `${UNARY_FUNCTIONS[name]}(${args[0]})`;
+      }
+      if (
+        Object.hasOwn(CUSTOM_FUNCTIONS, name) &&
+        CUSTOM_ARITY[name].includes(args.length)
+      ) {
+        return CUSTOM_FUNCTIONS[name](args);
+      }
+      break;
+    }
+
+    default:
+      break;
+  }
+  throw new Error(`Unsupported node: ${node.type} ${node.toString()}`);
+}
+
+/**
+ * Generate the JavaScript source for a math.js expression
+ * @param {Object} node - math.js node (typically simplified)
+ * @returns {string|null} Expression source in x and y, or null if unsupported
+ */
+export function generateSource(node) {
+  try {
+    return toSource(node);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Compile a math.js expression into a native function of x and y
+ * @param {Object} node - math.js node (typically simplified)
+ * @returns {Function|null} `(x, y) => number`, or null if the expression uses unsupported nodes
+ */
+export function compileNative(node) {
+  const source = generateSource(node);
+  if (source === null) return null;
+  try {
+    return new Function('x', 'y', `'use strict'; return ${source};`);
+  } catch {
+    // e.g. a Content-Security-Policy that forbids code generation
+    return null;
+  }
+}
@@ -1,4 +1,12 @@
-import { CONTOUR, HMC_SAMPLER, TRACE_PLOT } from './plotConfig.json';
+import {
+  CONTOUR,
+  HMC_SAMPLER,
+  TRACE_PLOT,
+  ENERGY_PLOT,
+  PHASE_SPACE,
+  ACF_PLOT,
+  HISTOGRAM,
+} from './plotConfig.json';
 
 /**
  * Creates a Plotly contour trace configuration
@@ -80,12 +88,14 @@ export function generateGrid(xR, yR) {
  * @param {Array<{x: number, y: number}>} trajectory - Array of trajectory points from leapfrog integrator
  * @param {string} [color] - Optional color for the trajectory (defaults to primary color)
  * @param {string} [name] - Optional name for the trace (defaults to 'Trajectory')
+ * @param {boolean} [divergent] - Draw the line in the divergent-transition style
  * @returns {object|null} Plotly trace object or null if trajectory is empty
  */
 export function createTrajectoryTrace(
   trajectory,
   color = HMC_SAMPLER.styles.primaryColor,
-  name = 'Trajectory'
+  name = 'Trajectory',
+  divergent = false
 ) {
   // Handle invalid or empty trajectory
   if (!trajectory || !Array.isArray(trajectory) || trajectory.length === 0) {
@@ -97,10 +107,9 @@ export function createTrajectoryTrace(
     mode: 'lines+markers',
     x: trajectory.map((p) => p.x),
     y: trajectory.map((p) => p.y),
-    line: {
-      color: color,
-      ...HMC_SAMPLER.trajectory.line,
-    },
+    line: divergent
+      ? { color: HMC_SAMPLER.divergent.color, ...HMC_SAMPLER.divergent.line }
+      : { color: color, ...HMC_SAMPLER.trajectory.line },
     marker: {
       color: color,
       ...HMC_SAMPLER.trajectory.marker,
@@ -111,6 +120,117 @@ export function createTrajectoryTrace(
   };
 }
 
+/**
+ * Creates Plotly scatter traces for the forward and backward expansions of a
+ * NUTS doubling tree. Both paths start at the tree origin so they meet at the
+ * point the transition started from.
+ * @param {{origin: {x: number, y: number}, forward: Array<{x: number, y: number}>, backward: Array<{x: number, y: number}>}} tree - Doubling tree from a NUTS step
+ * @param {string} [color] - Optional color for both expansions (defaults to primary color)
+ * @param {string} [name] - Optional base name for the traces (defaults to 'Tree')
+ * @param {boolean} [divergent] - Draw the lines in the divergent-transition
+ *   colour and width; each direction keeps its dash so they stay apart
+ * @returns {object[]} Array of Plotly trace objects (backward then forward), empty if tree is missing
+ */
+export function createTreeTraces(
+  tree,
+  color = HMC_SAMPLER.styles.primaryColor,
+  name = 'Tree',
+  divergent = false
+) {
+  if (!tree || !tree.origin) {
+    return [];
+  }
+
+  const traces = [];
+  [
+    ['backward', tree.backward],
+    ['forward', tree.forward],
+  ].forEach(([direction, points]) => {
+    if (!points || points.length === 0) return;
+    const path = [tree.origin, ...points];
+    traces.push({
+      type: 'scatter',
+      mode: 'lines+markers',
+      x: path.map((p) => p.x),
+      y: path.map((p) => p.y),
+      line: divergent
+        ? {
+            ...HMC_SAMPLER.tree[direction].line,
+            color: HMC_SAMPLER.divergent.color,
+            width: HMC_SAMPLER.divergent.line.width,
+          }
+        : { color: color, ...HMC_SAMPLER.tree[direction].line },
+      marker: {
+        color: color,
+        ...HMC_SAMPLER.tree.marker,
+      },
+      name: `${name} (${direction})`,
+      showlegend: true,
+      hovertemplate: `${direction}<br>x: %{x:.2f}<br>y: %{y:.2f}<extra></extra>`,
+    });
+  });
+
+  return traces;
+}
+
+/**
+ * Creates a Plotly scatter trace outlining the covariance ellipse of a fitted
+ * HMC metric. The inverse mass matrix approximates the target covariance, so
+ * the ellipse shows the nSigma contour of N(center, M⁻¹).
+ * @param {{invMass: {xx: number, xy: number, yy: number}, center: {x: number, y: number}}} metric - Metric fitted during warmup
+ * @param {string} [color] - Optional color (defaults to primary color)
+ * @param {string} [name] - Optional trace name (defaults to 'Metric')
+ * @returns {object|null} Plotly trace object, or null if no metric is given
+ */
+export function createMetricEllipseTrace(
+  metric,
+  color = HMC_SAMPLER.styles.primaryColor,
+  name = 'Metric'
+) {
+  if (!metric || !metric.invMass || !metric.center) {
+    return null;
+  }
+
+  const { xx, xy, yy } = metric.invMass;
+  const { points, nSigma, line } = HMC_SAMPLER.metricEllipse;
+
+  // Eigen-decomposition of the symmetric 2×2 covariance
+  const half = (xx + yy) / 2;
+  const diff = Math.sqrt(((xx - yy) / 2) ** 2 + xy * xy);
+  const l1 = half + diff;
+  const l2 = Math.max(half - diff, 0);
+  const theta = 0.5 * Math.atan2(2 * xy, xx - yy);
+  const a = nSigma * Math.sqrt(l1);
+  const b = nSigma * Math.sqrt(l2);
+  const cos = Math.cos(theta);
+  const sin = Math.sin(theta);
+
+  const x = [];
+  const y = [];
+  // Inclusive upper bound closes the path
+  for (let i = 0; i <= points; i++) {
+    const t = (2 * Math.PI * i) / points;
+    const u = a * Math.cos(t);
+    const v = b * Math.sin(t);
+    x.push(metric.center.x + u * cos - v * sin);
+    y.push(metric.center.y + u * sin + v * cos);
+  }
+
+  return {
+    type: 'scatter',
+    mode: 'lines',
+    x,
+    y,
+    line: {
+      color: color,
+      ...line,
+    },
+    name: name,
+    showlegend: true,
+    hoverinfo: 'skip',
+  };
+}
+
 /**
  * Creates a Plotly scatter trace for accepted samples visualization
  * @param {Array<{x: number, y: number}>} samples - Array of accepted sample points
@@ -147,6 +267,105 @@ export function createSamplesTrace(
   };
 }
 
+/**
+ * Creates a Plotly scatter trace marking rejected proposals with crosses
+ * @param {Array<{x: number, y: number}>} proposals - Rejected proposal points
+ * @param {string} [color] - Optional color (defaults to primary color)
+ * @param {string} [name] - Optional trace name (defaults to 'Rejected')
+ * @returns {object|null} Plotly trace object, or null if there are no proposals
+ */
+export function createRejectedTrace(
+  proposals,
+  color = HMC_SAMPLER.styles.primaryColor,
+  name = 'Rejected'
+) {
+  if (!proposals || !Array.isArray(proposals) || proposals.length === 0) {
+    return null;
+  }
+
+  return {
+    type: 'scatter',
+    mode: 'markers',
+    x: proposals.map((p) => p.x),
+    y: proposals.map((p) => p.y),
+    marker: {
+      color: color,
+      ...HMC_SAMPLER.rejected.marker,
+    },
+    name: name,
+    showlegend: true,
+    hovertemplate: 'Rejected<br>x: %{x:.2f}<br>y: %{y:.2f}<extra></extra>',
+  };
+}
+
+/**
+ * Creates a Plotly layout annotation drawing a momentum vector as an arrow.
+ * The arrow starts at the position and is scaled by HMC_SAMPLER.momentumArrow.scale.
+ * @param {{x: number, y: number}} position - Point the momentum belongs to
+ * @param {{x: number, y: number}} momentum - Momentum at that point
+ * @param {string} [color] - Optional arrow color (defaults to primary color)
+ * @returns {object|null} Plotly annotation object, or null if either input is missing
+ */
+export function createMomentumArrow(
+  position,
+  momentum,
+  color = HMC_SAMPLER.styles.primaryColor
+) {
+  if (!position || !momentum) {
+    return null;
+  }
+
+  const { scale, ...arrowStyle } = HMC_SAMPLER.momentumArrow;
+  return {
+    x: position.x + scale * momentum.x,
+    y: position.y + scale * momentum.y,
+    ax: position.x,
+    ay: position.y,
+    xref: 'x',
+    yref: 'y',
+    axref: 'x',
+    ayref: 'y',
+    text: '',
+    showarrow: true,
+    ...arrowStyle,
+    arrowcolor: color,
+  };
+}
+
+/**
+ * Creates a Plotly scatter trace marking where divergent transitions started.
+ * Markers share one colour across chains and take the chain colour as outline.
+ * @param {Array<{x: number, y: number}>} points - Starting positions of divergent transitions
+ * @param {string} [color] - Optional outline color (defaults to primary color)
+ * @param {string} [name] - Optional trace name (defaults to 'Divergences')
+ * @returns {object|null} Plotly trace object, or null if there are no divergences
+ */
+export function createDivergenceTrace(
+  points,
+  color = HMC_SAMPLER.styles.primaryColor,
+  name = 'Divergences'
+) {
+  if (!points || !Array.isArray(points) || points.length === 0) {
+    return null;
+  }
+
+  const { marker } = HMC_SAMPLER.divergent;
+  return {
+    type: 'scatter',
+    mode: 'markers',
+    x: points.map((p) => p.x),
+    y: points.map((p) => p.y),
+    marker: {
+      ...marker,
+      color: HMC_SAMPLER.divergent.color,
+      line: { ...marker.line, color: color },
+    },
+    name: name,
+    showlegend: true,
+    hovertemplate: 'Divergent<br>x: %{x:.2f}<br>y: %{y:.2f}<extra></extra>',
+  };
+}
+
 /**
  * Converts a hex color to rgba string
  * @param {string} hex - Hex color string (e.g., "#ff0000")
@@ -162,7 +381,7 @@ function hexToRgba(hex, alpha) {
 
 /**
  * Creates Plotly traces for trace plots (iteration vs value)
- * @param {Array<{x: number, y: number}>} samples - Array of accepted sample points
+ * @param {Array<{x: number, y: number}>} samples - One point per iteration; rejected iterations repeat the previous point
  * @param {string} axis - 'x' or 'y' to plot
  * @param {number} burnIn - Number of samples to treat as burn-in
  * @param {string} [color] - Color for the valid samples
@@ -238,6 +457,203 @@ export function createTracePlotTrace(
   return traces;
 }
 
+/**
+ * Creates Plotly traces for the Hamiltonian, kinetic and potential energy
+ * along one trajectory (leapfrog step vs energy). The three components share
+ * the chain colour and differ in dash style; they are grouped in the legend
+ * so a whole chain can be toggled at once.
+ * @param {Array<{H: number, K: number, U: number}>} energy - Energy after each leapfrog step
+ * @param {string} [color] - Line color (defaults to primary color)
+ * @param {string} [name] - Chain label used in trace names (defaults to 'Energy')
+ * @returns {object[]} H, K and U traces, empty if there is no energy record
+ */
+export function createEnergyTraces(
+  energy,
+  color = HMC_SAMPLER.styles.primaryColor,
+  name = 'Energy'
+) {
+  if (!energy || !Array.isArray(energy) || energy.length === 0) {
+    return [];
+  }
+
+  const steps = energy.map((_, i) => i);
+  return Object.entries(ENERGY_PLOT.components).map(
+    ([key, { label, dash, width }]) => ({
+      type: 'scatter',
+      mode: 'lines+markers',
+      x: steps,
+      y: energy.map((e) => e[key]),
+      line: { color: color, dash: dash, width: width },
+      marker: { color: color, size: 3 },
+      name: `${label} (${name})`,
+      legendgroup: name,
+      showlegend: true,
+      hovertemplate: `Step: %{x}<br>${label}: %{y:.4f}<extra></extra>`,
+    })
+  );
+}
+
+/**
+ * Creates a Plotly scatter trace of one trajectory in the (q_d, p_d) plane
+ * @param {Array<{x: number, y: number}>} trajectory - Positions after each leapfrog step
+ * @param {Array<{x: number, y: number}>} momentum - Momenta after each leapfrog step
+ * @param {'x'|'y'} axis - Coordinate to plot
+ * @param {string} [color] - Line color (defaults to primary color)
+ * @param {string} [name] - Trace name (defaults to 'Phase space')
+ * @returns {object|null} Plotly trace object, or null if there is no momentum record
+ */
+export function createPhaseSpaceTrace(
+  trajectory,
+  momentum,
+  axis,
+  color = HMC_SAMPLER.styles.primaryColor,
+  name = 'Phase space'
+) {
+  if (!trajectory || !momentum || momentum.length === 0) {
+    return null;
+  }
+
+  // Divergent trajectories can stop with one more position than momenta
+  const n = Math.min(trajectory.length, momentum.length);
+  return {
+    type: 'scatter',
+    mode: 'lines+markers',
+    x: trajectory.slice(0, n).map((q) => q[axis]),
+    y: momentum.slice(0, n).map((p) => p[axis]),
+    line: {
+      color: color,
+      ...HMC_SAMPLER.trajectory.line,
+    },
+    marker: {
+      color: color,
+      ...HMC_SAMPLER.trajectory.marker,
+    },
+    name: name,
+    showlegend: true,
+    hovertemplate: `q_${axis}: %{x:.2f}<br>p_${axis}: %{y:.2f}<extra></extra>`,
+  };
+}
+
+/**
+ * Creates a Plotly contour trace of Hamiltonian level sets in one phase plane
+ * @param {Function} hamiltonian - (q, p) => H on the plane
+ * @param {[number, number]} qRange - Position range
+ * @param {[number, number]} pRange - Momentum range
+ * @returns {object} Plotly contour trace drawn as unfilled lines
+ */
+export function createPhaseLevelSetTrace(hamiltonian, qRange, pRange) {
+  const { resolution, ncontours, line } = PHASE_SPACE.levelSets;
+  const linspace = ([lo, hi]) =>
+    Array.from(
+      { length: resolution },
+      (_, i) => lo + ((hi - lo) * i) / (resolution - 1)
+    );
+  const q = linspace(qRange);
+  const p = linspace(pRange);
+  const z = p.map((pVal) => q.map((qVal) => hamiltonian(qVal, pVal)));
+
+  return {
+    type: 'contour',
+    x: q,
+    y: p,
+    z,
+    ncontours,
+    contours: { coloring: 'lines', showlabels: false },
+    line: { ...line },
+    colorscale: [
+      [0, line.color],
+      [1, line.color],
+    ],
+    showscale: false,
+    name: 'H level sets',
+    showlegend: true,
+    hoverinfo: 'skip',
+  };
+}
+
+/**
+ * Creates a Plotly trace of an autocorrelation function (lag vs correlation)
+ * @param {number[]} acf - Autocorrelation at lags 0, 1, 2, …
+ * @param {string} [color] - Line color (defaults to primary color)
+ * @param {string} [name] - Trace name (defaults to 'ACF')
+ * @returns {object|null} Plotly trace object, or null if the ACF is empty
+ */
+export function createAutocorrelationTrace(
+  acf,
+  color = HMC_SAMPLER.styles.primaryColor,
+  name = 'ACF'
+) {
+  if (!acf || !Array.isArray(acf) || acf.length === 0) {
+    return null;
+  }
+
+  return {
+    type: 'scatter',
+    mode: 'lines+markers',
+    x: acf.map((_, k) => k),
+    y: acf,
+    line: { color: color, width: 1.5 },
+    marker: { color: color, size: 4 },
+    name: name,
+    showlegend: true,
+    hovertemplate: 'Lag: %{x}<br>ρ: %{y:.3f}<extra></extra>',
+  };
+}
+
+/**
+ * Creates a Plotly trace of a distance to the target against iteration
+ * @param {number[]} iterations - Checkpoint iterations
+ * @param {number[]} values - Distance at each checkpoint
+ * @param {string} [color] - Line color (defaults to primary color)
+ * @param {string} [name] - Trace name (defaults to 'Distance')
+ * @returns {object|null} Plotly trace object, or null without checkpoints
+ */
+export function createDistanceTrace(
+  iterations,
+  values,
+  color = HMC_SAMPLER.styles.primaryColor,
+  name = 'Distance'
+) {
+  if (!iterations || !Array.isArray(iterations) || iterations.length === 0) {
+    return null;
+  }
+
+  return {
+    type: 'scatter',
+    mode: 'lines+markers',
+    x: iterations,
+    y: values,
+    line: { color: color, width: 1.5 },
+    marker: { color: color, size: 4 },
+    name: name,
+    showlegend: true,
+    hovertemplate: 'Iteration: %{x}<br>%{y:.4g}<extra></extra>',
+  };
+}
+
+/**
+ * Creates a vertical layout shape marking the lag where Geyer's truncation
+ * stopped summing autocorrelations
+ * @param {number} lag - Last lag included in the ESS estimate
+ * @param {string} [color] - Line color (defaults to primary color)
+ * @returns {object} Plotly layout shape spanning the full plot height
+ */
+export function createCutoffShape(
+  lag,
+  color = HMC_SAMPLER.styles.primaryColor
+) {
+  return {
+    type: 'line',
+    xref: 'x',
+    yref: 'paper',
+    x0: lag,
+    x1: lag,
+    y0: 0,
+    y1: 1,
+    line: { color: color, ...ACF_PLOT.cutoffLine },
+  };
+}
+
 /**
  * Creates a Plotly histogram2d trace for joint distribution visualization
  * @param {Array<{x: number, y: number}>} samples - Array of sample points
@@ -272,6 +688,7 @@ export function createHistogram2DTrace(
  * @param {string} [color] - Color for the histogram bars
  * @param {string} [name] - Name for the trace
  * @param {string} [orientation] - 'v' for vertical (default) or 'h' for horizontal
+ * @param {string} [histnorm] - Plotly histnorm, e.g. 'probability density' to compare with a density curve (default: counts)
  * @returns {object|null} Plotly trace object or null if samples is empty
  */
 export function createMarginalHistogramTrace(
@@ -279,7 +696,8 @@ export function createMarginalHistogramTrace(
   dimension,
   color = HMC_SAMPLER.styles.primaryColor,
   name = 'Histogram',
-  orientation = 'v'
+  orientation = 'v',
+  histnorm = ''
 ) {
   if (!samples || !Array.isArray(samples) || samples.length === 0) {
     return null;
@@ -296,7 +714,37 @@ export function createMarginalHistogramTrace(
       opacity: 0.7,
     },
     orientation: orientation,
+    histnorm: histnorm,
+    showlegend: false,
+    hovertemplate: `${dimension}: %{${orientation === 'v' ? 'x' : 'y'}:.2f}<br>${histnorm ? 'Density' : 'Count'}: %{${orientation === 'v' ? 'y' : 'x'}}<extra></extra>`,
+  };
+}
+
+/**
+ * Creates a Plotly line trace of a reference marginal density
+ * @param {{grid: number[], density: number[]}} marginal - Density at grid points (see groundTruth.js)
+ * @param {string} dimension - 'x' or 'y', used in the hover text
+ * @param {string} [orientation] - 'v' draws density upwards (default), 'h' sideways to match a horizontal histogram
+ * @returns {object|null} Plotly trace object or null without a marginal
+ */
+export function createTrueMarginalTrace(
+  marginal,
+  dimension,
+  orientation = 'v'
+) {
+  if (!marginal || !marginal.grid || marginal.grid.length === 0) {
+    return null;
+  }
+
+  const vertical = orientation === 'v';
+  return {
+    type: 'scatter',
+    mode: 'lines',
+    x: vertical ? marginal.grid : marginal.density,
+    y: vertical ? marginal.density : marginal.grid,
+    line: { ...HISTOGRAM.trueDensityLine },
+    name: 'True density',
     showlegend: false,
-    hovertemplate: `${dimension}: %{${orientation === 'v' ? 'x' : 'y'}:.2f}<br>Count: %{${orientation === 'v' ? 'y' : 'x'}}<extra></extra>`,
+    hovertemplate: `${dimension}: %{${vertical ? 'x' : 'y'}:.2f}<br>True density: %{${vertical ? 'y' : 'x'}:.3f}<extra></extra>`,
   };
 }
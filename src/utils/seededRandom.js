@@ -53,3 +53,15 @@ export class SeededRandom {
     return this.seed;
   }
 }
+
+/**
+ * Generate a standard normal random variable using Box-Muller transform
+ * @param {Object} [rng] - Optional seeded RNG with random() method
+ * @returns {number} Sample from N(0, 1)
+ */
+export function randn(rng = null) {
+  const randomFn = rng ? () => rng.random() : Math.random;
+  const u1 = randomFn();
+  const u2 = randomFn();
+  return Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+}
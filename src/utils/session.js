@@ -0,0 +1,233 @@
+/**
+ * Session files: everything needed to reopen the app in the same state.
+ *
+ * Chains are stored as SamplingChain snapshots (see SamplingChain#toSnapshot).
+ * Without samples only the `config` part is written and the chains start
+ * fresh; with samples the `state` part is kept too, including the RNG state,
+ * so a seeded chain continues exactly where it was saved.
+ */
+
+import {
+  DEFAULT_SAMPLER_PARAMS,
+  MAX_TREE_DEPTH,
+} from '../samplers/defaultConfigs';
+
+/** Format version written to and required from session files */
+export const SESSION_VERSION = 1;
+
+/**
+ * Build a session object
+ * @param {Object} settings
+ * @param {string} settings.logP - Target density expression
+ * @param {Object<string, Object>} [settings.parameters] - Target parameter settings ({min, max, step, value} by name)
+ * @param {Object} settings.axisLimits - {xMin, xMax, yMin, yMax}
+ * @param {number} settings.burnIn - Burn-in length
+ * @param {number} [settings.nSteps] - Step count for "Sample N Steps"
+ * @param {boolean} settings.useFastMode - Fast sampling mode flag
+ * @param {number} [settings.historyLimit] - Trajectory history limit
+ * @param {boolean} [settings.showAcceptedOnly] - Accepted-only scatter flag
+ * @param {Array<{config: Object, state: Object}>} snapshots - SamplingChain snapshots
+ * @param {Object} [options]
+ * @param {boolean} [options.includeSamples=false] - Keep each chain's sampling state
+ * @returns {Object} JSON-serialisable session
+ */
+export function createSession(
+  settings,
+  snapshots,
+  { includeSamples = false } = {}
+) {
+  return {
+    version: SESSION_VERSION,
+    logP: settings.logP,
+    parameters: settings.parameters,
+    axisLimits: { ...settings.axisLimits },
+    burnIn: settings.burnIn,
+    nSteps: settings.nSteps,
+    useFastMode: settings.useFastMode,
+    historyLimit: settings.historyLimit,
+    showAcceptedOnly: settings.showAcceptedOnly,
+    chains: snapshots.map(({ config, state }) =>
+      includeSamples ? { config, state } : { config }
+    ),
+  };
+}
+
+/**
+ * @param {*} value
+ * @returns {boolean} Whether value is a finite number
+ */
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+/** @returns {boolean} Whether value is a plain object (not null or an array) */
+const isObject = (value) =>
+  value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/** @returns {boolean} Whether value is a point with numeric x and y */
+const isPoint = (value) =>
+  isObject(value) && isNumber(value.x) && isNumber(value.y);
+
+const arrayOf = (check) => (value) =>
+  Array.isArray(value) && value.every(check);
+const nullable = (check) => (value) => value === null || check(value);
+
+/** Check for each sampling-state field a session may carry (see SamplingChain#toSnapshot) */
+const STATE_CHECKS = {
+  samples: arrayOf(isPoint),
+  acceptedSamples: arrayOf(isPoint),
+  sampleStats: arrayOf(isObject),
+  trajectory: arrayOf(isPoint),
+  momentum: arrayOf(isObject),
+  energy: arrayOf(isObject),
+  tree: nullable(isObject),
+  history: arrayOf(isObject),
+  rejectedProposals: arrayOf(isPoint),
+  divergences: arrayOf(isPoint),
+  divergent: (value) => typeof value === 'boolean',
+  divergentCount: isNumber,
+  epsilonHistory: arrayOf(isNumber),
+  rejectedCount: isNumber,
+  acceptedCount: isNumber,
+  error: nullable((value) => typeof value === 'string'),
+  currentParticle: (value) =>
+    isObject(value) && isPoint(value.q) && isPoint(value.p),
+  epsilon: isNumber,
+  fittedMetric: nullable(isObject),
+  adapter: nullable(isObject),
+  metricEstimator: nullable(isObject),
+  rngState: nullable(isNumber),
+};
+
+/** Mass matrix types of HMC chains */
+const METRICS = ['identity', 'diag', 'dense'];
+
+/**
+ * First problem with a chain's sampler parameters
+ * @param {string} samplerType - Known sampler type
+ * @param {Object} params - config.params
+ * @returns {string|null} Name of the bad parameter, or null if all are valid
+ */
+function invalidParam(samplerType, params) {
+  const missing = Object.keys(DEFAULT_SAMPLER_PARAMS[samplerType]).find(
+    (key) => !isNumber(params[key])
+  );
+  if (missing) return missing;
+  const bad = Object.entries(params).find(([key, value]) => {
+    if (value === null) return false;
+    if (key === 'metric') return !METRICS.includes(value);
+    if (key === 'maxTreeDepth') {
+      return !(
+        Number.isInteger(value) &&
+        value >= 1 &&
+        value <= MAX_TREE_DEPTH
+      );
+    }
+    if (key === 'covariance') {
+      return !(
+        isObject(value) && ['xx', 'xy', 'yy'].every((k) => isNumber(value[k]))
+      );
+    }
+    return !isNumber(value);
+  });
+  return bad ? bad[0] : null;
+}
+
+/**
+ * Check a parsed session and throw on anything that cannot be restored
+ * @param {Object} session - Parsed session object
+ * @returns {Object} The same session
+ * @throws {Error} If the session is malformed or from another version
+ */
+export function validateSession(session) {
+  const fail = (reason) => {
+    throw new Error(`Invalid session file: ${reason}`);
+  };
+
+  if (!session || typeof session !== 'object') fail('not a JSON object');
+  if (session.version !== SESSION_VERSION) {
+    fail(`unsupported version ${session.version}`);
+  }
+  if (typeof session.logP !== 'string') fail('logP must be a string');
+  const { parameters } = session;
+  if (parameters !== undefined) {
+    const valid =
+      parameters &&
+      typeof parameters === 'object' &&
+      Object.values(parameters).every(
+        (p) =>
+          p &&
+          ['min', 'max', 'step', 'value'].every((k) => isNumber(p[k])) &&
+          p.min < p.max &&
+          p.step > 0
+      );
+    if (!valid) {
+      fail('parameters must map names to numeric min, max, step and value');
+    }
+  }
+  const { axisLimits } = session;
+  if (
+    !axisLimits ||
+    !['xMin', 'xMax', 'yMin', 'yMax'].every((k) => isNumber(axisLimits[k]))
+  ) {
+    fail('axisLimits must have numeric xMin, xMax, yMin and yMax');
+  }
+  if (!isNumber(session.burnIn) || session.burnIn < 0) {
+    fail('burnIn must be a non-negative number');
+  }
+  if (
+    session.nSteps !== undefined &&
+    !(Number.isInteger(session.nSteps) && session.nSteps > 0)
+  ) {
+    fail('nSteps must be a positive integer');
+  }
+  if (!Array.isArray(session.chains) || session.chains.length === 0) {
+    fail('chains must be a non-empty array');
+  }
+
+  const ids = new Set();
+  session.chains.forEach((chain, i) => {
+    const config = chain && chain.config;
+    if (!config) fail(`chain ${i + 1} has no config`);
+    if (!Object.hasOwn(DEFAULT_SAMPLER_PARAMS, config.samplerType)) {
+      fail(`chain ${i + 1} has unknown sampler ${config.samplerType}`);
+    }
+    if (!isObject(config.params)) {
+      fail(`chain ${i + 1} has no params`);
+    }
+    const param = invalidParam(config.samplerType, config.params);
+    if (param) fail(`chain ${i + 1} has an invalid ${param} parameter`);
+    const pos = config.initialPosition;
+    if (!pos || !isNumber(pos.x) || !isNumber(pos.y)) {
+      fail(`chain ${i + 1} has no numeric initial position`);
+    }
+    if (ids.has(config.id)) fail(`duplicate chain id ${config.id}`);
+    ids.add(config.id);
+
+    // Unknown fields are ignored on restore, so only known ones are checked
+    if (chain.state !== undefined) {
+      if (!isObject(chain.state)) fail(`chain ${i + 1} has an invalid state`);
+      const field = Object.keys(STATE_CHECKS).find(
+        (key) =>
+          chain.state[key] !== undefined && !STATE_CHECKS[key](chain.state[key])
+      );
+      if (field) fail(`chain ${i + 1} has an invalid ${field} state`);
+    }
+  });
+
+  return session;
+}
+
+/**
+ * Parse and validate session file contents
+ * @param {string} text - Session JSON
+ * @returns {Object} Validated session
+ * @throws {Error} If the text is not valid JSON or not a valid session
+ */
+export function parseSession(text) {
+  let session;
+  try {
+    session = JSON.parse(text);
+  } catch (e) {
+    throw new Error(`Invalid session file: ${e.message}`);
+  }
+  return validateSession(session);
+}
@@ -1,4 +1,5 @@
 import { logger } from './logger';
+import { fft, nextPowerOfTwo } from './fft';
 
 /**
  * Calculates the Gelman-Rubin potential scale reduction factor (R-hat) for MCMC chains.
@@ -93,6 +94,61 @@ export function calculateGelmanRubin(chains) {
   return results;
 }
 
+/**
+ * Autocovariance of a chain at every lag,
+ * gamma_k = (1 / n) * sum_{t=1}^{n-k} (x_t - mu)(x_{t+k} - mu).
+ *
+ * Computed by FFT in O(n log n): the centred draws are zero-padded to at
+ * least 2n so the circular correlation equals the linear one.
+ *
+ * @param {Array<number>} values - Draws of one chain.
+ * @returns {Array<number>} - gamma_0 … gamma_{n-1}.
+ */
+export function autocovariance(values) {
+  const n = values.length;
+  if (n === 0) return [];
+  const mean = values.reduce((a, b) => a + b, 0) / n;
+
+  const size = nextPowerOfTwo(2 * n);
+  const re = new Float64Array(size);
+  const im = new Float64Array(size);
+  for (let t = 0; t < n; t++) re[t] = values[t] - mean;
+
+  // Autocorrelation theorem: inverse transform of the power spectrum
+  fft(re, im);
+  for (let k = 0; k < size; k++) {
+    re[k] = re[k] * re[k] + im[k] * im[k];
+    im[k] = 0;
+  }
+  fft(re, im, true);
+
+  return Array.from(re.subarray(0, n), (v) => v / n);
+}
+
+/**
+ * Geyer's initial positive sequence truncation. Pairs
+ * Gamma_t = rho_{2t-1} + rho_{2t}, t = 1, 2, … are summed while they are
+ * positive, up to lag n / 2.
+ *
+ * @param {Function} getRhoK - Autocorrelation at lag k.
+ * @param {number} n - Draws per chain.
+ * @returns {{sumRho: number, cutoff: number}} - Sum of the kept autocorrelations (lags 1 and up) and the last lag kept (0 if none).
+ */
+function geyerTruncation(getRhoK, n) {
+  // Max lag? n/2 usually safe cap
+  const maxLag = Math.floor(n / 2); // heuristic cap
+
+  let t = 1;
+  let sumRho = 0;
+  while (2 * t < maxLag) {
+    const Gamma_t = getRhoK(2 * t - 1) + getRhoK(2 * t);
+    if (Gamma_t <= 0) break;
+    sumRho += Gamma_t; // We add (rho_{2t-1} + rho_{2t})
+    t++;
+  }
+  return { sumRho, cutoff: 2 * (t - 1) };
+}
+
 /**
  * Calculates the Effective Sample Size (ESS) for MCMC chains.
  *
@@ -128,24 +184,14 @@ export function calculateESS(chains) {
     // values2D is an array of arrays: [chain1Values, chain2Values, ...]
     // Each inner array has length n
 
-    // 2. Compute per-chain means and variances
-    // Variance at lag 0 (gamma_0)
-    const perChainStats = values2D.map((chainOps) => {
-      const sum = chainOps.reduce((a, b) => a + b, 0);
-      const mean = sum / n;
-      // Variance with denominator n (for autocovariance consistency usually n is used for lags)
-      // Guide says: gamma_0^(j) is sample variance with denominator n
-      const gamma0 =
-        chainOps.reduce((acc, val) => acc + (val - mean) ** 2, 0) / n;
-      return { mean, gamma0 };
-    });
+    // 2. Per-chain autocovariances gamma_k^(j) for every lag (denominator n),
+    // by FFT so that long chains stay O(n log n)
+    const perChainAcov = values2D.map((chainOps) => autocovariance(chainOps));
 
     // 4. Pool autocovariances across chains
-    // We need gamma_k_pooled for k = 0, 1, 2...
-    // We compute them on demand.
-    // gamma_0 pooled: average of gamma_0^(j)
-    const gamma0Pooled =
-      perChainStats.reduce((acc, s) => acc + s.gamma0, 0) / m;
+    const gammaPooled = (k) =>
+      perChainAcov.reduce((acc, acov) => acc + acov[k], 0) / m;
+    const gamma0Pooled = gammaPooled(0);
 
     if (gamma0Pooled === 0) {
       // Constant chains, ESS is undefined or could be considered max?
@@ -155,73 +201,11 @@ export function calculateESS(chains) {
       return totalSamples;
     }
 
-    // Function to compute pooled autocorrelation at lag k
-    const getRhoK = (k) => {
-      let sumGammaK = 0;
-      for (let j = 0; j < m; j++) {
-        const chainOps = values2D[j];
-        const mu_j = perChainStats[j].mean;
-
-        // gamma_k^(j) = (1 / n) * sum_{t=1}^{n-k} (x_t - mu_j)(x_{t+k} - mu_j)
-        // Note: Guide says denominator (n-k) reduces bias, but many use n.
-        // Let's use n as it's more standard in some Geyer implementations to guarantee positive definite.
-        // However, guide mentions: "Using denominator (n-k) reduces bias... both are OK".
-        // Let's use (n-k) for better estimate at larger k?
-        // Actually Geyer usually recommends the "variogram" approach or standard FFT with padding.
-        // For simple implementation without FFT, direct sum:
-
-        let sumCross = 0;
-        for (let t = 0; t < n - k; t++) {
-          sumCross += (chainOps[t] - mu_j) * (chainOps[t + k] - mu_j);
-        }
-        // Using n as denominator for autocovariance definition consistency with gamma0
-        // Or (n-k)? If we used n for gamma0, let's use n here too usually?
-        // "consistent estimators" usually divide by n.
-        // Let's stick to n.
-        sumGammaK += sumCross / n;
-      }
-      const gammaK = sumGammaK / m;
-      return gammaK / gamma0Pooled;
-    };
+    // Pooled autocorrelation at lag k
+    const getRhoK = (k) => gammaPooled(k) / gamma0Pooled;
 
     // 6. Truncation rule (Geyer's initial positive pairs)
-    // Gamma_t = rho_{2t} + rho_{2t+1} ... wait guide says:
-    // Gamma_t = rho_{2t-1} + rho_{2t} for t=1,2,...
-    // Sum Gamma_t while Gamma_t > 0.
-    // Stop when Gamma_t <= 0.
-
-    let t = 1;
-    let sumRho = 0;
-    // The sum needed for tau_int is: 1 + 2 * sum(rho_k)
-
-    // We sum pairs.
-    // rho_0 is always 1.
-    // We start looking at pairs (rho_1, rho_2), (rho_3, rho_4)...
-
-    // Wait, notation check:
-    // Gamma_1 = rho_1 + rho_2
-    // Gamma_2 = rho_3 + rho_4
-
-    // If Gamma_1 > 0, we add it.
-    // If Gamma_1 <= 0, we stop.
-
-    // Max lag? n/2 usually safe cap
-    const maxLag = Math.floor(n / 2); // heuristic cap
-
-    while (2 * t < maxLag) {
-      const rho1 = getRhoK(2 * t - 1);
-      const rho2 = getRhoK(2 * t);
-
-      const Gamma_t = rho1 + rho2;
-
-      if (Gamma_t > 0) {
-        sumRho += Gamma_t; // We add (rho_{2t-1} + rho_{2t})
-        t++;
-      } else {
-        // Stop
-        break;
-      }
-    }
+    const { sumRho } = geyerTruncation(getRhoK, n);
 
     // tau_int = 1 + 2 * sumRho
     const tauInt = 1 + 2 * sumRho;
@@ -244,3 +228,360 @@ export function calculateESS(chains) {
 
   return results;
 }
+
+/** Convergence threshold for split and rank-normalized R-hat (Vehtari et al. 2021) */
+export const RHAT_THRESHOLD = 1.01;
+
+/** Minimum draws per chain for split R-hat: each half needs two */
+export const MIN_SPLIT_DRAWS = 4;
+
+/**
+ * Inverse of the standard normal CDF, using Acklam's rational approximation
+ * (relative error below 1.2e-9).
+ *
+ * @param {number} p - Probability in (0, 1).
+ * @returns {number} - z such that Φ(z) = p.
+ */
+export function normalQuantile(p) {
+  const a = [
+    -3.969683028665376e1, 2.209460984245205e2, -2.759285104469687e2,
+    1.38357751867269e2, -3.066479806614716e1, 2.506628277459239,
+  ];
+  const b = [
+    -5.447609879822406e1, 1.615858368580409e2, -1.556989798598866e2,
+    6.680131188771972e1, -1.328068155288572e1,
+  ];
+  const c = [
+    -7.784894002430293e-3, -3.223964580411365e-1, -2.400758277161838,
+    -2.549732539343734, 4.374664141464968, 2.938163982698783,
+  ];
+  const d = [
+    7.784695709041462e-3, 3.224671290700398e-1, 2.445134137142996,
+    3.754408661907416,
+  ];
+  const pLow = 0.02425;
+
+  // Tails
+  const tail = (q) =>
+    (((((c[0] * q + c[1]) * q + c[2]) * q + c[3]) * q + c[4]) * q + c[5]) /
+    ((((d[0] * q + d[1]) * q + d[2]) * q + d[3]) * q + 1);
+  if (p < pLow) return tail(Math.sqrt(-2 * Math.log(p)));
+  if (p > 1 - pLow) return -tail(Math.sqrt(-2 * Math.log(1 - p)));
+
+  // Central region
+  const q = p - 0.5;
+  const r = q * q;
+  return (
+    ((((((a[0] * r + a[1]) * r + a[2]) * r + a[3]) * r + a[4]) * r + a[5]) *
+      q) /
+    (((((b[0] * r + b[1]) * r + b[2]) * r + b[3]) * r + b[4]) * r + 1)
+  );
+}
+
+/**
+ * Split every chain into its first and second half. With an odd length the
+ * middle draw is dropped, as in ArviZ.
+ *
+ * @param {Array<Array<number>>} values2D - One array of draws per chain.
+ * @returns {Array<Array<number>>} - Twice as many half-chains.
+ */
+function splitChains(values2D) {
+  return values2D.flatMap((values) => {
+    const half = Math.floor(values.length / 2);
+    return [values.slice(0, half), values.slice(values.length - half)];
+  });
+}
+
+/**
+ * Potential scale reduction of a set of (half-)chains. Chains may differ in
+ * length: the between-chain term is the sample variance of the chain means
+ * (B/n in the equal-length formula) and n is the mean chain length.
+ *
+ * @param {Array<Array<number>>} values2D - At least two chains of at least two draws.
+ * @returns {number} - R-hat; 1 for constant chains that agree, ∞ if they disagree.
+ */
+function potentialScaleReduction(values2D) {
+  const m = values2D.length;
+  const stats = values2D.map((values) => {
+    const n = values.length;
+    const mean = values.reduce((a, b) => a + b, 0) / n;
+    const variance =
+      values.reduce((acc, val) => acc + (val - mean) ** 2, 0) / (n - 1);
+    return { n, mean, variance };
+  });
+
+  const nBar = stats.reduce((acc, s) => acc + s.n, 0) / m;
+  const W = stats.reduce((acc, s) => acc + s.variance, 0) / m;
+  const overallMean = stats.reduce((acc, s) => acc + s.mean, 0) / m;
+  const betweenVariance =
+    stats.reduce((acc, s) => acc + (s.mean - overallMean) ** 2, 0) / (m - 1);
+
+  if (W === 0) return betweenVariance === 0 ? 1 : Infinity;
+  const varPlus = ((nBar - 1) / nBar) * W + betweenVariance;
+  return Math.sqrt(varPlus / W);
+}
+
+/**
+ * Replace the pooled draws of all chains by normal scores of their ranks,
+ * z = Φ⁻¹((r − 3/8) / (S + 1/4)), with tied draws sharing their average rank.
+ *
+ * @param {Array<Array<number>>} values2D - One array of draws per chain.
+ * @returns {Array<Array<number>>} - Normal scores in the same shape.
+ */
+export function rankNormalize(values2D) {
+  const pooled = values2D.flatMap((values, j) =>
+    values.map((value, t) => ({ value, j, t }))
+  );
+  pooled.sort((p, q) => p.value - q.value);
+  const S = pooled.length;
+  const result = values2D.map((values) => new Array(values.length));
+
+  let start = 0;
+  while (start < S) {
+    let end = start;
+    while (end + 1 < S && pooled[end + 1].value === pooled[start].value) end++;
+    // Ranks are 1-based; ties share the average of their ranks
+    const rank = (start + end) / 2 + 1;
+    const z = normalQuantile((rank - 3 / 8) / (S + 1 / 4));
+    for (let i = start; i <= end; i++) result[pooled[i].j][pooled[i].t] = z;
+    start = end + 1;
+  }
+  return result;
+}
+
+/**
+ * Quantile of a sample with linear interpolation between order statistics
+ * (type 7, the NumPy and R default).
+ *
+ * @param {Array<number>} values - Draws, in any order.
+ * @param {number} prob - Probability in [0, 1].
+ * @returns {number} - The prob-quantile.
+ */
+export function quantile(values, prob) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const h = (sorted.length - 1) * prob;
+  const lo = Math.floor(h);
+  const hi = Math.min(lo + 1, sorted.length - 1);
+  return sorted[lo] + (h - lo) * (sorted[hi] - sorted[lo]);
+}
+
+/**
+ * Check that every chain is long enough to be split, warning if not.
+ *
+ * @param {Array<Array<Object>>} chains - Chains of samples {x, y}.
+ * @param {string} label - Statistic name for the log message.
+ * @returns {boolean} - Whether the chains can be split.
+ */
+function canSplit(chains, label) {
+  if (!chains || !Array.isArray(chains) || chains.length < 1) return false;
+  if (chains.some((chain) => !chain || chain.length < MIN_SPLIT_DRAWS)) {
+    logger.warn(`${label} skipped — insufficient samples`);
+    return false;
+  }
+  return true;
+}
+
+/**
+ * Calculates split R-hat: the Gelman-Rubin statistic computed on the first
+ * and second halves of every chain, so it also detects drift within a single
+ * chain. Works for any number of chains, including one, and chains of
+ * different lengths.
+ *
+ * Algorithm references:
+ * Gelman, A., et al. (2013). Bayesian Data Analysis, 3rd ed., section 11.4.
+ *
+ * @param {Array<Array<Object>>} chains - Array of chains, where each chain is an array of samples {x, y}.
+ * @returns {Object|null} - { x: number, y: number } split R-hat per dimension, or null if a chain has fewer than 4 samples.
+ */
+export function calculateSplitRHat(chains) {
+  if (!canSplit(chains, 'Split R-hat')) return null;
+
+  const results = {};
+  ['x', 'y'].forEach((dim) => {
+    const values2D = chains.map((chain) => chain.map((s) => s[dim]));
+    results[dim] = potentialScaleReduction(splitChains(values2D));
+  });
+  return results;
+}
+
+/**
+ * Calculates rank-normalized split R-hat, the convergence diagnostic used by
+ * Stan and ArviZ. Split R-hat is computed on the rank-normalized draws (bulk)
+ * and on the rank-normalized draws folded around the median (tail), which
+ * catches chains that differ in scale rather than location. The reported
+ * value is the larger of the two; below RHAT_THRESHOLD counts as converged.
+ *
+ * Algorithm references:
+ * Vehtari, A., Gelman, A., Simpson, D., Carpenter, B., & Bürkner, P.-C. (2021).
+ * Rank-Normalization, Folding, and Localization: An Improved R-hat for
+ * Assessing Convergence of MCMC. Bayesian Analysis, 16(2).
+ *
+ * @param {Array<Array<Object>>} chains - Array of chains, where each chain is an array of samples {x, y}.
+ * @returns {Object|null} - { x: number, y: number } rank-normalized R-hat per dimension, or null if a chain has fewer than 4 samples.
+ */
+export function calculateRankNormalizedRHat(chains) {
+  if (!canSplit(chains, 'Rank-normalized R-hat')) return null;
+
+  const results = {};
+  ['x', 'y'].forEach((dim) => {
+    const values2D = chains.map((chain) => chain.map((s) => s[dim]));
+    const bulk = potentialScaleReduction(splitChains(rankNormalize(values2D)));
+
+    const med = quantile(values2D.flat(), 0.5);
+    const folded = values2D.map((values) =>
+      values.map((v) => Math.abs(v - med))
+    );
+    const tail = potentialScaleReduction(splitChains(rankNormalize(folded)));
+
+    results[dim] = Math.max(bulk, tail);
+  });
+  return results;
+}
+
+/** Bulk and tail ESS per chain below which estimates are unreliable (Vehtari et al. 2021) */
+export const MIN_ESS_PER_CHAIN = 100;
+
+/** Quantiles whose indicator ESS gives the tail ESS */
+export const TAIL_ESS_PROBS = [0.05, 0.95];
+
+/** Quantiles calculateMCSE reports by default */
+export const MCSE_QUANTILES = [0.05, 0.5, 0.95];
+
+/**
+ * Apply a transformation to the draws of each dimension, all chains at once.
+ *
+ * @param {Array<Array<Object>>} chains - Chains of samples {x, y}.
+ * @param {Function} transform - Maps one array of draws per chain to another of the same shape.
+ * @returns {Array<Array<Object>>} - Chains of transformed samples {x, y}.
+ */
+function transformChains(chains, transform) {
+  const dims = {};
+  ['x', 'y'].forEach((dim) => {
+    dims[dim] = transform(chains.map((chain) => chain.map((s) => s[dim])));
+  });
+  return dims.x.map((xs, j) => xs.map((x, t) => ({ x, y: dims.y[j][t] })));
+}
+
+/**
+ * ESS of the indicator I(draw ≤ pooled prob-quantile) on split chains,
+ * i.e. how well the chains estimate that quantile.
+ *
+ * @param {Array<Array<Object>>} chains - Chains of samples {x, y}.
+ * @param {number} prob - Probability of the quantile.
+ * @returns {Object|null} - { x: number, y: number }.
+ */
+function indicatorESS(chains, prob) {
+  const indicators = transformChains(chains, (values2D) => {
+    const q = quantile(values2D.flat(), prob);
+    return values2D.map((values) => values.map((v) => (v <= q ? 1 : 0)));
+  });
+  return calculateESS(splitChains(indicators));
+}
+
+/**
+ * Calculates bulk ESS: the ESS of the rank-normalized split chains, which
+ * measures how well the centre of the distribution is explored and, unlike
+ * the plain ESS, is well defined for heavy-tailed targets. Uses the same
+ * Geyer truncation as calculateESS.
+ *
+ * Algorithm references:
+ * Vehtari, A., et al. (2021). Rank-Normalization, Folding, and Localization:
+ * An Improved R-hat for Assessing Convergence of MCMC. Bayesian Analysis, 16(2).
+ *
+ * @param {Array<Array<Object>>} chains - Array of chains, where each chain is an array of samples {x, y}.
+ * @returns {Object|null} - { x: number, y: number } bulk ESS per dimension, or null if a chain has fewer than 4 samples.
+ */
+export function calculateBulkESS(chains) {
+  if (!canSplit(chains, 'Bulk ESS')) return null;
+  return calculateESS(splitChains(transformChains(chains, rankNormalize)));
+}
+
+/**
+ * Calculates tail ESS: the smaller of the ESS of the 5% and 95% quantile
+ * indicators, which stays low when the chains rarely visit the tails even
+ * if the bulk mixes well.
+ *
+ * @param {Array<Array<Object>>} chains - Array of chains, where each chain is an array of samples {x, y}.
+ * @returns {Object|null} - { x: number, y: number } tail ESS per dimension, or null if a chain has fewer than 4 samples.
+ */
+export function calculateTailESS(chains) {
+  if (!canSplit(chains, 'Tail ESS')) return null;
+  const [lower, upper] = TAIL_ESS_PROBS.map((prob) =>
+    indicatorESS(chains, prob)
+  );
+  return {
+    x: Math.min(lower.x, upper.x),
+    y: Math.min(lower.y, upper.y),
+  };
+}
+
+/**
+ * Calculates the Monte Carlo standard error of the posterior mean and of
+ * selected quantiles.
+ *
+ * The mean's MCSE is sd / sqrt(ESS) with the ESS of the split chains. A
+ * quantile's MCSE maps the standard error of its indicator's mean,
+ * sqrt(p(1 − p) / ESS), back through the empirical quantile function; this
+ * is the normal approximation of the Beta interval of Vehtari et al. (2021).
+ *
+ * @param {Array<Array<Object>>} chains - Array of chains, where each chain is an array of samples {x, y}.
+ * @param {Array<number>} [probs=MCSE_QUANTILES] - Quantile probabilities.
+ * @returns {Object|null} - { x: {mean, quantiles: [{prob, mcse}]}, y: … }, or null if a chain has fewer than 4 samples.
+ */
+export function calculateMCSE(chains, probs = MCSE_QUANTILES) {
+  if (!canSplit(chains, 'MCSE')) return null;
+
+  const essMean = calculateESS(splitChains(chains));
+  const essProbs = probs.map((prob) => indicatorESS(chains, prob));
+
+  const results = {};
+  ['x', 'y'].forEach((dim) => {
+    const pooled = chains.flatMap((chain) => chain.map((s) => s[dim]));
+    const mean = pooled.reduce((a, b) => a + b, 0) / pooled.length;
+    const sd = Math.sqrt(
+      pooled.reduce((acc, v) => acc + (v - mean) ** 2, 0) / (pooled.length - 1)
+    );
+
+    results[dim] = {
+      mean: sd / Math.sqrt(essMean[dim]),
+      quantiles: probs.map((prob, i) => {
+        const se = Math.sqrt((prob * (1 - prob)) / essProbs[i][dim]);
+        const lower = quantile(pooled, Math.max(prob - se, 0));
+        const upper = quantile(pooled, Math.min(prob + se, 1));
+        return { prob, mcse: (upper - lower) / 2 };
+      }),
+    };
+  });
+  return results;
+}
+
+/** Largest lag calculateACF returns by default */
+export const DEFAULT_ACF_MAX_LAG = 50;
+
+/**
+ * Autocorrelation function of a single chain, together with the lag at
+ * which Geyer's truncation stops when calculateESS estimates its ESS.
+ *
+ * @param {Array<Object>} chain - Array of samples {x, y}.
+ * @param {number} [maxLag=DEFAULT_ACF_MAX_LAG] - Largest lag to return.
+ * @returns {Object|null} - { x: {acf, cutoff}, y: {acf, cutoff} } where acf[k] is the lag-k autocorrelation, or null if there are fewer than 2 samples.
+ */
+export function calculateACF(chain, maxLag = DEFAULT_ACF_MAX_LAG) {
+  if (!chain || chain.length < 2) return null;
+  const n = chain.length;
+
+  const results = {};
+  ['x', 'y'].forEach((dim) => {
+    const acov = autocovariance(chain.map((s) => s[dim]));
+    // A constant chain has no autocorrelation beyond lag 0
+    const rho =
+      acov[0] === 0
+        ? acov.map((_, k) => (k === 0 ? 1 : 0))
+        : acov.map((g) => g / acov[0]);
+    results[dim] = {
+      acf: rho.slice(0, Math.min(maxLag, n - 1) + 1),
+      cutoff: geyerTruncation((k) => rho[k], n).cutoff,
+    };
+  });
+  return results;
+}
@@ -0,0 +1,173 @@
+/**
+ * Posterior summary of the post-burn-in draws: location, spread, quantiles
+ * and highest-density interval per dimension, with the convergence
+ * diagnostics of the same draws. Chains are pooled only when they run the
+ * same sampler with the same parameters; other chains get their own group.
+ */
+
+import {
+  quantile,
+  calculateRankNormalizedRHat,
+  calculateBulkESS,
+  calculateTailESS,
+  calculateMCSE,
+  MIN_SPLIT_DRAWS,
+} from './statistics';
+
+/** Quantiles reported besides the median */
+export const SUMMARY_QUANTILES = [0.05, 0.25, 0.75, 0.95];
+
+/** Default probability mass of the highest-density interval (as in ArviZ) */
+export const DEFAULT_HDI_PROB = 0.89;
+
+/**
+ * Whether two sampler parameter values are equal. Object values (e.g. a
+ * proposal covariance) are compared field by field, whatever their key order.
+ * @param {*} a - Parameter value
+ * @param {*} b - Parameter value
+ * @returns {boolean}
+ */
+function sameParam(a, b) {
+  if (a === b) return true;
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object') return false;
+  const keys = new Set([...Object.keys(a), ...Object.keys(b)]);
+  return [...keys].every((k) => a[k] === b[k]);
+}
+
+/**
+ * Returns true when all chains share the same samplerType and sampler params
+ * (ignoring chain-specific fields: initialPosition and seed), or when there is
+ * at most one chain. When this returns false, R-hat is meaningless and ESS
+ * should be computed per-chain.
+ *
+ * @param {Array<{samplerType: string, params?: object}>} chains
+ * @returns {boolean}
+ */
+export function allChainsCompatible(chains) {
+  if (chains.length <= 1) return true;
+  const ref = chains[0];
+  return chains.every((c) => {
+    if (c.samplerType !== ref.samplerType) return false;
+    const refParams = ref.params || {};
+    const cParams = c.params || {};
+    const keys = new Set([...Object.keys(refParams), ...Object.keys(cParams)]);
+    return [...keys].every((k) => sameParam(cParams[k], refParams[k]));
+  });
+}
+
+/**
+ * Partition chains into groups that allChainsCompatible would pool
+ * @param {Array<Object>} chains - Chain states
+ * @returns {Array<Array<{chain: Object, index: number}>>} Groups in chain order, with each chain's position in `chains`
+ */
+export function groupCompatibleChains(chains) {
+  const groups = [];
+  chains.forEach((chain, index) => {
+    const group = groups.find((g) => allChainsCompatible([g[0].chain, chain]));
+    if (group) group.push({ chain, index });
+    else groups.push([{ chain, index }]);
+  });
+  return groups;
+}
+
+/**
+ * Shortest interval containing a fraction `prob` of the draws
+ * @param {Array<number>} values - Draws, in any order
+ * @param {number} [prob=DEFAULT_HDI_PROB] - Probability mass in (0, 1)
+ * @returns {{lower: number, upper: number}|null} Interval, or null without draws
+ */
+export function hdi(values, prob = DEFAULT_HDI_PROB) {
+  if (!values || values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const n = sorted.length;
+  // Number of draws the interval spans beyond its first one
+  const width = Math.min(Math.floor(prob * n), n - 1);
+
+  let best = 0;
+  for (let i = 1; i + width < n; i++) {
+    if (sorted[i + width] - sorted[i] < sorted[best + width] - sorted[best]) {
+      best = i;
+    }
+  }
+  return { lower: sorted[best], upper: sorted[best + width] };
+}
+
+/**
+ * Summary statistics of one group of chains
+ * @param {Array<Array<{x: number, y: number}>>} draws - Post-burn-in samples of each chain
+ * @param {number} hdiProb - HDI probability mass
+ * @returns {Object} Per dimension: mean, sd, median, quantiles, hdi, rHat,
+ *   bulkEss, tailEss and mcse ({mean, quantiles}); diagnostics are null when
+ *   a chain is too short to be split
+ */
+function summarizeDraws(draws, hdiProb) {
+  const canSplit = draws.every((d) => d.length >= MIN_SPLIT_DRAWS);
+  const rHat = canSplit ? calculateRankNormalizedRHat(draws) : null;
+  const bulkEss = canSplit ? calculateBulkESS(draws) : null;
+  const tailEss = canSplit ? calculateTailESS(draws) : null;
+  const mcse = canSplit
+    ? calculateMCSE(draws, [...SUMMARY_QUANTILES, 0.5])
+    : null;
+
+  const stats = {};
+  ['x', 'y'].forEach((dim) => {
+    const values = draws.flatMap((d) => d.map((s) => s[dim]));
+    const mean = values.reduce((a, b) => a + b, 0) / values.length;
+    const sd = Math.sqrt(
+      values.reduce((acc, v) => acc + (v - mean) ** 2, 0) / (values.length - 1)
+    );
+    const mcseOf = (prob) =>
+      mcse ? mcse[dim].quantiles.find((q) => q.prob === prob).mcse : null;
+
+    stats[dim] = {
+      mean,
+      sd,
+      median: quantile(values, 0.5),
+      quantiles: SUMMARY_QUANTILES.map((prob) => ({
+        prob,
+        value: quantile(values, prob),
+        mcse: mcseOf(prob),
+      })),
+      hdi: hdi(values, hdiProb),
+      rHat: rHat ? rHat[dim] : null,
+      bulkEss: bulkEss ? bulkEss[dim] : null,
+      tailEss: tailEss ? tailEss[dim] : null,
+      mcseMean: mcse ? mcse[dim].mean : null,
+      mcseMedian: mcseOf(0.5),
+    };
+  });
+  return stats;
+}
+
+/**
+ * Summarise every group of compatible chains after burn-in
+ * @param {Array<Object>} chains - Chain states from useSamplingController
+ * @param {Object} [options]
+ * @param {number} [options.burnIn=0] - Draws dropped from the start of each chain
+ * @param {number} [options.hdiProb=DEFAULT_HDI_PROB] - HDI probability mass
+ * @returns {Array<Object>} One entry per group with at least 2 draws in
+ *   every chain: {label, chainIds, samplerType, chainCount, draws, stats}
+ */
+export function buildSummary(
+  chains,
+  { burnIn = 0, hdiProb = DEFAULT_HDI_PROB } = {}
+) {
+  return groupCompatibleChains(chains)
+    .map((group) => ({
+      group,
+      draws: group.map(({ chain }) => (chain.samples || []).slice(burnIn)),
+    }))
+    .filter(({ draws }) => draws.every((d) => d.length >= 2))
+    .map(({ group, draws }) => {
+      const numbers = group.map(({ index }) => index + 1).join(', ');
+      const { samplerType } = group[0].chain;
+      return {
+        label: `${group.length > 1 ? 'Chains' : 'Chain'} ${numbers} (${samplerType})`,
+        chainIds: group.map(({ chain }) => chain.id),
+        samplerType,
+        chainCount: group.length,
+        draws: draws.reduce((acc, d) => acc + d.length, 0),
+        stats: summarizeDraws(draws, hdiProb),
+      };
+    });
+}
@@ -0,0 +1,345 @@
+/**
+ * Distance between a chain's draws and the target, measured against the
+ * gridded reference of computeGroundTruth (groundTruth.js):
+ *
+ * - KL divergence of the binned draws from the binned target
+ * - 1-D Wasserstein distance of each marginal (slices along x and y)
+ * - MMD with an RBF kernel against the reference grid
+ *
+ * Evaluated at iteration checkpoints, these show how fast each sampler
+ * approaches the target, whatever its type. The checkpoints of a chain are
+ * computed in one pass: bin counts, the sorted draws and the kernel sums are
+ * built once and read off at each checkpoint.
+ */
+
+import { marginalCdf } from './groundTruth';
+
+/** Iterations between checkpoints */
+export const DEFAULT_CHECKPOINT_INTERVAL = 50;
+
+/** Bins per axis of the KL histogram (and of the MMD reference points) */
+export const DISTANCE_BINS = 32;
+
+/** Draws used for MMD at most; longer chains are thinned evenly */
+export const MMD_MAX_DRAWS = 500;
+
+/** Checkpoints per chain at most, besides the latest iteration */
+export const MAX_CHECKPOINTS = 100;
+
+/** Reference probability given to empty target bins, so KL stays finite */
+const MIN_BIN_PROB = 1e-12;
+
+/** Reference bins lighter than this are left out of MMD */
+const MMD_MIN_WEIGHT = 1e-8;
+
+/**
+ * Bin index of a value, clamped to the grid so draws outside the
+ * integration domain count in the edge bins
+ * @param {number} value
+ * @param {number} min - Lower edge
+ * @param {number} width - Bin width
+ * @param {number} bins - Number of bins
+ * @returns {number}
+ */
+function binIndex(value, min, width, bins) {
+  return Math.min(Math.max(Math.floor((value - min) / width), 0), bins - 1);
+}
+
+/**
+ * Coarsen the reference to a bin grid and precompute the MMD reference terms
+ * @param {Object} truth - Result of computeGroundTruth
+ * @param {Object} [options]
+ * @param {number} [options.bins=DISTANCE_BINS] - Bins per axis (at most the grid cells)
+ * @returns {Object} {domain, bins, binWidth: {x, y}, mass, points, lengthscale, selfKernel, marginals}
+ */
+export function createDistanceReference(truth, { bins = DISTANCE_BINS } = {}) {
+  const { domain, cells, joint } = truth;
+  // Whole grid cells per bin, so each cell's mass lands in one bin
+  const factor = Math.max(1, Math.floor(cells / bins));
+  const n = Math.ceil(cells / factor);
+  const mass = Array.from({ length: n }, () => new Float64Array(n));
+  joint.forEach((row, iy) => {
+    const by = Math.min(Math.floor(iy / factor), n - 1);
+    row.forEach((p, ix) => {
+      mass[by][Math.min(Math.floor(ix / factor), n - 1)] += p;
+    });
+  });
+
+  const binWidth = {
+    x: (domain.xMax - domain.xMin) / n,
+    y: (domain.yMax - domain.yMin) / n,
+  };
+  const points = [];
+  mass.forEach((row, by) =>
+    row.forEach((weight, bx) => {
+      if (weight < MMD_MIN_WEIGHT) return;
+      points.push({
+        x: domain.xMin + (bx + 0.5) * binWidth.x,
+        y: domain.yMin + (by + 0.5) * binWidth.y,
+        weight,
+      });
+    })
+  );
+  const totalWeight = points.reduce((acc, p) => acc + p.weight, 0);
+  points.forEach((p) => (p.weight /= totalWeight));
+
+  // One kernel width for every chain, so their curves are comparable
+  const lengthscale = Math.sqrt(
+    (truth.covariance.xx + truth.covariance.yy) / 2
+  );
+  const kernel = rbfKernel(lengthscale);
+  let selfKernel = 0;
+  points.forEach((a) =>
+    points.forEach((b) => {
+      selfKernel += a.weight * b.weight * kernel(a, b);
+    })
+  );
+
+  return {
+    domain,
+    bins: n,
+    binWidth,
+    mass,
+    points,
+    lengthscale,
+    selfKernel,
+    marginals: truth.marginals,
+  };
+}
+
+/**
+ * @param {number} lengthscale - Kernel width ℓ
+ * @returns {Function} k(a, b) = exp(-|a − b|² / (2ℓ²))
+ */
+function rbfKernel(lengthscale) {
+  const scale = -1 / (2 * lengthscale * lengthscale);
+  return (a, b) => Math.exp(scale * ((a.x - b.x) ** 2 + (a.y - b.y) ** 2));
+}
+
+/**
+ * Running KL divergence of binned draws from the binned target. Keeps
+ * S = Σ c log(c / q) over the bins, so KL = S / n − log n after n draws.
+ * @param {Object} reference - Result of createDistanceReference
+ * @returns {{add: Function, value: Function}} add(draw) and value() → KL or null
+ */
+function createKlTracker(reference) {
+  const { domain, bins, binWidth, mass } = reference;
+  const counts = new Float64Array(bins * bins);
+  let n = 0;
+  let sum = 0;
+  return {
+    add({ x, y }) {
+      const by = binIndex(y, domain.yMin, binWidth.y, bins);
+      const bx = binIndex(x, domain.xMin, binWidth.x, bins);
+      const q = Math.max(mass[by][bx], MIN_BIN_PROB);
+      const c = counts[by * bins + bx];
+      if (c > 0) sum -= c * Math.log(c / q);
+      sum += (c + 1) * Math.log((c + 1) / q);
+      counts[by * bins + bx] = c + 1;
+      n++;
+    },
+    value: () => (n === 0 ? null : sum / n - Math.log(n)),
+  };
+}
+
+/**
+ * Discrete KL divergence of the binned draws from the binned target,
+ * Σ p log(p / q) over the bins holding draws
+ * @param {Array<{x: number, y: number}>} samples - Draws
+ * @param {Object} reference - Result of createDistanceReference
+ * @returns {number|null} KL in nats, or null without draws
+ */
+export function klDivergence(samples, reference) {
+  if (!samples || samples.length === 0) return null;
+  const tracker = createKlTracker(reference);
+  samples.forEach((s) => tracker.add(s));
+  return tracker.value();
+}
+
+/**
+ * Sort draws and cell edges once, so the Wasserstein distance of any prefix
+ * of the draws is a single walk over the merged breakpoints
+ * @param {Array<number>} values - Draws of one coordinate
+ * @param {Object} marginal - Reference marginal ({edges, cdf})
+ * @returns {Function} (count) => distance of the first count draws
+ */
+function createWassersteinWalk(values, marginal) {
+  const entries = [
+    ...values.map((value, index) => ({ value, index })),
+    ...marginal.edges.map((value) => ({ value, index: -1 })),
+  ].sort((a, b) => a.value - b.value);
+  const points = Float64Array.from(entries, (e) => e.value);
+  const drawIndex = Int32Array.from(entries, (e) => e.index);
+  // F is linear between breakpoints because every cell edge is one
+  const cdf = Float64Array.from(points, (v) => marginalCdf(marginal, v));
+
+  return (count) => {
+    let distance = 0;
+    let below = 0; // draws ≤ the left end of the current interval
+    for (let k = 0; k + 1 < points.length; k++) {
+      if (drawIndex[k] >= 0 && drawIndex[k] < count) below++;
+      const width = points[k + 1] - points[k];
+      if (width === 0) continue;
+      const empirical = below / count;
+      const da = empirical - cdf[k];
+      const db = empirical - cdf[k + 1];
+      if (da * db >= 0) {
+        distance += ((Math.abs(da) + Math.abs(db)) / 2) * width;
+      } else {
+        // The gap changes sign inside: two triangles
+        distance +=
+          ((da * da + db * db) / (2 * (Math.abs(da) + Math.abs(db)))) * width;
+      }
+    }
+    return distance;
+  };
+}
+
+/**
+ * 1-D Wasserstein distance between draws and a reference marginal,
+ * ∫ |F_n(t) − F(t)| dt, exact for the piecewise-linear reference CDF
+ * @param {Array<number>} values - Draws of one coordinate
+ * @param {Object} marginal - Reference marginal ({edges, cdf})
+ * @returns {number|null} Distance, or null without draws
+ */
+export function wasserstein1D(values, marginal) {
+  if (!values || values.length === 0) return null;
+  return createWassersteinWalk(values, marginal)(values.length);
+}
+
+/**
+ * Cumulative MMD sums over a fixed set of draws: after the first m draws,
+ * drawSums[m] = Σ k(a, b) over pairs of them and crossSums[m] = Σ E_ref k(a, ·)
+ * @param {Array<{x: number, y: number}>} draws - Draws, already thinned
+ * @param {Object} reference - Result of createDistanceReference
+ * @returns {Function} (m) => MMD of the first m draws, or null when m is 0
+ */
+function createMmdSums(draws, reference) {
+  const kernel = rbfKernel(reference.lengthscale);
+  const drawSums = new Float64Array(draws.length + 1);
+  const crossSums = new Float64Array(draws.length + 1);
+  draws.forEach((a, j) => {
+    let row = 1; // k(a, a)
+    for (let i = 0; i < j; i++) row += 2 * kernel(draws[i], a);
+    let cross = 0;
+    reference.points.forEach((b) => {
+      cross += b.weight * kernel(a, b);
+    });
+    drawSums[j + 1] = drawSums[j] + row;
+    crossSums[j + 1] = crossSums[j] + cross;
+  });
+
+  return (m) => {
+    if (m === 0) return null;
+    const squared =
+      drawSums[m] / (m * m) - (2 * crossSums[m]) / m + reference.selfKernel;
+    return Math.sqrt(Math.max(squared, 0));
+  };
+}
+
+/**
+ * Every stride-th draw, so at most maxDraws remain
+ * @param {Array} samples
+ * @param {number} maxDraws
+ * @returns {{draws: Array, stride: number}}
+ */
+function thin(samples, maxDraws) {
+  const stride = Math.max(1, Math.ceil(samples.length / maxDraws));
+  return { draws: samples.filter((_, i) => i % stride === 0), stride };
+}
+
+/**
+ * Maximum mean discrepancy between draws and the reference grid with an RBF
+ * kernel of width reference.lengthscale (biased estimate)
+ * @param {Array<{x: number, y: number}>} samples - Draws
+ * @param {Object} reference - Result of createDistanceReference
+ * @param {Object} [options]
+ * @param {number} [options.maxDraws=MMD_MAX_DRAWS] - Draws used at most
+ * @returns {number|null} MMD, or null without draws
+ */
+export function mmd(samples, reference, { maxDraws = MMD_MAX_DRAWS } = {}) {
+  if (!samples || samples.length === 0) return null;
+  const { draws } = thin(samples, maxDraws);
+  return createMmdSums(draws, reference)(draws.length);
+}
+
+/**
+ * Checkpoint iterations: multiples of the interval past burn-in, plus the
+ * latest iteration. The interval is widened by whole multiples so that at
+ * most MAX_CHECKPOINTS multiples remain.
+ * @param {number} total - Iterations so far
+ * @param {number} burnIn - Draws dropped from the start
+ * @param {number} interval - Requested iterations between checkpoints
+ * @returns {Array<number>}
+ */
+function checkpointIterations(total, burnIn, interval) {
+  if (total <= burnIn) return [];
+  const step =
+    interval *
+    Math.max(1, Math.ceil((total - burnIn) / (interval * MAX_CHECKPOINTS)));
+  const iterations = [];
+  for (let t = (Math.floor(burnIn / step) + 1) * step; t <= total; t += step) {
+    iterations.push(t);
+  }
+  if (iterations[iterations.length - 1] !== total) iterations.push(total);
+  return iterations;
+}
+
+/**
+ * All distances of a chain at iteration checkpoints. KL uses every draw up to
+ * each checkpoint; MMD uses the draws of one thinned subset of the whole
+ * chain that fall before it, so longer chains cost no more kernel sums.
+ * @param {Array<{x: number, y: number}>} samples - The chain's draws, from iteration 1
+ * @param {Object} reference - Result of createDistanceReference
+ * @param {Object} [options]
+ * @param {number} [options.burnIn=0] - Draws dropped from the start
+ * @param {number} [options.interval=DEFAULT_CHECKPOINT_INTERVAL] - Iterations between checkpoints
+ * @param {number} [options.maxDraws=MMD_MAX_DRAWS] - Draws used for MMD at most
+ * @returns {Array<{iteration: number, draws: number, kl: number, wasserstein: {x: number, y: number, sliced: number}, mmd: number}>}
+ *   One entry per multiple of interval past burn-in (widened to keep at most
+ *   MAX_CHECKPOINTS), plus the latest iteration
+ */
+export function distancesAtCheckpoints(
+  samples,
+  reference,
+  {
+    burnIn = 0,
+    interval = DEFAULT_CHECKPOINT_INTERVAL,
+    maxDraws = MMD_MAX_DRAWS,
+  } = {}
+) {
+  const iterations = checkpointIterations(
+    samples ? samples.length : 0,
+    burnIn,
+    interval
+  );
+  if (iterations.length === 0) return [];
+
+  const post = samples.slice(burnIn);
+  const kl = createKlTracker(reference);
+  const walkX = createWassersteinWalk(
+    post.map((s) => s.x),
+    reference.marginals.x
+  );
+  const walkY = createWassersteinWalk(
+    post.map((s) => s.y),
+    reference.marginals.y
+  );
+  const { draws: subset, stride } = thin(post, maxDraws);
+  const mmdOf = createMmdSums(subset, reference);
+
+  let added = 0;
+  return iterations.map((iteration) => {
+    const count = iteration - burnIn;
+    while (added < count) kl.add(post[added++]);
+    const x = walkX(count);
+    const y = walkY(count);
+    return {
+      iteration,
+      draws: count,
+      kl: kl.value(),
+      wasserstein: { x, y, sliced: (x + y) / 2 },
+      mmd: mmdOf(Math.ceil(count / stride)),
+    };
+  });
+}
@@ -0,0 +1,68 @@
+/**
+ * Slider settings for the free parameters of a target expression (see
+ * detectParameters in mathEngine.js). Each parameter has a range, a step and
+ * a current value; common names get ranges that keep the density proper.
+ */
+
+/** Defaults for names starting with these prefixes, checked in order */
+const NAMED_DEFAULTS = [
+  { prefix: 'sigma', setting: { min: 0.1, max: 3, step: 0.05, value: 1 } },
+  { prefix: 'rho', setting: { min: -0.99, max: 0.99, step: 0.01, value: 0 } },
+  { prefix: 'mu', setting: { min: -3, max: 3, step: 0.05, value: 0 } },
+];
+
+/** Setting for any other parameter name */
+const GENERIC_DEFAULT = { min: -5, max: 5, step: 0.1, value: 1 };
+
+/**
+ * @param {string} name - Parameter name
+ * @returns {{min: number, max: number, step: number, value: number}} Default slider setting
+ */
+export function defaultParameterSetting(name) {
+  const named = NAMED_DEFAULTS.find(({ prefix }) => name.startsWith(prefix));
+  return { ...(named ? named.setting : GENERIC_DEFAULT) };
+}
+
+/**
+ * Settings for a new set of parameter names, keeping those already known
+ * @param {Array<string>} names - Parameters of the current expression
+ * @param {Object<string, Object>} [previous={}] - Settings by name
+ * @returns {Object<string, Object>} Settings for exactly `names`
+ */
+export function syncParameterSettings(names, previous = {}) {
+  const settings = {};
+  names.forEach((name) => {
+    settings[name] = previous[name]
+      ? { ...previous[name] }
+      : defaultParameterSetting(name);
+  });
+  return settings;
+}
+
+/**
+ * Apply a change to one setting, keeping min < max and the value in range
+ * @param {Object} setting - {min, max, step, value}
+ * @param {Object} patch - Any of min, max, step, value
+ * @returns {Object|null} Updated setting, or null if the patch is invalid
+ */
+export function updateParameterSetting(setting, patch) {
+  const next = { ...setting, ...patch };
+  const numeric = ['min', 'max', 'step', 'value'].every((k) =>
+    Number.isFinite(next[k])
+  );
+  if (!numeric || next.min >= next.max || next.step <= 0) return null;
+  next.value = Math.min(Math.max(next.value, next.min), next.max);
+  return next;
+}
+
+/**
+ * @param {Object<string, Object>} settings - Settings by name
+ * @returns {Object<string, number>} Current value of each parameter, for Logp
+ */
+export function parameterValues(settings) {
+  const values = {};
+  Object.entries(settings).forEach(([name, { value }]) => {
+    values[name] = value;
+  });
+  return values;
+}
@@ -0,0 +1,124 @@
+/**
+ * Shareable links: the configuration (not the results) encoded in the URL
+ * hash as `#state=<base64url JSON>`. Seeded chains rerun to the same
+ * samples, so a link is enough to reproduce a demo.
+ *
+ * Decoded links are turned into session objects and checked with the same
+ * validation as session files.
+ */
+
+import { SESSION_VERSION, validateSession } from './session';
+
+/** Format version written to links; links with another version are rejected */
+export const URL_STATE_VERSION = 1;
+
+/** Hash parameter holding the encoded state */
+const HASH_KEY = 'state';
+
+/**
+ * @param {string} text - Any string
+ * @returns {string} base64url encoding of its UTF-8 bytes, without padding
+ */
+function toBase64Url(text) {
+  let binary = '';
+  new TextEncoder().encode(text).forEach((b) => {
+    binary += String.fromCharCode(b);
+  });
+  return btoa(binary)
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_')
+    .replace(/=+$/, '');
+}
+
+/**
+ * @param {string} encoded - base64url text, with or without padding
+ * @returns {string} Decoded UTF-8 string
+ * @throws {Error} If the input is not valid base64url or UTF-8
+ */
+function fromBase64Url(encoded) {
+  const base64 = encoded.replace(/-/g, '+').replace(/_/g, '/');
+  const binary = atob(base64 + '='.repeat((4 - (base64.length % 4)) % 4));
+  const bytes = Uint8Array.from(binary, (c) => c.charCodeAt(0));
+  return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+}
+
+/**
+ * Encode a configuration as a URL hash (without the leading '#')
+ * @param {Object} state
+ * @param {string} state.logP - Target density expression
+ * @param {Object<string, Object>} [state.parameters] - Target parameter settings by name
+ * @param {Object} state.axisLimits - {xMin, xMax, yMin, yMax}
+ * @param {number} state.burnIn - Burn-in length
+ * @param {number} state.nSteps - Step count for "Sample N Steps"
+ * @param {Array<Object>} state.chains - Chain configurations (samplerType, params, initialPosition, seed, adaptation)
+ * @returns {string} Hash fragment
+ */
+export function encodeUrlState({
+  logP,
+  parameters,
+  axisLimits,
+  burnIn,
+  nSteps,
+  chains,
+}) {
+  const payload = {
+    v: URL_STATE_VERSION,
+    logP,
+    parameters,
+    axisLimits,
+    burnIn,
+    nSteps,
+    chains: chains.map((c) => ({
+      samplerType: c.samplerType,
+      params: c.params,
+      initialPosition: c.initialPosition,
+      seed: c.seed ?? null,
+      adaptation: c.adaptation ?? null,
+    })),
+  };
+  return `${HASH_KEY}=${toBase64Url(JSON.stringify(payload))}`;
+}
+
+/**
+ * Decode a URL hash into a session object (see session.js)
+ * @param {string} hash - location.hash, with or without the leading '#'
+ * @returns {Object|null} Validated session, or null if the hash holds no state
+ * @throws {Error} If the link is malformed, from another version or invalid
+ */
+export function decodeUrlState(hash) {
+  const encoded = new URLSearchParams(hash.replace(/^#/, '')).get(HASH_KEY);
+  if (encoded === null) return null;
+
+  let payload;
+  try {
+    payload = JSON.parse(fromBase64Url(encoded));
+  } catch {
+    throw new Error('Invalid link: the state could not be decoded');
+  }
+  if (!payload || typeof payload !== 'object') {
+    throw new Error('Invalid link: the state is not an object');
+  }
+  if (payload.v !== URL_STATE_VERSION) {
+    throw new Error(
+      `Invalid link: unsupported version ${payload.v} (expected ${URL_STATE_VERSION})`
+    );
+  }
+  if (!Array.isArray(payload.chains)) {
+    throw new Error('Invalid link: chains must be an array');
+  }
+
+  const session = {
+    version: SESSION_VERSION,
+    logP: payload.logP,
+    parameters: payload.parameters,
+    axisLimits: payload.axisLimits,
+    burnIn: payload.burnIn,
+    nSteps: payload.nSteps,
+    chains: payload.chains.map((c, id) => ({ config: { ...c, id } })),
+  };
+  try {
+    return validateSession(session);
+  } catch (e) {
+    throw new Error(e.message.replace(/^Invalid session file/, 'Invalid link'));
+  }
+}
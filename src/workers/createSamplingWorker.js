@@ -0,0 +1,78 @@
+/**
+ * Factory for the sampling worker, with an in-process stand-in for
+ * environments without Web Workers (jsdom in tests, very old browsers).
+ */
+
+import { createSamplingEngine } from './samplingEngine';
+
+/**
+ * Worker-compatible object that runs the sampling engine on the current
+ * thread. Messages are structured-cloned and delivered asynchronously in
+ * both directions, like postMessage on a real Worker.
+ */
+export class InProcessWorker {
+  constructor() {
+    this.onmessage = null;
+    this.onerror = null;
+    this.terminated = false;
+    this.engine = createSamplingEngine((message) => this._emit(message), {
+      schedule: (fn) => setTimeout(() => this._guard(fn), 0),
+    });
+  }
+
+  /**
+   * Send a message to the engine
+   * @param {Object} message - Protocol message
+   */
+  postMessage(message) {
+    const data = structuredClone(message);
+    setTimeout(() => {
+      if (!this.terminated) this._guard(() => this.engine.handleMessage(data));
+    }, 0);
+  }
+
+  /**
+   * Run engine code, reporting an uncaught exception to onerror the way a
+   * Worker raises an error event
+   * @param {Function} fn - Engine callback
+   */
+  _guard(fn) {
+    try {
+      fn();
+    } catch (e) {
+      if (!this.onerror) throw e;
+      this.onerror({ message: e.message, error: e });
+    }
+  }
+
+  /**
+   * Deliver an engine message to onmessage
+   * @param {Object} message - Protocol message
+   */
+  _emit(message) {
+    const data = structuredClone(message);
+    setTimeout(() => {
+      if (!this.terminated && this.onmessage) this.onmessage({ data });
+    }, 0);
+  }
+
+  /**
+   * Stop delivering messages in either direction
+   */
+  terminate() {
+    this.terminated = true;
+  }
+}
+
+/**
+ * Create the sampling worker
+ * @returns {Worker|InProcessWorker} Object with postMessage, onmessage and terminate
+ */
+export function createSamplingWorker() {
+  if (typeof Worker === 'undefined') {
+    return new InProcessWorker();
+  }
+  return new Worker(new URL('./sampling.worker.js', import.meta.url), {
+    type: 'module',
+  });
+}
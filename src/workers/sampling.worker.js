@@ -0,0 +1,9 @@
+/**
+ * Dedicated worker entry: runs SamplingChain batches off the main thread
+ */
+
+import { createSamplingEngine } from './samplingEngine';
+
+const engine = createSamplingEngine((message) => self.postMessage(message));
+
+self.onmessage = (event) => engine.handleMessage(event.data);
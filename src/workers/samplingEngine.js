@@ -0,0 +1,156 @@
+/**
+ * Worker-side sampling engine. Owns the Logp instance and SamplingChain
+ * instances and reacts to protocol messages; it is independent of the
+ * Worker global so the same code runs in the real worker and in the
+ * in-process stand-in used under jsdom. It also integrates the ground truth,
+ * which takes too long for the main thread.
+ */
+
+import { Logp } from '../utils/mathEngine';
+import { SamplingChain } from '../samplers/SamplingChain';
+import { computeGroundTruth } from '../utils/groundTruth';
+import {
+  MESSAGE_TYPES,
+  validateMessage,
+  progressMessage,
+  resultsMessage,
+  errorMessage,
+  groundTruthResultMessage,
+} from './samplingProtocol';
+import { logger } from '../utils/logger';
+
+/** Iterations per chunk; cancel messages are handled between chunks */
+const DEFAULT_CHUNK_SIZE = 250;
+
+/**
+ * Create a sampling engine
+ * @param {Function} post - Sends a protocol message back to the main thread
+ * @param {Object} [options]
+ * @param {number} [options.chunkSize=250] - Iterations run before yielding
+ * @param {Function} [options.schedule] - Defers the next chunk; defaults to setTimeout(fn, 0)
+ * @returns {{handleMessage: Function}} Engine accepting main-thread messages
+ */
+export function createSamplingEngine(
+  post,
+  { chunkSize = DEFAULT_CHUNK_SIZE, schedule = (fn) => setTimeout(fn, 0) } = {}
+) {
+  let logp = null;
+  let logPString = null;
+  let parameterString = null;
+  let chains = [];
+  // Runs still in progress, and those of them asked to stop
+  const running = new Set();
+  const cancelled = new Set();
+
+  const snapshots = () => chains.map((chain) => chain.toSnapshot());
+
+  const configure = ({ logP, chains: chainSnapshots, parameters }) => {
+    try {
+      // Recompile only when the expression or a parameter value changed
+      const parameterKey = JSON.stringify(parameters);
+      if (logP !== logPString || parameterKey !== parameterString) {
+        logp = new Logp(logP, { parameters });
+        logPString = logP;
+        parameterString = parameterKey;
+      }
+      chains = chainSnapshots.map((snapshot) =>
+        SamplingChain.fromSnapshot(snapshot)
+      );
+    } catch (e) {
+      // A following step must not run on the previous target or chains
+      logp = null;
+      logPString = null;
+      parameterString = null;
+      chains = [];
+      throw e;
+    }
+    logger.debug('Sampling worker configured', { chains: chains.length });
+  };
+
+  const run = ({ runId, steps }) => {
+    if (!logp) {
+      post(errorMessage(runId, 'Sampling worker is not configured'));
+      return;
+    }
+
+    let completed = 0;
+    running.add(runId);
+    const finish = () => {
+      running.delete(runId);
+      cancelled.delete(runId);
+    };
+    const runChunk = () => {
+      if (cancelled.has(runId)) {
+        finish();
+        post(resultsMessage(runId, completed, true, snapshots()));
+        logger.info('Sampling cancelled', { completed });
+        return;
+      }
+
+      try {
+        const end = Math.min(completed + chunkSize, steps);
+        for (; completed < end; completed++) {
+          chains.forEach((chain) => chain.step(logp));
+        }
+      } catch (e) {
+        finish();
+        logger.error('Sampling error', { message: e.message });
+        post(errorMessage(runId, e.message));
+        return;
+      }
+
+      if (completed < steps) {
+        post(progressMessage(runId, completed, steps));
+        schedule(runChunk);
+      } else {
+        finish();
+        post(resultsMessage(runId, completed, false, snapshots()));
+        logger.info('Sampling completed', { steps: completed });
+      }
+    };
+    runChunk();
+  };
+
+  // A separate Logp, so the sampling target is not recompiled back and forth
+  const integrate = ({ requestId, logP, parameters, axisLimits }) => {
+    try {
+      const truth = computeGroundTruth(
+        new Logp(logP, { parameters }),
+        axisLimits
+      );
+      post(groundTruthResultMessage(requestId, truth));
+    } catch (e) {
+      post(groundTruthResultMessage(requestId, null, e.message));
+    }
+  };
+
+  const handleMessage = (message) => {
+    let runId = -1;
+    try {
+      validateMessage(message);
+      runId = message.runId ?? -1;
+      switch (message.type) {
+        case MESSAGE_TYPES.CONFIGURE:
+          configure(message);
+          break;
+        case MESSAGE_TYPES.STEP:
+          run(message);
+          break;
+        case MESSAGE_TYPES.GROUND_TRUTH:
+          integrate(message);
+          break;
+        case MESSAGE_TYPES.CANCEL:
+          // A run that already finished has nothing left to stop
+          if (running.has(message.runId)) cancelled.add(message.runId);
+          break;
+        default:
+          throw new Error(`Unexpected message for worker: ${message.type}`);
+      }
+    } catch (e) {
+      logger.error('Sampling worker error', { message: e.message });
+      post(errorMessage(runId, e.message));
+    }
+  };
+
+  return { handleMessage };
+}
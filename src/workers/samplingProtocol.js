@@ -0,0 +1,196 @@
+/**
+ * Message protocol between useSamplingController and the sampling worker.
+ *
+ * Main thread → worker:
+ *   configure  { logP, chains, parameters, runId? }
+ *                                      Compile Logp and load chain snapshots;
+ *                                      a failure is reported for runId
+ *   step       { runId, steps }        Advance every chain by `steps` iterations
+ *   cancel     { runId }               Stop the run after the current chunk
+ *   groundTruth { requestId, logP, parameters, axisLimits }
+ *                                      Integrate the target (see utils/groundTruth.js)
+ *
+ * Worker → main thread:
+ *   progress   { runId, completed, total }
+ *   results    { runId, completed, cancelled, chains }
+ *   error      { runId, message }
+ *   groundTruthResult { requestId, truth, message? }
+ *                                      truth is null when the integration failed
+ *
+ * `chains` is always an array of SamplingChain snapshots (see
+ * SamplingChain#toSnapshot), so every message survives structured cloning.
+ */
+
+export const MESSAGE_TYPES = Object.freeze({
+  CONFIGURE: 'configure',
+  STEP: 'step',
+  CANCEL: 'cancel',
+  PROGRESS: 'progress',
+  RESULTS: 'results',
+  ERROR: 'error',
+  GROUND_TRUTH: 'groundTruth',
+  GROUND_TRUTH_RESULT: 'groundTruthResult',
+});
+
+/** Required payload fields and their `typeof` for each message type */
+const MESSAGE_FIELDS = {
+  [MESSAGE_TYPES.CONFIGURE]: {
+    logP: 'string',
+    chains: 'array',
+    parameters: 'object',
+  },
+  [MESSAGE_TYPES.STEP]: { runId: 'number', steps: 'number' },
+  [MESSAGE_TYPES.CANCEL]: { runId: 'number' },
+  [MESSAGE_TYPES.PROGRESS]: {
+    runId: 'number',
+    completed: 'number',
+    total: 'number',
+  },
+  [MESSAGE_TYPES.RESULTS]: {
+    runId: 'number',
+    completed: 'number',
+    cancelled: 'boolean',
+    chains: 'array',
+  },
+  [MESSAGE_TYPES.ERROR]: { runId: 'number', message: 'string' },
+  [MESSAGE_TYPES.GROUND_TRUTH]: {
+    requestId: 'number',
+    logP: 'string',
+    parameters: 'object',
+    axisLimits: 'object',
+  },
+  [MESSAGE_TYPES.GROUND_TRUTH_RESULT]: {
+    requestId: 'number',
+    truth: 'object',
+  },
+};
+
+/**
+ * Check that a message has a known type and correctly typed fields
+ * @param {Object} message - Message to validate
+ * @returns {Object} The same message
+ * @throws {Error} If the type is unknown or a field is missing or mistyped
+ */
+export function validateMessage(message) {
+  const fields = message && MESSAGE_FIELDS[message.type];
+  if (!fields) {
+    throw new Error(`Unknown sampling message type: ${message?.type}`);
+  }
+  Object.entries(fields).forEach(([key, kind]) => {
+    const value = message[key];
+    const ok = kind === 'array' ? Array.isArray(value) : typeof value === kind;
+    if (!ok) {
+      throw new Error(
+        `Invalid '${message.type}' message: ${key} must be ${kind}`
+      );
+    }
+  });
+  return message;
+}
+
+/**
+ * @param {string} logP - Unnormalised density expression
+ * @param {Array<Object>} chains - SamplingChain snapshots
+ * @param {Object<string, number>} [parameters={}] - Values of the target parameters
+ * @param {number} [runId] - Run the configuration is for, echoed in an error
+ * @returns {Object} configure message
+ */
+export function configureMessage(logP, chains, parameters = {}, runId) {
+  return validateMessage({
+    type: MESSAGE_TYPES.CONFIGURE,
+    logP,
+    chains,
+    parameters,
+    ...(runId !== undefined && { runId }),
+  });
+}
+
+/**
+ * @param {number} runId - Identifier echoed in progress/results
+ * @param {number} steps - Number of iterations to run
+ * @returns {Object} step message
+ */
+export function stepMessage(runId, steps) {
+  return validateMessage({ type: MESSAGE_TYPES.STEP, runId, steps });
+}
+
+/**
+ * @param {number} runId - Run to cancel
+ * @returns {Object} cancel message
+ */
+export function cancelMessage(runId) {
+  return validateMessage({ type: MESSAGE_TYPES.CANCEL, runId });
+}
+
+/**
+ * @param {number} runId - Run identifier
+ * @param {number} completed - Iterations finished so far
+ * @param {number} total - Iterations requested
+ * @returns {Object} progress message
+ */
+export function progressMessage(runId, completed, total) {
+  return validateMessage({
+    type: MESSAGE_TYPES.PROGRESS,
+    runId,
+    completed,
+    total,
+  });
+}
+
+/**
+ * @param {number} runId - Run identifier
+ * @param {number} completed - Iterations actually run
+ * @param {boolean} cancelled - Whether the run stopped early
+ * @param {Array<Object>} chains - SamplingChain snapshots after the run
+ * @returns {Object} results message
+ */
+export function resultsMessage(runId, completed, cancelled, chains) {
+  return validateMessage({
+    type: MESSAGE_TYPES.RESULTS,
+    runId,
+    completed,
+    cancelled,
+    chains,
+  });
+}
+
+/**
+ * @param {number} runId - Run identifier (-1 when not tied to a run)
+ * @param {string} message - Error description
+ * @returns {Object} error message
+ */
+export function errorMessage(runId, message) {
+  return validateMessage({ type: MESSAGE_TYPES.ERROR, runId, message });
+}
+
+/**
+ * @param {number} requestId - Identifier echoed in the result
+ * @param {string} logP - Unnormalised density expression
+ * @param {Object<string, number>} parameters - Values of the target parameters
+ * @param {Object} axisLimits - {xMin, xMax, yMin, yMax}, the initial domain
+ * @returns {Object} groundTruth message
+ */
+export function groundTruthMessage(requestId, logP, parameters, axisLimits) {
+  return validateMessage({
+    type: MESSAGE_TYPES.GROUND_TRUTH,
+    requestId,
+    logP,
+    parameters,
+    axisLimits,
+  });
+}
+
+/**
+ * @param {number} requestId - Request identifier
+ * @param {Object|null} truth - Result of computeGroundTruth, or null on failure
+ * @param {string} [message] - Why the integration failed
+ * @returns {Object} groundTruthResult message
+ */
+export function groundTruthResultMessage(requestId, truth, message) {
+  return validateMessage({
+    type: MESSAGE_TYPES.GROUND_TRUTH_RESULT,
+    requestId,
+    truth,
+    ...(message !== undefined && { message }),
+  });
+}
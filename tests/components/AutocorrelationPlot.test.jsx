@@ -0,0 +1,79 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import { vi, describe, test, expect } from 'vitest';
+import AutocorrelationPlot from '../../src/components/AutocorrelationPlot';
+import { HMC_SAMPLER } from '../../src/utils/plotConfig.json';
+import { calculateACF } from '../../src/utils/statistics';
+
+// Mock Plot component
+vi.mock('react-plotly.js', () => ({
+  __esModule: true,
+  default: ({ data, layout }) => (
+    <div data-testid="plotly-plot">
+      <div data-testid="plot-data">{JSON.stringify(data)}</div>
+      <div data-testid="plot-layout">{JSON.stringify(layout)}</div>
+    </div>
+  ),
+}));
+
+describe('AutocorrelationPlot', () => {
+  // A slowly oscillating chain has a clearly positive ACF at small lags
+  const samples = Array.from({ length: 40 }, (_, t) => ({
+    x: Math.sin(t / 4),
+    y: t % 2,
+  }));
+  const chains = [
+    { id: 0, samplerType: 'HMC', samples },
+    { id: 1, samplerType: 'GIBBS', samples: samples.slice(0, 30) },
+    { id: 2, samplerType: 'HMC', samples: [] },
+  ];
+
+  const panels = () =>
+    screen.getAllByTestId('plotly-plot').map((plot) => ({
+      data: JSON.parse(
+        plot.querySelector('[data-testid="plot-data"]').textContent
+      ),
+      layout: JSON.parse(
+        plot.querySelector('[data-testid="plot-layout"]').textContent
+      ),
+    }));
+
+  test('renders nothing without enough post-burn-in samples', () => {
+    const { container } = render(
+      <AutocorrelationPlot chains={chains} burnIn={40} />
+    );
+    expect(container).toBeEmptyDOMElement();
+  });
+
+  test('plots the ACF of x and y for each chain after burn-in', () => {
+    render(<AutocorrelationPlot chains={chains} burnIn={10} />);
+
+    const [xPanel, yPanel] = panels();
+    const expected = calculateACF(samples.slice(10), 50);
+
+    expect(xPanel.data).toHaveLength(2);
+    expect(xPanel.data[0].y).toEqual(expected.x.acf);
+    expect(xPanel.data[0].name).toBe(
+      `Chain 1 (HMC), cut-off lag ${expected.x.cutoff}`
+    );
+    expect(xPanel.data[1].name).toMatch(/^Chain 2 \(GIBBS\)/);
+    expect(yPanel.data[0].y).toEqual(expected.y.acf);
+    expect(yPanel.layout.yaxis.title).toBe('ρ_y(k)');
+  });
+
+  test('marks the truncation lag of each chain in its colour', () => {
+    render(<AutocorrelationPlot chains={chains} burnIn={0} />);
+
+    const [xPanel] = panels();
+    const expected = calculateACF(samples, 50);
+
+    expect(xPanel.layout.shapes).toHaveLength(2);
+    expect(xPanel.layout.shapes[0].x0).toBe(expected.x.cutoff);
+    expect(xPanel.layout.shapes[0].line.color).toBe(
+      HMC_SAMPLER.styles.primaryColor
+    );
+    expect(xPanel.layout.shapes[1].line.color).toBe(
+      HMC_SAMPLER.styles.secondaryColor
+    );
+  });
+});
@@ -1,5 +1,5 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest';
-import { render, screen, fireEvent } from '@testing-library/react';
+import { render, screen, fireEvent, act } from '@testing-library/react';
 import React from 'react';
 import Controls from '../../src/components/Controls';
 
@@ -281,6 +281,155 @@ describe('Controls Component', () => {
     });
   });
 
+  describe('Target Parameters', () => {
+    const targetParameters = {
+      rho: { min: -0.99, max: 0.99, step: 0.01, value: 0 },
+      sigma: { min: 0.1, max: 3, step: 0.05, value: 1 },
+    };
+    // Frames run only when a test asks for them
+    let frames;
+    beforeEach(() => {
+      frames = [];
+      vi.stubGlobal('requestAnimationFrame', (cb) => frames.push(cb));
+      vi.stubGlobal('cancelAnimationFrame', vi.fn());
+      return () => vi.unstubAllGlobals();
+    });
+    const nextFrame = () =>
+      act(() => {
+        const due = frames;
+        frames = [];
+        due.forEach((cb) => cb());
+      });
+    const renderWithParameters = (props = {}) =>
+      render(
+        <Controls
+          {...mockProps}
+          logP="exp(-(x^2 - 2*rho*x*y + y^2)/(2*sigma^2))"
+          targetParameters={targetParameters}
+          setTargetParameter={vi.fn(() => true)}
+          setResetOnParameterChange={vi.fn()}
+          {...props}
+        />
+      );
+
+    it('should not render the section without parameters', () => {
+      render(<Controls {...mockProps} />);
+      expect(screen.queryByText('Target Parameters')).not.toBeInTheDocument();
+    });
+
+    it('should render a slider for each parameter', () => {
+      renderWithParameters();
+      const rho = screen.getByLabelText('rho = 0');
+      expect(rho).toHaveAttribute('type', 'range');
+      expect(rho).toHaveAttribute('min', '-0.99');
+      expect(rho).toHaveAttribute('max', '0.99');
+      expect(rho).toHaveAttribute('step', '0.01');
+      expect(screen.getByLabelText('sigma = 1')).toHaveValue('1');
+    });
+
+    it('should set the parameter as the slider moves, even while running', () => {
+      const setTargetParameter = vi.fn(() => true);
+      renderWithParameters({ setTargetParameter, isRunning: true });
+      const rho = screen.getByLabelText('rho = 0');
+      expect(rho).not.toBeDisabled();
+      fireEvent.change(rho, { target: { value: '0.9' } });
+      expect(screen.getByLabelText('rho = 0.9')).toBe(rho);
+      nextFrame();
+      expect(setTargetParameter).toHaveBeenCalledWith('rho', { value: 0.9 });
+    });
+
+    it('should apply only the latest value of the moves within a frame', () => {
+      const setTargetParameter = vi.fn(() => true);
+      renderWithParameters({ setTargetParameter });
+      const rho = screen.getByLabelText('rho = 0');
+      ['0.1', '0.2', '0.3'].forEach((value) =>
+        fireEvent.change(rho, { target: { value } })
+      );
+      expect(setTargetParameter).not.toHaveBeenCalled();
+      expect(frames).toHaveLength(1);
+      nextFrame();
+      expect(setTargetParameter).toHaveBeenCalledTimes(1);
+      expect(setTargetParameter).toHaveBeenCalledWith('rho', { value: 0.3 });
+
+      fireEvent.change(rho, { target: { value: '0.4' } });
+      nextFrame();
+      expect(setTargetParameter).toHaveBeenCalledTimes(2);
+      expect(setTargetParameter).toHaveBeenLastCalledWith('rho', {
+        value: 0.4,
+      });
+    });
+
+    it('should apply sliders moved in the same frame one per frame', () => {
+      const setTargetParameter = vi.fn(() => true);
+      renderWithParameters({ setTargetParameter });
+      fireEvent.change(screen.getByLabelText('rho = 0'), {
+        target: { value: '0.3' },
+      });
+      fireEvent.change(screen.getByLabelText('sigma = 1'), {
+        target: { value: '1.05' },
+      });
+      nextFrame();
+      expect(setTargetParameter).toHaveBeenCalledTimes(1);
+      expect(setTargetParameter).toHaveBeenCalledWith('rho', { value: 0.3 });
+      nextFrame();
+      expect(setTargetParameter).toHaveBeenCalledTimes(2);
+      expect(setTargetParameter).toHaveBeenCalledWith('sigma', { value: 1.05 });
+    });
+
+    it('should restore a slider whose value is rejected', () => {
+      const setTargetParameter = vi.fn(() => false);
+      renderWithParameters({ setTargetParameter });
+      const rho = screen.getByLabelText('rho = 0');
+      fireEvent.change(rho, { target: { value: '0.4' } });
+      nextFrame();
+      expect(setTargetParameter).toHaveBeenCalledWith('rho', { value: 0.4 });
+      expect(screen.getByLabelText('rho = 0')).toHaveValue('0');
+    });
+
+    it('should cancel a pending frame on unmount', () => {
+      const { unmount } = renderWithParameters();
+      fireEvent.change(screen.getByLabelText('rho = 0'), {
+        target: { value: '0.5' },
+      });
+      unmount();
+      expect(cancelAnimationFrame).toHaveBeenCalledWith(1);
+    });
+
+    it('should apply a range edit on blur', () => {
+      const setTargetParameter = vi.fn(() => true);
+      renderWithParameters({ setTargetParameter });
+      const max = screen.getByLabelText('sigma maximum');
+      fireEvent.change(max, { target: { value: '5' } });
+      expect(setTargetParameter).not.toHaveBeenCalled();
+      fireEvent.blur(max);
+      expect(setTargetParameter).toHaveBeenCalledWith('sigma', { max: 5 });
+    });
+
+    it('should restore a range edit that is rejected', () => {
+      const setTargetParameter = vi.fn(() => false);
+      renderWithParameters({ setTargetParameter });
+      const min = screen.getByLabelText('rho minimum');
+      fireEvent.change(min, { target: { value: '2' } });
+      fireEvent.blur(min);
+      expect(setTargetParameter).toHaveBeenCalledWith('rho', { min: 2 });
+      expect(min).toHaveValue(-0.99);
+
+      fireEvent.change(min, { target: { value: '' } });
+      fireEvent.blur(min);
+      expect(setTargetParameter).toHaveBeenCalledTimes(1);
+      expect(min).toHaveValue(-0.99);
+    });
+
+    it('should toggle resetting the chains on parameter changes', () => {
+      const setResetOnParameterChange = vi.fn();
+      renderWithParameters({ setResetOnParameterChange });
+      fireEvent.click(
+        screen.getByLabelText('Reset chains when a parameter changes')
+      );
+      expect(setResetOnParameterChange).toHaveBeenCalledWith(true);
+    });
+  });
+
   describe('Disabled State Handling', () => {
     it('should disable Step button when no logP is set', () => {
       render(<Controls {...mockProps} logP="" />);
@@ -359,6 +508,21 @@ describe('Controls Component', () => {
       expect(setBurnIn).not.toHaveBeenCalled();
     });
   });
+  describe('Accepted-only view', () => {
+    it('should toggle plotting accepted samples only', () => {
+      const setShowAcceptedOnly = vi.fn();
+      render(
+        <Controls {...mockProps} setShowAcceptedOnly={setShowAcceptedOnly} />
+      );
+
+      const checkbox = screen.getByLabelText(/plot accepted samples only/i);
+      expect(checkbox).not.toBeChecked();
+      fireEvent.click(checkbox);
+
+      expect(setShowAcceptedOnly).toHaveBeenCalledWith(true);
+    });
+  });
+
   describe('Fast Sampling Mode Controls', () => {
     it('should render fast mode checkbox', () => {
       render(<Controls {...mockProps} />);
@@ -392,6 +556,18 @@ describe('Controls Component', () => {
 
       expect(screen.getByText(/generating samples/i)).toBeInTheDocument();
     });
+
+    it('should show worker progress while a fast-mode run is in flight', () => {
+      const props = {
+        ...mockProps,
+        isRunning: true,
+        useFastMode: true,
+        progress: { completed: 250, total: 1000 },
+      };
+      render(<Controls {...props} />);
+
+      expect(screen.getByText('250 / 1000')).toBeInTheDocument();
+    });
   });
 
   describe('Chain Management UI', () => {
@@ -481,6 +657,38 @@ describe('Controls Component', () => {
       expect(screen.getByLabelText(/^l\s/i)).toBeInTheDocument();
     });
 
+    it('should edit the HMC divergence threshold', () => {
+      render(<Controls {...mockProps} />);
+      const input = screen.getByLabelText(/divergence threshold/i);
+      expect(input.value).toBe('1000');
+
+      fireEvent.change(input, { target: { value: '0' } });
+      expect(mockProps.setChainConfig).not.toHaveBeenCalled();
+
+      fireEvent.change(input, { target: { value: '200' } });
+      expect(mockProps.setChainConfig).toHaveBeenCalledWith(0, {
+        params: { ...mockProps.chains[0].params, divergenceThreshold: 200 },
+      });
+    });
+
+    it('should edit the NUTS divergence threshold', () => {
+      const nutsChains = [
+        {
+          ...mockProps.chains[0],
+          samplerType: 'NUTS',
+          params: { epsilon: 0.1, maxTreeDepth: 10 },
+        },
+      ];
+      render(<Controls {...mockProps} chains={nutsChains} />);
+      const input = screen.getByLabelText(/divergence threshold/i);
+      expect(input.value).toBe('1000');
+
+      fireEvent.change(input, { target: { value: '50' } });
+      expect(mockProps.setChainConfig).toHaveBeenCalledWith(0, {
+        params: { epsilon: 0.1, maxTreeDepth: 10, divergenceThreshold: 50 },
+      });
+    });
+
     it('should show Slice Width for Gibbs sampler', () => {
       const gibbsChains = [
         {
@@ -503,6 +711,182 @@ describe('Controls Component', () => {
       });
     });
 
+    it('should show Epsilon and Max Tree Depth for NUTS sampler', () => {
+      const nutsChains = [
+        {
+          ...mockProps.chains[0],
+          samplerType: 'NUTS',
+          params: { epsilon: 0.1, maxTreeDepth: 10 },
+        },
+      ];
+      render(<Controls {...mockProps} chains={nutsChains} />);
+      expect(screen.getByLabelText(/epsilon/i)).toBeInTheDocument();
+      expect(screen.queryByLabelText(/^l\s/i)).not.toBeInTheDocument();
+
+      const depthInput = screen.getByLabelText(/max tree depth/i);
+      expect(depthInput.value).toBe('10');
+
+      fireEvent.change(depthInput, { target: { value: '6' } });
+      expect(mockProps.setChainConfig).toHaveBeenCalledWith(0, {
+        params: { ...nutsChains[0].params, maxTreeDepth: 6 },
+      });
+    });
+
+    it('should keep the NUTS tree depth within its limits', () => {
+      const nutsChains = [
+        {
+          ...mockProps.chains[0],
+          samplerType: 'NUTS',
+          params: { epsilon: 0.1, maxTreeDepth: 10 },
+        },
+      ];
+      render(<Controls {...mockProps} chains={nutsChains} />);
+      const depthInput = screen.getByLabelText(/max tree depth/i);
+      expect(depthInput).toHaveAttribute('max', '12');
+
+      fireEvent.change(depthInput, { target: { value: '20' } });
+      expect(mockProps.setChainConfig).toHaveBeenLastCalledWith(0, {
+        params: { ...nutsChains[0].params, maxTreeDepth: 12 },
+      });
+      fireEvent.change(depthInput, { target: { value: '0' } });
+      expect(mockProps.setChainConfig).toHaveBeenLastCalledWith(0, {
+        params: { ...nutsChains[0].params, maxTreeDepth: 1 },
+      });
+      mockProps.setChainConfig.mockClear();
+      fireEvent.change(depthInput, { target: { value: '' } });
+      expect(mockProps.setChainConfig).not.toHaveBeenCalled();
+    });
+
+    it('should toggle step-size adaptation for HMC chains', () => {
+      render(<Controls {...mockProps} />);
+      const checkbox = screen.getByLabelText(/adapt ε during burn-in/i);
+      expect(checkbox.checked).toBe(false);
+      expect(
+        screen.queryByLabelText(/target acceptance/i)
+      ).not.toBeInTheDocument();
+
+      fireEvent.click(checkbox);
+      expect(mockProps.setChainConfig).toHaveBeenCalledWith(0, {
+        adaptation: { targetAccept: 0.8 },
+      });
+    });
+
+    it('should edit the target acceptance when adaptation is enabled', () => {
+      const chains = [
+        { ...mockProps.chains[0], adaptation: { targetAccept: 0.8 } },
+      ];
+      render(<Controls {...mockProps} chains={chains} />);
+      const input = screen.getByLabelText(/target acceptance/i);
+      expect(input.value).toBe('0.8');
+
+      fireEvent.change(input, { target: { value: '0.65' } });
+      expect(mockProps.setChainConfig).toHaveBeenCalledWith(0, {
+        adaptation: { targetAccept: 0.65 },
+      });
+    });
+
+    it('should select the HMC mass matrix type', () => {
+      render(<Controls {...mockProps} />);
+      const select = screen.getByLabelText(/mass matrix/i);
+      expect(select.value).toBe('identity');
+
+      fireEvent.change(select, { target: { value: 'dense' } });
+      expect(mockProps.setChainConfig).toHaveBeenCalledWith(0, {
+        params: { ...mockProps.chains[0].params, metric: 'dense' },
+      });
+    });
+
+    it('should edit the isotropic Metropolis proposal scale', () => {
+      const chains = [
+        {
+          ...mockProps.chains[0],
+          samplerType: 'METROPOLIS',
+          params: { scale: 0.5 },
+        },
+      ];
+      render(<Controls {...mockProps} chains={chains} />);
+      expect(screen.queryByLabelText(/epsilon/i)).not.toBeInTheDocument();
+      const input = screen.getByLabelText(/proposal scale/i);
+      expect(input.value).toBe('0.5');
+
+      fireEvent.change(input, { target: { value: '1.2' } });
+      expect(mockProps.setChainConfig).toHaveBeenCalledWith(0, {
+        params: { scale: 1.2 },
+      });
+    });
+
+    it('should switch the Metropolis proposal to a full covariance', () => {
+      const chains = [
+        {
+          ...mockProps.chains[0],
+          samplerType: 'METROPOLIS',
+          params: { scale: 0.5 },
+        },
+      ];
+      render(<Controls {...mockProps} chains={chains} />);
+      fireEvent.change(screen.getByLabelText(/proposal shape/i), {
+        target: { value: 'full' },
+      });
+      expect(mockProps.setChainConfig).toHaveBeenCalledWith(0, {
+        params: { scale: 0.5, covariance: { xx: 0.25, xy: 0, yy: 0.25 } },
+      });
+    });
+
+    it('should reject a covariance that is not positive definite', () => {
+      const covariance = { xx: 1, xy: 0, yy: 1 };
+      const chains = [
+        {
+          ...mockProps.chains[0],
+          samplerType: 'METROPOLIS',
+          params: { scale: 0.5, covariance },
+        },
+      ];
+      render(<Controls {...mockProps} chains={chains} />);
+      const xy = screen.getByLabelText('Σxy');
+
+      fireEvent.change(xy, { target: { value: '2' } });
+      expect(mockProps.setChainConfig).not.toHaveBeenCalled();
+
+      fireEvent.change(xy, { target: { value: '0.5' } });
+      expect(mockProps.setChainConfig).toHaveBeenCalledWith(0, {
+        params: { scale: 0.5, covariance: { ...covariance, xy: 0.5 } },
+      });
+    });
+
+    it.each(['MALA', 'ULA'])(
+      'should show only Epsilon for the %s sampler',
+      (samplerType) => {
+        const chains = [
+          { ...mockProps.chains[0], samplerType, params: { epsilon: 0.5 } },
+        ];
+        render(<Controls {...mockProps} chains={chains} />);
+        expect(screen.queryByLabelText(/^l\s/i)).not.toBeInTheDocument();
+        const input = screen.getByLabelText(/epsilon/i);
+        expect(input.value).toBe('0.5');
+
+        fireEvent.change(input, { target: { value: '0.25' } });
+        expect(mockProps.setChainConfig).toHaveBeenCalledWith(0, {
+          params: { epsilon: 0.25 },
+        });
+      }
+    );
+
+    it('should offer Langevin samplers in the sampler type dropdown', () => {
+      render(<Controls {...mockProps} />);
+      const select = screen.getByLabelText(/sampler type/i);
+      const values = [...select.options].map((o) => o.value);
+      expect(values).toEqual(expect.arrayContaining(['MALA', 'ULA']));
+    });
+
+    it('should offer NUTS in the sampler type dropdown', () => {
+      render(<Controls {...mockProps} />);
+      const select = screen.getByLabelText(/sampler type/i);
+      fireEvent.change(select, { target: { value: 'NUTS' } });
+      expect(mockProps.setChainConfig).toHaveBeenCalledWith(0, {
+        samplerType: 'NUTS',
+      });
+    });
+
     it('should call setSamplerType when selection changes', () => {
       render(<Controls {...mockProps} />);
       const select = screen.getByLabelText(/sampler type/i);
@@ -627,7 +1011,8 @@ describe('Controls Component', () => {
       ).not.toBeInTheDocument();
     });
 
-    it('should NOT render "Stop Sampling" button when isRunning=true and useFastMode=true', () => {
+    it('should render "Stop Sampling" button when isRunning=true and useFastMode=true', () => {
+      // Fast-mode batches run in a worker and can be cancelled
       render(
         <Controls
           {...stopSamplingProps}
@@ -637,8 +1022,8 @@ describe('Controls Component', () => {
         />
       );
       expect(
-        screen.queryByRole('button', { name: /stop sampling/i })
-      ).not.toBeInTheDocument();
+        screen.getByRole('button', { name: /stop sampling/i })
+      ).toBeInTheDocument();
     });
 
     it('clicking "Stop Sampling" button calls stopSampling prop', () => {
@@ -657,4 +1042,205 @@ describe('Controls Component', () => {
       expect(stopSampling).toHaveBeenCalledTimes(1);
     });
   });
+
+  describe('Export', () => {
+    it('should be disabled until there are samples', () => {
+      render(<Controls {...mockProps} exportSamples={vi.fn()} />);
+      expect(screen.getByRole('button', { name: 'Export CSV' })).toBeDisabled();
+      expect(
+        screen.getByRole('button', { name: 'Export JSON' })
+      ).toBeDisabled();
+    });
+
+    it('should export in the chosen format', () => {
+      const exportSamples = vi.fn();
+      const chains = [{ ...mockProps.chains[0], samples: [{ x: 0, y: 0 }] }];
+      render(
+        <Controls
+          {...mockProps}
+          chains={chains}
+          exportSamples={exportSamples}
+        />
+      );
+
+      fireEvent.click(screen.getByRole('button', { name: 'Export CSV' }));
+      fireEvent.click(screen.getByRole('button', { name: 'Export JSON' }));
+      fireEvent.click(screen.getByRole('button', { name: 'Export ArviZ' }));
+      expect(exportSamples.mock.calls).toEqual([['csv'], ['json'], ['arviz']]);
+    });
+  });
+
+  describe('Session', () => {
+    it('should save with or without samples', () => {
+      const saveSession = vi.fn();
+      render(<Controls {...mockProps} saveSession={saveSession} />);
+
+      fireEvent.click(screen.getByRole('button', { name: 'Save Session' }));
+      fireEvent.click(screen.getByLabelText('Include Samples in Session'));
+      fireEvent.click(screen.getByRole('button', { name: 'Save Session' }));
+
+      expect(saveSession.mock.calls).toEqual([
+        [{ includeSamples: true }],
+        [{ includeSamples: false }],
+      ]);
+    });
+
+    it('should load the chosen session file', async () => {
+      const loadSession = vi.fn();
+      render(<Controls {...mockProps} loadSession={loadSession} />);
+
+      const file = new File(['{"version":1}'], 'demo.json', {
+        type: 'application/json',
+      });
+      fireEvent.change(screen.getByTestId('session-file-input'), {
+        target: { files: [file] },
+      });
+
+      await vi.waitFor(() =>
+        expect(loadSession).toHaveBeenCalledWith('{"version":1}')
+      );
+    });
+
+    it('should be disabled while sampling', () => {
+      render(<Controls {...mockProps} isRunning={true} />);
+      expect(
+        screen.getByRole('button', { name: 'Save Session' })
+      ).toBeDisabled();
+      expect(
+        screen.getByRole('button', { name: 'Load Session' })
+      ).toBeDisabled();
+    });
+  });
+
+  describe('Share Link', () => {
+    it('should copy the link to the clipboard', async () => {
+      const createShareLink = vi.fn(() => 'http://localhost/#state=abc');
+      const writeText = vi.fn(() => Promise.resolve());
+      vi.stubGlobal('navigator', { clipboard: { writeText } });
+      render(<Controls {...mockProps} createShareLink={createShareLink} />);
+
+      fireEvent.click(screen.getByRole('button', { name: 'Copy Share Link' }));
+
+      expect(writeText).toHaveBeenCalledWith('http://localhost/#state=abc');
+      expect(await screen.findByRole('status')).toHaveTextContent(
+        'Link copied'
+      );
+      vi.unstubAllGlobals();
+    });
+
+    it('should sync the step count with the controller', () => {
+      const setNSteps = vi.fn();
+      const sampleSteps = vi.fn();
+      const { rerender } = render(
+        <Controls
+          {...mockProps}
+          logP="-(x^2)/2"
+          nSteps={12}
+          setNSteps={setNSteps}
+          sampleSteps={sampleSteps}
+        />
+      );
+      const input = screen.getByDisplayValue('12');
+
+      fireEvent.change(input, { target: { value: '25' } });
+      expect(setNSteps).toHaveBeenCalledWith(25);
+
+      rerender(
+        <Controls
+          {...mockProps}
+          logP="-(x^2)/2"
+          nSteps={40}
+          setNSteps={setNSteps}
+          sampleSteps={sampleSteps}
+        />
+      );
+      fireEvent.click(screen.getByRole('button', { name: 'Sample N Steps' }));
+      expect(sampleSteps).toHaveBeenCalledWith(40);
+    });
+  });
+
+  describe('Trajectory History Limit', () => {
+    it('should apply valid limits only', () => {
+      const setHistoryLimit = vi.fn();
+      render(
+        <Controls
+          {...mockProps}
+          historyLimit={1000}
+          setHistoryLimit={setHistoryLimit}
+        />
+      );
+
+      const input = screen.getByLabelText('Trajectory History Limit');
+      expect(input.value).toBe('1000');
+
+      fireEvent.change(input, { target: { value: '250' } });
+      expect(setHistoryLimit).toHaveBeenCalledWith(250);
+
+      fireEvent.change(input, { target: { value: '-5' } });
+      expect(setHistoryLimit).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('Trajectory Playback', () => {
+    const makePlayback = (overrides = {}) => ({
+      isEnabled: true,
+      setEnabled: vi.fn(),
+      isPlaying: false,
+      play: vi.fn(),
+      pause: vi.fn(),
+      stepForward: vi.fn(),
+      stepBack: vi.fn(),
+      seek: vi.fn(),
+      frame: 2,
+      frameCount: 11,
+      speed: 4,
+      setSpeed: vi.fn(),
+      ...overrides,
+    });
+
+    it('should not render without playback state', () => {
+      render(<Controls {...mockProps} />);
+      expect(screen.queryByText('Trajectory Playback')).not.toBeInTheDocument();
+    });
+
+    it('should only show the transport controls when enabled', () => {
+      const playback = makePlayback({ isEnabled: false });
+      render(<Controls {...mockProps} playback={playback} />);
+
+      expect(screen.queryByRole('button', { name: 'Play' })).toBeNull();
+      fireEvent.click(screen.getByLabelText('Reveal Trajectory Step by Step'));
+      expect(playback.setEnabled).toHaveBeenCalledWith(true);
+    });
+
+    it('should wire play, step and scrubber controls', () => {
+      const playback = makePlayback();
+      render(<Controls {...mockProps} playback={playback} />);
+
+      fireEvent.click(screen.getByRole('button', { name: 'Play' }));
+      fireEvent.click(screen.getByRole('button', { name: 'Step forward' }));
+      fireEvent.click(screen.getByRole('button', { name: 'Step back' }));
+      expect(playback.play).toHaveBeenCalledTimes(1);
+      expect(playback.stepForward).toHaveBeenCalledTimes(1);
+      expect(playback.stepBack).toHaveBeenCalledTimes(1);
+
+      expect(screen.getByText(/Leapfrog step 2 \/ 10/)).toBeInTheDocument();
+      fireEvent.change(screen.getByLabelText(/Leapfrog step/), {
+        target: { value: '7' },
+      });
+      expect(playback.seek).toHaveBeenCalledWith(7);
+
+      fireEvent.change(screen.getByLabelText(/Speed/), {
+        target: { value: '12' },
+      });
+      expect(playback.setSpeed).toHaveBeenCalledWith(12);
+    });
+
+    it('should show Pause while playing', () => {
+      const playback = makePlayback({ isPlaying: true });
+      render(<Controls {...mockProps} playback={playback} />);
+
+      fireEvent.click(screen.getByRole('button', { name: 'Pause' }));
+      expect(playback.pause).toHaveBeenCalledTimes(1);
+    });
+  });
 });
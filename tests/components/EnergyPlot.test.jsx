@@ -0,0 +1,82 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import { vi, describe, test, expect } from 'vitest';
+import EnergyPlot from '../../src/components/EnergyPlot';
+
+// Mock Plot component
+vi.mock('react-plotly.js', () => ({
+  __esModule: true,
+  default: ({ data, layout }) => (
+    <div data-testid="plotly-plot">
+      <div data-testid="plot-data">{JSON.stringify(data)}</div>
+      <div data-testid="plot-layout">{JSON.stringify(layout)}</div>
+    </div>
+  ),
+}));
+
+describe('EnergyPlot', () => {
+  const energy = [
+    { H: 2, K: 1, U: 1 },
+    { H: 2.05, K: 0.6, U: 1.45 },
+    { H: 1.97, K: 0.3, U: 1.67 },
+  ];
+
+  const plotData = () =>
+    JSON.parse(screen.getByTestId('plot-data').textContent);
+
+  test('renders nothing when no chain has an energy record', () => {
+    const { container } = render(
+      <EnergyPlot
+        chains={[{ id: 0, samplerType: 'GIBBS', energy: [] }, { id: 1 }]}
+      />
+    );
+    expect(container).toBeEmptyDOMElement();
+  });
+
+  test('plots H, K and U for each HMC chain', () => {
+    render(
+      <EnergyPlot
+        chains={[
+          { id: 0, samplerType: 'HMC', energy },
+          { id: 1, samplerType: 'NUTS', energy: [] },
+          { id: 2, samplerType: 'HMC', energy },
+        ]}
+      />
+    );
+
+    expect(screen.getByText('Energy (latest trajectory)')).toBeInTheDocument();
+    const names = plotData().map((t) => t.name);
+    expect(names).toEqual([
+      'H (Chain 1 (HMC))',
+      'K (Chain 1 (HMC))',
+      'U (Chain 1 (HMC))',
+      'H (Chain 3 (HMC))',
+      'K (Chain 3 (HMC))',
+      'U (Chain 3 (HMC))',
+    ]);
+    const layout = JSON.parse(screen.getByTestId('plot-layout').textContent);
+    expect(layout.xaxis.title).toBe('Leapfrog step');
+  });
+
+  test('summarises the final and maximum energy error', () => {
+    render(<EnergyPlot chains={[{ id: 0, samplerType: 'HMC', energy }]} />);
+    expect(
+      screen.getByText('Chain 1: ΔH = -0.0300, max |H − H₀| = 0.0500')
+    ).toBeInTheDocument();
+  });
+
+  test('shows an infinite error for a blown-up trajectory', () => {
+    render(
+      <EnergyPlot
+        chains={[
+          {
+            id: 0,
+            samplerType: 'HMC',
+            energy: [...energy, { H: NaN, K: NaN, U: NaN }],
+          },
+        ]}
+      />
+    );
+    expect(screen.getByText(/ΔH = ∞/)).toBeInTheDocument();
+  });
+});
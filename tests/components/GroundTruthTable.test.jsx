@@ -0,0 +1,88 @@
+import React from 'react';
+import { render, screen, within } from '@testing-library/react';
+import { describe, test, expect } from 'vitest';
+import GroundTruthTable from '../../src/components/GroundTruthTable';
+
+describe('GroundTruthTable', () => {
+  const quantiles = [
+    { prob: 0.05, value: -1.645 },
+    { prob: 0.5, value: 0 },
+    { prob: 0.95, value: 1.645 },
+  ];
+  const groundTruth = {
+    mean: { x: 0.0001, y: 1 },
+    sd: { x: 1, y: 2 },
+    correlation: 0.5,
+    quantiles: { x: quantiles, y: quantiles },
+    domain: { xMin: -5, xMax: 5, yMin: -5, yMax: 10 },
+    cells: 128,
+    converged: true,
+    truncated: false,
+  };
+
+  const truthErrors = [
+    {
+      chainId: 0,
+      label: 'Chain 1 (HMC)',
+      draws: 100,
+      errors: {
+        x: { meanError: 0.0123, sdError: -0.05, ks: 0.04 },
+        y: { meanError: 0.2, sdError: 0.1, ks: 0.21 },
+      },
+    },
+  ];
+
+  const rowOf = (table, dim) =>
+    within(table)
+      .getAllByRole('row')
+      .find((tr) => within(tr).queryByRole('rowheader', { name: dim }));
+
+  test('renders nothing without a reference', () => {
+    const { container } = render(<GroundTruthTable groundTruth={null} />);
+    expect(container).toBeEmptyDOMElement();
+  });
+
+  test('shows the exact moments, quantiles and integration grid', () => {
+    render(<GroundTruthTable groundTruth={groundTruth} />);
+
+    expect(
+      screen.getByText('Ground Truth (numerical integration)')
+    ).toBeInTheDocument();
+    expect(screen.getByText(/128×128 grid/)).toHaveTextContent(
+      '[-5.00, 5.00] × [-5.00, 10.0], Corr(x, y) = 0.500'
+    );
+
+    const [reference] = screen.getAllByRole('table');
+    const cells = within(rowOf(reference, 'y'))
+      .getAllByRole('cell')
+      .map((td) => td.textContent);
+    expect(cells).toEqual(['1.00', '2.00', '-1.65', '0.00', '1.65']);
+    expect(screen.queryByRole('table', { name: /Chain error/ })).toBeNull();
+  });
+
+  test('shows each chain’s error against the truth', () => {
+    render(
+      <GroundTruthTable groundTruth={groundTruth} truthErrors={truthErrors} />
+    );
+
+    const errors = screen.getByRole('table', { name: /Chain error/ });
+    expect(
+      within(errors).getByRole('rowheader', { name: 'Chain 1 (HMC)' })
+    ).toHaveAttribute('rowspan', '2');
+    const cells = within(rowOf(errors, 'x'))
+      .getAllByRole('cell')
+      .map((td) => td.textContent);
+    expect(cells).toEqual(['0.0123', '-0.0500', '0.040']);
+  });
+
+  test('warns when the reference is approximate', () => {
+    render(
+      <GroundTruthTable
+        groundTruth={{ ...groundTruth, converged: false, truncated: true }}
+      />
+    );
+
+    expect(screen.getByText(/did not converge/)).toBeInTheDocument();
+    expect(screen.getByText(/widen the axis limits/)).toBeInTheDocument();
+  });
+});
@@ -141,6 +141,42 @@ describe('HistogramPlots', () => {
     expect(plots).toHaveLength(3);
   });
 
+  it('should overlay the true marginal densities when a ground truth is given', () => {
+    const marginal = { grid: [0, 1], density: [0.5, 0.5] };
+    render(
+      <HistogramPlots
+        histogramData={{ samples: mockSamples }}
+        groundTruth={{ marginals: { x: marginal, y: marginal } }}
+      />
+    );
+
+    const plots = screen.getAllByTestId('plotly-plot');
+    const data = (i) =>
+      JSON.parse(
+        plots[i].querySelector('[data-testid="plot-data"]').textContent
+      );
+    const [yHist, yTruth] = data(0);
+    const [xHist, xTruth] = data(2);
+
+    expect(xHist.histnorm).toBe('probability density');
+    expect(xTruth).toMatchObject({ x: [0, 1], y: [0.5, 0.5] });
+    expect(yHist.histnorm).toBe('probability density');
+    expect(yTruth).toMatchObject({ x: [0.5, 0.5], y: [0, 1] });
+    // The joint histogram is unchanged
+    expect(data(1)).toHaveLength(1);
+  });
+
+  it('should plot counts without a ground truth', () => {
+    render(<HistogramPlots histogramData={{ samples: mockSamples }} />);
+
+    const plots = screen.getAllByTestId('plotly-plot');
+    const xData = JSON.parse(
+      plots[2].querySelector('[data-testid="plot-data"]').textContent
+    );
+    expect(xData).toHaveLength(1);
+    expect(xData[0].histnorm).toBe('');
+  });
+
   it('should respect axisLimits prop', () => {
     const axisLimits = { xMin: -10, xMax: 10, yMin: -20, yMax: 20 };
     render(
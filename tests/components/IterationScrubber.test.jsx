@@ -0,0 +1,79 @@
+import React from 'react';
+import { render, screen, fireEvent } from '@testing-library/react';
+import { vi, describe, test, expect } from 'vitest';
+import IterationScrubber from '../../src/components/IterationScrubber';
+
+describe('IterationScrubber', () => {
+  test('renders nothing before the first iteration', () => {
+    const { container } = render(
+      <IterationScrubber iterationCount={0} setScrubIteration={vi.fn()} />
+    );
+    expect(container).toBeEmptyDOMElement();
+  });
+
+  test('follows the latest iteration by default', () => {
+    render(
+      <IterationScrubber iterationCount={200} setScrubIteration={vi.fn()} />
+    );
+    expect(screen.getByText('Iteration 199 / 199')).toBeInTheDocument();
+    expect(screen.getByLabelText(/Iteration/).value).toBe('199');
+    expect(screen.getByRole('button', { name: 'Latest' })).toBeDisabled();
+  });
+
+  test('scrubs to a past iteration', () => {
+    const setScrubIteration = vi.fn();
+    render(
+      <IterationScrubber
+        iterationCount={200}
+        setScrubIteration={setScrubIteration}
+      />
+    );
+
+    fireEvent.change(screen.getByLabelText(/Iteration/), {
+      target: { value: '137' },
+    });
+    expect(setScrubIteration).toHaveBeenCalledWith(137);
+  });
+
+  test('follows the latest iteration again at the end of the slider', () => {
+    const setScrubIteration = vi.fn();
+    render(
+      <IterationScrubber
+        iterationCount={200}
+        scrubIteration={137}
+        setScrubIteration={setScrubIteration}
+      />
+    );
+
+    fireEvent.change(screen.getByLabelText(/Iteration/), {
+      target: { value: '199' },
+    });
+    expect(setScrubIteration).toHaveBeenCalledWith(null);
+  });
+
+  test('returns to the latest iteration', () => {
+    const setScrubIteration = vi.fn();
+    render(
+      <IterationScrubber
+        iterationCount={200}
+        scrubIteration={137}
+        setScrubIteration={setScrubIteration}
+      />
+    );
+
+    expect(screen.getByText('Iteration 137 / 199')).toBeInTheDocument();
+    fireEvent.click(screen.getByRole('button', { name: 'Latest' }));
+    expect(setScrubIteration).toHaveBeenCalledWith(null);
+  });
+
+  test('is disabled while sampling', () => {
+    render(
+      <IterationScrubber
+        iterationCount={200}
+        setScrubIteration={vi.fn()}
+        isRunning={true}
+      />
+    );
+    expect(screen.getByLabelText(/Iteration/)).toBeDisabled();
+  });
+});
@@ -0,0 +1,86 @@
+import React from 'react';
+import { render, screen } from '@testing-library/react';
+import { vi, describe, test, expect } from 'vitest';
+import PhaseSpacePlot from '../../src/components/PhaseSpacePlot';
+
+// Mock Plot component
+vi.mock('react-plotly.js', () => ({
+  __esModule: true,
+  default: ({ data, layout }) => (
+    <div data-testid="plotly-plot">
+      <div data-testid="plot-data">{JSON.stringify(data)}</div>
+      <div data-testid="plot-layout">{JSON.stringify(layout)}</div>
+    </div>
+  ),
+}));
+
+describe('PhaseSpacePlot', () => {
+  const axisLimits = { xMin: -5, xMax: 5, yMin: -4, yMax: 4 };
+  const hmcChain = {
+    id: 0,
+    samplerType: 'HMC',
+    trajectory: [
+      { x: 0, y: 1 },
+      { x: 0.5, y: 0.8 },
+    ],
+    momentum: [
+      { x: 1, y: -0.5 },
+      { x: 0.8, y: -5 },
+    ],
+  };
+  const gaussianTarget = {
+    mean: { x: 0, y: 0 },
+    precision: { xx: 1, xy: 0, yy: 1 },
+  };
+
+  const panels = () =>
+    screen.getAllByTestId('plotly-plot').map((plot) => ({
+      data: JSON.parse(
+        plot.querySelector('[data-testid="plot-data"]').textContent
+      ),
+      layout: JSON.parse(
+        plot.querySelector('[data-testid="plot-layout"]').textContent
+      ),
+    }));
+
+  test('renders nothing without momentum records', () => {
+    const { container } = render(
+      <PhaseSpacePlot
+        chains={[{ id: 0, samplerType: 'GIBBS', momentum: [] }]}
+        axisLimits={axisLimits}
+      />
+    );
+    expect(container).toBeEmptyDOMElement();
+  });
+
+  test('draws the (q_x, p_x) and (q_y, p_y) planes', () => {
+    render(<PhaseSpacePlot chains={[hmcChain]} axisLimits={axisLimits} />);
+
+    const [x, y] = panels();
+    expect(x.layout.xaxis.title).toBe('q_x');
+    expect(x.layout.yaxis.title).toBe('p_x');
+    expect(x.layout.xaxis.range).toEqual([-5, 5]);
+    expect(y.layout.xaxis.range).toEqual([-4, 4]);
+    expect(x.data).toHaveLength(1);
+    expect(x.data[0].x).toEqual([0, 0.5]);
+    expect(y.data[0].y).toEqual([-0.5, -5]);
+    // Momentum axis covers the largest recorded momentum
+    expect(y.layout.yaxis.range[1]).toBeCloseTo(5.5);
+  });
+
+  test('overlays Hamiltonian level sets for Gaussian targets', () => {
+    render(
+      <PhaseSpacePlot
+        chains={[hmcChain]}
+        gaussianTarget={gaussianTarget}
+        axisLimits={axisLimits}
+      />
+    );
+
+    panels().forEach(({ data }) => {
+      expect(data[0].type).toBe('contour');
+      expect(data[0].name).toBe('H level sets');
+      expect(data[1].name).toBe('Chain 1 (HMC)');
+    });
+  });
+});
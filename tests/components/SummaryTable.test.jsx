@@ -0,0 +1,166 @@
+import React from 'react';
+import { render, screen, within, fireEvent } from '@testing-library/react';
+import { describe, test, expect, vi } from 'vitest';
+import SummaryTable from '../../src/components/SummaryTable';
+
+describe('SummaryTable', () => {
+  const dimension = (overrides = {}) => ({
+    mean: 0.0123,
+    sd: 1.02,
+    median: 0.01,
+    quantiles: [
+      { prob: 0.05, value: -1.65, mcse: 0.05 },
+      { prob: 0.25, value: -0.68, mcse: 0.03 },
+      { prob: 0.75, value: 0.67, mcse: 0.03 },
+      { prob: 0.95, value: 1.64, mcse: 0.051 },
+    ],
+    hdi: { lower: -1.6, upper: 1.58 },
+    rHat: 1.004,
+    bulkEss: 950.2,
+    tailEss: 620,
+    mcseMean: 0.016,
+    mcseMedian: 0.02,
+    ...overrides,
+  });
+
+  const group = (overrides = {}) => ({
+    label: 'Chains 1, 2 (HMC)',
+    chainIds: [0, 1],
+    samplerType: 'HMC',
+    chainCount: 2,
+    draws: 2000,
+    stats: { x: dimension(), y: dimension() },
+    ...overrides,
+  });
+
+  const row = (dim) =>
+    screen
+      .getAllByRole('row')
+      .find((tr) => within(tr).queryByRole('rowheader', { name: dim }));
+
+  test('renders nothing without a summary', () => {
+    const { container } = render(<SummaryTable summary={[]} />);
+    expect(container).toBeEmptyDOMElement();
+  });
+
+  test('shows location, spread, quantiles, HDI and diagnostics per dimension', () => {
+    render(<SummaryTable summary={[group()]} hdiProb={0.89} />);
+
+    const headers = screen
+      .getAllByRole('columnheader')
+      .map((th) => th.textContent);
+    expect(headers).toEqual([
+      'Chains',
+      'Dim',
+      'Mean',
+      'SD',
+      'Median',
+      '5%',
+      '25%',
+      '75%',
+      '95%',
+      'HDI 89%',
+      'R̂',
+      'Bulk ESS',
+      'Tail ESS',
+    ]);
+
+    const cells = within(row('x'))
+      .getAllByRole('cell')
+      .map((td) => td.textContent);
+    expect(cells).toEqual([
+      '0.0123 ± 0.0160',
+      '1.02',
+      '0.0100 ± 0.0200',
+      '-1.65 ± 0.0500',
+      '-0.680 ± 0.0300',
+      '0.670 ± 0.0300',
+      '1.64 ± 0.0510',
+      '[-1.60, 1.58]',
+      '1.004',
+      '950',
+      '620',
+    ]);
+  });
+
+  test('shows one pair of rows per chain group', () => {
+    render(
+      <SummaryTable
+        summary={[
+          group(),
+          group({ label: 'Chain 3 (GIBBS)', chainIds: [2], chainCount: 1 }),
+        ]}
+      />
+    );
+
+    const groups = screen.getAllByRole('rowheader', { name: /Chain/ });
+    expect(groups.map((th) => th.textContent)).toEqual([
+      'Chains 1, 2 (HMC)',
+      'Chain 3 (GIBBS)',
+    ]);
+    expect(groups[0]).toHaveAttribute('rowspan', '2');
+  });
+
+  test('shows a dash for diagnostics of chains too short to split', () => {
+    const short = dimension({
+      rHat: null,
+      bulkEss: null,
+      tailEss: null,
+      mcseMean: null,
+      mcseMedian: null,
+      quantiles: dimension().quantiles.map((q) => ({ ...q, mcse: null })),
+    });
+    render(
+      <SummaryTable summary={[group({ stats: { x: short, y: short } })]} />
+    );
+
+    const cells = within(row('y'))
+      .getAllByRole('cell')
+      .map((td) => td.textContent);
+    expect(cells[0]).toBe('0.0123');
+    expect(cells.slice(-3)).toEqual(['—', '—', '—']);
+  });
+
+  test('flags R-hat above the threshold and ESS below 100 per chain', () => {
+    render(
+      <SummaryTable
+        summary={[
+          group({
+            chainCount: 4,
+            stats: {
+              x: dimension({ rHat: 1.004, bulkEss: 450, tailEss: 120 }),
+              y: dimension({ rHat: 1.2, bulkEss: 399, tailEss: 800 }),
+            },
+          }),
+        ]}
+      />
+    );
+
+    const x = within(row('x'));
+    const y = within(row('y'));
+    expect(x.getByText('1.004')).not.toHaveClass('summary-warning');
+    expect(y.getByText('1.200')).toHaveClass('summary-warning');
+    expect(x.getByText('450')).not.toHaveClass('summary-warning');
+    expect(x.getByText('120')).toHaveClass('summary-warning');
+    expect(y.getByText('399')).toHaveClass('summary-warning');
+  });
+
+  test('passes a valid HDI probability to setHdiProb', () => {
+    const setHdiProb = vi.fn();
+    render(
+      <SummaryTable
+        summary={[group()]}
+        hdiProb={0.89}
+        setHdiProb={setHdiProb}
+      />
+    );
+
+    const input = screen.getByLabelText('HDI Probability');
+    fireEvent.change(input, { target: { value: '0.95' } });
+    expect(setHdiProb).toHaveBeenCalledWith(0.95);
+
+    fireEvent.change(input, { target: { value: '1.5' } });
+    expect(setHdiProb).toHaveBeenCalledTimes(1);
+    expect(input).toHaveValue(1.5);
+  });
+});
@@ -0,0 +1,88 @@
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen, fireEvent } from '@testing-library/react';
+import TargetDistancePlot from '../../src/components/TargetDistancePlot';
+
+vi.mock('react-plotly.js', () => ({
+  __esModule: true,
+  default: ({ data, layout }) => (
+    <div data-testid="plotly-plot">
+      <div data-testid="plot-data">{JSON.stringify(data)}</div>
+      <div data-testid="plot-layout">{JSON.stringify(layout)}</div>
+    </div>
+  ),
+}));
+
+const checkpoint = (iteration, scale) => ({
+  iteration,
+  draws: iteration,
+  kl: scale,
+  wasserstein: { x: scale, y: 3 * scale, sliced: 2 * scale },
+  mmd: scale / 10,
+});
+
+const targetDistances = [
+  {
+    chainId: 0,
+    label: 'Chain 1 (HMC)',
+    checkpoints: [checkpoint(50, 1), checkpoint(100, 0.5)],
+  },
+  {
+    chainId: 1,
+    label: 'Chain 2 (GIBBS)',
+    checkpoints: [checkpoint(50, 2)],
+  },
+];
+
+const parse = (plot, id) =>
+  JSON.parse(plot.querySelector(`[data-testid="${id}"]`).textContent);
+
+describe('TargetDistancePlot', () => {
+  it('should render nothing without checkpoints', () => {
+    const { container } = render(<TargetDistancePlot targetDistances={[]} />);
+    expect(container.firstChild).toBeNull();
+  });
+
+  it('should plot KL, sliced Wasserstein and MMD per chain', () => {
+    render(<TargetDistancePlot targetDistances={targetDistances} />);
+
+    expect(
+      screen.getByText('Distance to Target (after burn-in)')
+    ).toBeInTheDocument();
+    const plots = screen.getAllByTestId('plotly-plot');
+    expect(plots).toHaveLength(3);
+    expect(plots.map((p) => parse(p, 'plot-layout').title.text)).toEqual([
+      'KL divergence',
+      'Sliced Wasserstein',
+      'MMD (RBF)',
+    ]);
+
+    const [hmc, gibbs] = parse(plots[1], 'plot-data');
+    expect(hmc.name).toBe('Chain 1 (HMC)');
+    expect(hmc.x).toEqual([50, 100]);
+    expect(hmc.y).toEqual([2, 1]);
+    expect(gibbs.y).toEqual([4]);
+    expect(hmc.line.color).not.toBe(gibbs.line.color);
+    expect(parse(plots[2], 'plot-data')[0].y).toEqual([0.1, 0.05]);
+    expect(parse(plots[0], 'plot-layout').yaxis.type).toBe('log');
+  });
+
+  it('should pass a positive whole checkpoint interval to the controller', () => {
+    const setCheckpointInterval = vi.fn();
+    render(
+      <TargetDistancePlot
+        targetDistances={targetDistances}
+        checkpointInterval={50}
+        setCheckpointInterval={setCheckpointInterval}
+      />
+    );
+
+    const input = screen.getByLabelText('Checkpoint Every');
+    expect(input).toHaveValue(50);
+    fireEvent.change(input, { target: { value: '25' } });
+    expect(setCheckpointInterval).toHaveBeenCalledWith(25);
+
+    fireEvent.change(input, { target: { value: '0' } });
+    fireEvent.change(input, { target: { value: '2.5' } });
+    expect(setCheckpointInterval).toHaveBeenCalledTimes(1);
+  });
+});
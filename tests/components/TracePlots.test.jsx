@@ -197,6 +197,22 @@ describe('TracePlots', () => {
     expect(screen.queryByText(/R̂/)).not.toBeInTheDocument();
   });
 
+  test('colours split and rank-normalized R-hat against the 1.01 threshold', () => {
+    render(
+      <TracePlots
+        chains={mockChainsDual}
+        splitRHat={{ x: 1.004, y: 1.2 }}
+        rankRHat={{ x: 1.0099, y: Infinity }}
+        iterationCount={150}
+      />
+    );
+
+    expect(screen.getByText('split R̂ = 1.004')).toHaveClass('rhat-ok');
+    expect(screen.getByText('split R̂ = 1.200')).toHaveClass('rhat-warning');
+    expect(screen.getByText('rank R̂ = 1.010')).toHaveClass('rhat-ok');
+    expect(screen.getByText('rank R̂ = ∞')).toHaveClass('rhat-warning');
+  });
+
   test('displays ESS values when provided', () => {
     const rHat = { x: 1.1, y: 1.1 };
     const ess = { x: 100, y: 200 };
@@ -217,15 +233,15 @@ describe('TracePlots', () => {
   test('displays acceptance and rejection counts for single chain', () => {
     render(<TracePlots chains={mockChainsSingle} iterationCount={150} />);
 
-    expect(screen.getByText(/Acc: 3/i)).toBeInTheDocument();
+    expect(screen.getByText(/Acc: 100/i)).toBeInTheDocument();
     expect(screen.getByText(/Rej: 50/i)).toBeInTheDocument();
   });
 
   test('displays acceptance and rejection counts for second chain', () => {
     render(<TracePlots chains={mockChainsDual} iterationCount={150} />);
 
-    expect(screen.getByText(/Acc: 3/i)).toBeInTheDocument();
-    expect(screen.getByText(/Acc: 2/i)).toBeInTheDocument();
+    expect(screen.getByText(/Acc: 100/i)).toBeInTheDocument();
+    expect(screen.getByText(/Acc: 80/i)).toBeInTheDocument();
     expect(screen.getByText(/Rej: 70/i)).toBeInTheDocument();
   });
 
@@ -258,11 +274,49 @@ describe('TracePlots', () => {
     ];
 
     render(<TracePlots chains={chains} />);
-    // Acc displays samples.length (3), Rej from rejectedCount (2)
-    expect(screen.getByText(/Acc: 3/i)).toBeInTheDocument();
+    // samples holds every iteration, so Acc comes from acceptedCount
+    expect(screen.getByText(/Acc: 8/i)).toBeInTheDocument();
     expect(screen.getByText(/Rej: 2/i)).toBeInTheDocument();
   });
 
+  test('draws a flat segment over rejected iterations', () => {
+    const chains = [
+      {
+        id: 0,
+        samplerType: 'METROPOLIS',
+        samples: [
+          { x: 1, y: 1 },
+          { x: 1, y: 1 },
+          { x: 1, y: 1 },
+          { x: 2, y: 0 },
+        ],
+        acceptedCount: 2,
+        rejectedCount: 2,
+      },
+    ];
+
+    render(<TracePlots chains={chains} burnIn={0} />);
+    const xPlotData = JSON.parse(
+      screen
+        .getAllByTestId('plotly-plot')[0]
+        .querySelector('[data-testid="plot-data"]').textContent
+    );
+
+    expect(xPlotData[0].x).toEqual([0, 1, 2, 3]);
+    expect(xPlotData[0].y).toEqual([1, 1, 1, 2]);
+  });
+
+  test('displays the divergence count and highlights non-zero counts', () => {
+    const chains = [
+      { ...mockChainsDual[0], divergentCount: 4 },
+      { ...mockChainsDual[1], divergentCount: 0 },
+    ];
+    render(<TracePlots chains={chains} />);
+
+    expect(screen.getByText('Div: 4')).toHaveClass('stat-warning');
+    expect(screen.getByText('Div: 0')).not.toHaveClass('stat-warning');
+  });
+
   // Test case 20: Acceptance rate uses acceptedCount
   test('acceptance rate uses acceptedCount field — 8 accepted / 10 total = 80.0%', () => {
     const chains = [
@@ -340,4 +394,28 @@ describe('TracePlots', () => {
     render(<TracePlots chains={chains} />);
     expect(screen.getByText(/Rate: 0\.0%/i)).toBeInTheDocument();
   });
+  test('renders a step size panel for chains adapting epsilon', () => {
+    const chains = [
+      {
+        ...mockChainsSingle[0],
+        adaptation: { targetAccept: 0.8 },
+        epsilonHistory: [0.1, 0.2, 0.15],
+      },
+    ];
+    render(<TracePlots chains={chains} burnIn={0} />);
+
+    expect(screen.getByText('Step Size (ε)')).toBeInTheDocument();
+    const plots = screen.getAllByTestId('plotly-plot');
+    expect(plots).toHaveLength(3);
+    const data = JSON.parse(
+      plots[2].querySelector('[data-testid="plot-data"]').textContent
+    );
+    expect(data[0].y).toEqual([0.1, 0.2, 0.15]);
+  });
+
+  test('omits the step size panel when no chain adapts epsilon', () => {
+    const chains = [{ ...mockChainsSingle[0], epsilonHistory: [0.1, 0.1] }];
+    render(<TracePlots chains={chains} burnIn={0} />);
+    expect(screen.queryByText('Step Size (ε)')).not.toBeInTheDocument();
+  });
 });
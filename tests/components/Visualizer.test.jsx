@@ -2,6 +2,7 @@ import { describe, it, expect, vi } from 'vitest';
 import { render, screen } from '@testing-library/react';
 import React from 'react';
 import Visualizer from '../../src/components/Visualizer';
+import { HMC_SAMPLER } from '../../src/utils/plotConfig.json';
 
 // Track onInitialized and onUpdate callbacks so tests can invoke them
 let capturedOnInitialized = null;
@@ -131,6 +132,190 @@ describe('Visualizer', () => {
     expect(data).toHaveLength(5);
   });
 
+  it('should draw NUTS forward and backward expansions instead of the trajectory', () => {
+    const nutsChains = [
+      {
+        id: 0,
+        samplerType: 'NUTS',
+        samples: [{ x: 1, y: 0 }],
+        trajectory: [
+          { x: -1, y: 0 },
+          { x: 0, y: 0 },
+          { x: 1, y: 0 },
+        ],
+        tree: {
+          origin: { x: 0, y: 0 },
+          forward: [{ x: 1, y: 0 }],
+          backward: [{ x: -1, y: 0 }],
+          depth: 1,
+          uTurn: true,
+        },
+      },
+    ];
+    render(<Visualizer contourData={mockContour} chains={nutsChains} />);
+
+    const data = JSON.parse(screen.getByTestId('plot-data').textContent);
+    const names = data.map((t) => t.name).filter(Boolean);
+
+    // Contour + Samples + backward + forward
+    expect(data).toHaveLength(4);
+    expect(names).toContain('Tree (Chain 1 (NUTS)) (forward)');
+    expect(names).toContain('Tree (Chain 1 (NUTS)) (backward)');
+    expect(names.some((n) => n.startsWith('Trajectory'))).toBe(false);
+  });
+
+  it('should mark rejected Metropolis proposals', () => {
+    const chains = [
+      {
+        id: 0,
+        samplerType: 'METROPOLIS',
+        samples: [{ x: 0.5, y: 0 }],
+        trajectory: [
+          { x: 0.5, y: 0 },
+          { x: 3, y: 3 },
+        ],
+        rejectedProposals: [{ x: 3, y: 3 }],
+      },
+    ];
+    render(<Visualizer contourData={mockContour} chains={chains} />);
+
+    const data = JSON.parse(screen.getByTestId('plot-data').textContent);
+    const rejected = data.find(
+      (t) => t.name === 'Rejected (Chain 1 (METROPOLIS))'
+    );
+    expect(rejected.mode).toBe('markers');
+    expect(rejected.x).toEqual([3]);
+    // Proposal segment is still drawn as the trajectory
+    expect(data.map((t) => t.name)).toContain(
+      'Trajectory (Chain 1 (METROPOLIS))'
+    );
+  });
+
+  it('should scatter accepted samples only when showAcceptedOnly is set', () => {
+    const chains = [
+      {
+        id: 0,
+        samplerType: 'METROPOLIS',
+        samples: [
+          { x: 1, y: 1 },
+          { x: 1, y: 1 },
+          { x: 2, y: 2 },
+        ],
+        acceptedSamples: [
+          { x: 1, y: 1 },
+          { x: 2, y: 2 },
+        ],
+        trajectory: [],
+      },
+    ];
+    const samplesTrace = () =>
+      JSON.parse(screen.getByTestId('plot-data').textContent).find((t) =>
+        t.name?.startsWith('Samples')
+      );
+
+    const { rerender } = render(
+      <Visualizer contourData={mockContour} chains={chains} />
+    );
+    expect(samplesTrace().x).toEqual([1, 1, 2]);
+
+    rerender(
+      <Visualizer contourData={mockContour} chains={chains} showAcceptedOnly />
+    );
+    expect(samplesTrace().x).toEqual([1, 2]);
+  });
+
+  it('should draw divergent trajectories and divergence markers distinctly', () => {
+    const chains = [
+      {
+        ...mockChainsSingle[0],
+        trajectory: [
+          { x: 0, y: 0 },
+          { x: 5, y: 5 },
+        ],
+        divergent: true,
+        divergences: [{ x: 0, y: 0 }],
+      },
+    ];
+    render(<Visualizer contourData={mockContour} chains={chains} />);
+
+    const data = JSON.parse(screen.getByTestId('plot-data').textContent);
+    const trajectory = data.find(
+      (t) => t.name === 'Divergent trajectory (Chain 1 (HMC))'
+    );
+    expect(trajectory.line.dash).toBe('dot');
+    const markers = data.find((t) => t.name === 'Divergences (Chain 1 (HMC))');
+    expect(markers.mode).toBe('markers');
+    expect(markers.x).toEqual([0]);
+  });
+
+  it('should draw a divergent NUTS tree in the divergent style', () => {
+    const chains = [
+      {
+        id: 0,
+        samplerType: 'NUTS',
+        samples: [{ x: 0, y: 0 }],
+        tree: {
+          origin: { x: 0, y: 0 },
+          forward: [{ x: 5, y: 5 }],
+          backward: [{ x: -1, y: 0 }],
+          depth: 1,
+          uTurn: false,
+          divergent: true,
+        },
+        divergent: true,
+        divergences: [{ x: 0, y: 0 }],
+      },
+    ];
+    render(<Visualizer contourData={mockContour} chains={chains} />);
+
+    const data = JSON.parse(screen.getByTestId('plot-data').textContent);
+    const forward = data.find(
+      (t) => t.name === 'Divergent tree (Chain 1 (NUTS)) (forward)'
+    );
+    expect(forward.line.color).toBe(HMC_SAMPLER.divergent.color);
+    expect(
+      data.find((t) => t.name === 'Divergent tree (Chain 1 (NUTS)) (backward)')
+    ).toBeDefined();
+    expect(
+      data.find((t) => t.name === 'Divergences (Chain 1 (NUTS))').x
+    ).toEqual([0]);
+  });
+
+  it('should return to the normal trajectory style after a stable step', () => {
+    const chains = [
+      {
+        ...mockChainsSingle[0],
+        divergent: false,
+        divergences: [{ x: 0, y: 0 }],
+      },
+    ];
+    render(<Visualizer contourData={mockContour} chains={chains} />);
+
+    const names = JSON.parse(screen.getByTestId('plot-data').textContent).map(
+      (t) => t.name
+    );
+    expect(names).toContain('Trajectory (Chain 1 (HMC))');
+    expect(names).toContain('Divergences (Chain 1 (HMC))');
+  });
+
+  it('should outline the fitted metric of an HMC chain', () => {
+    const chains = [
+      {
+        ...mockChainsSingle[0],
+        fittedMetric: {
+          invMass: { xx: 1, xy: 0.5, yy: 1 },
+          center: { x: 0, y: 0 },
+        },
+      },
+    ];
+    render(<Visualizer contourData={mockContour} chains={chains} />);
+
+    const data = JSON.parse(screen.getByTestId('plot-data').textContent);
+    const ellipse = data.find((t) => t.name === 'Metric (Chain 1 (HMC))');
+    expect(ellipse).toBeDefined();
+    expect(ellipse.mode).toBe('lines');
+  });
+
   // Test case 9: onUpdate calls captureFrame when isRecording=true
   it('onUpdate calls captureFrame with graphDiv when isRecording=true', () => {
     const captureFrame = vi.fn();
@@ -171,4 +356,63 @@ describe('Visualizer', () => {
 
     expect(captureFrame).not.toHaveBeenCalled();
   });
+
+  describe('trajectory playback', () => {
+    const chains = [
+      {
+        id: 0,
+        samplerType: 'HMC',
+        samples: [],
+        trajectory: [
+          { x: 0, y: 0 },
+          { x: 1, y: 0 },
+          { x: 2, y: 1 },
+        ],
+        momentum: [
+          { x: 1, y: 0 },
+          { x: 1, y: 1 },
+          { x: 0, y: 2 },
+        ],
+      },
+    ];
+
+    const renderFrame = (playbackFrame) => {
+      render(
+        <Visualizer
+          contourData={mockContour}
+          chains={chains}
+          playbackFrame={playbackFrame}
+        />
+      );
+      return {
+        data: JSON.parse(screen.getByTestId('plot-data').textContent),
+        layout: JSON.parse(screen.getByTestId('plot-layout').textContent),
+      };
+    };
+
+    it('should draw the full trajectory without arrows by default', () => {
+      const { data, layout } = renderFrame(null);
+      const trajectory = data.find((t) => t.name?.startsWith('Trajectory'));
+      expect(trajectory.x).toEqual([0, 1, 2]);
+      expect(layout.annotations).toEqual([]);
+    });
+
+    it('should reveal the trajectory up to the playback frame', () => {
+      const { data, layout } = renderFrame(1);
+      const trajectory = data.find((t) => t.name?.startsWith('Trajectory'));
+      expect(trajectory.x).toEqual([0, 1]);
+
+      expect(layout.annotations).toHaveLength(1);
+      expect(layout.annotations[0].ax).toBe(1);
+      expect(layout.annotations[0].ay).toBe(0);
+      expect(layout.annotations[0].y).toBeGreaterThan(0);
+    });
+
+    it('should clamp the frame to shorter trajectories', () => {
+      const { data, layout } = renderFrame(10);
+      const trajectory = data.find((t) => t.name?.startsWith('Trajectory'));
+      expect(trajectory.x).toEqual([0, 1, 2]);
+      expect(layout.annotations[0].ax).toBe(2);
+    });
+  });
 });
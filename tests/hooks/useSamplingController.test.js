@@ -1,11 +1,15 @@
-import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import { renderHook, act, waitFor } from '@testing-library/react';
 import useSamplingController, {
   allChainsCompatible,
 } from '../../src/hooks/useSamplingController';
 import { HMCSampler } from '../../src/samplers/HMCSampler';
 import { GibbsSampler } from '../../src/samplers/GibbsSampler';
+import { SamplingChain } from '../../src/samplers/SamplingChain';
 import { createContourTrace } from '../../src/utils/plotFunctions';
+import { computeGroundTruth } from '../../src/utils/groundTruth';
+import { downloadText } from '../../src/utils/exportSamples';
+import { calculateESS, calculateGelmanRubin } from '../../src/utils/statistics';
 
 // Mock plotFunctions
 vi.mock('../../src/utils/plotFunctions', async (importOriginal) => {
@@ -16,6 +20,21 @@ vi.mock('../../src/utils/plotFunctions', async (importOriginal) => {
   };
 });
 
+// Count integrations of the target (they run in the in-process worker)
+vi.mock('../../src/utils/groundTruth', async (importOriginal) => {
+  const actual = await importOriginal();
+  return {
+    ...actual,
+    computeGroundTruth: vi.fn(actual.computeGroundTruth),
+  };
+});
+
+// Keep exports from navigating jsdom
+vi.mock('../../src/utils/exportSamples', async (importOriginal) => {
+  const actual = await importOriginal();
+  return { ...actual, downloadText: vi.fn() };
+});
+
 // Mock the HMCSampler class
 vi.mock('../../src/samplers/HMCSampler', () => {
   const HMCSamplerMock = vi.fn();
@@ -369,6 +388,25 @@ describe('useSamplingController', () => {
       expect(result.current.chains[0].samples).toHaveLength(0);
       expect(result.current.iterationCount).toBe(0);
     });
+
+    it('should detect Gaussian targets for the phase-space level sets', () => {
+      const { result } = renderHook(() => useSamplingController());
+
+      act(() => {
+        result.current.setLogP('exp(-(x^2 + y^2)/2)');
+      });
+      expect(result.current.gaussianTarget.precision.xx).toBeCloseTo(1, 6);
+
+      act(() => {
+        result.current.setLogP('exp(-((1-x)^2 + 100*(y-x^2)^2))');
+      });
+      expect(result.current.gaussianTarget).toBeNull();
+
+      act(() => {
+        result.current.setLogP('');
+      });
+      expect(result.current.gaussianTarget).toBeNull();
+    });
   });
 
   describe('Trajectory State Management', () => {
@@ -553,8 +591,9 @@ describe('useSamplingController', () => {
       // Verify trajectory is shown (not empty)
       expect(result.current.chains[0].trajectory.length).toBeGreaterThan(0);
 
-      // Verify sample was NOT added (rejected step)
-      expect(result.current.chains[0].samples.length).toBe(0);
+      // Verify the rejected step repeats the state but is not an accepted sample
+      expect(result.current.chains[0].samples).toEqual([{ x: 0, y: 0 }]);
+      expect(result.current.chains[0].acceptedSamples).toHaveLength(0);
     });
 
     it('should clear trajectory when logP function changes', async () => {
@@ -635,9 +674,10 @@ describe('useSamplingController', () => {
 
       // Verify rejectedCount incremented
       expect(result.current.chains[0].rejectedCount).toBe(1);
-      // Verify acceptedCount (samples length) did not increment
-      expect(result.current.chains[0].samples.length).toBe(0);
-      expect(result.current.chains[0].samples).toHaveLength(0);
+      // Verify acceptedCount did not increment; the chain repeats the state
+      expect(result.current.chains[0].acceptedCount).toBe(0);
+      expect(result.current.chains[0].acceptedSamples).toHaveLength(0);
+      expect(result.current.chains[0].samples).toHaveLength(1);
 
       // Execute another step (accepted this time)
       HMCSampler.prototype.step.mockReturnValue({
@@ -663,8 +703,11 @@ describe('useSamplingController', () => {
 
       // Verify counts
       expect(result.current.chains[0].rejectedCount).toBe(1);
-      expect(result.current.chains[0].samples.length).toBe(1);
-      expect(result.current.chains[0].samples).toHaveLength(1);
+      expect(result.current.chains[0].acceptedSamples).toHaveLength(1);
+      expect(result.current.chains[0].samples).toEqual([
+        { x: 0, y: 0 },
+        { x: 1, y: 1 },
+      ]);
 
       // Verify reset clears counts
       act(() => {
@@ -673,6 +716,7 @@ describe('useSamplingController', () => {
 
       expect(result.current.chains[0].rejectedCount).toBe(0);
       expect(result.current.chains[0].samples.length).toBe(0);
+      expect(result.current.chains[0].acceptedSamples).toHaveLength(0);
     });
   });
 
@@ -1270,10 +1314,17 @@ describe('useSamplingController', () => {
         );
 
         // Verify counts: 3 accepted, 2 rejected, 5 total iterations
-        expect(result.current.chains[0].samples.length).toBe(3);
+        expect(result.current.chains[0].acceptedSamples.length).toBe(3);
+        expect(result.current.chains[0].samples.length).toBe(5);
         expect(result.current.chains[0].rejectedCount).toBe(2);
         expect(result.current.iterationCount).toBe(5);
-        expect(result.current.chains[0].samples).toHaveLength(3);
+        expect(result.current.chains[0].samples).toEqual([
+          { x: 1, y: 1 },
+          { x: 1, y: 1 },
+          { x: 2, y: 2 },
+          { x: 2, y: 2 },
+          { x: 3, y: 3 },
+        ]);
       });
 
       it('should return complete object structure with correct types', () => {
@@ -1508,12 +1559,16 @@ describe('useSamplingController', () => {
       );
 
       // Chain 1: 3 accepted, 0 rejected
-      expect(result.current.chains[0].samples.length).toBe(3);
+      expect(result.current.chains[0].acceptedSamples.length).toBe(3);
       expect(result.current.chains[0].rejectedCount).toBe(0);
 
       // Chain 2: 0 accepted, 3 rejected
-      expect(result.current.chains[1].samples.length).toBe(0);
+      expect(result.current.chains[1].acceptedSamples.length).toBe(0);
       expect(result.current.chains[1].rejectedCount).toBe(3);
+
+      // Both chains hold one sample per iteration
+      expect(result.current.chains[0].samples.length).toBe(3);
+      expect(result.current.chains[1].samples.length).toBe(3);
     });
 
     it('should reset both chains when reset is called', async () => {
@@ -1845,6 +1900,161 @@ describe('useSamplingController', () => {
       // Since valid samples are identical (constant 0), W=0, B=0 => returns 1.
       expect(result.current.rHat.x).toBe(1);
     });
+
+    it('should calculate split and rank R-hat for any number of chains', async () => {
+      const { result } = renderHook(() => useSamplingController());
+
+      act(() => {
+        result.current.setLogP('-(x^2)/2');
+        result.current.setBurnIn(2);
+        result.current.addChain({ id: 1 });
+        result.current.addChain({ id: 2 });
+      });
+
+      let callCount = 0;
+      HMCSampler.prototype.step.mockImplementation(() => {
+        // Each chain drifts upwards, which only the split statistics notice
+        const val = Math.floor(callCount++ / 3);
+        return {
+          q: { x: val, y: -val },
+          p: { x: 0, y: 0 },
+          accepted: true,
+          trajectory: [{ x: val, y: -val }],
+        };
+      });
+
+      act(() => {
+        result.current.sampleSteps(10);
+      });
+      await waitFor(() => expect(result.current.isRunning).toBe(false));
+
+      expect(result.current.splitRHat.x).toBeGreaterThan(1.5);
+      expect(result.current.rankRHat.y).toBeGreaterThan(1.5);
+
+      const [group] = result.current.summary;
+      expect(result.current.summary).toHaveLength(1);
+      expect(group.chainCount).toBe(3);
+      expect(group.stats.x.rHat).toBe(result.current.rankRHat.x);
+      expect(group.stats.x.bulkEss).toBeGreaterThan(0);
+      expect(group.stats.y.tailEss).toBeGreaterThan(0);
+      expect(group.stats.x.mcseMean).toBeGreaterThan(0);
+      expect(group.stats.y.quantiles).toHaveLength(4);
+    });
+
+    it('should compute R-hat and ESS from every compatible chain', async () => {
+      const { result } = renderHook(() => useSamplingController());
+
+      act(() => {
+        result.current.setLogP('-(x^2)/2');
+        result.current.setBurnIn(2);
+        result.current.addChain({ id: 1 });
+        result.current.addChain({ id: 2 });
+      });
+
+      let callCount = 0;
+      HMCSampler.prototype.step.mockImplementation(() => {
+        // The third chain is shifted, so leaving it out changes both values
+        const chain = callCount % 3;
+        const val = Math.sin(callCount++) + (chain === 2 ? 3 : 0);
+        return {
+          q: { x: val, y: -val },
+          p: { x: 0, y: 0 },
+          accepted: true,
+          trajectory: [],
+        };
+      });
+
+      act(() => {
+        result.current.sampleSteps(12);
+      });
+      await waitFor(() => expect(result.current.isRunning).toBe(false));
+
+      const postBurnIn = result.current.chains.map((c) => c.samples.slice(2));
+      expect(postBurnIn).toHaveLength(3);
+      expect(result.current.rHat).toEqual(calculateGelmanRubin(postBurnIn));
+      expect(result.current.ess).toEqual(calculateESS(postBurnIn));
+      expect(result.current.rHat).not.toEqual(
+        calculateGelmanRubin(postBurnIn.slice(0, 2))
+      );
+      expect(result.current.ess).not.toEqual(
+        calculateESS(postBurnIn.slice(0, 2))
+      );
+    });
+
+    it('should recompute the summary HDI when the HDI probability changes', async () => {
+      const { result } = renderHook(() => useSamplingController());
+
+      act(() => {
+        result.current.setLogP('-(x^2)/2');
+        result.current.setBurnIn(0);
+      });
+
+      let val = 0;
+      HMCSampler.prototype.step.mockImplementation(() => {
+        val++;
+        return {
+          q: { x: val, y: -val },
+          p: { x: 0, y: 0 },
+          accepted: true,
+          trajectory: [],
+        };
+      });
+
+      act(() => {
+        result.current.sampleSteps(10);
+      });
+      await waitFor(() => expect(result.current.isRunning).toBe(false));
+
+      expect(result.current.hdiProb).toBe(0.89);
+      expect(result.current.summary[0].stats.x.hdi).toEqual({
+        lower: 1,
+        upper: 9,
+      });
+
+      act(() => {
+        result.current.setHdiProb(0.5);
+      });
+      expect(result.current.summary[0].stats.x.hdi).toEqual({
+        lower: 1,
+        upper: 6,
+      });
+    });
+
+    it('should calculate split R-hat for a single chain once it can be split', async () => {
+      const { result } = renderHook(() => useSamplingController());
+
+      act(() => {
+        result.current.setLogP('-(x^2)/2');
+        result.current.setBurnIn(0);
+      });
+
+      let val = 0;
+      HMCSampler.prototype.step.mockImplementation(() => {
+        val++;
+        return {
+          q: { x: val, y: val },
+          p: { x: 0, y: 0 },
+          accepted: true,
+          trajectory: [],
+        };
+      });
+
+      act(() => {
+        result.current.sampleSteps(3);
+      });
+      await waitFor(() => expect(result.current.isRunning).toBe(false));
+      expect(result.current.splitRHat).toBeNull();
+      expect(result.current.rankRHat).toBeNull();
+      expect(result.current.summary[0].stats.x.bulkEss).toBeNull();
+      expect(result.current.summary[0].stats.x.mcseMean).toBeNull();
+
+      act(() => {
+        result.current.sampleSteps(1);
+      });
+      await waitFor(() => expect(result.current.isRunning).toBe(false));
+      expect(result.current.splitRHat.x).toBeCloseTo(Math.sqrt(4.5), 12);
+      expect(result.current.rankRHat).not.toBeNull();
+    });
   });
 });
 
@@ -1861,141 +2071,783 @@ describe('Statistics Calculation (R-hat and ESS)', () => {
   // If we want to test that 'setEss' is called, we need to inspect the state changes.
 });
 
-describe('Burn-in Parameter', () => {
+describe('Fast Mode (worker)', () => {
   beforeEach(() => {
     vi.clearAllMocks();
     HMCSampler.prototype.step.mockReturnValue({
-      q: { x: 0, y: 0 },
+      q: { x: 1, y: 2 },
       p: { x: 0, y: 0 },
       accepted: true,
-      trajectory: [{ x: 0, y: 0 }],
+      trajectory: [{ x: 1, y: 2 }],
     });
   });
 
-  it('should initialize with default burn-in value of 10', () => {
-    const { result } = renderHook(() => useSamplingController());
-    expect(result.current.burnIn).toBe(10);
-  });
-
-  it('should expose setBurnIn function', () => {
-    const { result } = renderHook(() => useSamplingController());
-    expect(result.current.setBurnIn).toBeDefined();
-    expect(typeof result.current.setBurnIn).toBe('function');
-  });
-
-  it('should update burn-in value when setBurnIn is called', () => {
+  it('should run the batch off the render loop and sync results', async () => {
     const { result } = renderHook(() => useSamplingController());
 
     act(() => {
-      result.current.setBurnIn(20);
+      result.current.setLogP('-(x^2)/2');
+      result.current.setUseFastMode(true);
+    });
+    act(() => {
+      result.current.sampleSteps(20);
     });
 
-    expect(result.current.burnIn).toBe(20);
+    expect(result.current.isRunning).toBe(true);
+    expect(result.current.progress).toEqual({ completed: 0, total: 20 });
+
+    await waitFor(() => expect(result.current.isRunning).toBe(false));
+
+    expect(result.current.iterationCount).toBe(20);
+    expect(result.current.chains[0].samples).toHaveLength(20);
+    expect(result.current.chains[0].currentParticle.q).toEqual({ x: 1, y: 2 });
   });
 
-  it('should recalculate R-hat when burn-in changes with dual chains', async () => {
+  it('should keep the partial batch when stopped', async () => {
     const { result } = renderHook(() => useSamplingController());
 
-    // Setup: Enable second chain
     act(() => {
       result.current.setLogP('-(x^2)/2');
-      result.current.addChain({ id: 1 });
-    });
-
-    // Mock step to return consistent values
-    let callCount = 0;
-    HMCSampler.prototype.step.mockImplementation(() => {
-      const val = callCount++;
-      return {
-        q: { x: val, y: val },
-        p: { x: 0, y: 0 },
-        accepted: true,
-        trajectory: [{ x: val, y: val }],
-      };
+      result.current.setUseFastMode(true);
     });
-
-    // Run 30 steps
     act(() => {
-      result.current.sampleSteps(30);
+      result.current.sampleSteps(2000);
+      result.current.stopSampling();
     });
 
-    await waitFor(() => expect(result.current.isRunning).toBe(false), {
-      timeout: 1000,
-    });
+    await waitFor(() => expect(result.current.isRunning).toBe(false));
 
-    // Initial R-hat with burn-in = 10 (20 valid samples)
-    const initialRHat = result.current.rHat;
-    expect(initialRHat).not.toBeNull();
+    // The worker finishes its first chunk before seeing the cancel message
+    expect(result.current.iterationCount).toBeGreaterThan(0);
+    expect(result.current.iterationCount).toBeLessThan(2000);
+    expect(result.current.chains[0].samples).toHaveLength(
+      result.current.iterationCount
+    );
+  });
+});
 
-    // Change burn-in to 5
+describe('History Replay', () => {
+  const stepTo = (result, q, accepted = true) => {
+    HMCSampler.prototype.step.mockReturnValueOnce({
+      q,
+      p: { x: 0, y: 0 },
+      accepted,
+      trajectory: [{ ...q }],
+    });
     act(() => {
-      result.current.setBurnIn(5);
+      result.current.step();
     });
+  };
 
-    // R-hat should recalculate with new burn-in (25 valid samples)
-    const newRHat = result.current.rHat;
-    expect(newRHat).not.toBeNull();
-    // Values should be different because we're using different sample ranges
-    expect(newRHat).not.toBe(initialRHat);
-  });
-
-  it('should recalculate ESS when burn-in changes', async () => {
+  const runThreeSteps = () => {
     const { result } = renderHook(() => useSamplingController());
-
-    // Setup
     act(() => {
       result.current.setLogP('-(x^2)/2');
+      result.current.setBurnIn(0);
     });
+    stepTo(result, { x: 1, y: 0 });
+    stepTo(result, { x: 1, y: 0 }, false);
+    stepTo(result, { x: 3, y: 0 });
+    return result;
+  };
 
-    // Mock step
-    let callCount = 0;
-    HMCSampler.prototype.step.mockImplementation(() => {
-      const val = callCount++;
-      return {
-        q: { x: val, y: val },
-        p: { x: 0, y: 0 },
-        accepted: true,
-        trajectory: [{ x: val, y: val }],
-      };
-    });
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('should record every trajectory in the chain history', () => {
+    const result = runThreeSteps();
+
+    const { history } = result.current.chains[0];
+    expect(history.map((h) => h.iteration)).toEqual([0, 1, 2]);
+    expect(history[2].trajectory).toEqual([{ x: 3, y: 0 }]);
+  });
+
+  it('should rewind chains and histograms to the scrubbed iteration', () => {
+    const result = runThreeSteps();
 
-    // Run 30 steps
     act(() => {
-      result.current.sampleSteps(30);
+      result.current.setScrubIteration(1);
     });
 
-    await waitFor(() => expect(result.current.isRunning).toBe(false), {
-      timeout: 1000,
+    const chain = result.current.chains[0];
+    expect(chain.samples).toHaveLength(2);
+    expect(chain.acceptedSamples).toEqual([{ x: 1, y: 0 }]);
+    expect(chain.acceptedCount).toBe(1);
+    expect(chain.rejectedCount).toBe(1);
+    expect(chain.trajectory).toEqual([{ x: 1, y: 0 }]);
+    expect(result.current.histogramData.samples).toHaveLength(2);
+    expect(result.current.iterationCount).toBe(3);
+
+    act(() => {
+      result.current.setScrubIteration(null);
     });
+    expect(result.current.chains[0].samples).toHaveLength(3);
+    expect(result.current.histogramData.samples).toHaveLength(3);
+  });
 
-    // Initial ESS with burn-in = 10
-    const initialESS = result.current.ess;
-    expect(initialESS).not.toBeNull();
+  it('should return to the latest iteration when sampling resumes', () => {
+    const result = runThreeSteps();
 
-    // Change burn-in to 15
     act(() => {
-      result.current.setBurnIn(15);
+      result.current.setScrubIteration(0);
     });
+    stepTo(result, { x: 4, y: 0 });
 
-    // ESS should recalculate
-    const newESS = result.current.ess;
-    expect(newESS).not.toBeNull();
-    // Values should be different
-    expect(newESS).not.toBe(initialESS);
+    expect(result.current.scrubIteration).toBeNull();
+    expect(result.current.chains[0].samples).toHaveLength(4);
   });
 
-  it('should handle burn-in = 0 (all samples valid)', async () => {
-    const { result } = renderHook(() => useSamplingController());
+  it('should cap the history at the configured limit', () => {
+    const result = runThreeSteps();
 
-    // Setup
     act(() => {
-      result.current.setLogP('-(x^2)/2');
-      result.current.setBurnIn(0);
+      result.current.setHistoryLimit(2);
     });
+    expect(result.current.chains[0].history.map((h) => h.iteration)).toEqual([
+      1, 2,
+    ]);
 
-    // Mock step
+    // Iterations whose trajectory was dropped still rewind the samples
+    act(() => {
+      result.current.setScrubIteration(0);
+    });
+    expect(result.current.chains[0].samples).toHaveLength(1);
+    expect(result.current.chains[0].trajectory).toEqual([]);
+  });
+});
+
+describe('Export', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
     HMCSampler.prototype.step.mockReturnValue({
-      q: { x: 0, y: 0 },
+      q: { x: 1, y: 2 },
+      p: { x: 0, y: 0 },
+      accepted: true,
+      acceptProb: 1,
+      trajectory: [{ x: 1, y: 2 }],
+    });
+  });
+
+  const exportedText = () => downloadText.mock.calls.at(-1)[0];
+
+  it('should download the samples, settings and diagnostics as JSON', () => {
+    const { result } = renderHook(() => useSamplingController());
+    act(() => {
+      result.current.setLogP('-(x^2)/2');
+      result.current.setBurnIn(0);
+    });
+    act(() => {
+      result.current.step();
+    });
+    act(() => {
+      result.current.exportSamples('json');
+    });
+
+    expect(downloadText).toHaveBeenCalledWith(
+      expect.any(String),
+      'hmc-samples.json',
+      'application/json'
+    );
+    const doc = JSON.parse(exportedText());
+    expect(doc.logP).toBe('-(x^2)/2');
+    expect(doc.burnIn).toBe(0);
+    expect(doc.diagnostics).toHaveProperty('rHat');
+    expect(doc.chains[0].samplerType).toBe('HMC');
+    expect(doc.samples).toEqual([
+      {
+        iteration: 0,
+        chain_id: 0,
+        sampler_type: 'HMC',
+        x: 1,
+        y: 2,
+        accepted: true,
+        energy: null,
+      },
+    ]);
+  });
+
+  it('should download CSV', () => {
+    const { result } = renderHook(() => useSamplingController());
+    act(() => {
+      result.current.setLogP('-(x^2)/2');
+    });
+    act(() => {
+      result.current.step();
+    });
+    act(() => {
+      result.current.exportSamples('csv');
+    });
+
+    expect(downloadText.mock.calls[0][1]).toBe('hmc-samples.csv');
+    const csv = exportedText();
+    expect(csv).toContain(
+      'iteration,chain_id,sampler_type,x,y,accepted,energy'
+    );
+    expect(csv).toContain('0,0,HMC,1,2,true,');
+  });
+
+  it('should export the sampling chains as InferenceData', () => {
+    const { result } = renderHook(() => useSamplingController());
+    act(() => {
+      result.current.setLogP('-(x^2)/2');
+      result.current.setBurnIn(1);
+    });
+    act(() => {
+      result.current.step();
+    });
+    act(() => {
+      result.current.step();
+    });
+    act(() => {
+      result.current.exportSamples('arviz');
+    });
+
+    expect(downloadText.mock.calls[0][1]).toBe('hmc-inference-data.json');
+    const idata = JSON.parse(exportedText());
+    expect(idata.posterior).toEqual({ x: [[1]], y: [[2]] });
+    expect(idata.warmup_posterior).toEqual({ x: [[1]], y: [[2]] });
+    expect(idata.sample_stats.acceptance_rate).toEqual([[1]]);
+  });
+});
+
+describe('Sessions', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    let x = 0;
+    HMCSampler.prototype.step.mockImplementation(() => {
+      x += 1;
+      return {
+        q: { x, y: -x },
+        p: { x: 0, y: 0 },
+        accepted: true,
+        trajectory: [{ x, y: -x }],
+      };
+    });
+  });
+
+  const savedSession = (includeSamples) => {
+    const { result } = renderHook(() => useSamplingController());
+    act(() => {
+      result.current.setLogP('exp(-(x^2 + y^2)/2)');
+      result.current.setBurnIn(1);
+      result.current.setAxisLimits({ xMin: -3 });
+      result.current.setChainConfig(0, {
+        params: { epsilon: 0.3 },
+        initialPosition: { x: 2, y: 2 },
+        seed: 5,
+      });
+    });
+    for (let i = 0; i < 3; i++) {
+      act(() => {
+        result.current.step();
+      });
+    }
+    act(() => {
+      result.current.saveSession({ includeSamples });
+    });
+    expect(downloadText.mock.calls.at(-1)[1]).toBe('hmc-session.json');
+    return downloadText.mock.calls.at(-1)[0];
+  };
+
+  it('should restore settings, chains and results from a session', () => {
+    const text = savedSession(true);
+
+    const { result } = renderHook(() => useSamplingController());
+    let loaded;
+    act(() => {
+      loaded = result.current.loadSession(text);
+    });
+
+    expect(loaded).toBe(true);
+    expect(result.current.logP).toBe('exp(-(x^2 + y^2)/2)');
+    expect(result.current.burnIn).toBe(1);
+    expect(result.current.axisLimits.xMin).toBe(-3);
+    expect(result.current.contourData).not.toBeNull();
+    expect(result.current.gaussianTarget).not.toBeNull();
+    expect(result.current.iterationCount).toBe(3);
+
+    const chain = result.current.chains[0];
+    expect(chain.params.epsilon).toBe(0.3);
+    expect(chain.initialPosition).toEqual({ x: 2, y: 2 });
+    expect(chain.seed).toBe(5);
+    expect(chain.samples).toEqual([
+      { x: 1, y: -1 },
+      { x: 2, y: -2 },
+      { x: 3, y: -3 },
+    ]);
+    expect(chain.trajectory).toEqual([{ x: 3, y: -3 }]);
+    expect(result.current.histogramData.samples).toHaveLength(2);
+    expect(result.current.ess).not.toBeNull();
+  });
+
+  it('should restore only the configuration without samples', () => {
+    const text = savedSession(false);
+
+    const { result } = renderHook(() => useSamplingController());
+    act(() => {
+      result.current.loadSession(text);
+    });
+
+    expect(result.current.chains[0].params.epsilon).toBe(0.3);
+    expect(result.current.chains[0].samples).toEqual([]);
+    expect(result.current.iterationCount).toBe(0);
+  });
+
+  it('should keep the current state when the file is invalid', () => {
+    const { result } = renderHook(() => useSamplingController());
+    act(() => {
+      result.current.setLogP('-(x^2)/2');
+    });
+
+    let loaded;
+    act(() => {
+      loaded = result.current.loadSession('{"version": 0}');
+    });
+
+    expect(loaded).toBe(false);
+    expect(result.current.error).toMatch(/Invalid session file/);
+    expect(result.current.logP).toBe('-(x^2)/2');
+  });
+});
+
+describe('Share links', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    HMCSampler.prototype.step.mockReturnValue({
+      q: { x: 0, y: 0 },
+      p: { x: 0, y: 0 },
+      accepted: true,
+      trajectory: [{ x: 0, y: 0 }],
+    });
+  });
+
+  afterEach(() => {
+    window.history.replaceState(null, '', window.location.pathname);
+  });
+
+  it('should write the configuration to the hash and restore it on load', () => {
+    const first = renderHook(() => useSamplingController());
+    act(() => {
+      first.result.current.setLogP('exp(-(x^2 + y^2)/2)');
+      first.result.current.setBurnIn(3);
+      first.result.current.setNSteps(40);
+      first.result.current.setAxisLimits({ xMin: -4 });
+      first.result.current.setChainConfig(0, {
+        params: { epsilon: 0.3 },
+        initialPosition: { x: 2, y: 1 },
+        seed: 9,
+      });
+    });
+    let url;
+    act(() => {
+      url = first.result.current.createShareLink();
+    });
+    expect(url).toBe(window.location.href);
+    expect(window.location.hash).toMatch(/^#state=/);
+    first.unmount();
+
+    const { result } = renderHook(() => useSamplingController());
+
+    expect(result.current.error).toBeNull();
+    expect(result.current.logP).toBe('exp(-(x^2 + y^2)/2)');
+    expect(result.current.burnIn).toBe(3);
+    expect(result.current.nSteps).toBe(40);
+    expect(result.current.axisLimits.xMin).toBe(-4);
+    expect(result.current.contourData).not.toBeNull();
+    const chain = result.current.chains[0];
+    expect(chain.params.epsilon).toBe(0.3);
+    expect(chain.initialPosition).toEqual({ x: 2, y: 1 });
+    expect(chain.seed).toBe(9);
+    expect(chain.samples).toEqual([]);
+  });
+
+  it('should report a malformed link and keep the defaults', () => {
+    window.history.replaceState(null, '', '#state=not-a-state');
+
+    const { result } = renderHook(() => useSamplingController());
+
+    expect(result.current.error).toMatch(/^Invalid link/);
+    expect(result.current.logP).toBe('');
+    expect(result.current.chains).toHaveLength(1);
+  });
+
+  it('should restore a link pasted while the app is open', () => {
+    const { result } = renderHook(() => useSamplingController());
+    act(() => {
+      result.current.setLogP('-(x^2 + y^2)/2');
+    });
+    act(() => {
+      result.current.createShareLink();
+    });
+    act(() => {
+      result.current.setLogP('');
+    });
+    expect(result.current.logP).toBe('');
+
+    act(() => {
+      window.dispatchEvent(new HashChangeEvent('hashchange'));
+    });
+
+    expect(result.current.logP).toBe('-(x^2 + y^2)/2');
+  });
+});
+
+describe('Ground truth', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('should integrate the target when logP is set and clear it with logP', async () => {
+    const { result } = renderHook(() => useSamplingController());
+    expect(result.current.groundTruth).toBeNull();
+
+    act(() => {
+      result.current.setLogP('exp(-((x - 1)^2 + y^2)/2)');
+    });
+    // Integrated after the change is rendered, not during it
+    expect(result.current.groundTruth).toBeNull();
+    await waitFor(() => expect(result.current.groundTruth).not.toBeNull());
+    expect(result.current.groundTruth.mean.x).toBeCloseTo(1, 4);
+    expect(result.current.groundTruth.sd.y).toBeCloseTo(1, 3);
+
+    act(() => {
+      result.current.setLogP('');
+    });
+    expect(result.current.groundTruth).toBeNull();
+  });
+
+  it('should start from the axis limits', async () => {
+    const { result } = renderHook(() => useSamplingController());
+
+    act(() => {
+      result.current.setLogP('exp(-(x^2 + y^2)/2)');
+    });
+    act(() => {
+      result.current.setAxisLimits({ xMin: -8, xMax: 8 });
+    });
+    await waitFor(() =>
+      expect(result.current.groundTruth.domain).toEqual({
+        xMin: -8,
+        xMax: 8,
+        yMin: -5,
+        yMax: 5,
+      })
+    );
+  });
+
+  it('should integrate the target once for changes made before it runs', async () => {
+    const { result } = renderHook(() => useSamplingController());
+    computeGroundTruth.mockClear();
+
+    act(() => {
+      result.current.setLogP('exp(-(x^2 + y^2)/2)');
+    });
+    act(() => {
+      result.current.setAxisLimits({ xMin: -6, xMax: 6 });
+    });
+    act(() => {
+      result.current.setAxisLimits({ xMin: -8, xMax: 8 });
+    });
+    await waitFor(() => expect(result.current.groundTruth).not.toBeNull());
+
+    expect(computeGroundTruth).toHaveBeenCalledTimes(1);
+    expect(result.current.groundTruth.domain.xMax).toBe(8);
+  });
+
+  it('should report the error of each chain after burn-in', async () => {
+    const { result } = renderHook(() => useSamplingController());
+
+    act(() => {
+      result.current.setLogP('exp(-(x^2 + y^2)/2)');
+      result.current.setBurnIn(2);
+    });
+    await waitFor(() => expect(result.current.groundTruth).not.toBeNull());
+
+    let val = 0;
+    HMCSampler.prototype.step.mockImplementation(() => {
+      val++;
+      return {
+        q: { x: val, y: 0 },
+        p: { x: 0, y: 0 },
+        accepted: true,
+        trajectory: [],
+      };
+    });
+
+    act(() => {
+      result.current.sampleSteps(6);
+    });
+    await waitFor(() => expect(result.current.isRunning).toBe(false));
+
+    const [entry] = result.current.truthErrors;
+    expect(result.current.truthErrors).toHaveLength(1);
+    expect(entry.label).toBe('Chain 1 (HMC)');
+    expect(entry.draws).toBe(4);
+    // Draws 3..6 against a standard normal
+    expect(entry.errors.x.meanError).toBeCloseTo(4.5, 4);
+    expect(entry.errors.x.ks).toBeGreaterThan(0.9);
+  });
+});
+
+describe('Distance to target', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  const sampleLine = async (result, steps) => {
+    let val = 0;
+    HMCSampler.prototype.step.mockImplementation(() => {
+      val++;
+      return {
+        q: { x: Math.sin(val), y: Math.cos(val) },
+        p: { x: 0, y: 0 },
+        accepted: true,
+        trajectory: [],
+      };
+    });
+    act(() => {
+      result.current.sampleSteps(steps);
+    });
+    await waitFor(() => expect(result.current.isRunning).toBe(false));
+  };
+
+  it('should measure each chain at every checkpoint after burn-in', async () => {
+    const { result } = renderHook(() => useSamplingController());
+    act(() => {
+      result.current.setLogP('exp(-(x^2 + y^2)/2)');
+      result.current.setBurnIn(2);
+    });
+    expect(result.current.targetDistances).toEqual([]);
+    expect(result.current.checkpointInterval).toBe(50);
+    act(() => {
+      result.current.setCheckpointInterval(5);
+    });
+
+    await sampleLine(result, 12);
+
+    const [entry] = result.current.targetDistances;
+    expect(entry.label).toBe('Chain 1 (HMC)');
+    expect(entry.checkpoints.map((c) => c.iteration)).toEqual([5, 10, 12]);
+    const last = entry.checkpoints[2];
+    expect(last.draws).toBe(10);
+    expect(last.kl).toBeGreaterThan(0);
+    expect(last.wasserstein.sliced).toBeGreaterThan(0);
+    expect(last.mmd).toBeGreaterThan(0);
+  });
+
+  it('should follow the checkpoint interval', async () => {
+    const { result } = renderHook(() => useSamplingController());
+    act(() => {
+      result.current.setLogP('exp(-(x^2 + y^2)/2)');
+      result.current.setBurnIn(0);
+      result.current.setCheckpointInterval(5);
+    });
+    await sampleLine(result, 12);
+
+    act(() => {
+      result.current.setCheckpointInterval(4);
+    });
+    expect(
+      result.current.targetDistances[0].checkpoints.map((c) => c.iteration)
+    ).toEqual([4, 8, 12]);
+  });
+
+  it('should reuse the checkpoints of chains whose draws did not change', async () => {
+    const { result } = renderHook(() => useSamplingController());
+    act(() => {
+      result.current.setLogP('exp(-(x^2 + y^2)/2)');
+      result.current.setBurnIn(0);
+      result.current.setCheckpointInterval(5);
+    });
+    await waitFor(() => expect(result.current.groundTruth).not.toBeNull());
+    await sampleLine(result, 6);
+    const { checkpoints } = result.current.targetDistances[0];
+
+    act(() => {
+      result.current.addChain();
+    });
+    expect(result.current.targetDistances[0].checkpoints).toBe(checkpoints);
+
+    act(() => {
+      result.current.setBurnIn(1);
+    });
+    expect(result.current.targetDistances[0].checkpoints).not.toBe(checkpoints);
+  });
+
+  it('should be empty without a target', async () => {
+    const { result } = renderHook(() => useSamplingController());
+    act(() => {
+      result.current.setLogP('exp(-(x^2 + y^2)/2)');
+      result.current.setBurnIn(0);
+    });
+    await waitFor(() => expect(result.current.groundTruth).not.toBeNull());
+    await sampleLine(result, 6);
+    expect(result.current.targetDistances).toHaveLength(1);
+
+    act(() => {
+      result.current.setLogP('');
+    });
+    expect(result.current.targetDistances).toEqual([]);
+  });
+});
+
+describe('Burn-in Parameter', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    HMCSampler.prototype.step.mockReturnValue({
+      q: { x: 0, y: 0 },
+      p: { x: 0, y: 0 },
+      accepted: true,
+      trajectory: [{ x: 0, y: 0 }],
+    });
+  });
+
+  it('should initialize with default burn-in value of 10', () => {
+    const { result } = renderHook(() => useSamplingController());
+    expect(result.current.burnIn).toBe(10);
+  });
+
+  it('should expose setBurnIn function', () => {
+    const { result } = renderHook(() => useSamplingController());
+    expect(result.current.setBurnIn).toBeDefined();
+    expect(typeof result.current.setBurnIn).toBe('function');
+  });
+
+  it('should update burn-in value when setBurnIn is called', () => {
+    const { result } = renderHook(() => useSamplingController());
+
+    act(() => {
+      result.current.setBurnIn(20);
+    });
+
+    expect(result.current.burnIn).toBe(20);
+  });
+
+  it('should store adaptation settings and sync the step-size history', async () => {
+    const { result } = renderHook(() => useSamplingController());
+
+    act(() => {
+      result.current.setLogP('-(x^2)/2');
+      result.current.setChainConfig(0, {
+        adaptation: { targetAccept: 0.8 },
+      });
+    });
+    expect(result.current.chains[0].adaptation).toEqual({ targetAccept: 0.8 });
+
+    act(() => {
+      result.current.sampleSteps(3);
+    });
+    await waitFor(() => expect(result.current.isRunning).toBe(false), {
+      timeout: 1000,
+    });
+
+    expect(result.current.chains[0].epsilonHistory).toHaveLength(3);
+  });
+
+  it('should recalculate R-hat when burn-in changes with dual chains', async () => {
+    const { result } = renderHook(() => useSamplingController());
+
+    // Setup: Enable second chain
+    act(() => {
+      result.current.setLogP('-(x^2)/2');
+      result.current.addChain({ id: 1 });
+    });
+
+    // Mock step to return consistent values
+    let callCount = 0;
+    HMCSampler.prototype.step.mockImplementation(() => {
+      const val = callCount++;
+      return {
+        q: { x: val, y: val },
+        p: { x: 0, y: 0 },
+        accepted: true,
+        trajectory: [{ x: val, y: val }],
+      };
+    });
+
+    // Run 30 steps
+    act(() => {
+      result.current.sampleSteps(30);
+    });
+
+    await waitFor(() => expect(result.current.isRunning).toBe(false), {
+      timeout: 1000,
+    });
+
+    // Initial R-hat with burn-in = 10 (20 valid samples)
+    const initialRHat = result.current.rHat;
+    expect(initialRHat).not.toBeNull();
+
+    // Change burn-in to 5
+    act(() => {
+      result.current.setBurnIn(5);
+    });
+
+    // R-hat should recalculate with new burn-in (25 valid samples)
+    const newRHat = result.current.rHat;
+    expect(newRHat).not.toBeNull();
+    // Values should be different because we're using different sample ranges
+    expect(newRHat).not.toBe(initialRHat);
+  });
+
+  it('should recalculate ESS when burn-in changes', async () => {
+    const { result } = renderHook(() => useSamplingController());
+
+    // Setup
+    act(() => {
+      result.current.setLogP('-(x^2)/2');
+    });
+
+    // Mock step
+    let callCount = 0;
+    HMCSampler.prototype.step.mockImplementation(() => {
+      const val = callCount++;
+      return {
+        q: { x: val, y: val },
+        p: { x: 0, y: 0 },
+        accepted: true,
+        trajectory: [{ x: val, y: val }],
+      };
+    });
+
+    // Run 30 steps
+    act(() => {
+      result.current.sampleSteps(30);
+    });
+
+    await waitFor(() => expect(result.current.isRunning).toBe(false), {
+      timeout: 1000,
+    });
+
+    // Initial ESS with burn-in = 10
+    const initialESS = result.current.ess;
+    expect(initialESS).not.toBeNull();
+
+    // Change burn-in to 15
+    act(() => {
+      result.current.setBurnIn(15);
+    });
+
+    // ESS should recalculate
+    const newESS = result.current.ess;
+    expect(newESS).not.toBeNull();
+    // Values should be different
+    expect(newESS).not.toBe(initialESS);
+  });
+
+  it('should handle burn-in = 0 (all samples valid)', async () => {
+    const { result } = renderHook(() => useSamplingController());
+
+    // Setup
+    act(() => {
+      result.current.setLogP('-(x^2)/2');
+      result.current.setBurnIn(0);
+    });
+
+    // Mock step
+    HMCSampler.prototype.step.mockReturnValue({
+      q: { x: 0, y: 0 },
       p: { x: 0, y: 0 },
       accepted: true,
       trajectory: [{ x: 0, y: 0 }],
@@ -2224,6 +3076,66 @@ describe('Fast Sampling Mode', () => {
     expect(result.current.isRunning).toBe(false);
   });
 
+  it('should end the run when the worker cannot be configured', async () => {
+    const { result } = renderHook(() => useSamplingController());
+    act(() => {
+      result.current.setLogP('-(x^2)/2');
+      result.current.setUseFastMode(true);
+    });
+    // Only the worker restores chains from snapshots
+    const fromSnapshot = vi
+      .spyOn(SamplingChain, 'fromSnapshot')
+      .mockImplementation(() => {
+        throw new Error('Bad snapshot');
+      });
+
+    act(() => {
+      result.current.sampleSteps(5);
+    });
+    await waitFor(() => expect(result.current.isRunning).toBe(false));
+
+    expect(result.current.error).toBe('Bad snapshot');
+    expect(result.current.progress).toBeNull();
+    fromSnapshot.mockRestore();
+  });
+
+  it('should end the run when the worker throws', async () => {
+    const { result } = renderHook(() => useSamplingController());
+    act(() => {
+      result.current.setLogP('-(x^2)/2');
+      result.current.setUseFastMode(true);
+    });
+    HMCSampler.prototype.step.mockImplementation(() => ({
+      q: { x: 0, y: 0 },
+      p: { x: 0, y: 0 },
+      accepted: true,
+      trajectory: [],
+    }));
+
+    // More than one chunk, so the failing snapshot is taken outside the
+    // engine's own error handling
+    act(() => {
+      result.current.sampleSteps(300);
+    });
+    const toSnapshot = vi
+      .spyOn(SamplingChain.prototype, 'toSnapshot')
+      .mockImplementation(() => {
+        throw new Error('Worker crashed');
+      });
+    await waitFor(() => expect(result.current.isRunning).toBe(false));
+    toSnapshot.mockRestore();
+
+    expect(result.current.error).toBe('Worker crashed');
+    expect(result.current.progress).toBeNull();
+
+    // The next run starts on a fresh worker
+    act(() => {
+      result.current.sampleSteps(5);
+    });
+    await waitFor(() => expect(result.current.isRunning).toBe(false));
+    expect(result.current.iterationCount).toBe(5);
+  });
+
   it('should execute batch sampling with dual chains in fast mode', async () => {
     const { result } = renderHook(() => useSamplingController());
 
@@ -2269,7 +3181,8 @@ describe('Fast Sampling Mode', () => {
     // Chain 2 (even calls): Rejected
     expect(result.current.chains[0].samples).toHaveLength(5);
     // Chain 2: all rejected (even calls rejected)
-    expect(result.current.chains[1].samples.length).toBe(0);
+    expect(result.current.chains[1].acceptedSamples.length).toBe(0);
+    expect(result.current.chains[1].samples.length).toBe(5);
     expect(result.current.chains[1].rejectedCount).toBe(5);
     expect(result.current.iterationCount).toBe(5);
   });
@@ -2816,6 +3729,15 @@ describe('Code Quality Fix Tests', () => {
       ];
       expect(allChainsCompatible(chains)).toBe(true);
     });
+
+    it('compares object-valued params by value', () => {
+      const chain = (xy) => ({
+        samplerType: 'METROPOLIS',
+        params: { scale: 0.5, covariance: { xx: 1, xy, yy: 1 } },
+      });
+      expect(allChainsCompatible([chain(0.2), chain(0.2)])).toBe(true);
+      expect(allChainsCompatible([chain(0.2), chain(0.4)])).toBe(false);
+    });
   });
 
   describe('mixed sampler type post-processing', () => {
@@ -2871,6 +3793,12 @@ describe('Code Quality Fix Tests', () => {
       // With burnIn=10 (default), after 20 samples each chain has 10 post-burnin samples
       // Different sampler types → essPerChain populated, rHat null, histogramData empty
       expect(result.current.rHat).toBeNull();
+      expect(result.current.splitRHat).toBeNull();
+      expect(result.current.rankRHat).toBeNull();
+      expect(result.current.summary.map((g) => g.samplerType)).toEqual([
+        'HMC',
+        'Gibbs',
+      ]);
       expect(result.current.histogramData).toEqual({ samples: [] });
       expect(result.current.essPerChain).not.toBeNull();
       expect(result.current.essPerChain).toHaveLength(2);
@@ -3002,3 +3930,186 @@ describe('Code Quality Fix Tests', () => {
     });
   });
 });
+
+describe('Target parameters', () => {
+  const CORRELATED = 'exp(-(x^2 - 2*rho*x*y + y^2)/(2*(1-rho^2)))';
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    HMCSampler.prototype.step.mockReturnValue({
+      q: { x: 1, y: 1 },
+      p: { x: 0, y: 0 },
+      accepted: true,
+      trajectory: [],
+    });
+  });
+
+  const withTarget = () => {
+    const hook = renderHook(() => useSamplingController());
+    act(() => {
+      hook.result.current.setLogP(CORRELATED);
+    });
+    return hook;
+  };
+
+  it('should detect the parameters of logP with default settings', () => {
+    const { result } = withTarget();
+    expect(result.current.error).toBeNull();
+    expect(result.current.targetParameters).toEqual({
+      rho: { min: -0.99, max: 0.99, step: 0.01, value: 0 },
+    });
+
+    act(() => {
+      result.current.setLogP('exp(-(x^2 + y^2)/2)');
+    });
+    expect(result.current.targetParameters).toEqual({});
+  });
+
+  it('should recompile the density when a parameter moves', async () => {
+    const { result } = withTarget();
+    const contour = result.current.contourData;
+    await waitFor(() => expect(result.current.groundTruth).not.toBeNull());
+    expect(result.current.groundTruth.correlation).toBeCloseTo(0, 3);
+
+    let applied;
+    act(() => {
+      applied = result.current.setTargetParameter('rho', { value: 0.9 });
+    });
+
+    expect(applied).toBe(true);
+    expect(result.current.targetParameters.rho.value).toBe(0.9);
+    expect(result.current.contourData).not.toBe(contour);
+    await waitFor(() =>
+      expect(result.current.groundTruth.correlation).toBeCloseTo(0.9, 2)
+    );
+    // Precision of the correlated Gaussian: -ρ / (1 - ρ²) off the diagonal
+    expect(result.current.gaussianTarget.precision.xy).toBeCloseTo(-0.9 / 0.19);
+  });
+
+  it('should integrate the target once for a burst of parameter changes', async () => {
+    const { result } = withTarget();
+    await waitFor(() => expect(result.current.groundTruth).not.toBeNull());
+    computeGroundTruth.mockClear();
+
+    for (let i = 1; i <= 10; i++) {
+      act(() => {
+        result.current.setTargetParameter('rho', { value: i / 20 });
+      });
+    }
+    expect(result.current.targetParameters.rho.value).toBe(0.5);
+    await waitFor(() =>
+      expect(result.current.groundTruth.correlation).toBeCloseTo(0.5, 2)
+    );
+
+    expect(computeGroundTruth).toHaveBeenCalledTimes(1);
+  });
+
+  it('should drop a ground truth that a later change superseded', async () => {
+    const { result } = withTarget();
+    await waitFor(() => expect(result.current.groundTruth).not.toBeNull());
+    computeGroundTruth.mockClear();
+
+    act(() => {
+      result.current.setTargetParameter('rho', { value: 0.3 });
+    });
+    // The first request is on its way to the worker when rho changes again
+    await waitFor(() => expect(computeGroundTruth).toHaveBeenCalledTimes(1));
+    act(() => {
+      result.current.setTargetParameter('rho', { value: 0.6 });
+    });
+    await waitFor(() => expect(computeGroundTruth).toHaveBeenCalledTimes(2));
+    await waitFor(() =>
+      expect(result.current.groundTruth.correlation).toBeCloseTo(0.6, 2)
+    );
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    expect(result.current.groundTruth.correlation).toBeCloseTo(0.6, 2);
+  });
+
+  it('should ignore invalid changes and unknown parameters', () => {
+    const { result } = withTarget();
+    let applied;
+    act(() => {
+      applied = result.current.setTargetParameter('rho', { min: 1 });
+    });
+    expect(applied).toBe(false);
+    act(() => {
+      applied = result.current.setTargetParameter('mu', { value: 1 });
+    });
+    expect(applied).toBe(false);
+    expect(result.current.targetParameters.rho.min).toBe(-0.99);
+  });
+
+  it('should keep the chains unless asked to reset them', () => {
+    const { result } = withTarget();
+    act(() => {
+      result.current.step();
+    });
+    act(() => {
+      result.current.setTargetParameter('rho', { value: 0.5 });
+    });
+    expect(result.current.iterationCount).toBe(1);
+
+    act(() => {
+      result.current.setResetOnParameterChange(true);
+    });
+    act(() => {
+      result.current.setTargetParameter('rho', { value: 0.6 });
+    });
+    expect(result.current.iterationCount).toBe(0);
+    expect(result.current.chains[0].samples).toEqual([]);
+  });
+
+  it('should keep the settings of parameters the new logP still uses', () => {
+    const { result } = withTarget();
+    act(() => {
+      result.current.setTargetParameter('rho', { value: 0.7, max: 0.8 });
+    });
+    act(() => {
+      result.current.setLogP(`${CORRELATED} * exp(-(x - mu)^2)`);
+    });
+
+    expect(result.current.targetParameters.rho).toEqual({
+      min: -0.99,
+      max: 0.8,
+      step: 0.01,
+      value: 0.7,
+    });
+    expect(result.current.targetParameters.mu.value).toBe(0);
+  });
+
+  it('should not reapply a share link when a parameter moves', () => {
+    const { result } = withTarget();
+    act(() => {
+      result.current.createShareLink();
+    });
+    act(() => {
+      result.current.setTargetParameter('rho', { value: 0.5 });
+    });
+    expect(result.current.targetParameters.rho.value).toBe(0.5);
+    window.history.replaceState(null, '', window.location.pathname);
+  });
+
+  it('should save and restore the parameter settings with a session', async () => {
+    const { result } = withTarget();
+    act(() => {
+      result.current.setTargetParameter('rho', { value: 0.8 });
+    });
+    act(() => {
+      result.current.saveSession();
+    });
+    const text = downloadText.mock.calls.at(-1)[0];
+    expect(JSON.parse(text).parameters.rho.value).toBe(0.8);
+
+    const restored = renderHook(() => useSamplingController());
+    act(() => {
+      restored.result.current.loadSession(text);
+    });
+    expect(restored.result.current.targetParameters.rho.value).toBe(0.8);
+    await waitFor(() =>
+      expect(restored.result.current.groundTruth.correlation).toBeCloseTo(
+        0.8,
+        2
+      )
+    );
+  });
+});
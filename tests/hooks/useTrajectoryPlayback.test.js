@@ -0,0 +1,156 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { renderHook, act } from '@testing-library/react';
+
+vi.mock('../../src/utils/logger', () => ({
+  logger: { debug: vi.fn(), info: vi.fn(), warn: vi.fn(), error: vi.fn() },
+}));
+
+import useTrajectoryPlayback, {
+  DEFAULT_PLAYBACK_SPEED,
+  MAX_PLAYBACK_SPEED,
+} from '../../src/hooks/useTrajectoryPlayback';
+
+const trajectory = (n) => Array.from({ length: n }, (_, i) => ({ x: i, y: 0 }));
+
+describe('useTrajectoryPlayback', () => {
+  const chains = [{ id: 0, trajectory: trajectory(4) }];
+
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  const renderPlayback = (initialChains = chains) => {
+    const hook = renderHook(({ c }) => useTrajectoryPlayback(c), {
+      initialProps: { c: initialChains },
+    });
+    act(() => hook.result.current.setEnabled(true));
+    return hook;
+  };
+
+  it('should start disabled at the first frame', () => {
+    const { result } = renderHook(() => useTrajectoryPlayback(chains));
+    expect(result.current.isEnabled).toBe(false);
+    expect(result.current.isPlaying).toBe(false);
+    expect(result.current.frame).toBe(0);
+    expect(result.current.frameCount).toBe(4);
+    expect(result.current.speed).toBe(DEFAULT_PLAYBACK_SPEED);
+  });
+
+  it('should count frames from the longest non-NUTS trajectory', () => {
+    const { result } = renderHook(() =>
+      useTrajectoryPlayback([
+        { id: 0, trajectory: trajectory(3) },
+        { id: 1, trajectory: trajectory(9), tree: { forward: [] } },
+        { id: 2, trajectory: trajectory(5) },
+      ])
+    );
+    expect(result.current.frameCount).toBe(5);
+  });
+
+  it('should step forward and back within the trajectory', () => {
+    const { result } = renderPlayback();
+
+    act(() => result.current.stepBack());
+    expect(result.current.frame).toBe(0);
+
+    act(() => result.current.stepForward());
+    act(() => result.current.stepForward());
+    expect(result.current.frame).toBe(2);
+
+    act(() => result.current.stepForward());
+    act(() => result.current.stepForward());
+    expect(result.current.frame).toBe(3);
+
+    act(() => result.current.stepBack());
+    expect(result.current.frame).toBe(2);
+  });
+
+  it('should seek to a clamped frame', () => {
+    const { result } = renderPlayback();
+
+    act(() => result.current.seek(2));
+    expect(result.current.frame).toBe(2);
+    act(() => result.current.seek(99));
+    expect(result.current.frame).toBe(3);
+    act(() => result.current.seek(-1));
+    expect(result.current.frame).toBe(0);
+  });
+
+  it('should advance one frame per tick and stop at the end', () => {
+    const { result } = renderPlayback();
+
+    act(() => result.current.setSpeed(10));
+    act(() => result.current.play());
+    expect(result.current.isPlaying).toBe(true);
+
+    act(() => vi.advanceTimersByTime(100));
+    expect(result.current.frame).toBe(1);
+
+    act(() => vi.advanceTimersByTime(100));
+    act(() => vi.advanceTimersByTime(100));
+    expect(result.current.frame).toBe(3);
+    expect(result.current.isPlaying).toBe(false);
+
+    act(() => vi.advanceTimersByTime(1000));
+    expect(result.current.frame).toBe(3);
+  });
+
+  it('should rewind when play is pressed at the end', () => {
+    const { result } = renderPlayback();
+
+    act(() => result.current.seek(3));
+    act(() => result.current.play());
+    expect(result.current.frame).toBe(0);
+    expect(result.current.isPlaying).toBe(true);
+  });
+
+  it('should hold the frame while paused', () => {
+    const { result } = renderPlayback();
+
+    act(() => result.current.play());
+    act(() => vi.advanceTimersByTime(1000 / DEFAULT_PLAYBACK_SPEED));
+    act(() => result.current.pause());
+    act(() => vi.advanceTimersByTime(5000));
+    expect(result.current.frame).toBe(1);
+  });
+
+  it('should not play while disabled', () => {
+    const { result } = renderHook(() => useTrajectoryPlayback(chains));
+
+    act(() => result.current.play());
+    act(() => vi.advanceTimersByTime(5000));
+    expect(result.current.frame).toBe(0);
+  });
+
+  it('should rewind when a new trajectory arrives', () => {
+    const { result, rerender } = renderPlayback();
+
+    act(() => result.current.seek(3));
+    rerender({ c: [{ id: 0, trajectory: trajectory(6) }] });
+
+    expect(result.current.frame).toBe(0);
+    expect(result.current.frameCount).toBe(6);
+  });
+
+  it('should keep the frame when chains update without a new trajectory', () => {
+    const { result, rerender } = renderPlayback();
+
+    act(() => result.current.seek(2));
+    rerender({ c: [{ ...chains[0], samples: [{ x: 0, y: 0 }] }] });
+
+    expect(result.current.frame).toBe(2);
+  });
+
+  it('should clamp the speed to the slider range', () => {
+    const { result } = renderPlayback();
+
+    act(() => result.current.setSpeed(1000));
+    expect(result.current.speed).toBe(MAX_PLAYBACK_SPEED);
+    act(() => result.current.setSpeed(NaN));
+    expect(result.current.speed).toBe(MAX_PLAYBACK_SPEED);
+  });
+});
@@ -5,6 +5,7 @@ import {
   hmcStep,
   HMCSampler,
 } from '../../src/samplers/HMCSampler';
+import { SeededRandom } from '../../src/utils/seededRandom';
 
 vi.mock('../../src/utils/logger', () => ({
   logger: { debug: vi.fn(), info: vi.fn(), warn: vi.fn(), error: vi.fn() },
@@ -154,6 +155,55 @@ describe('HMCSampler (Standalone Functions)', () => {
     });
   });
 
+  describe('non-identity metric', () => {
+    const invMass = { xx: 2, xy: 0.5, yy: 0.5 };
+    const gradU = (x, y) => ({ x: x, y: y });
+
+    it('should move positions along M⁻¹·p', () => {
+      // Zero gradient at the origin isolates the position update
+      const { q } = leapfrogStep(
+        { x: 0, y: 0 },
+        { x: 1, y: 0 },
+        0.1,
+        () => ({ x: 0, y: 0 }),
+        invMass
+      );
+      expect(q.x).toBeCloseTo(0.1 * 2, 12);
+      expect(q.y).toBeCloseTo(0.1 * 0.5, 12);
+    });
+
+    it('should stay reversible with a dense metric', () => {
+      const q0 = { x: 1.0, y: -0.5 };
+      const p0 = { x: 0.3, y: 0.8 };
+      let q = q0;
+      let p = p0;
+      for (let i = 0; i < 20; i++) {
+        ({ q, p } = leapfrogStep(q, p, 0.05, gradU, invMass));
+      }
+      p = { x: -p.x, y: -p.y };
+      for (let i = 0; i < 20; i++) {
+        ({ q, p } = leapfrogStep(q, p, 0.05, gradU, invMass));
+      }
+      expect(positionsClose(q, q0)).toBe(true);
+      expect(momentaClose({ x: -p.x, y: -p.y }, p0)).toBe(true);
+    });
+
+    it('should match the identity-metric proposal when invMass is null', () => {
+      const U = (x, y) => 0.5 * (x * x + y * y);
+      const a = hmcStep({ x: 1, y: 1 }, 0.1, 10, U, gradU, new SeededRandom(3));
+      const b = hmcStep(
+        { x: 1, y: 1 },
+        0.1,
+        10,
+        U,
+        gradU,
+        new SeededRandom(3),
+        null
+      );
+      expect(a).toEqual(b);
+    });
+  });
+
   describe('energy conservation', () => {
     it('should preserve Hamiltonian for small epsilon', () => {
       const q0 = { x: 1.0, y: 1.0 };
@@ -248,6 +298,158 @@ describe('HMCSampler (Standalone Functions)', () => {
     });
   });
 
+  describe('energy record', () => {
+    const U = (x, y) => 0.5 * (x * x + y * y);
+    const gradU = (x, y) => ({ x, y });
+
+    it('should record H, K and U at every leapfrog step', () => {
+      const rng = new SeededRandom(7);
+      const result = generateProposal({ x: 1, y: -1 }, 0.1, 10, U, gradU, rng);
+
+      expect(result.energy).toHaveLength(11);
+      expect(result.energy[0].H).toBe(result.H_initial);
+      expect(result.energy[10].H).toBeCloseTo(result.H_proposed, 12);
+      result.energy.forEach((e, i) => {
+        expect(e.H).toBeCloseTo(e.K + e.U, 12);
+        expect(e.U).toBeCloseTo(
+          U(result.trajectory[i].x, result.trajectory[i].y),
+          12
+        );
+      });
+    });
+
+    it('should oscillate without drifting for a stable step size', () => {
+      const rng = new SeededRandom(7);
+      const { energy } = generateProposal(
+        { x: 1, y: -1 },
+        0.2,
+        1000,
+        U,
+        gradU,
+        rng
+      );
+      const errors = energy.map((e) => Math.abs(e.H - energy[0].H));
+      // Bounded O(ε²) error over a long trajectory, with no secular growth
+      expect(Math.max(...errors)).toBeLessThan(0.05);
+      expect(Math.max(...errors.slice(900))).toBeLessThan(
+        2 * Math.max(...errors.slice(0, 100)) + 1e-12
+      );
+    });
+
+    it('should blow up when ε is past the stability limit', () => {
+      const rng = new SeededRandom(7);
+      const { energy } = generateProposal(
+        { x: 1, y: -1 },
+        2.2,
+        20,
+        U,
+        gradU,
+        rng
+      );
+      const errors = energy.map((e) => Math.abs(e.H - energy[0].H));
+      expect(errors[errors.length - 1]).toBeGreaterThan(100 * errors[1]);
+    });
+
+    it('should record the momentum before the final flip at every step', () => {
+      const rng = new SeededRandom(7);
+      const result = generateProposal({ x: 1, y: -1 }, 0.1, 10, U, gradU, rng);
+
+      expect(result.momentum).toHaveLength(11);
+      result.momentum.forEach((p, i) => {
+        expect(result.energy[i].K).toBeCloseTo(kineticEnergy(p), 12);
+      });
+      expect(result.momentum[10]).toEqual({
+        x: -result.p_proposed.x,
+        y: -result.p_proposed.y,
+      });
+    });
+
+    it('should be returned by hmcStep whether or not the step is accepted', () => {
+      const rng = new SeededRandom(7);
+      const result = hmcStep({ x: 1, y: -1 }, 0.1, 5, U, gradU, rng);
+      expect(result.energy).toHaveLength(6);
+      expect(result.momentum).toHaveLength(6);
+    });
+  });
+
+  describe('divergence detection', () => {
+    // ε = 3 is past the leapfrog stability limit (ε < 2) for a unit Gaussian,
+    // so the energy error grows geometrically with every step
+    const U = (x, y) => 0.5 * (x * x + y * y);
+    const gradU = (x, y) => ({ x, y });
+
+    it('should not flag a stable trajectory', () => {
+      const rng = new SeededRandom(1);
+      const result = generateProposal({ x: 1, y: 0 }, 0.1, 20, U, gradU, rng);
+      expect(result.divergent).toBe(false);
+      expect(result.trajectory).toHaveLength(21);
+    });
+
+    it('should stop integrating once the energy error passes the threshold', () => {
+      const rng = new SeededRandom(1);
+      const result = generateProposal({ x: 1, y: 0 }, 3, 50, U, gradU, rng);
+      expect(result.divergent).toBe(true);
+      expect(result.trajectory.length).toBeLessThan(51);
+      expect(result.H_proposed - result.H_initial).toBeGreaterThan(1000);
+    });
+
+    it('should respect a custom threshold', () => {
+      const run = (threshold) =>
+        generateProposal(
+          { x: 1, y: 0 },
+          0.5,
+          5,
+          U,
+          gradU,
+          new SeededRandom(1),
+          null,
+          threshold
+        );
+      expect(run(1000).divergent).toBe(false);
+      expect(run(1e-9).divergent).toBe(true);
+      expect(run(1e-9).trajectory).toHaveLength(2);
+    });
+
+    it('should flag a NaN energy as divergent', () => {
+      // Potential undefined for x > 1; a constant force pushes the particle there
+      const Uedge = (x) => (x > 1 ? NaN : -x);
+      const gradUedge = () => ({ x: -1, y: 0 });
+      const rng = new SeededRandom(3);
+      const result = generateProposal(
+        { x: 0, y: 0 },
+        0.5,
+        50,
+        Uedge,
+        gradUedge,
+        rng
+      );
+      expect(result.divergent).toBe(true);
+      expect(result.trajectory.at(-1).x).toBeGreaterThan(1);
+    });
+
+    it('should always reject a divergent transition', () => {
+      const rng = new SeededRandom(1);
+      const q = { x: 1, y: 0 };
+      const result = hmcStep(q, 3, 50, U, gradU, rng);
+      expect(result.divergent).toBe(true);
+      expect(result.accepted).toBe(false);
+      expect(result.acceptProb).toBe(0);
+      expect(result.q).toBe(q);
+    });
+
+    it('should report divergent: false for ordinary steps', () => {
+      const result = hmcStep(
+        { x: 1, y: 0 },
+        0.1,
+        10,
+        U,
+        gradU,
+        new SeededRandom(1)
+      );
+      expect(result.divergent).toBe(false);
+    });
+  });
+
   describe('hmcStep', () => {
     let originalRandom;
     beforeEach(() => {
@@ -280,6 +482,16 @@ describe('HMCSampler (Standalone Functions)', () => {
         expect(acceptCount).toBeGreaterThan(50);
       });
 
+      it('should report the Metropolis acceptance probability', () => {
+        const U = (x, y) => 0.5 * (x * x + y * y);
+        const gradU = (x, y) => ({ x: x, y: y });
+        for (let i = 0; i < 20; i++) {
+          const result = hmcStep({ x: 1, y: 1 }, 0.3, 10, U, gradU);
+          expect(result.acceptProb).toBeGreaterThanOrEqual(0);
+          expect(result.acceptProb).toBeLessThanOrEqual(1);
+        }
+      });
+
       it('should sometimes reject when starting from low energy', () => {
         // We need to align random values with the calls in hmcStep():
         // 1. randn() -> u1 (in generateProposal)
@@ -591,6 +803,26 @@ describe('HMCSampler Class', () => {
     expect(sampler.L).toBe(50);
   });
 
+  it('should update the inverse mass matrix via setParams', () => {
+    const sampler = new HMCSampler();
+    expect(sampler.invMass).toBeNull();
+    sampler.setParams({ invMass: { xx: 2, xy: 0, yy: 1 } });
+    expect(sampler.invMass).toEqual({ xx: 2, xy: 0, yy: 1 });
+    expect(sampler.L).toBe(10); // unchanged
+    sampler.setParams({ invMass: null });
+    expect(sampler.invMass).toBeNull();
+  });
+
+  it('should take the divergence threshold from params', () => {
+    const sampler = new HMCSampler();
+    expect(sampler.divergenceThreshold).toBe(1000);
+    sampler.setParams({ divergenceThreshold: 50 });
+    expect(sampler.divergenceThreshold).toBe(50);
+    expect(new HMCSampler({ divergenceThreshold: 5 }).divergenceThreshold).toBe(
+      5
+    );
+  });
+
   it('should update seed via setSeed', () => {
     const sampler = new HMCSampler();
     sampler.setSeed(42);
@@ -0,0 +1,176 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+  langevinMean,
+  langevinLogProposal,
+  malaStep,
+  ulaStep,
+  MALASampler,
+  ULASampler,
+} from '../../src/samplers/LangevinSampler';
+import { hmcStep } from '../../src/samplers/HMCSampler';
+import { SeededRandom } from '../../src/utils/seededRandom';
+
+vi.mock('../../src/utils/logger', () => ({
+  logger: { debug: vi.fn(), info: vi.fn(), warn: vi.fn(), error: vi.fn() },
+}));
+
+import { logger } from '../../src/utils/logger';
+
+// Standard 2D Gaussian target
+const logP = (x, y) => -0.5 * (x * x + y * y);
+const gradLogP = (x, y) => ({ x: -x, y: -y });
+
+const moments = (xs) => {
+  const mean = xs.reduce((a, b) => a + b, 0) / xs.length;
+  const variance =
+    xs.reduce((a, b) => a + (b - mean) ** 2, 0) / (xs.length - 1);
+  return { mean, variance };
+};
+
+describe('LangevinSampler (Standalone Functions)', () => {
+  describe('langevinMean', () => {
+    it('should drift along the gradient by ε²/2', () => {
+      expect(langevinMean({ x: 2, y: -1 }, 0.5, gradLogP)).toEqual({
+        x: 2 - 0.125 * 2,
+        y: -1 + 0.125 * 1,
+      });
+    });
+  });
+
+  describe('langevinLogProposal', () => {
+    it('should be asymmetric away from the mode', () => {
+      const a = { x: 2, y: 0 };
+      const b = { x: 1, y: 0 };
+      // Moving towards the mode is more likely than moving away from it
+      expect(langevinLogProposal(b, a, 0.5, gradLogP)).toBeGreaterThan(
+        langevinLogProposal(a, b, 0.5, gradLogP)
+      );
+    });
+  });
+
+  describe('malaStep', () => {
+    it('should return the proposal segment as the trajectory', () => {
+      const q = { x: 1, y: 1 };
+      const result = malaStep(q, 0.5, logP, gradLogP, new SeededRandom(1));
+      expect(result.trajectory).toEqual([q, result.proposal]);
+      expect(result.acceptProb).toBeGreaterThanOrEqual(0);
+      expect(result.acceptProb).toBeLessThanOrEqual(1);
+    });
+
+    it('should match one-leapfrog-step HMC under the same random stream', () => {
+      // MALA is HMC with L = 1 and the same ε
+      const U = (x, y) => -logP(x, y);
+      const gradU = (x, y) => ({ x, y });
+      for (let seed = 1; seed <= 5; seed++) {
+        const mala = malaStep(
+          { x: 1, y: -0.5 },
+          0.7,
+          logP,
+          gradLogP,
+          new SeededRandom(seed)
+        );
+        const hmc = hmcStep(
+          { x: 1, y: -0.5 },
+          0.7,
+          1,
+          U,
+          gradU,
+          new SeededRandom(seed)
+        );
+        expect(mala.proposal.x).toBeCloseTo(hmc.trajectory.at(-1).x, 12);
+        expect(mala.proposal.y).toBeCloseTo(hmc.trajectory.at(-1).y, 12);
+        expect(mala.acceptProb).toBeCloseTo(hmc.acceptProb, 10);
+      }
+    });
+
+    it('should sample a standard Gaussian without bias', () => {
+      const rng = new SeededRandom(42);
+      let q = { x: 0, y: 0 };
+      const xs = [];
+      for (let i = 0; i < 20000; i++) {
+        q = malaStep(q, 1.0, logP, gradLogP, rng).q;
+        xs.push(q.x);
+      }
+      const { mean, variance } = moments(xs);
+      expect(Math.abs(mean)).toBeLessThan(0.1);
+      expect(variance).toBeGreaterThan(0.9);
+      expect(variance).toBeLessThan(1.1);
+    });
+  });
+
+  describe('ulaStep', () => {
+    it('should always accept', () => {
+      const result = ulaStep(
+        { x: 3, y: 3 },
+        2.0,
+        gradLogP,
+        new SeededRandom(2)
+      );
+      expect(result.accepted).toBe(true);
+      expect(result.acceptProb).toBe(1);
+      expect(result.trajectory[1]).toEqual(result.q);
+    });
+
+    it('should inflate the variance of a Gaussian by 1 / (1 - ε²/4)', () => {
+      const epsilon = 1.0;
+      const rng = new SeededRandom(42);
+      let q = { x: 0, y: 0 };
+      const xs = [];
+      for (let i = 0; i < 20000; i++) {
+        q = ulaStep(q, epsilon, gradLogP, rng).q;
+        xs.push(q.x);
+      }
+      const { variance } = moments(xs);
+      const expected = 1 / (1 - (epsilon * epsilon) / 4);
+      expect(Math.abs(variance - expected)).toBeLessThan(0.1);
+      expect(variance).toBeGreaterThan(1.2);
+    });
+  });
+});
+
+describe('Langevin Sampler Classes', () => {
+  const mockLogP = {
+    getLogProbability: (x, y) => -0.5 * (x * x + y * y),
+    getLogProbabilityGradient: (x, y) => [-x, -y],
+  };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('should initialize both samplers with default parameters', () => {
+    expect(new MALASampler().epsilon).toBe(0.1);
+    expect(new ULASampler().epsilon).toBe(0.1);
+  });
+
+  it('should update epsilon via setParams', () => {
+    const mala = new MALASampler({ epsilon: 0.2 });
+    const ula = new ULASampler({ epsilon: 0.2 });
+    mala.setParams({ epsilon: 0.4 });
+    ula.setParams({ epsilon: 0.3 });
+    expect(mala.epsilon).toBe(0.4);
+    expect(ula.epsilon).toBe(0.3);
+  });
+
+  it('should be reproducible with seed', () => {
+    const start = { q: { x: 0.3, y: -0.2 } };
+    [MALASampler, ULASampler].forEach((Sampler) => {
+      const s1 = new Sampler({ epsilon: 0.5 }, 123);
+      const s2 = new Sampler({ epsilon: 0.5 }, 123);
+      expect(s1.step(start, mockLogP)).toEqual(s2.step(start, mockLogP));
+    });
+  });
+
+  it('constructors call logger.debug with epsilon and seed', () => {
+    new MALASampler({ epsilon: 0.3 }, 7);
+    new ULASampler({ epsilon: 0.4 }, 8);
+    expect(logger.debug).toHaveBeenCalledWith(
+      'MALASampler initialised',
+      expect.objectContaining({ epsilon: 0.3, seed: 7 })
+    );
+    expect(logger.debug).toHaveBeenCalledWith(
+      'ULASampler initialised',
+      expect.objectContaining({ epsilon: 0.4, seed: 8 })
+    );
+  });
+});
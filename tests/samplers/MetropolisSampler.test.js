@@ -0,0 +1,158 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+  proposeGaussian,
+  metropolisStep,
+  MetropolisSampler,
+} from '../../src/samplers/MetropolisSampler';
+import { SeededRandom } from '../../src/utils/seededRandom';
+
+vi.mock('../../src/utils/logger', () => ({
+  logger: { debug: vi.fn(), info: vi.fn(), warn: vi.fn(), error: vi.fn() },
+}));
+
+import { logger } from '../../src/utils/logger';
+
+// Standard 2D Gaussian target
+const logP = (x, y) => -0.5 * (x * x + y * y);
+
+describe('MetropolisSampler (Standalone Functions)', () => {
+  describe('proposeGaussian', () => {
+    it('should scale an isotropic proposal by sigma', () => {
+      const a = proposeGaussian({ x: 1, y: 2 }, 1, null, new SeededRandom(4));
+      const b = proposeGaussian({ x: 1, y: 2 }, 3, null, new SeededRandom(4));
+      expect(b.x - 1).toBeCloseTo(3 * (a.x - 1), 12);
+      expect(b.y - 2).toBeCloseTo(3 * (a.y - 2), 12);
+    });
+
+    it('should match the requested full covariance', () => {
+      const cov = { xx: 1, xy: 0.8, yy: 2 };
+      const rng = new SeededRandom(8);
+      const n = 20000;
+      let sxx = 0;
+      let sxy = 0;
+      let syy = 0;
+      for (let i = 0; i < n; i++) {
+        const d = proposeGaussian({ x: 0, y: 0 }, 0.5, cov, rng);
+        sxx += d.x * d.x;
+        sxy += d.x * d.y;
+        syy += d.y * d.y;
+      }
+      expect(Math.abs(sxx / n - cov.xx)).toBeLessThan(0.05);
+      expect(Math.abs(sxy / n - cov.xy)).toBeLessThan(0.05);
+      expect(Math.abs(syy / n - cov.yy)).toBeLessThan(0.1);
+    });
+  });
+
+  describe('metropolisStep', () => {
+    it('should return the proposal segment as the trajectory', () => {
+      const q = { x: 0.5, y: -0.5 };
+      const result = metropolisStep(q, logP, 0.5, null, new SeededRandom(1));
+      expect(result.trajectory).toEqual([q, result.proposal]);
+      expect(result.p).toEqual({ x: 0, y: 0 });
+    });
+
+    it('should keep the current position when a proposal is rejected', () => {
+      // Proposals from the mode of a very narrow target are almost always rejected
+      const narrow = (x, y) => -500 * (x * x + y * y);
+      const rng = new SeededRandom(2);
+      const q = { x: 0, y: 0 };
+      const result = metropolisStep(q, narrow, 2, null, rng);
+      expect(result.accepted).toBe(false);
+      expect(result.q).toBe(q);
+      expect(result.acceptProb).toBeLessThan(1e-6);
+    });
+
+    it('should always accept uphill moves', () => {
+      const flat = () => 0;
+      const result = metropolisStep(
+        { x: 0, y: 0 },
+        flat,
+        1,
+        null,
+        new SeededRandom(3)
+      );
+      expect(result.acceptProb).toBe(1);
+      expect(result.accepted).toBe(true);
+      expect(result.q).toEqual(result.proposal);
+    });
+
+    it('should reject proposals where the density is undefined', () => {
+      const halfPlane = (x) => (x > 0 ? 0 : NaN);
+      const rng = new SeededRandom(5);
+      for (let i = 0; i < 20; i++) {
+        const result = metropolisStep({ x: 1, y: 0 }, halfPlane, 3, null, rng);
+        if (result.proposal.x <= 0) {
+          expect(result.acceptProb).toBe(0);
+          expect(result.accepted).toBe(false);
+        }
+      }
+    });
+
+    it('should sample a standard Gaussian with correct moments', () => {
+      const rng = new SeededRandom(42);
+      let q = { x: 0, y: 0 };
+      const xs = [];
+      for (let i = 0; i < 20000; i++) {
+        q = metropolisStep(q, logP, 1.5, null, rng).q;
+        xs.push(q.x);
+      }
+      const mean = xs.reduce((a, b) => a + b, 0) / xs.length;
+      const variance =
+        xs.reduce((a, b) => a + (b - mean) ** 2, 0) / (xs.length - 1);
+
+      expect(Math.abs(mean)).toBeLessThan(0.1);
+      expect(variance).toBeGreaterThan(0.85);
+      expect(variance).toBeLessThan(1.15);
+    });
+  });
+});
+
+describe('MetropolisSampler Class', () => {
+  const mockLogP = {
+    getLogProbability: (x, y) => -0.5 * (x * x + y * y),
+  };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('should initialize with default parameters', () => {
+    const sampler = new MetropolisSampler();
+    expect(sampler.scale).toBe(0.5);
+    expect(sampler.covariance).toBeNull();
+    expect(sampler.seed).toBeNull();
+  });
+
+  it('should update parameters via setParams', () => {
+    const sampler = new MetropolisSampler({ scale: 0.2 });
+    sampler.setParams({ covariance: { xx: 1, xy: 0, yy: 1 } });
+    expect(sampler.scale).toBe(0.2);
+    expect(sampler.covariance).toEqual({ xx: 1, xy: 0, yy: 1 });
+    sampler.setParams({ covariance: null });
+    expect(sampler.covariance).toBeNull();
+  });
+
+  it('should not require a gradient', () => {
+    const sampler = new MetropolisSampler({ scale: 0.5 }, 42);
+    const result = sampler.step({ q: { x: 1, y: 1 } }, mockLogP);
+    expect(result.trajectory).toHaveLength(2);
+    expect(typeof result.accepted).toBe('boolean');
+  });
+
+  it('should be reproducible with seed', () => {
+    const s1 = new MetropolisSampler({}, 123);
+    const s2 = new MetropolisSampler({}, 123);
+    const start = { q: { x: 0.3, y: -0.2 } };
+    for (let i = 0; i < 5; i++) {
+      expect(s1.step(start, mockLogP)).toEqual(s2.step(start, mockLogP));
+    }
+  });
+
+  it('constructor calls logger.debug with scale and seed', () => {
+    new MetropolisSampler({ scale: 0.8 }, 42);
+    expect(logger.debug).toHaveBeenCalledWith(
+      'MetropolisSampler initialised',
+      expect.objectContaining({ scale: 0.8, seed: 42 })
+    );
+  });
+});
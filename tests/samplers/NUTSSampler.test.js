@@ -0,0 +1,261 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import {
+  isUTurn,
+  nutsStep,
+  clampTreeDepth,
+  NUTSSampler,
+} from '../../src/samplers/NUTSSampler';
+import { MAX_TREE_DEPTH } from '../../src/samplers/defaultConfigs';
+import { SeededRandom } from '../../src/utils/seededRandom';
+
+vi.mock('../../src/utils/logger', () => ({
+  logger: { debug: vi.fn(), info: vi.fn(), warn: vi.fn(), error: vi.fn() },
+}));
+
+import { logger } from '../../src/utils/logger';
+
+// Standard 2D Gaussian target
+const U = (x, y) => 0.5 * (x * x + y * y);
+const gradU = (x, y) => ({ x, y });
+
+describe('NUTSSampler (Standalone Functions)', () => {
+  describe('isUTurn', () => {
+    // Momenta are in forward time, so both point along qPlus - qMinus
+    // while the trajectory keeps expanding
+    it('should be false while both ends keep moving apart', () => {
+      expect(
+        isUTurn({ x: -1, y: 0 }, { x: 1, y: 0 }, { x: 1, y: 0 }, { x: 1, y: 0 })
+      ).toBe(false);
+    });
+
+    it('should be true when the forward end turns back', () => {
+      expect(
+        isUTurn(
+          { x: -1, y: 0 },
+          { x: 1, y: 0 },
+          { x: 1, y: 0 },
+          { x: -1, y: 0 }
+        )
+      ).toBe(true);
+    });
+
+    it('should be true when the backward end turns back', () => {
+      expect(
+        isUTurn(
+          { x: -1, y: 0 },
+          { x: 1, y: 0 },
+          { x: -1, y: 0 },
+          { x: 1, y: 0 }
+        )
+      ).toBe(true);
+    });
+  });
+
+  describe('nutsStep', () => {
+    it('should return the expected result structure', () => {
+      const rng = new SeededRandom(1);
+      const result = nutsStep({ x: 0.5, y: -0.5 }, 0.1, 10, U, gradU, rng);
+
+      expect(result).toHaveProperty('q');
+      expect(result).toHaveProperty('p');
+      expect(typeof result.accepted).toBe('boolean');
+      expect(result.tree).toBeDefined();
+      expect(result.treeDepth).toBe(result.tree.depth);
+      expect(result.uTurn).toBe(result.tree.uTurn);
+      expect(result.tree.origin).toEqual({ x: 0.5, y: -0.5 });
+    });
+
+    it('should build a doubling tree with 2^depth - 1 leapfrog steps', () => {
+      const rng = new SeededRandom(7);
+      const result = nutsStep({ x: 1, y: 1 }, 0.1, 10, U, gradU, rng);
+      const { forward, backward, depth, expansions } = result.tree;
+
+      expect(expansions).toHaveLength(depth);
+      expansions.forEach((e, j) => {
+        expect(e.depth).toBe(j);
+        expect([-1, 1]).toContain(e.direction);
+      });
+
+      // A subtree aborted by an inner U-turn may be shorter than 2^j
+      const steps = forward.length + backward.length;
+      expect(steps).toBeLessThanOrEqual(2 ** depth - 1);
+      expect(result.trajectory).toHaveLength(steps + 1);
+    });
+
+    it('should order the trajectory from backward end through origin to forward end', () => {
+      const rng = new SeededRandom(3);
+      const result = nutsStep({ x: 1, y: 0 }, 0.1, 10, U, gradU, rng);
+      const { forward, backward, origin } = result.tree;
+
+      expect(result.trajectory[backward.length]).toEqual(origin);
+      if (forward.length > 0) {
+        expect(result.trajectory.at(-1)).toEqual(forward.at(-1));
+      }
+      if (backward.length > 0) {
+        expect(result.trajectory[0]).toEqual(backward.at(-1));
+      }
+    });
+
+    it('should pick the new position from the built trajectory', () => {
+      const rng = new SeededRandom(11);
+      const result = nutsStep({ x: 1, y: 1 }, 0.2, 10, U, gradU, rng);
+      expect(result.trajectory).toContainEqual(result.q);
+    });
+
+    it('should stop at a U-turn on a Gaussian target', () => {
+      const rng = new SeededRandom(5);
+      const result = nutsStep({ x: 1, y: 1 }, 0.1, 10, U, gradU, rng);
+      expect(result.uTurn).toBe(true);
+      expect(result.treeDepth).toBeLessThan(10);
+      expect(result.tree.divergent).toBe(false);
+    });
+
+    it('should respect maxTreeDepth', () => {
+      const rng = new SeededRandom(5);
+      const result = nutsStep({ x: 1, y: 1 }, 0.001, 2, U, gradU, rng);
+      expect(result.treeDepth).toBe(2);
+      expect(result.uTurn).toBe(false);
+      expect(result.trajectory).toHaveLength(4);
+    });
+
+    it('should flag divergence instead of a U-turn when energy blows up', () => {
+      // Steep quartic well makes large steps explode
+      const Ustiff = (x, y) => 100 * (x ** 4 + y ** 4);
+      const gradUstiff = (x, y) => ({ x: 400 * x ** 3, y: 400 * y ** 3 });
+      const rng = new SeededRandom(2);
+      const result = nutsStep({ x: 1, y: 1 }, 1.0, 10, Ustiff, gradUstiff, rng);
+
+      expect(result.tree.divergent).toBe(true);
+      expect(result.divergent).toBe(true);
+      expect(result.uTurn).toBe(false);
+    });
+
+    it('should flag divergence against the given threshold', () => {
+      // Near the leapfrog stability limit the energy error is real but small
+      const start = { x: 1, y: 1 };
+      const lenient = nutsStep(start, 1.9, 10, U, gradU, new SeededRandom(3));
+      expect(lenient.divergent).toBe(false);
+
+      const strict = nutsStep(start, 1.9, 10, U, gradU, new SeededRandom(3), 1);
+      expect(strict.divergent).toBe(true);
+      expect(strict.tree.divergent).toBe(true);
+    });
+
+    it('should be reproducible with the same seed', () => {
+      const r1 = nutsStep(
+        { x: 1, y: 1 },
+        0.1,
+        10,
+        U,
+        gradU,
+        new SeededRandom(9)
+      );
+      const r2 = nutsStep(
+        { x: 1, y: 1 },
+        0.1,
+        10,
+        U,
+        gradU,
+        new SeededRandom(9)
+      );
+      expect(r1.q).toEqual(r2.q);
+      expect(r1.trajectory).toEqual(r2.trajectory);
+    });
+
+    it('should sample a standard Gaussian with correct moments', () => {
+      const rng = new SeededRandom(42);
+      let q = { x: 0, y: 0 };
+      const xs = [];
+      for (let i = 0; i < 2000; i++) {
+        q = nutsStep(q, 0.2, 10, U, gradU, rng).q;
+        xs.push(q.x);
+      }
+      const mean = xs.reduce((a, b) => a + b, 0) / xs.length;
+      const variance =
+        xs.reduce((a, b) => a + (b - mean) ** 2, 0) / (xs.length - 1);
+
+      expect(Math.abs(mean)).toBeLessThan(0.15);
+      expect(variance).toBeGreaterThan(0.8);
+      expect(variance).toBeLessThan(1.2);
+    });
+  });
+});
+
+describe('NUTSSampler Class', () => {
+  const mockLogP = {
+    getLogProbability: (x, y) => -0.5 * (x * x + y * y),
+    getLogProbabilityGradient: (x, y) => [-x, -y],
+  };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('should initialize with default parameters', () => {
+    const sampler = new NUTSSampler();
+    expect(sampler.epsilon).toBe(0.1);
+    expect(sampler.maxTreeDepth).toBe(10);
+    expect(sampler.seed).toBeNull();
+  });
+
+  it('should update parameters via setParams', () => {
+    const sampler = new NUTSSampler({ epsilon: 0.2, maxTreeDepth: 4 });
+    sampler.setParams({ maxTreeDepth: 6 });
+    expect(sampler.epsilon).toBe(0.2);
+    expect(sampler.maxTreeDepth).toBe(6);
+  });
+
+  it('should keep the tree depth between 1 and MAX_TREE_DEPTH', () => {
+    expect(new NUTSSampler({ maxTreeDepth: 30 }).maxTreeDepth).toBe(
+      MAX_TREE_DEPTH
+    );
+    const sampler = new NUTSSampler();
+    sampler.setParams({ maxTreeDepth: -3 });
+    expect(sampler.maxTreeDepth).toBe(1);
+    sampler.setParams({ maxTreeDepth: 4.4 });
+    expect(sampler.maxTreeDepth).toBe(4);
+    expect(clampTreeDepth(MAX_TREE_DEPTH + 1)).toBe(MAX_TREE_DEPTH);
+  });
+
+  it('should take the divergence threshold from params', () => {
+    const sampler = new NUTSSampler();
+    expect(sampler.divergenceThreshold).toBe(1000);
+    sampler.setParams({ divergenceThreshold: 50 });
+    expect(sampler.divergenceThreshold).toBe(50);
+    expect(
+      new NUTSSampler({ divergenceThreshold: 5 }).divergenceThreshold
+    ).toBe(5);
+  });
+
+  it('should pass the divergence threshold to the tree', () => {
+    const sampler = new NUTSSampler({ epsilon: 1.9 }, 3);
+    expect(sampler.step({ q: { x: 1, y: 1 } }, mockLogP).divergent).toBe(false);
+    sampler.setParams({ divergenceThreshold: 1 });
+    sampler.setSeed(3);
+    expect(sampler.step({ q: { x: 1, y: 1 } }, mockLogP).divergent).toBe(true);
+  });
+
+  it('should perform a step against a Logp-like instance', () => {
+    const sampler = new NUTSSampler({ epsilon: 0.1, maxTreeDepth: 5 }, 42);
+    const result = sampler.step({ q: { x: 1, y: 1 } }, mockLogP);
+
+    expect(result.trajectory.length).toBeGreaterThan(1);
+    expect(result.treeDepth).toBeGreaterThan(0);
+    expect(result.treeDepth).toBeLessThanOrEqual(5);
+  });
+
+  it('should be reproducible with seed', () => {
+    const s1 = new NUTSSampler({}, 123);
+    const s2 = new NUTSSampler({}, 123);
+    const start = { q: { x: 0.3, y: -0.2 } };
+    expect(s1.step(start, mockLogP).q).toEqual(s2.step(start, mockLogP).q);
+  });
+
+  it('constructor calls logger.debug with epsilon, maxTreeDepth and seed', () => {
+    new NUTSSampler({ epsilon: 0.05, maxTreeDepth: 8 }, 42);
+    expect(logger.debug).toHaveBeenCalledWith(
+      'NUTSSampler initialised',
+      expect.objectContaining({ epsilon: 0.05, maxTreeDepth: 8, seed: 42 })
+    );
+  });
+});
@@ -2,6 +2,9 @@ import { describe, it, expect, vi, beforeEach } from 'vitest';
 import { SamplingChain } from '../../src/samplers/SamplingChain';
 import { HMCSampler } from '../../src/samplers/HMCSampler';
 import { GibbsSampler } from '../../src/samplers/GibbsSampler';
+import { NUTSSampler } from '../../src/samplers/NUTSSampler';
+import { MetropolisSampler } from '../../src/samplers/MetropolisSampler';
+import { MALASampler, ULASampler } from '../../src/samplers/LangevinSampler';
 import { DEFAULT_SAMPLER_PARAMS } from '../../src/samplers/defaultConfigs';
 
 vi.mock('../../src/samplers/HMCSampler', () => {
@@ -20,6 +23,34 @@ vi.mock('../../src/samplers/GibbsSampler', () => {
   return { GibbsSampler: GibbsSamplerMock };
 });
 
+vi.mock('../../src/samplers/NUTSSampler', async (importOriginal) => {
+  const actual = await importOriginal();
+  const NUTSSamplerMock = vi.fn();
+  NUTSSamplerMock.prototype.setParams = vi.fn();
+  NUTSSamplerMock.prototype.setSeed = vi.fn();
+  NUTSSamplerMock.prototype.step = vi.fn();
+  return { ...actual, NUTSSampler: NUTSSamplerMock };
+});
+
+vi.mock('../../src/samplers/MetropolisSampler', () => {
+  const MetropolisSamplerMock = vi.fn();
+  MetropolisSamplerMock.prototype.setParams = vi.fn();
+  MetropolisSamplerMock.prototype.setSeed = vi.fn();
+  MetropolisSamplerMock.prototype.step = vi.fn();
+  return { MetropolisSampler: MetropolisSamplerMock };
+});
+
+vi.mock('../../src/samplers/LangevinSampler', () => {
+  const mockClass = () => {
+    const SamplerMock = vi.fn();
+    SamplerMock.prototype.setParams = vi.fn();
+    SamplerMock.prototype.setSeed = vi.fn();
+    SamplerMock.prototype.step = vi.fn();
+    return SamplerMock;
+  };
+  return { MALASampler: mockClass(), ULASampler: mockClass() };
+});
+
 describe('SamplingChain', () => {
   beforeEach(() => {
     vi.clearAllMocks();
@@ -61,6 +92,17 @@ describe('SamplingChain', () => {
       );
     });
 
+    it('should initialize with NUTSSampler when samplerType is NUTS', () => {
+      const chain = new SamplingChain({ id: 3, samplerType: 'NUTS' });
+      expect(chain.params).toEqual(DEFAULT_SAMPLER_PARAMS.NUTS);
+      expect(NUTSSampler).toHaveBeenCalledWith(
+        DEFAULT_SAMPLER_PARAMS.NUTS,
+        null
+      );
+      expect(HMCSampler).not.toHaveBeenCalled();
+      expect(GibbsSampler).not.toHaveBeenCalled();
+    });
+
     it('should override defaults if params are provided', () => {
       const customParams = { epsilon: 0.05, L: 20 };
       const chain = new SamplingChain({
@@ -132,7 +174,9 @@ describe('SamplingChain', () => {
 
       chain.step({});
 
-      expect(chain.samples).toHaveLength(0);
+      // The rejected iteration repeats the current state in the chain
+      expect(chain.samples).toEqual([{ x: 0, y: 0 }]);
+      expect(chain.acceptedSamples).toHaveLength(0);
       expect(chain.rejectedCount).toBe(1);
       expect(chain.acceptedCount).toBe(0);
     });
@@ -189,11 +233,48 @@ describe('SamplingChain', () => {
       expect(result).toBe(mockResult);
       expect(chain.samples).toHaveLength(1);
       expect(chain.samples[0]).toEqual({ x: 1, y: 1 });
+      expect(chain.acceptedSamples).toEqual([{ x: 1, y: 1 }]);
       expect(chain.trajectory).toHaveLength(2);
       expect(chain.rejectedCount).toBe(0);
       expect(chain.currentParticle.q).toEqual({ x: 1, y: 1 });
     });
 
+    it('should index samples by iteration across accepts and rejects', () => {
+      const chain = new SamplingChain({ id: 1 });
+      [
+        { q: { x: 1, y: 1 }, accepted: true },
+        { q: { x: 1, y: 1 }, accepted: false },
+        { q: { x: 1, y: 1 }, accepted: false },
+        { q: { x: 2, y: 3 }, accepted: true },
+      ].forEach((r) =>
+        HMCSampler.prototype.step.mockReturnValueOnce({
+          ...r,
+          p: { x: 0, y: 0 },
+          trajectory: [],
+        })
+      );
+
+      for (let i = 0; i < 4; i++) chain.step({});
+
+      expect(chain.samples).toEqual([
+        { x: 1, y: 1 },
+        { x: 1, y: 1 },
+        { x: 1, y: 1 },
+        { x: 2, y: 3 },
+      ]);
+      expect(chain.acceptedSamples).toEqual([
+        { x: 1, y: 1 },
+        { x: 2, y: 3 },
+      ]);
+      expect(chain.samples).toHaveLength(
+        chain.acceptedCount + chain.rejectedCount
+      );
+
+      chain.reset();
+      expect(chain.samples).toEqual([]);
+      expect(chain.acceptedSamples).toEqual([]);
+    });
+
     it('should update state appropriately for rejected step', () => {
       const chain = new SamplingChain({ id: 1 });
       const mockResult = {
@@ -209,13 +290,409 @@ describe('SamplingChain', () => {
 
       chain.step({});
 
-      expect(chain.samples).toHaveLength(0);
+      expect(chain.samples).toEqual([{ x: 0, y: 0 }]);
+      expect(chain.acceptedSamples).toHaveLength(0);
       expect(chain.trajectory).toHaveLength(2);
       expect(chain.rejectedCount).toBe(1);
       expect(chain.currentParticle.q).toEqual({ x: 0, y: 0 });
     });
   });
 
+  describe('Energy', () => {
+    it('should keep the energy and momentum records of the latest trajectory', () => {
+      const chain = new SamplingChain({ id: 1 });
+      const energy = [
+        { H: 1, K: 0.5, U: 0.5 },
+        { H: 1.1, K: 0.3, U: 0.8 },
+      ];
+      const momentum = [
+        { x: 1, y: 0 },
+        { x: 0.7, y: 0.2 },
+      ];
+      HMCSampler.prototype.step.mockReturnValueOnce({
+        q: { x: 1, y: 1 },
+        p: { x: 0, y: 0 },
+        accepted: true,
+        trajectory: [],
+        energy,
+        momentum,
+      });
+      chain.step({});
+      expect(chain.energy).toBe(energy);
+      expect(chain.momentum).toBe(momentum);
+      expect(chain.toSnapshot().state.energy).toBe(energy);
+      expect(chain.toSnapshot().state.momentum).toBe(momentum);
+
+      chain.reset();
+      expect(chain.energy).toEqual([]);
+      expect(chain.momentum).toEqual([]);
+    });
+  });
+
+  describe('Divergences', () => {
+    const stepWith = (divergent, q = { x: 0, y: 0 }) =>
+      HMCSampler.prototype.step.mockReturnValueOnce({
+        q,
+        p: { x: 0, y: 0 },
+        accepted: !divergent,
+        divergent,
+        trajectory: [],
+      });
+
+    it('should count divergent transitions and keep their starting points', () => {
+      const chain = new SamplingChain({
+        id: 1,
+        initialPosition: { x: 0.5, y: -1 },
+      });
+      stepWith(true, { x: 0.5, y: -1 });
+      stepWith(false, { x: 1, y: 1 });
+      stepWith(true, { x: 1, y: 1 });
+
+      chain.step({});
+      expect(chain.divergent).toBe(true);
+      chain.step({});
+      expect(chain.divergent).toBe(false);
+      chain.step({});
+
+      expect(chain.divergentCount).toBe(2);
+      expect(chain.divergences).toEqual([
+        { x: 0.5, y: -1, iteration: 0 },
+        { x: 1, y: 1, iteration: 2 },
+      ]);
+
+      chain.reset();
+      expect(chain.divergentCount).toBe(0);
+      expect(chain.divergences).toEqual([]);
+      expect(chain.divergent).toBe(false);
+    });
+
+    it('should forward divergence threshold changes to the HMC sampler', () => {
+      const chain = new SamplingChain({ id: 1 });
+      HMCSampler.prototype.setParams.mockClear();
+      chain.setParams({ divergenceThreshold: 100 });
+      expect(HMCSampler.prototype.setParams).toHaveBeenCalledWith({
+        divergenceThreshold: 100,
+      });
+      chain.setParams({ divergenceThreshold: 100 });
+      expect(HMCSampler.prototype.setParams).toHaveBeenCalledTimes(1);
+    });
+
+    it('should forward divergence threshold changes to the NUTS sampler', () => {
+      const chain = new SamplingChain({ id: 1, samplerType: 'NUTS' });
+      NUTSSampler.prototype.setParams.mockClear();
+      chain.setParams({ divergenceThreshold: 100 });
+      expect(NUTSSampler.prototype.setParams).toHaveBeenCalledWith({
+        divergenceThreshold: 100,
+      });
+      chain.setParams({ divergenceThreshold: 100 });
+      expect(NUTSSampler.prototype.setParams).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('NUTS tree', () => {
+    it('should keep the doubling tree from the last step', () => {
+      const chain = new SamplingChain({ id: 1, samplerType: 'NUTS' });
+      const tree = {
+        origin: { x: 0, y: 0 },
+        forward: [{ x: 1, y: 1 }],
+        backward: [],
+        depth: 1,
+        uTurn: true,
+      };
+      NUTSSampler.prototype.step.mockReturnValueOnce({
+        q: { x: 1, y: 1 },
+        p: { x: 0, y: 0 },
+        accepted: true,
+        trajectory: [
+          { x: 0, y: 0 },
+          { x: 1, y: 1 },
+        ],
+        tree,
+        treeDepth: 1,
+        uTurn: true,
+      });
+
+      chain.step({});
+      expect(chain.tree).toBe(tree);
+
+      chain.reset();
+      expect(chain.tree).toBeNull();
+    });
+
+    it('should leave tree null for samplers that do not report one', () => {
+      const chain = new SamplingChain({ id: 1 });
+      HMCSampler.prototype.step.mockReturnValueOnce({
+        q: { x: 1, y: 1 },
+        p: { x: 0, y: 0 },
+        accepted: true,
+        trajectory: [],
+      });
+      chain.step({});
+      expect(chain.tree).toBeNull();
+    });
+
+    it('should forward epsilon and maxTreeDepth changes to NUTSSampler', () => {
+      const chain = new SamplingChain({ id: 1, samplerType: 'NUTS' });
+      chain.setParams({ maxTreeDepth: 5 });
+      expect(NUTSSampler.prototype.setParams).toHaveBeenCalledWith({
+        epsilon: 0.1,
+        maxTreeDepth: 5,
+      });
+    });
+
+    it('should clamp the NUTS tree depth', () => {
+      const chain = new SamplingChain({ id: 1, samplerType: 'NUTS' });
+      chain.setParams({ maxTreeDepth: 20 });
+      expect(chain.params.maxTreeDepth).toBe(12);
+      expect(NUTSSampler.prototype.setParams).toHaveBeenLastCalledWith({
+        epsilon: 0.1,
+        maxTreeDepth: 12,
+      });
+      chain.setParams({ maxTreeDepth: 0 });
+      expect(chain.params.maxTreeDepth).toBe(1);
+    });
+  });
+
+  describe('Metropolis proposals', () => {
+    const stepWith = (accepted, proposal) =>
+      MetropolisSampler.prototype.step.mockReturnValueOnce({
+        q: accepted ? proposal : { x: 0, y: 0 },
+        p: { x: 0, y: 0 },
+        accepted,
+        acceptProb: accepted ? 1 : 0,
+        proposal,
+        trajectory: [{ x: 0, y: 0 }, proposal],
+      });
+
+    it('should create a MetropolisSampler with default params', () => {
+      const chain = new SamplingChain({ id: 1, samplerType: 'METROPOLIS' });
+      expect(MetropolisSampler).toHaveBeenCalledWith(
+        DEFAULT_SAMPLER_PARAMS.METROPOLIS,
+        null
+      );
+      expect(chain.params).toEqual({ scale: 0.5 });
+    });
+
+    it('should record only rejected proposals', () => {
+      const chain = new SamplingChain({ id: 1, samplerType: 'METROPOLIS' });
+      stepWith(true, { x: 1, y: 0 });
+      stepWith(false, { x: 3, y: 3 });
+      chain.step({});
+      chain.step({});
+
+      expect(chain.acceptedSamples).toEqual([{ x: 1, y: 0 }]);
+      expect(chain.rejectedProposals).toEqual([{ x: 3, y: 3 }]);
+      expect(chain.trajectory).toEqual([
+        { x: 0, y: 0 },
+        { x: 3, y: 3 },
+      ]);
+
+      chain.reset();
+      expect(chain.rejectedProposals).toEqual([]);
+    });
+
+    it('should forward scale and covariance changes to MetropolisSampler', () => {
+      const chain = new SamplingChain({ id: 1, samplerType: 'METROPOLIS' });
+      chain.setParams({ scale: 1.5 });
+      expect(MetropolisSampler.prototype.setParams).toHaveBeenLastCalledWith({
+        scale: 1.5,
+        covariance: null,
+      });
+
+      const covariance = { xx: 1, xy: 0.5, yy: 1 };
+      chain.setParams({ covariance });
+      expect(MetropolisSampler.prototype.setParams).toHaveBeenLastCalledWith({
+        scale: 1.5,
+        covariance,
+      });
+    });
+  });
+
+  describe('Langevin samplers', () => {
+    it.each([
+      ['MALA', MALASampler],
+      ['ULA', ULASampler],
+    ])('should create a %s sampler with default params', (type, Sampler) => {
+      const chain = new SamplingChain({ id: 1, samplerType: type, seed: 3 });
+      expect(Sampler).toHaveBeenCalledWith(DEFAULT_SAMPLER_PARAMS[type], 3);
+      expect(chain.sampler).toBeInstanceOf(Sampler);
+    });
+
+    it('should forward epsilon changes only when epsilon changes', () => {
+      const chain = new SamplingChain({ id: 1, samplerType: 'ULA' });
+      chain.setParams({ epsilon: 0.2 });
+      expect(ULASampler.prototype.setParams).toHaveBeenCalledWith({
+        epsilon: 0.2,
+      });
+      chain.setParams({ epsilon: 0.2 });
+      expect(ULASampler.prototype.setParams).toHaveBeenCalledTimes(1);
+    });
+
+    it('should mark rejected MALA proposals', () => {
+      const chain = new SamplingChain({ id: 1, samplerType: 'MALA' });
+      MALASampler.prototype.step.mockReturnValueOnce({
+        q: { x: 0, y: 0 },
+        p: { x: 0, y: 0 },
+        accepted: false,
+        acceptProb: 0.1,
+        proposal: { x: 2, y: 2 },
+        trajectory: [
+          { x: 0, y: 0 },
+          { x: 2, y: 2 },
+        ],
+      });
+      chain.step({});
+      expect(chain.rejectedProposals).toEqual([{ x: 2, y: 2 }]);
+    });
+  });
+
+  describe('Step-size adaptation', () => {
+    const stepWith = (acceptProb) =>
+      HMCSampler.prototype.step.mockReturnValueOnce({
+        q: { x: 0, y: 0 },
+        p: { x: 0, y: 0 },
+        accepted: true,
+        acceptProb,
+        trajectory: [],
+      });
+
+    it('should record the constant step size when adaptation is off', () => {
+      const chain = new SamplingChain({ id: 1, warmupSteps: 5 });
+      stepWith(1);
+      stepWith(1);
+      chain.step({});
+      chain.step({});
+      expect(chain.epsilonHistory).toEqual([0.1, 0.1]);
+      expect(HMCSampler.prototype.setParams).not.toHaveBeenCalled();
+    });
+
+    it('should adapt epsilon during warmup and freeze it afterwards', () => {
+      const chain = new SamplingChain({
+        id: 1,
+        adaptation: { targetAccept: 0.8 },
+        warmupSteps: 3,
+      });
+      for (let i = 0; i < 5; i++) {
+        stepWith(1);
+        chain.step({});
+      }
+
+      // Adapted on each of the 3 warmup iterations only
+      expect(HMCSampler.prototype.setParams).toHaveBeenCalledTimes(3);
+      const [, , e2, e3, e4] = chain.epsilonHistory;
+      expect(e2).not.toBe(0.1);
+      expect(e3).toBe(e4);
+      expect(HMCSampler.prototype.setParams).toHaveBeenLastCalledWith({
+        epsilon: e3,
+      });
+    });
+
+    it('should not adapt non-HMC chains', () => {
+      const chain = new SamplingChain({
+        id: 1,
+        samplerType: 'GIBBS',
+        adaptation: { targetAccept: 0.8 },
+        warmupSteps: 3,
+      });
+      GibbsSampler.prototype.step.mockReturnValueOnce({
+        q: { x: 0, y: 0 },
+        accepted: true,
+        trajectory: [],
+      });
+      chain.step({});
+      expect(chain.adapter).toBeNull();
+      expect(chain.epsilonHistory).toEqual([]);
+    });
+
+    it('should restore the configured epsilon when adaptation is disabled', () => {
+      const chain = new SamplingChain({
+        id: 1,
+        adaptation: { targetAccept: 0.8 },
+        warmupSteps: 3,
+      });
+      stepWith(1);
+      chain.step({});
+      chain.setAdaptation(null);
+      expect(chain.epsilon).toBe(0.1);
+      expect(HMCSampler.prototype.setParams).toHaveBeenLastCalledWith({
+        epsilon: 0.1,
+      });
+    });
+  });
+
+  describe('Metric adaptation', () => {
+    const stepAt = (q) =>
+      HMCSampler.prototype.step.mockReturnValueOnce({
+        q,
+        p: { x: 0, y: 0 },
+        accepted: true,
+        acceptProb: 1,
+        trajectory: [],
+      });
+    // 100 warmup steps give a single slow window over iterations [15, 90)
+    const runWarmup = (chain) => {
+      for (let i = 0; i < 100; i++) {
+        stepAt({ x: i % 2, y: (i % 3) - 1 });
+        chain.step({});
+      }
+    };
+
+    it('should not estimate a metric by default', () => {
+      const chain = new SamplingChain({ id: 1, warmupSteps: 100 });
+      runWarmup(chain);
+      expect(chain.metricEstimator).toBeNull();
+      expect(chain.fittedMetric).toBeNull();
+      expect(HMCSampler.prototype.setParams).not.toHaveBeenCalled();
+    });
+
+    it('should fit the metric at the end of each slow window', () => {
+      const chain = new SamplingChain({
+        id: 1,
+        params: { epsilon: 0.1, L: 10, steps: 1, metric: 'dense' },
+        warmupSteps: 100,
+      });
+      runWarmup(chain);
+
+      expect(HMCSampler.prototype.setParams).toHaveBeenCalledTimes(1);
+      const { invMass } = HMCSampler.prototype.setParams.mock.calls[0][0];
+      expect(invMass.xx).toBeGreaterThan(0);
+      expect(chain.fittedMetric.invMass).toEqual(invMass);
+      expect(chain.fittedMetric.center.x).toBeCloseTo(0.5, 1);
+    });
+
+    it('should restart step-size adaptation after a metric update', () => {
+      const chain = new SamplingChain({
+        id: 1,
+        params: { epsilon: 0.1, L: 10, steps: 1, metric: 'diag' },
+        adaptation: { targetAccept: 0.8 },
+        warmupSteps: 100,
+      });
+      for (let i = 0; i < 90; i++) {
+        stepAt({ x: i % 2, y: (i % 3) - 1 });
+        chain.step({});
+      }
+      expect(chain.fittedMetric).not.toBeNull();
+      expect(chain.adapter.t).toBe(0);
+      expect(chain.adapter.mu).toBeCloseTo(Math.log(10 * chain.epsilon), 12);
+    });
+
+    it('should drop the fitted metric when the metric type changes', () => {
+      const chain = new SamplingChain({
+        id: 1,
+        params: { epsilon: 0.1, L: 10, steps: 1, metric: 'dense' },
+        warmupSteps: 100,
+      });
+      runWarmup(chain);
+      chain.setParams({ metric: 'identity' });
+
+      expect(chain.fittedMetric).toBeNull();
+      expect(chain.metricEstimator).toBeNull();
+      expect(HMCSampler.prototype.setParams).toHaveBeenLastCalledWith({
+        invMass: null,
+      });
+    });
+  });
+
   describe('Parameter Mutation', () => {
     // Test case 8: setParams() propagates to sampler
     it('should call sampler.setParams with the correct subset of params', () => {
@@ -385,4 +862,172 @@ describe('SamplingChain', () => {
       expect(chain.acceptedCount).toBe(0);
     });
   });
+
+  describe('Trajectory history', () => {
+    const stepTo = (chain, x) => {
+      HMCSampler.prototype.step.mockReturnValueOnce({
+        q: { x, y: 0 },
+        p: { x: 0, y: 0 },
+        accepted: true,
+        trajectory: [{ x, y: 0 }],
+      });
+      chain.step({});
+    };
+
+    it('should keep one record per iteration', () => {
+      const chain = new SamplingChain({ id: 1 });
+      stepTo(chain, 1);
+      stepTo(chain, 2);
+
+      expect(chain.history).toEqual([
+        {
+          iteration: 0,
+          trajectory: [{ x: 1, y: 0 }],
+          momentum: [],
+          energy: [],
+          tree: null,
+          divergent: false,
+        },
+        {
+          iteration: 1,
+          trajectory: [{ x: 2, y: 0 }],
+          momentum: [],
+          energy: [],
+          tree: null,
+          divergent: false,
+        },
+      ]);
+
+      chain.reset();
+      expect(chain.history).toEqual([]);
+    });
+
+    it('should drop the oldest records beyond the limit', () => {
+      const chain = new SamplingChain({ id: 1, historyLimit: 2 });
+      [1, 2, 3].forEach((x) => stepTo(chain, x));
+      expect(chain.history.map((h) => h.iteration)).toEqual([1, 2]);
+
+      chain.setHistoryLimit(1);
+      expect(chain.history.map((h) => h.iteration)).toEqual([2]);
+
+      chain.setHistoryLimit(0);
+      stepTo(chain, 4);
+      expect(chain.history).toEqual([]);
+    });
+
+    it('should carry the history and its limit through a snapshot', () => {
+      const chain = new SamplingChain({ id: 1, historyLimit: 5 });
+      stepTo(chain, 1);
+
+      const copy = SamplingChain.fromSnapshot(chain.toSnapshot());
+      expect(copy.historyLimit).toBe(5);
+      expect(copy.history).toEqual(chain.history);
+
+      stepTo(copy, 2);
+      expect(copy.history.map((h) => h.iteration)).toEqual([0, 1]);
+    });
+
+    it('should ignore state fields a snapshot does not define', () => {
+      const chain = new SamplingChain({ id: 1 });
+      stepTo(chain, 1);
+      const { config, state } = chain.toSnapshot();
+
+      const copy = SamplingChain.fromSnapshot({
+        config,
+        state: { ...state, sampler: null, params: { epsilon: 9 } },
+      });
+      expect(copy.sampler).not.toBeNull();
+      expect(copy.params.epsilon).toBe(0.1);
+      expect(copy.samples).toEqual(chain.samples);
+    });
+  });
+
+  describe('Per-iteration stats', () => {
+    const energy = [
+      { H: 2, K: 1, U: 1 },
+      { H: 2.5, K: 0.5, U: 2 },
+    ];
+
+    it('should record acceptance and the energy of the final state', () => {
+      const chain = new SamplingChain({ id: 1 });
+      HMCSampler.prototype.step
+        .mockReturnValueOnce({
+          q: { x: 1, y: 1 },
+          accepted: true,
+          acceptProb: 0.6,
+          trajectory: [],
+          energy,
+        })
+        .mockReturnValueOnce({
+          q: { x: 1, y: 1 },
+          accepted: false,
+          acceptProb: 0.2,
+          divergent: true,
+          trajectory: [],
+          energy,
+        });
+      chain.step({});
+      chain.step({});
+
+      expect(chain.sampleStats).toEqual([
+        {
+          accepted: true,
+          acceptProb: 0.6,
+          divergent: false,
+          energy: 2.5,
+          stepSize: 0.1,
+          treeDepth: null,
+        },
+        {
+          accepted: false,
+          acceptProb: 0.2,
+          divergent: true,
+          energy: 2,
+          stepSize: 0.1,
+          treeDepth: null,
+        },
+      ]);
+      expect(chain.toSnapshot().state.sampleStats).toBe(chain.sampleStats);
+
+      chain.reset();
+      expect(chain.sampleStats).toEqual([]);
+    });
+
+    it('should leave the energy empty for samplers without one', () => {
+      const chain = new SamplingChain({ id: 1, samplerType: 'GIBBS' });
+      GibbsSampler.prototype.step.mockReturnValueOnce({
+        q: { x: 1, y: 1 },
+        accepted: true,
+        trajectory: [],
+      });
+      chain.step({});
+
+      expect(chain.sampleStats).toEqual([
+        {
+          accepted: true,
+          acceptProb: null,
+          divergent: false,
+          energy: null,
+          stepSize: null,
+          treeDepth: null,
+        },
+      ]);
+    });
+
+    it('should record the NUTS tree depth and step size', () => {
+      const chain = new SamplingChain({ id: 1, samplerType: 'NUTS' });
+      NUTSSampler.prototype.step.mockReturnValueOnce({
+        q: { x: 1, y: 1 },
+        accepted: true,
+        trajectory: [],
+        treeDepth: 3,
+      });
+      chain.step({});
+
+      expect(chain.sampleStats[0].treeDepth).toBe(3);
+      expect(chain.sampleStats[0].stepSize).toBe(
+        DEFAULT_SAMPLER_PARAMS.NUTS.epsilon
+      );
+    });
+  });
 });
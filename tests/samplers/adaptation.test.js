@@ -0,0 +1,242 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  DualAveraging,
+  MetricEstimator,
+  metricWindows,
+} from '../../src/samplers/adaptation';
+import { SamplingChain } from '../../src/samplers/SamplingChain';
+
+vi.mock('../../src/utils/logger', () => ({
+  logger: { debug: vi.fn(), info: vi.fn(), warn: vi.fn(), error: vi.fn() },
+}));
+
+// Standard 2D Gaussian in the Logp interface
+const gaussianLogp = {
+  getLogProbability: (x, y) => -0.5 * (x * x + y * y),
+  getLogProbabilityGradient: (x, y) => [-x, -y],
+};
+
+describe('DualAveraging', () => {
+  it('should grow the step size while acceptance exceeds the target', () => {
+    const da = new DualAveraging(0.1, { targetAccept: 0.8 });
+    let eps = 0.1;
+    for (let i = 0; i < 20; i++) eps = da.update(1.0);
+    expect(eps).toBeGreaterThan(0.1);
+  });
+
+  it('should shrink the step size while acceptance is below the target', () => {
+    const da = new DualAveraging(0.1, { targetAccept: 0.8 });
+    let eps = 0.1;
+    for (let i = 0; i < 20; i++) eps = da.update(0.1);
+    expect(eps).toBeLessThan(0.1);
+  });
+
+  it('should treat NaN acceptance as a rejection', () => {
+    const withNaN = new DualAveraging(0.1);
+    const withZero = new DualAveraging(0.1);
+    expect(withNaN.update(NaN)).toBe(withZero.update(0));
+  });
+
+  it('should return the averaged step size as the final value', () => {
+    const da = new DualAveraging(0.5);
+    const iterates = [];
+    for (let i = 0; i < 50; i++) iterates.push(da.update(i % 2 ? 0.9 : 0.7));
+    const final = da.finalEpsilon();
+    expect(final).toBeGreaterThan(Math.min(...iterates));
+    expect(final).toBeLessThan(Math.max(...iterates));
+  });
+});
+
+describe('metricWindows', () => {
+  it('should return no windows for very short warmups', () => {
+    expect(metricWindows(10)).toEqual([]);
+  });
+
+  it('should follow the 75/25/50 doubling schedule for long warmups', () => {
+    expect(metricWindows(1000)).toEqual([
+      { start: 75, end: 100 },
+      { start: 100, end: 150 },
+      { start: 150, end: 250 },
+      { start: 250, end: 450 },
+      { start: 450, end: 950 },
+    ]);
+  });
+
+  it('should fall back to a 15/75/10 split for short warmups', () => {
+    expect(metricWindows(100)).toEqual([{ start: 15, end: 90 }]);
+  });
+});
+
+describe('MetricEstimator', () => {
+  const draws = [
+    { x: 1, y: 2 },
+    { x: 2, y: 1 },
+    { x: 3, y: 5 },
+    { x: 4, y: 4 },
+  ];
+  const fill = (type) => {
+    const est = new MetricEstimator(type);
+    draws.forEach((q) => est.add(q));
+    return est;
+  };
+
+  it('should need at least three draws', () => {
+    const est = new MetricEstimator('diag');
+    est.add({ x: 0, y: 0 });
+    est.add({ x: 1, y: 1 });
+    expect(est.estimate()).toBeNull();
+  });
+
+  it('should return the regularised sample covariance for a dense metric', () => {
+    const est = fill('dense');
+    // Sample covariance: var(x) = 5/3, cov = 5/3, var(y) = 10/3
+    const w = 4 / 9;
+    const reg = 1e-3 * (5 / 9);
+    const m = est.estimate();
+    expect(est.mean).toEqual({ x: 2.5, y: 3 });
+    expect(m.xx).toBeCloseTo((w * 5) / 3 + reg, 12);
+    expect(m.xy).toBeCloseTo((w * 5) / 3, 12);
+    expect(m.yy).toBeCloseTo((w * 10) / 3 + reg, 12);
+  });
+
+  it('should drop the off-diagonal term for a diagonal metric', () => {
+    expect(fill('diag').estimate().xy).toBe(0);
+  });
+
+  it('should forget draws on restart', () => {
+    const est = fill('dense');
+    est.restart();
+    expect(est.n).toBe(0);
+    expect(est.estimate()).toBeNull();
+  });
+});
+
+describe('SamplingChain warmup adaptation (integration)', () => {
+  const runChain = (seed, steps = 400) => {
+    const chain = new SamplingChain({
+      id: 0,
+      samplerType: 'HMC',
+      params: { epsilon: 1.5, L: 10, steps: 1 },
+      seed,
+      adaptation: { targetAccept: 0.8 },
+      warmupSteps: 200,
+    });
+    for (let i = 0; i < steps; i++) chain.step(gaussianLogp);
+    return chain;
+  };
+
+  it('should record one step size per iteration', () => {
+    const chain = runChain(1);
+    expect(chain.epsilonHistory).toHaveLength(400);
+    expect(chain.epsilonHistory[0]).toBe(1.5);
+  });
+
+  it('should freeze the step size once warmup ends', () => {
+    const chain = runChain(1);
+    const frozen = chain.epsilonHistory.slice(200);
+    expect(new Set(frozen).size).toBe(1);
+    expect(frozen[0]).not.toBe(1.5);
+  });
+
+  it('should reach an acceptance rate near the target after warmup', () => {
+    const chain = new SamplingChain({
+      id: 0,
+      samplerType: 'HMC',
+      params: { epsilon: 1.5, L: 10, steps: 1 },
+      seed: 7,
+      adaptation: { targetAccept: 0.8 },
+      warmupSteps: 300,
+    });
+    for (let i = 0; i < 300; i++) chain.step(gaussianLogp);
+    const accepted0 = chain.acceptedCount;
+    for (let i = 0; i < 500; i++) chain.step(gaussianLogp);
+    const rate = (chain.acceptedCount - accepted0) / 500;
+    expect(rate).toBeGreaterThan(0.65);
+    expect(rate).toBeLessThan(0.95);
+  });
+
+  it('should be reproducible under a fixed seed', () => {
+    const a = runChain(42);
+    const b = runChain(42);
+    expect(a.epsilonHistory).toEqual(b.epsilonHistory);
+    expect(a.samples).toEqual(b.samples);
+  });
+
+  it('should keep the adapted step size when L or steps change', () => {
+    const chain = runChain(5);
+    const adapted = chain.epsilon;
+    expect(adapted).not.toBe(1.5);
+
+    chain.setParams({ L: 5 });
+    expect(chain.sampler.epsilon).toBe(adapted);
+    expect(chain.sampler.L).toBe(5);
+    chain.setParams({ steps: 2 });
+    expect(chain.sampler.epsilon).toBe(adapted);
+
+    chain.step(gaussianLogp);
+    expect(chain.epsilonHistory.at(-1)).toBe(adapted);
+    expect(chain.sampleStats.at(-1).stepSize).toBe(adapted);
+  });
+
+  it('should restart adaptation from the configured step size on reset', () => {
+    const chain = runChain(3);
+    chain.reset();
+    expect(chain.epsilonHistory).toEqual([]);
+    expect(chain.epsilon).toBe(1.5);
+    expect(chain.sampler.epsilon).toBe(1.5);
+  });
+});
+
+describe('SamplingChain metric adaptation (integration)', () => {
+  // Strongly correlated Gaussian: Σ = [[1, 0.9], [0.9, 1]]
+  const rho = 0.9;
+  const correlatedLogp = {
+    getLogProbability: (x, y) =>
+      (-0.5 * (x * x - 2 * rho * x * y + y * y)) / (1 - rho * rho),
+    getLogProbabilityGradient: (x, y) => [
+      -(x - rho * y) / (1 - rho * rho),
+      -(y - rho * x) / (1 - rho * rho),
+    ],
+  };
+
+  const runChain = (metric, seed = 4) => {
+    const chain = new SamplingChain({
+      id: 0,
+      samplerType: 'HMC',
+      params: { epsilon: 0.2, L: 10, steps: 1, metric },
+      seed,
+      warmupSteps: 300,
+    });
+    for (let i = 0; i < 300; i++) chain.step(correlatedLogp);
+    return chain;
+  };
+
+  it('should keep the identity metric by default', () => {
+    const chain = runChain(undefined);
+    expect(chain.fittedMetric).toBeNull();
+    expect(chain.sampler.invMass).toBeNull();
+  });
+
+  it('should recover the target covariance with a dense metric', () => {
+    const chain = runChain('dense');
+    const { invMass } = chain.fittedMetric;
+    expect(chain.sampler.invMass).toEqual(invMass);
+    // Correlation of the fitted metric is close to the target's
+    const corr = invMass.xy / Math.sqrt(invMass.xx * invMass.yy);
+    expect(corr).toBeGreaterThan(0.7);
+  });
+
+  it('should fit only variances with a diagonal metric', () => {
+    const { invMass } = runChain('diag').fittedMetric;
+    expect(invMass.xy).toBe(0);
+    expect(invMass.xx).toBeGreaterThan(0.3);
+    expect(invMass.yy).toBeGreaterThan(0.3);
+  });
+
+  it('should return to the identity metric on reset', () => {
+    const chain = runChain('dense');
+    chain.reset();
+    expect(chain.fittedMetric).toBeNull();
+    expect(chain.sampler.invMass).toBeNull();
+  });
+});
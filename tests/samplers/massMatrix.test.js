@@ -0,0 +1,76 @@
+import { describe, it, expect } from 'vitest';
+import {
+  invertSymmetric,
+  cholesky,
+  velocity,
+  kineticEnergy,
+  sampleMomentum,
+} from '../../src/samplers/massMatrix';
+import { SeededRandom, randn } from '../../src/utils/seededRandom';
+
+const dense = { xx: 2, xy: 0.6, yy: 0.5 };
+
+describe('invertSymmetric', () => {
+  it('should return the matrix inverse', () => {
+    const inv = invertSymmetric(dense);
+    // m · m⁻¹ = I
+    expect(dense.xx * inv.xx + dense.xy * inv.xy).toBeCloseTo(1, 12);
+    expect(dense.xx * inv.xy + dense.xy * inv.yy).toBeCloseTo(0, 12);
+    expect(dense.xy * inv.xy + dense.yy * inv.yy).toBeCloseTo(1, 12);
+  });
+
+  it('should throw for a matrix that is not positive definite', () => {
+    expect(() => invertSymmetric({ xx: 1, xy: 2, yy: 1 })).toThrow(
+      'Mass matrix must be positive definite'
+    );
+  });
+});
+
+describe('cholesky', () => {
+  it('should reconstruct the matrix as L·Lᵀ', () => {
+    const { l11, l21, l22 } = cholesky(dense);
+    expect(l11 * l11).toBeCloseTo(dense.xx, 12);
+    expect(l11 * l21).toBeCloseTo(dense.xy, 12);
+    expect(l21 * l21 + l22 * l22).toBeCloseTo(dense.yy, 12);
+  });
+});
+
+describe('velocity and kineticEnergy', () => {
+  it('should reduce to the identity metric when invMass is null', () => {
+    const p = { x: 0.3, y: -1.2 };
+    expect(velocity(p)).toEqual(p);
+    expect(kineticEnergy(p)).toBeCloseTo(0.5 * (0.09 + 1.44), 12);
+  });
+
+  it('should compute 0.5·pᵀ·M⁻¹·p for a dense metric', () => {
+    const p = { x: 1, y: 2 };
+    const expected = 0.5 * (2 * 1 + 2 * 0.6 * 1 * 2 + 0.5 * 4);
+    expect(kineticEnergy(p, dense)).toBeCloseTo(expected, 12);
+  });
+});
+
+describe('sampleMomentum', () => {
+  it('should consume the seeded stream like two randn draws for the identity', () => {
+    const a = new SeededRandom(5);
+    const b = new SeededRandom(5);
+    expect(sampleMomentum(null, a)).toEqual({ x: randn(b), y: randn(b) });
+  });
+
+  it('should draw momenta with covariance M = (M⁻¹)⁻¹', () => {
+    const rng = new SeededRandom(11);
+    const n = 20000;
+    let sxx = 0;
+    let sxy = 0;
+    let syy = 0;
+    for (let i = 0; i < n; i++) {
+      const p = sampleMomentum(dense, rng);
+      sxx += p.x * p.x;
+      sxy += p.x * p.y;
+      syy += p.y * p.y;
+    }
+    const M = invertSymmetric(dense);
+    expect(Math.abs(sxx / n - M.xx)).toBeLessThan(0.1);
+    expect(Math.abs(sxy / n - M.xy)).toBeLessThan(0.1);
+    expect(Math.abs(syy / n - M.yy)).toBeLessThan(0.1);
+  });
+});
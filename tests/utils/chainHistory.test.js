@@ -0,0 +1,141 @@
+import { describe, it, expect } from 'vitest';
+import {
+  countAccepted,
+  findHistoryEntry,
+  chainAtIteration,
+} from '../../src/utils/chainHistory';
+
+describe('countAccepted', () => {
+  it('should count iterations that moved the chain', () => {
+    const samples = [
+      { x: 1, y: 0 },
+      { x: 1, y: 0 },
+      { x: 2, y: 1 },
+      { x: 2, y: 1 },
+    ];
+    expect(countAccepted(samples, { x: 0, y: 0 }, 4)).toBe(2);
+    expect(countAccepted(samples, { x: 0, y: 0 }, 2)).toBe(1);
+    expect(countAccepted(samples, { x: 1, y: 0 }, 1)).toBe(0);
+    expect(countAccepted(samples, { x: 0, y: 0 }, 0)).toBe(0);
+  });
+
+  it('should read acceptance from the per-iteration stats', () => {
+    // The second proposal was accepted but landed on the same point
+    const samples = [
+      { x: 1, y: 0 },
+      { x: 1, y: 0 },
+      { x: 2, y: 1 },
+    ];
+    const stats = [true, true, false].map((accepted) => ({ accepted }));
+    expect(countAccepted(samples, { x: 0, y: 0 }, 3, stats)).toBe(2);
+    expect(countAccepted(samples, { x: 0, y: 0 }, 2, stats)).toBe(2);
+  });
+
+  it('should fall back to comparing states when the stats are short', () => {
+    const samples = [
+      { x: 1, y: 0 },
+      { x: 1, y: 0 },
+    ];
+    expect(countAccepted(samples, { x: 0, y: 0 }, 2, [])).toBe(1);
+  });
+});
+
+describe('findHistoryEntry', () => {
+  const history = [
+    { iteration: 3, trajectory: ['a'] },
+    { iteration: 4, trajectory: ['b'] },
+  ];
+
+  it('should index records by iteration', () => {
+    expect(findHistoryEntry(history, 4).trajectory).toEqual(['b']);
+  });
+
+  it('should return null for dropped or future iterations', () => {
+    expect(findHistoryEntry(history, 2)).toBeNull();
+    expect(findHistoryEntry(history, 5)).toBeNull();
+    expect(findHistoryEntry([], 0)).toBeNull();
+    expect(findHistoryEntry(undefined, 0)).toBeNull();
+  });
+});
+
+describe('chainAtIteration', () => {
+  // Iterations: accept, reject (divergent), accept, reject
+  const chain = {
+    id: 0,
+    samplerType: 'METROPOLIS',
+    initialPosition: { x: 0, y: 0 },
+    samples: [
+      { x: 1, y: 0 },
+      { x: 1, y: 0 },
+      { x: 2, y: 2 },
+      { x: 2, y: 2 },
+    ],
+    acceptedSamples: [
+      { x: 1, y: 0 },
+      { x: 2, y: 2 },
+    ],
+    rejectedProposals: [
+      { x: 9, y: 9 },
+      { x: 8, y: 8 },
+    ],
+    divergences: [{ x: 1, y: 0, iteration: 1 }],
+    divergentCount: 1,
+    epsilonHistory: [],
+    history: [1, 2, 3].map((iteration) => ({
+      iteration,
+      trajectory: [{ x: iteration, y: iteration }],
+      momentum: [],
+      energy: [],
+      tree: null,
+      divergent: iteration === 1,
+    })),
+    trajectory: [{ x: 3, y: 3 }],
+    acceptedCount: 2,
+    rejectedCount: 2,
+  };
+
+  it('should return the chain itself at or after its last iteration', () => {
+    expect(chainAtIteration(chain, 3)).toBe(chain);
+    expect(chainAtIteration(chain, 10)).toBe(chain);
+  });
+
+  it('should truncate samples and counters to the iteration', () => {
+    const view = chainAtIteration(chain, 1);
+    expect(view.samples).toHaveLength(2);
+    expect(view.acceptedSamples).toEqual([{ x: 1, y: 0 }]);
+    expect(view.rejectedProposals).toEqual([{ x: 9, y: 9 }]);
+    expect(view.acceptedCount).toBe(1);
+    expect(view.rejectedCount).toBe(1);
+    expect(view.currentParticle.q).toEqual({ x: 1, y: 0 });
+  });
+
+  it('should count an accepted move onto the same point as accepted', () => {
+    const stats = [true, true, true, false].map((accepted) => ({ accepted }));
+    const view = chainAtIteration({ ...chain, sampleStats: stats }, 2);
+    expect(view.acceptedCount).toBe(3);
+    expect(view.rejectedCount).toBe(0);
+  });
+
+  it('should truncate the per-iteration stats', () => {
+    const stats = chain.samples.map((_, i) => ({ accepted: i % 2 === 0 }));
+    const view = chainAtIteration({ ...chain, sampleStats: stats }, 2);
+    expect(view.sampleStats).toEqual(stats.slice(0, 3));
+  });
+
+  it('should take the trajectory from the history record', () => {
+    const view = chainAtIteration(chain, 1);
+    expect(view.trajectory).toEqual([{ x: 1, y: 1 }]);
+    expect(view.divergent).toBe(true);
+    expect(view.divergences).toHaveLength(1);
+    expect(view.divergentCount).toBe(1);
+  });
+
+  it('should drop later divergences and missing trajectories', () => {
+    const view = chainAtIteration(chain, 0);
+    expect(view.divergences).toEqual([]);
+    expect(view.divergentCount).toBe(0);
+    // Iteration 0 is older than the retained history
+    expect(view.trajectory).toEqual([]);
+    expect(view.divergent).toBe(false);
+  });
+});
@@ -0,0 +1,115 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  buildInferenceData,
+  toInferenceDataJSON,
+} from '../../src/utils/exportInferenceData';
+import { SamplingChain } from '../../src/samplers/SamplingChain';
+import { Logp } from '../../src/utils/mathEngine';
+
+vi.mock('../../src/utils/logger', () => ({
+  logger: { debug: vi.fn(), info: vi.fn(), warn: vi.fn(), error: vi.fn() },
+}));
+
+const logp = new Logp('exp(-(x^2 + y^2)/2)');
+
+const runChain = (samplerType, steps, id = 0) => {
+  const chain = new SamplingChain({ id, samplerType, seed: 7 + id });
+  for (let i = 0; i < steps; i++) chain.step(logp);
+  return chain;
+};
+
+describe('buildInferenceData', () => {
+  it('should split draws into (chain, draw) posterior and warmup groups', () => {
+    const chains = [runChain('HMC', 12, 0), runChain('HMC', 12, 1)];
+    const idata = buildInferenceData(chains, { burnIn: 5 });
+
+    expect(idata.posterior.x).toHaveLength(2);
+    expect(idata.posterior.x[0]).toHaveLength(7);
+    expect(idata.posterior.y[1]).toHaveLength(7);
+    expect(idata.warmup_posterior.x[0]).toHaveLength(5);
+    // az.from_json sets save_warmup itself; a second value would be a TypeError
+    expect(idata).not.toHaveProperty('save_warmup');
+
+    expect(idata.warmup_posterior.x[1][0]).toBe(chains[1].samples[0].x);
+    expect(idata.posterior.y[0][0]).toBe(chains[0].samples[5].y);
+  });
+
+  it('should report the HMC sample statistics', () => {
+    const chain = runChain('HMC', 4);
+    const idata = buildInferenceData([chain]);
+
+    expect(Object.keys(idata.sample_stats).sort()).toEqual([
+      'acceptance_rate',
+      'diverging',
+      'energy',
+      'step_size',
+    ]);
+    expect(idata.sample_stats.step_size[0]).toEqual([0.1, 0.1, 0.1, 0.1]);
+    expect(idata.sample_stats.diverging[0]).toEqual(
+      chain.sampleStats.map((s) => s.divergent)
+    );
+    expect(idata.sample_stats.energy[0]).toEqual(
+      chain.sampleStats.map((s) => s.energy)
+    );
+  });
+
+  it('should report the NUTS tree depth', () => {
+    const idata = buildInferenceData([runChain('NUTS', 3)]);
+
+    expect(idata.sample_stats.tree_depth[0]).toHaveLength(3);
+    expect(idata.sample_stats.tree_depth[0].every((d) => d >= 1)).toBe(true);
+    expect(idata.sample_stats).toHaveProperty('diverging');
+    expect(idata.sample_stats).not.toHaveProperty('energy');
+  });
+
+  it('should keep only the statistics every chain provides', () => {
+    const idata = buildInferenceData([
+      runChain('HMC', 3, 0),
+      runChain('NUTS', 3, 1),
+    ]);
+    expect(Object.keys(idata.sample_stats).sort()).toEqual([
+      'diverging',
+      'step_size',
+    ]);
+
+    const gibbs = buildInferenceData([runChain('GIBBS', 3)]);
+    expect(gibbs.sample_stats).toEqual({});
+  });
+
+  it('should cut chains to the shortest one', () => {
+    const idata = buildInferenceData([
+      runChain('HMC', 6, 0),
+      runChain('HMC', 4, 1),
+    ]);
+    expect(idata.posterior.x.map((draws) => draws.length)).toEqual([4, 4]);
+    expect(idata.sample_stats.energy[0]).toHaveLength(4);
+  });
+
+  it('should describe the run in attrs', () => {
+    const idata = buildInferenceData(
+      [runChain('HMC', 12, 0), runChain('NUTS', 2, 1)],
+      { burnIn: 5, logP: 'exp(-x^2)' }
+    );
+    expect(idata.attrs).toMatchObject({
+      target: 'exp(-x^2)',
+      chain_ids: '0,1',
+      sampler_types: 'HMC,NUTS',
+      // Burn-in cannot exceed the number of common draws
+      burn_in: 2,
+    });
+    expect(JSON.parse(idata.attrs.seeds)).toEqual([7, 8]);
+  });
+});
+
+describe('toInferenceDataJSON', () => {
+  it('should write non-finite numbers as Python JSON tokens', () => {
+    const text = toInferenceDataJSON({
+      sample_stats: { energy: [[1.5, Infinity, NaN, -Infinity]] },
+      attrs: { target: 'Infinity' },
+    });
+    expect(text).toBe(
+      '{"sample_stats":{"energy":[[1.5,Infinity,NaN,-Infinity]]},' +
+        '"attrs":{"target":"Infinity"}}'
+    );
+  });
+});
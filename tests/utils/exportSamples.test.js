@@ -0,0 +1,181 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import {
+  EXPORT_COLUMNS,
+  buildSampleRows,
+  buildExport,
+  toCSV,
+  toJSON,
+  downloadText,
+} from '../../src/utils/exportSamples';
+
+const hmcChain = {
+  id: 0,
+  samplerType: 'HMC',
+  params: { epsilon: 0.1, L: 10, steps: 1 },
+  initialPosition: { x: 0, y: 0 },
+  seed: 42,
+  adaptation: null,
+  fittedMetric: null,
+  samples: [
+    { x: 1, y: 2 },
+    { x: 1, y: 2 },
+  ],
+  sampleStats: [
+    { accepted: true, acceptProb: 0.9, divergent: false, energy: 3.5 },
+    { accepted: false, acceptProb: 0.1, divergent: false, energy: 2.25 },
+  ],
+  acceptedCount: 1,
+  divergentCount: 0,
+};
+
+const gibbsChain = {
+  id: 7,
+  samplerType: 'GIBBS',
+  params: { w: 1 },
+  initialPosition: { x: 1, y: 1 },
+  seed: null,
+  samples: [{ x: -1, y: 0.5 }],
+  sampleStats: [
+    { accepted: true, acceptProb: null, divergent: false, energy: null },
+  ],
+  acceptedCount: 1,
+};
+
+const doc = buildExport({
+  logP: 'exp(-(x^2 + y^2)/2)',
+  chains: [hmcChain, gibbsChain],
+  burnIn: 10,
+  rHat: { x: 1.01, y: 1.02 },
+  ess: { x: 150.5, y: 140.25 },
+});
+
+describe('buildSampleRows', () => {
+  it('should produce one row per chain and iteration', () => {
+    const rows = buildSampleRows([hmcChain, gibbsChain]);
+    expect(rows).toEqual([
+      {
+        iteration: 0,
+        chain_id: 0,
+        sampler_type: 'HMC',
+        x: 1,
+        y: 2,
+        accepted: true,
+        energy: 3.5,
+      },
+      {
+        iteration: 1,
+        chain_id: 0,
+        sampler_type: 'HMC',
+        x: 1,
+        y: 2,
+        accepted: false,
+        energy: 2.25,
+      },
+      {
+        iteration: 0,
+        chain_id: 7,
+        sampler_type: 'GIBBS',
+        x: -1,
+        y: 0.5,
+        accepted: true,
+        energy: null,
+      },
+    ]);
+  });
+
+  it('should leave the flags empty without per-iteration stats', () => {
+    const [row] = buildSampleRows([{ ...gibbsChain, sampleStats: undefined }]);
+    expect(row.accepted).toBeNull();
+    expect(row.energy).toBeNull();
+  });
+});
+
+describe('buildExport', () => {
+  it('should carry the settings, diagnostics and chain configuration', () => {
+    expect(doc.burnIn).toBe(10);
+    expect(doc.diagnostics).toEqual({
+      rHat: { x: 1.01, y: 1.02 },
+      ess: { x: 150.5, y: 140.25 },
+      essPerChain: null,
+    });
+    expect(doc.chains[0]).toEqual({
+      id: 0,
+      samplerType: 'HMC',
+      params: { epsilon: 0.1, L: 10, steps: 1 },
+      initialPosition: { x: 0, y: 0 },
+      seed: 42,
+      adaptation: null,
+      fittedMetric: null,
+      iterations: 2,
+      acceptedCount: 1,
+      divergentCount: 0,
+    });
+    expect(doc.samples).toHaveLength(3);
+  });
+});
+
+describe('toCSV', () => {
+  const lines = toCSV(doc).trimEnd().split('\n');
+  const header = lines.findIndex((l) => !l.startsWith('#'));
+
+  it('should put the metadata in comment lines', () => {
+    const comments = lines.slice(0, header);
+    expect(comments).toContain('# burnIn = 10');
+    expect(comments).toContain('# rHat = {"x":1.01,"y":1.02}');
+    expect(comments.filter((l) => l.startsWith('# chain = '))).toHaveLength(2);
+    expect(JSON.parse(comments.at(-1).slice('# chain = '.length)).id).toBe(7);
+  });
+
+  it('should write the header and one line per draw', () => {
+    expect(lines[header]).toBe(EXPORT_COLUMNS.join(','));
+    expect(lines.slice(header + 1)).toEqual([
+      '0,0,HMC,1,2,true,3.5',
+      '1,0,HMC,1,2,false,2.25',
+      '0,7,GIBBS,-1,0.5,true,',
+    ]);
+  });
+
+  it('should quote fields containing separators', () => {
+    const csv = toCSV({
+      ...doc,
+      chains: [],
+      samples: [{ ...doc.samples[0], sampler_type: 'a,"b"' }],
+    });
+    expect(csv).toContain('0,0,"a,""b""",1,2,true,3.5');
+  });
+});
+
+describe('toJSON', () => {
+  it('should round-trip the export document', () => {
+    expect(JSON.parse(toJSON(doc))).toEqual(doc);
+  });
+});
+
+describe('downloadText', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+    vi.useRealTimers();
+  });
+
+  it('should download the content through an object URL', () => {
+    vi.useFakeTimers();
+    URL.createObjectURL = vi.fn(() => 'blob:export');
+    URL.revokeObjectURL = vi.fn();
+    const click = vi
+      .spyOn(HTMLAnchorElement.prototype, 'click')
+      .mockImplementation(function () {
+        expect(this.href).toBe('blob:export');
+        expect(this.download).toBe('samples.csv');
+      });
+
+    downloadText('a,b\n', 'samples.csv', 'text/csv');
+
+    const blob = URL.createObjectURL.mock.calls[0][0];
+    expect(blob.type).toBe('text/csv');
+    expect(click).toHaveBeenCalledTimes(1);
+    // Revoked only once the click has been handled
+    expect(URL.revokeObjectURL).not.toHaveBeenCalled();
+    vi.runAllTimers();
+    expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:export');
+  });
+});
@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest';
+import { fft, nextPowerOfTwo } from '../../src/utils/fft';
+import { SeededRandom } from '../../src/utils/seededRandom';
+
+/** Direct O(n²) discrete Fourier transform */
+const dft = (re, im) => {
+  const n = re.length;
+  const outRe = new Array(n).fill(0);
+  const outIm = new Array(n).fill(0);
+  for (let k = 0; k < n; k++) {
+    for (let t = 0; t < n; t++) {
+      const angle = (-2 * Math.PI * k * t) / n;
+      outRe[k] += re[t] * Math.cos(angle) - im[t] * Math.sin(angle);
+      outIm[k] += re[t] * Math.sin(angle) + im[t] * Math.cos(angle);
+    }
+  }
+  return { re: outRe, im: outIm };
+};
+
+describe('fft', () => {
+  const rng = new SeededRandom(1);
+  const randomSignal = (n) => ({
+    re: Array.from({ length: n }, () => rng.randn()),
+    im: Array.from({ length: n }, () => rng.randn()),
+  });
+
+  it.each([1, 2, 8, 64])('matches the direct DFT for n = %i', (n) => {
+    const signal = randomSignal(n);
+    const expected = dft(signal.re, signal.im);
+
+    const re = Float64Array.from(signal.re);
+    const im = Float64Array.from(signal.im);
+    fft(re, im);
+
+    for (let k = 0; k < n; k++) {
+      expect(re[k]).toBeCloseTo(expected.re[k], 10);
+      expect(im[k]).toBeCloseTo(expected.im[k], 10);
+    }
+  });
+
+  it('inverts itself', () => {
+    const signal = randomSignal(32);
+    const re = [...signal.re];
+    const im = [...signal.im];
+
+    fft(re, im);
+    fft(re, im, true);
+
+    re.forEach((v, i) => expect(v).toBeCloseTo(signal.re[i], 12));
+    im.forEach((v, i) => expect(v).toBeCloseTo(signal.im[i], 12));
+  });
+
+  it('rejects lengths that are not powers of two', () => {
+    expect(() => fft([1, 2, 3], [0, 0, 0])).toThrow(/power of two/);
+    expect(() => fft([], [])).toThrow(/power of two/);
+  });
+});
+
+describe('nextPowerOfTwo', () => {
+  it('rounds up to a power of two', () => {
+    expect(nextPowerOfTwo(1)).toBe(1);
+    expect(nextPowerOfTwo(5)).toBe(8);
+    expect(nextPowerOfTwo(64)).toBe(64);
+    expect(nextPowerOfTwo(100001)).toBe(131072);
+  });
+});
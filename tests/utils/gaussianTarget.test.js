@@ -0,0 +1,66 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  detectGaussian,
+  phaseSpaceHamiltonian,
+} from '../../src/utils/gaussianTarget';
+import { Logp } from '../../src/utils/mathEngine';
+import { PREDEFINED_FUNCTIONS } from '../../src/utils/predefinedFunctions';
+
+vi.mock('../../src/utils/logger', () => ({
+  logger: { debug: vi.fn(), info: vi.fn(), warn: vi.fn(), error: vi.fn() },
+}));
+
+describe('detectGaussian', () => {
+  it('should recognise the standard Gaussian preset', () => {
+    const gaussian = detectGaussian(new Logp(PREDEFINED_FUNCTIONS[0].value));
+    expect(gaussian.mean.x).toBeCloseTo(0, 6);
+    expect(gaussian.mean.y).toBeCloseTo(0, 6);
+    expect(gaussian.precision.xx).toBeCloseTo(1, 6);
+    expect(gaussian.precision.xy).toBeCloseTo(0, 6);
+    expect(gaussian.precision.yy).toBeCloseTo(1, 6);
+  });
+
+  it('should recover the mean and precision of a shifted, correlated Gaussian', () => {
+    // log π = -(a² - ab + b²) with a = x - 1, b = y + 2
+    const logp = new Logp('exp(-((x-1)^2 - (x-1)*(y+2) + (y+2)^2))');
+    const { mean, precision } = detectGaussian(logp);
+    expect(mean.x).toBeCloseTo(1, 6);
+    expect(mean.y).toBeCloseTo(-2, 6);
+    expect(precision.xx).toBeCloseTo(2, 6);
+    expect(precision.xy).toBeCloseTo(-1, 6);
+    expect(precision.yy).toBeCloseTo(2, 6);
+  });
+
+  it.each(PREDEFINED_FUNCTIONS.slice(1))(
+    'should reject the non-Gaussian preset $label',
+    ({ value }) => {
+      expect(detectGaussian(new Logp(value))).toBeNull();
+    }
+  );
+
+  it('should reject quadratics that are not concave', () => {
+    expect(detectGaussian(new Logp('exp(x^2 - y^2)'))).toBeNull();
+  });
+});
+
+describe('phaseSpaceHamiltonian', () => {
+  const gaussian = {
+    mean: { x: 1, y: -2 },
+    precision: { xx: 4, xy: 0, yy: 0.25 },
+  };
+
+  it('should combine the potential slice with the kinetic term', () => {
+    const Hx = phaseSpaceHamiltonian(gaussian, 'x');
+    expect(Hx(1, 0)).toBe(0);
+    expect(Hx(2, 0)).toBe(2);
+    expect(Hx(1, 2)).toBe(2);
+
+    const Hy = phaseSpaceHamiltonian(gaussian, 'y');
+    expect(Hy(0, 0)).toBe(0.5);
+  });
+
+  it('should scale the kinetic term by the inverse mass', () => {
+    const Hx = phaseSpaceHamiltonian(gaussian, 'x', { xx: 0.25, xy: 0, yy: 4 });
+    expect(Hx(1, 2)).toBe(0.5);
+  });
+});
@@ -0,0 +1,149 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  computeGroundTruth,
+  compareToTruth,
+  marginalCdf,
+  marginalQuantile,
+} from '../../src/utils/groundTruth';
+import { Logp } from '../../src/utils/mathEngine';
+import { SeededRandom } from '../../src/utils/seededRandom';
+
+vi.mock('../../src/utils/logger', () => ({
+  logger: { debug: vi.fn(), info: vi.fn(), warn: vi.fn(), error: vi.fn() },
+}));
+
+const limits = { xMin: -5, xMax: 5, yMin: -5, yMax: 5 };
+
+describe('computeGroundTruth', () => {
+  it('should recover the normalizing constant and moments of a standard normal', () => {
+    const truth = computeGroundTruth(new Logp('exp(-(x^2 + y^2)/2)'), limits);
+
+    expect(truth.converged).toBe(true);
+    expect(truth.truncated).toBe(false);
+    expect(truth.logZ).toBeCloseTo(Math.log(2 * Math.PI), 4);
+    expect(truth.mean.x).toBeCloseTo(0, 6);
+    expect(truth.sd.y).toBeCloseTo(1, 4);
+    expect(truth.correlation).toBeCloseTo(0, 6);
+  });
+
+  it('should recover the covariance of a correlated Gaussian', () => {
+    // Precision of a unit-variance Gaussian with correlation 0.6
+    const rho = 0.6;
+    const truth = computeGroundTruth(
+      new Logp(`exp(-(x^2 - 2*${rho}*x*y + y^2) / (2*(1 - ${rho}^2)))`),
+      limits
+    );
+
+    expect(truth.covariance.xx).toBeCloseTo(1, 3);
+    expect(truth.covariance.xy).toBeCloseTo(rho, 3);
+    expect(truth.correlation).toBeCloseTo(rho, 3);
+  });
+
+  it('should give the marginal density and quantiles', () => {
+    const truth = computeGroundTruth(new Logp('exp(-(x^2 + y^2)/2)'), limits);
+    const { grid, density } = truth.marginals.x;
+    const peak = density[grid.findIndex((g) => Math.abs(g) < 0.1)];
+
+    expect(peak).toBeCloseTo(1 / Math.sqrt(2 * Math.PI), 2);
+    expect(truth.quantiles.x.map((q) => q.prob)).toEqual([
+      0.05, 0.25, 0.5, 0.75, 0.95,
+    ]);
+    expect(truth.quantiles.x[0].value).toBeCloseTo(-1.645, 2);
+    expect(truth.quantiles.y[3].value).toBeCloseTo(0.674, 2);
+  });
+
+  it('should give the probability of every grid cell', () => {
+    const truth = computeGroundTruth(new Logp('exp(-(x^2 + y^2)/2)'), limits);
+    const { joint, cells } = truth;
+    const total = joint.reduce(
+      (acc, row) => acc + row.reduce((a, b) => a + b, 0),
+      0
+    );
+
+    expect(joint).toHaveLength(cells);
+    expect(joint[0]).toHaveLength(cells);
+    expect(total).toBeCloseTo(1, 10);
+  });
+
+  it('should widen the domain when the mass runs past the axis limits', () => {
+    const truth = computeGroundTruth(
+      new Logp('exp(-((x - 4)^2 + y^2)/2)'),
+      limits
+    );
+
+    expect(truth.domain.xMax).toBeGreaterThan(limits.xMax);
+    expect(truth.domain.xMin).toBe(limits.xMin);
+    expect(truth.domain.yMin).toBe(limits.yMin);
+    expect(truth.truncated).toBe(false);
+    expect(truth.mean.x).toBeCloseTo(4, 4);
+  });
+
+  it('should flag heavy tails that reach the widest domain', () => {
+    const truth = computeGroundTruth(new Logp('1/(1 + x^2 + y^2)'), limits);
+    expect(truth.truncated).toBe(true);
+  });
+
+  it('should report when refinement stops before converging', () => {
+    const truth = computeGroundTruth(new Logp('exp(-(x^2 + y^2)/2)'), limits, {
+      initialCells: 16,
+      maxCells: 16,
+    });
+    expect(truth.converged).toBe(false);
+    expect(truth.cells).toBe(16);
+  });
+
+  it('should reject a density without mass', () => {
+    const logp = { getLogProbability: () => -Infinity };
+    expect(() => computeGroundTruth(logp, limits)).toThrow(/no mass/);
+  });
+});
+
+describe('marginalCdf and marginalQuantile', () => {
+  // Uniform on [0, 2] in two cells
+  const uniform = { edges: [0, 1, 2], cdf: [0, 0.5, 1] };
+
+  it('should interpolate linearly within cells', () => {
+    expect(marginalCdf(uniform, -1)).toBe(0);
+    expect(marginalCdf(uniform, 0.5)).toBeCloseTo(0.25);
+    expect(marginalCdf(uniform, 1.5)).toBeCloseTo(0.75);
+    expect(marginalCdf(uniform, 3)).toBe(1);
+  });
+
+  it('should invert the CDF', () => {
+    expect(marginalQuantile(uniform, 0.25)).toBeCloseTo(0.5);
+    expect(marginalQuantile(uniform, 0.9)).toBeCloseTo(1.8);
+  });
+});
+
+describe('compareToTruth', () => {
+  const truth = computeGroundTruth(new Logp('exp(-(x^2 + y^2)/2)'), limits);
+  const draws = (seed, n, shift = 0) => {
+    const rng = new SeededRandom(seed);
+    return Array.from({ length: n }, () => ({
+      x: rng.randn() + shift,
+      y: rng.randn(),
+    }));
+  };
+
+  it('should report small errors for draws from the target', () => {
+    const errors = compareToTruth(draws(1, 5000), truth);
+
+    expect(Math.abs(errors.x.meanError)).toBeLessThan(0.05);
+    expect(Math.abs(errors.y.sdError)).toBeLessThan(0.05);
+    expect(errors.x.ks).toBeLessThan(0.03);
+  });
+
+  it('should report the bias of draws from the wrong distribution', () => {
+    const errors = compareToTruth(draws(2, 5000, 0.5), truth);
+
+    expect(errors.x.meanError).toBeCloseTo(0.5, 1);
+    // Φ(0) − Φ(−0.5) for a unit shift of 0.5
+    expect(errors.x.ks).toBeCloseTo(0.19, 1);
+    expect(errors.y.ks).toBeLessThan(0.03);
+  });
+
+  it('should return null with fewer than two draws', () => {
+    expect(compareToTruth([{ x: 0, y: 0 }], truth)).toBeNull();
+    expect(compareToTruth([], truth)).toBeNull();
+  });
+});
@@ -1,6 +1,6 @@
 import { describe, it, expect, vi, afterEach } from 'vitest';
 import * as mathjs from 'mathjs';
-import { Logp } from '../../src/utils/mathEngine';
+import { Logp, detectParameters } from '../../src/utils/mathEngine';
 
 vi.mock('../../src/utils/logger', () => ({
   logger: { debug: vi.fn(), info: vi.fn(), warn: vi.fn(), error: vi.fn() },
@@ -81,9 +81,12 @@ describe('Logp Class', () => {
       expect(() => new Logp('exp(-(x^2 + y^2')).toThrow();
     });
 
-    it('should throw an error for unknown variables', () => {
+    it('should throw an error for variables without a value', () => {
       expect(() => new Logp('exp(-z)')).toThrow(
-        /Invalid function: unable to evaluate/
+        "Missing value for parameter 'z'"
+      );
+      expect(() => new Logp('exp(-z)', { parameters: { z: NaN } })).toThrow(
+        "Missing value for parameter 'z'"
       );
     });
 
@@ -279,4 +282,113 @@ describe('Logp Class', () => {
       });
     });
   });
+
+  describe('Native code generation', () => {
+    const points = [
+      [0, 0],
+      [1.5, -2],
+      [-3, 0.25],
+      [4, 4],
+    ];
+
+    it.each([
+      'exp(-(x^2 + y^2)/2)',
+      'exp(-(1-x)^2 - 100*(y-x^2)^2)',
+      '2*exp(-((x)^2 + (y)^2)) + 2*exp(-((x-4)^2 + (y)^2)) + 2*exp(-((x+4)^2 + (y)^2))',
+    ])('should give the same numbers as math.js evaluate for %s', (pdf) => {
+      const native = new Logp(pdf);
+      const evaluated = new Logp(pdf, { native: false });
+      expect(native.logNative).toBeTypeOf('function');
+      expect(evaluated.logNative).toBeNull();
+
+      points.forEach(([x, y]) => {
+        expect(native.getLogProbability(x, y)).toBeCloseTo(
+          evaluated.getLogProbability(x, y),
+          9
+        );
+        const [gx, gy] = native.getLogProbabilityGradient(x, y);
+        const [ex, ey] = evaluated.getLogProbabilityGradient(x, y);
+        expect(gx).toBeCloseTo(ex, 9);
+        expect(gy).toBeCloseTo(ey, 9);
+      });
+    });
+
+    it('should fall back to evaluate for unsupported nodes', () => {
+      // acot has a derivative in math.js but no native translation
+      const logp = new Logp('exp(acot(x) - y^2)');
+      expect(logp.logNative).toBeNull();
+      expect(logp.getLogProbability(1, 1)).toBeCloseTo(Math.PI / 4 - 1);
+      expect(logp.getLogProbabilityGradient(1, 1)[0]).toBeCloseTo(-0.5);
+    });
+
+    it('should fall back to evaluate where the native result is NaN', () => {
+      const logp = new Logp('exp(sqrt(x))');
+      expect(logp.logNative).toBeTypeOf('function');
+      // Real part of sqrt(-4) = 2i
+      expect(logp.getLogProbability(-4, 0)).toBeCloseTo(0);
+      expect(logp.getLogProbability(4, 0)).toBeCloseTo(2);
+    });
+
+    it('should log which expressions were compiled natively', () => {
+      vi.clearAllMocks();
+      new Logp('exp(-(x^2 + y^2)/2)');
+      expect(logger.debug).toHaveBeenCalledWith('logP native compile', {
+        logP: true,
+        gradX: true,
+        gradY: true,
+      });
+    });
+  });
+});
+
+describe('detectParameters', () => {
+  it('should list free symbols besides x and y in order of appearance', () => {
+    expect(
+      detectParameters('exp(-(x-mu)^2/(2*sigma^2)) * exp(-y^2) + rho*sin(x)')
+    ).toEqual(['mu', 'sigma', 'rho']);
+  });
+
+  it('should ignore function names and math.js constants', () => {
+    expect(detectParameters('exp(-(x^2 + y^2)/2) * cos(pi*x) + e')).toEqual([]);
+  });
+
+  it('should report syntax errors', () => {
+    expect(() => detectParameters('exp(-(x-mu')).toThrow(
+      /Syntax error in PDF string/
+    );
+  });
+});
+
+describe('Logp with target parameters', () => {
+  const correlated = 'exp(-(x^2 - 2*rho*x*y + y^2)/(2*(1-rho^2)))';
+
+  it('should substitute the parameter values', () => {
+    const logp = new Logp(correlated, { parameters: { rho: 0.5 } });
+    expect(logp.parameters).toEqual(['rho']);
+    expect(logp.parameterValues).toEqual({ rho: 0.5 });
+    // -(1 - 1 + 1)/(2 * 0.75)
+    expect(logp.getLogProbability(1, 1)).toBeCloseTo(-1 / 1.5);
+    const [gx, gy] = logp.getLogProbabilityGradient(1, 0);
+    expect(gx).toBeCloseTo(-2 / 1.5);
+    expect(gy).toBeCloseTo(1 / 1.5);
+  });
+
+  it('should still compile natively', () => {
+    const logp = new Logp(correlated, { parameters: { rho: 0.9 } });
+    expect(logp.logNative).toBeTypeOf('function');
+    const evaluated = new Logp(correlated, {
+      native: false,
+      parameters: { rho: 0.9 },
+    });
+    expect(logp.getLogProbability(0.3, -0.7)).toBeCloseTo(
+      evaluated.getLogProbability(0.3, -0.7),
+      9
+    );
+  });
+
+  it('should ignore values of symbols the expression does not use', () => {
+    const logp = new Logp('exp(-x^2 - y^2)', { parameters: { rho: 0.5 } });
+    expect(logp.parameters).toEqual([]);
+    expect(logp.getLogProbability(1, 0)).toBeCloseTo(-1);
+  });
 });
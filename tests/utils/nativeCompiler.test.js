@@ -0,0 +1,87 @@
+import { describe, it, expect } from 'vitest';
+import { parse, simplify, derivative } from 'mathjs';
+import { compileNative, generateSource } from '../../src/utils/nativeCompiler';
+import { PREDEFINED_FUNCTIONS } from '../../src/utils/predefinedFunctions';
+
+// Same pipeline as Logp: simplified log density and both gradient nodes
+const nodesFor = (pdf) => {
+  const logNode = simplify(parse(`log(${pdf})`));
+  return {
+    logP: logNode,
+    gradX: simplify(derivative(logNode, 'x')),
+    gradY: simplify(derivative(logNode, 'y')),
+  };
+};
+
+const grid = [];
+for (let x = -4.5; x <= 4.5; x += 0.75) {
+  for (let y = -4.5; y <= 4.5; y += 0.75) grid.push([x, y]);
+}
+
+const expectSameNumbers = (node) => {
+  const native = compileNative(node);
+  const compiled = node.compile();
+  expect(native).not.toBeNull();
+  grid.forEach(([x, y]) => {
+    const expected = compiled.evaluate({ x, y });
+    const actual = native(x, y);
+    if (Number.isFinite(expected)) {
+      expect(actual).toBeCloseTo(expected, 9);
+    } else {
+      expect(actual).toBe(expected);
+    }
+  });
+};
+
+describe('compileNative', () => {
+  describe.each(PREDEFINED_FUNCTIONS)('$label preset', ({ value }) => {
+    const nodes = nodesFor(value);
+
+    it('should match math.js for the log density', () => {
+      expectSameNumbers(nodes.logP);
+    });
+
+    it('should match math.js for both gradient components', () => {
+      expectSameNumbers(nodes.gradX);
+      expectSameNumbers(nodes.gradY);
+    });
+  });
+
+  it.each([
+    ['x^3 - 2*y^2 + x*y', 'polynomial'],
+    ['sin(x) * cos(y) + tan(x / 10)', 'trigonometry'],
+    ['abs(x) + sqrt(y^2 + 1) + log(x^2 + 2, 3)', 'abs, sqrt and log base'],
+    ['pi * x + e * y', 'constants'],
+    ['square(x) + cube(y) + tanh(x)', 'helper functions'],
+    ['-(+x) / (1 + y^2)', 'unary operators'],
+  ])('should match math.js for %s (%s)', (expr) => {
+    expectSameNumbers(parse(expr));
+  });
+
+  it.each([
+    ['x mod 2', 'modulo'],
+    ['x > 0 ? x : -x', 'conditional'],
+    ['factorial(3) * x', 'factorial'],
+    ['a * x', 'free symbol'],
+    ['gamma(x)', 'unsupported function'],
+  ])('should return null for %s (%s)', (expr) => {
+    expect(compileNative(parse(expr))).toBeNull();
+    expect(generateSource(parse(expr))).toBeNull();
+  });
+
+  it('should only emit numbers, x, y, operators and Math calls', () => {
+    const source = generateSource(
+      nodesFor(PREDEFINED_FUNCTIONS[2].value).gradX
+    );
+    const identifiers = source.match(/[A-Za-z_][A-Za-z0-9_.]*/g);
+    identifiers.forEach((id) => {
+      expect(['x', 'y'].includes(id) || id.startsWith('Math.')).toBe(true);
+    });
+  });
+
+  it('should give NaN where math.js would return a complex number', () => {
+    // Logp falls back to math.js for these points
+    const native = compileNative(parse('sqrt(x)'));
+    expect(native(-1, 0)).toBeNaN();
+  });
+});
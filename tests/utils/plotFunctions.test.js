@@ -3,6 +3,8 @@ import {
   HMC_SAMPLER,
   CONTOUR,
   TRACE_PLOT,
+  PHASE_SPACE,
+  ACF_PLOT,
 } from '../../src/utils/plotConfig.json';
 import {
   createTrajectoryTrace,
@@ -12,6 +14,18 @@ import {
   createTracePlotTrace,
   createHistogram2DTrace,
   createMarginalHistogramTrace,
+  createTreeTraces,
+  createMetricEllipseTrace,
+  createRejectedTrace,
+  createDivergenceTrace,
+  createEnergyTraces,
+  createPhaseSpaceTrace,
+  createPhaseLevelSetTrace,
+  createMomentumArrow,
+  createAutocorrelationTrace,
+  createCutoffShape,
+  createTrueMarginalTrace,
+  createDistanceTrace,
 } from '../../src/utils/plotFunctions';
 
 describe('createContourTrace', () => {
@@ -273,6 +287,291 @@ describe('createSamplesTrace', () => {
   });
 });
 
+describe('createTreeTraces', () => {
+  const tree = {
+    origin: { x: 0, y: 0 },
+    forward: [
+      { x: 1, y: 0 },
+      { x: 2, y: 0 },
+    ],
+    backward: [{ x: -1, y: 0 }],
+  };
+
+  it('should create backward and forward traces starting at the origin', () => {
+    const traces = createTreeTraces(tree, '#123456', 'Tree');
+
+    expect(traces).toHaveLength(2);
+    const [backward, forward] = traces;
+    expect(backward.name).toBe('Tree (backward)');
+    expect(backward.x).toEqual([0, -1]);
+    expect(forward.name).toBe('Tree (forward)');
+    expect(forward.x).toEqual([0, 1, 2]);
+    expect(forward.line.color).toBe('#123456');
+  });
+
+  it('should style the two directions differently', () => {
+    const [backward, forward] = createTreeTraces(tree);
+    expect(backward.line.dash).toBe(HMC_SAMPLER.tree.backward.line.dash);
+    expect(forward.line.dash).toBe(HMC_SAMPLER.tree.forward.line.dash);
+    expect(backward.line.dash).not.toBe(forward.line.dash);
+  });
+
+  it('should draw a divergent tree in the divergent style', () => {
+    const [backward, forward] = createTreeTraces(tree, '#123456', 'Tree', true);
+    expect(forward.line.color).toBe(HMC_SAMPLER.divergent.color);
+    expect(forward.line.width).toBe(HMC_SAMPLER.divergent.line.width);
+    expect(forward.marker.color).toBe('#123456');
+    expect(backward.line.dash).not.toBe(forward.line.dash);
+  });
+
+  it('should skip a direction that was never expanded', () => {
+    const traces = createTreeTraces({ ...tree, backward: [] });
+    expect(traces).toHaveLength(1);
+    expect(traces[0].name).toBe('Tree (forward)');
+  });
+
+  it('should return an empty array for a missing tree', () => {
+    expect(createTreeTraces(null)).toEqual([]);
+  });
+});
+
+describe('createRejectedTrace', () => {
+  it('should mark each rejected proposal without connecting lines', () => {
+    const trace = createRejectedTrace(
+      [
+        { x: 1, y: 2 },
+        { x: -1, y: 0 },
+      ],
+      '#123456',
+      'Rejected'
+    );
+    expect(trace.mode).toBe('markers');
+    expect(trace.x).toEqual([1, -1]);
+    expect(trace.y).toEqual([2, 0]);
+    expect(trace.marker.color).toBe('#123456');
+    expect(trace.marker.symbol).toBe(HMC_SAMPLER.rejected.marker.symbol);
+  });
+
+  it('should return null when nothing was rejected', () => {
+    expect(createRejectedTrace([])).toBeNull();
+    expect(createRejectedTrace(null)).toBeNull();
+  });
+});
+
+describe('createEnergyTraces', () => {
+  const energy = [
+    { H: 2, K: 1, U: 1 },
+    { H: 2.01, K: 0.5, U: 1.51 },
+    { H: 1.99, K: 0.2, U: 1.79 },
+  ];
+
+  it('should draw H, K and U against the leapfrog step', () => {
+    const traces = createEnergyTraces(energy, '#123456', 'Chain 1 (HMC)');
+    expect(traces.map((t) => t.name)).toEqual([
+      'H (Chain 1 (HMC))',
+      'K (Chain 1 (HMC))',
+      'U (Chain 1 (HMC))',
+    ]);
+    expect(traces[0].x).toEqual([0, 1, 2]);
+    expect(traces[0].y).toEqual([2, 2.01, 1.99]);
+    expect(traces[2].y).toEqual([1, 1.51, 1.79]);
+    traces.forEach((t) => {
+      expect(t.line.color).toBe('#123456');
+      expect(t.legendgroup).toBe('Chain 1 (HMC)');
+    });
+    expect(new Set(traces.map((t) => t.line.dash)).size).toBe(3);
+  });
+
+  it('should return an empty array without energy data', () => {
+    expect(createEnergyTraces([])).toEqual([]);
+    expect(createEnergyTraces(undefined)).toEqual([]);
+  });
+});
+
+describe('createPhaseSpaceTrace', () => {
+  const trajectory = [
+    { x: 0, y: 1 },
+    { x: 0.5, y: 0.8 },
+    { x: 0.9, y: 0.4 },
+  ];
+  const momentum = [
+    { x: 1, y: -0.5 },
+    { x: 0.8, y: -0.9 },
+    { x: 0.3, y: -1 },
+  ];
+
+  it('should pair each position with its momentum', () => {
+    const trace = createPhaseSpaceTrace(trajectory, momentum, 'y', '#123456');
+    expect(trace.x).toEqual([1, 0.8, 0.4]);
+    expect(trace.y).toEqual([-0.5, -0.9, -1]);
+    expect(trace.line.color).toBe('#123456');
+  });
+
+  it('should drop positions without a matching momentum', () => {
+    const trace = createPhaseSpaceTrace(trajectory, momentum.slice(0, 2), 'x');
+    expect(trace.x).toEqual([0, 0.5]);
+  });
+
+  it('should return null without momentum', () => {
+    expect(createPhaseSpaceTrace(trajectory, [], 'x')).toBeNull();
+    expect(createPhaseSpaceTrace(trajectory, undefined, 'x')).toBeNull();
+  });
+});
+
+describe('createPhaseLevelSetTrace', () => {
+  it('should evaluate H on a grid spanning both ranges', () => {
+    const H = (q, p) => 0.5 * q * q + 0.5 * p * p;
+    const trace = createPhaseLevelSetTrace(H, [-2, 2], [-3, 3]);
+    const n = PHASE_SPACE.levelSets.resolution;
+
+    expect(trace.type).toBe('contour');
+    expect(trace.contours.coloring).toBe('lines');
+    expect(trace.x).toHaveLength(n);
+    expect(trace.x[0]).toBe(-2);
+    expect(trace.x[n - 1]).toBe(2);
+    expect(trace.y[0]).toBe(-3);
+    expect(trace.z).toHaveLength(n);
+    expect(trace.z[0][0]).toBe(H(-2, -3));
+    expect(trace.z[n - 1][0]).toBe(H(-2, 3));
+  });
+});
+
+describe('createAutocorrelationTrace', () => {
+  it('should plot the ACF against the lag', () => {
+    const trace = createAutocorrelationTrace([1, 0.5, 0.2], '#123456', 'C1');
+
+    expect(trace.x).toEqual([0, 1, 2]);
+    expect(trace.y).toEqual([1, 0.5, 0.2]);
+    expect(trace.line.color).toBe('#123456');
+    expect(trace.name).toBe('C1');
+  });
+
+  it('should return null for an empty ACF', () => {
+    expect(createAutocorrelationTrace([])).toBeNull();
+    expect(createAutocorrelationTrace(null)).toBeNull();
+  });
+});
+
+describe('createDistanceTrace', () => {
+  it('should plot the distance against the checkpoint iteration', () => {
+    const trace = createDistanceTrace([50, 100], [0.4, 0.2], '#123456', 'C1');
+
+    expect(trace.x).toEqual([50, 100]);
+    expect(trace.y).toEqual([0.4, 0.2]);
+    expect(trace.line.color).toBe('#123456');
+    expect(trace.name).toBe('C1');
+  });
+
+  it('should return null without checkpoints', () => {
+    expect(createDistanceTrace([], [])).toBeNull();
+  });
+});
+
+describe('createCutoffShape', () => {
+  it('should draw a full-height dashed line at the lag', () => {
+    const shape = createCutoffShape(12, '#123456');
+
+    expect(shape).toMatchObject({
+      type: 'line',
+      x0: 12,
+      x1: 12,
+      yref: 'paper',
+      y0: 0,
+      y1: 1,
+    });
+    expect(shape.line).toEqual({ color: '#123456', ...ACF_PLOT.cutoffLine });
+  });
+});
+
+describe('createMomentumArrow', () => {
+  it('should point from the position along the scaled momentum', () => {
+    const { scale } = HMC_SAMPLER.momentumArrow;
+    const arrow = createMomentumArrow(
+      { x: 1, y: 2 },
+      { x: 2, y: -4 },
+      '#123456'
+    );
+
+    expect(arrow.ax).toBe(1);
+    expect(arrow.ay).toBe(2);
+    expect(arrow.x).toBe(1 + 2 * scale);
+    expect(arrow.y).toBe(2 - 4 * scale);
+    expect(arrow.axref).toBe('x');
+    expect(arrow.ayref).toBe('y');
+    expect(arrow.showarrow).toBe(true);
+    expect(arrow.arrowcolor).toBe('#123456');
+  });
+
+  it('should return null without a position or momentum', () => {
+    expect(createMomentumArrow(null, { x: 1, y: 1 })).toBeNull();
+    expect(createMomentumArrow({ x: 1, y: 1 }, undefined)).toBeNull();
+  });
+});
+
+describe('createDivergenceTrace', () => {
+  it('should mark divergences in the divergent colour outlined by the chain colour', () => {
+    const trace = createDivergenceTrace(
+      [
+        { x: 0, y: -3 },
+        { x: 0.1, y: -2.5 },
+      ],
+      '#123456',
+      'Divergences'
+    );
+    expect(trace.mode).toBe('markers');
+    expect(trace.x).toEqual([0, 0.1]);
+    expect(trace.y).toEqual([-3, -2.5]);
+    expect(trace.marker.color).toBe(HMC_SAMPLER.divergent.color);
+    expect(trace.marker.symbol).toBe(HMC_SAMPLER.divergent.marker.symbol);
+    expect(trace.marker.line.color).toBe('#123456');
+  });
+
+  it('should return null when there are no divergences', () => {
+    expect(createDivergenceTrace([])).toBeNull();
+    expect(createDivergenceTrace(undefined)).toBeNull();
+  });
+});
+
+describe('createMetricEllipseTrace', () => {
+  it('should draw a closed path around the center', () => {
+    const trace = createMetricEllipseTrace(
+      { invMass: { xx: 1, xy: 0, yy: 1 }, center: { x: 1, y: -1 } },
+      '#123456',
+      'Metric'
+    );
+    const n = HMC_SAMPLER.metricEllipse.points;
+
+    expect(trace.x).toHaveLength(n + 1);
+    expect(trace.x[0]).toBeCloseTo(trace.x[n], 12);
+    expect(trace.y[0]).toBeCloseTo(trace.y[n], 12);
+    expect(trace.name).toBe('Metric');
+    expect(trace.line.color).toBe('#123456');
+    // Identity covariance gives a circle of radius nSigma
+    const r = HMC_SAMPLER.metricEllipse.nSigma;
+    trace.x.forEach((x, i) => {
+      expect(Math.hypot(x - 1, trace.y[i] + 1)).toBeCloseTo(r, 10);
+    });
+  });
+
+  it('should align the major axis with positive correlation', () => {
+    const trace = createMetricEllipseTrace({
+      invMass: { xx: 1, xy: 0.9, yy: 1 },
+      center: { x: 0, y: 0 },
+    });
+    // First point lies on the major axis, along the diagonal y = x
+    expect(trace.x[0]).toBeGreaterThan(0);
+    expect(trace.y[0]).toBeCloseTo(trace.x[0], 10);
+    expect(Math.hypot(trace.x[0], trace.y[0])).toBeCloseTo(
+      HMC_SAMPLER.metricEllipse.nSigma * Math.sqrt(1.9),
+      10
+    );
+  });
+
+  it('should return null for a missing metric', () => {
+    expect(createMetricEllipseTrace(null)).toBeNull();
+  });
+});
+
 describe('createTracePlotTrace', () => {
   const samples = [
     { x: 1, y: 1 },
@@ -382,4 +681,42 @@ describe('createMarginalHistogramTrace', () => {
   it('should return null for empty samples', () => {
     expect(createMarginalHistogramTrace([])).toBeNull();
   });
+
+  it('should pass histnorm through for density plots', () => {
+    const samples = [{ x: 1, y: 1 }];
+    const counts = createMarginalHistogramTrace(samples, 'x');
+    const density = createMarginalHistogramTrace(
+      samples,
+      'x',
+      '#000',
+      'Test',
+      'v',
+      'probability density'
+    );
+    expect(counts.histnorm).toBe('');
+    expect(density.histnorm).toBe('probability density');
+    expect(density.hovertemplate).toContain('Density');
+  });
+});
+
+describe('createTrueMarginalTrace', () => {
+  const marginal = { grid: [-1, 0, 1], density: [0.2, 0.4, 0.2] };
+
+  it('should draw the density against the grid', () => {
+    const trace = createTrueMarginalTrace(marginal, 'x');
+    expect(trace.type).toBe('scatter');
+    expect(trace.mode).toBe('lines');
+    expect(trace.x).toEqual([-1, 0, 1]);
+    expect(trace.y).toEqual([0.2, 0.4, 0.2]);
+  });
+
+  it('should swap the axes for a horizontal marginal', () => {
+    const trace = createTrueMarginalTrace(marginal, 'y', 'h');
+    expect(trace.x).toEqual([0.2, 0.4, 0.2]);
+    expect(trace.y).toEqual([-1, 0, 1]);
+  });
+
+  it('should return null without a marginal', () => {
+    expect(createTrueMarginalTrace(null, 'x')).toBeNull();
+  });
 });
@@ -0,0 +1,235 @@
+import { describe, it, expect } from 'vitest';
+import {
+  SESSION_VERSION,
+  createSession,
+  validateSession,
+  parseSession,
+} from '../../src/utils/session';
+import { SamplingChain } from '../../src/samplers/SamplingChain';
+
+const settings = {
+  logP: 'exp(-(x^2 + y^2)/2)',
+  axisLimits: { xMin: -3, xMax: 3, yMin: -2, yMax: 2 },
+  burnIn: 25,
+  nSteps: 50,
+  useFastMode: true,
+  historyLimit: 500,
+  showAcceptedOnly: false,
+};
+
+const snapshot = {
+  config: {
+    id: 0,
+    samplerType: 'HMC',
+    params: { epsilon: 0.2, L: 15, steps: 1 },
+    initialPosition: { x: 1, y: -1 },
+    seed: 42,
+  },
+  state: { samples: [{ x: 1, y: 2 }], rngState: 1234 },
+};
+
+describe('createSession', () => {
+  it('should write the settings and chain configuration', () => {
+    const session = createSession(settings, [snapshot]);
+    expect(session).toEqual({
+      version: SESSION_VERSION,
+      ...settings,
+      chains: [{ config: snapshot.config }],
+    });
+  });
+
+  it('should keep the sampling state when samples are included', () => {
+    const session = createSession(settings, [snapshot], {
+      includeSamples: true,
+    });
+    expect(session.chains[0].state).toBe(snapshot.state);
+  });
+});
+
+describe('validateSession', () => {
+  const valid = () => createSession(settings, [snapshot]);
+
+  it('should accept a session it created', () => {
+    const session = valid();
+    expect(validateSession(session)).toBe(session);
+  });
+
+  it('should accept the saved state of a real chain', () => {
+    const chain = new SamplingChain({
+      id: 0,
+      samplerType: 'HMC',
+      params: { epsilon: 0.3, L: 5, steps: 1, metric: 'diag' },
+      initialPosition: { x: 1, y: -1 },
+      seed: 3,
+      adaptation: { targetAccept: 0.8 },
+      warmupSteps: 20,
+    });
+    const logp = {
+      getLogProbability: (x, y) => -0.5 * (x * x + y * y),
+      getLogProbabilityGradient: (x, y) => [-x, -y],
+    };
+    for (let i = 0; i < 30; i++) chain.step(logp);
+    const session = createSession(settings, [chain.toSnapshot()], {
+      includeSamples: true,
+    });
+
+    expect(() =>
+      validateSession(JSON.parse(JSON.stringify(session)))
+    ).not.toThrow();
+  });
+
+  it('should accept target parameter settings', () => {
+    const session = createSession(
+      {
+        ...settings,
+        parameters: { rho: { min: -0.99, max: 0.99, step: 0.01, value: 0.5 } },
+      },
+      [snapshot]
+    );
+    expect(validateSession(session).parameters.rho.value).toBe(0.5);
+  });
+
+  it.each([
+    ['a version mismatch', (s) => ({ ...s, version: 99 }), /version 99/],
+    ['a missing logP', (s) => ({ ...s, logP: undefined }), /logP/],
+    [
+      'non-numeric axis limits',
+      (s) => ({ ...s, axisLimits: { ...s.axisLimits, xMax: 'a' } }),
+      /axisLimits/,
+    ],
+    ['a negative burn-in', (s) => ({ ...s, burnIn: -1 }), /burnIn/],
+    ['a fractional step count', (s) => ({ ...s, nSteps: 2.5 }), /nSteps/],
+    ['no chains', (s) => ({ ...s, chains: [] }), /chains/],
+    [
+      'a parameter without a value',
+      (s) => ({ ...s, parameters: { rho: { min: -1, max: 1, step: 0.1 } } }),
+      /parameters must map names/,
+    ],
+    [
+      'an empty parameter range',
+      (s) => ({
+        ...s,
+        parameters: { rho: { min: 1, max: 1, step: 0.1, value: 1 } },
+      }),
+      /parameters/,
+    ],
+    [
+      'an unknown sampler',
+      (s) => ({
+        ...s,
+        chains: [{ config: { ...snapshot.config, samplerType: 'SMC' } }],
+      }),
+      /unknown sampler SMC/,
+    ],
+    [
+      'a missing initial position',
+      (s) => ({
+        ...s,
+        chains: [{ config: { ...snapshot.config, initialPosition: null } }],
+      }),
+      /initial position/,
+    ],
+    [
+      'a non-numeric sampler parameter',
+      (s) => ({
+        ...s,
+        chains: [
+          {
+            config: {
+              ...snapshot.config,
+              params: { ...snapshot.config.params, epsilon: '0.2' },
+            },
+          },
+        ],
+      }),
+      'chain 1 has an invalid epsilon parameter',
+    ],
+    [
+      'a missing sampler parameter',
+      (s) => ({
+        ...s,
+        chains: [{ config: { ...snapshot.config, params: { L: 15 } } }],
+      }),
+      /invalid epsilon parameter/,
+    ],
+    [
+      'an unknown mass matrix',
+      (s) => ({
+        ...s,
+        chains: [
+          {
+            config: {
+              ...snapshot.config,
+              params: { ...snapshot.config.params, metric: 'full' },
+            },
+          },
+        ],
+      }),
+      /invalid metric parameter/,
+    ],
+    [
+      'a NUTS tree depth beyond the limit',
+      (s) => ({
+        ...s,
+        chains: [
+          {
+            config: {
+              ...snapshot.config,
+              samplerType: 'NUTS',
+              params: { epsilon: 0.1, maxTreeDepth: 20 },
+            },
+          },
+        ],
+      }),
+      /invalid maxTreeDepth parameter/,
+    ],
+    [
+      'a state that is not an object',
+      (s) => ({ ...s, chains: [{ config: snapshot.config, state: [] }] }),
+      'chain 1 has an invalid state',
+    ],
+    [
+      'samples that are not an array',
+      (s) => ({
+        ...s,
+        chains: [{ config: snapshot.config, state: { samples: 5 } }],
+      }),
+      'chain 1 has an invalid samples state',
+    ],
+    [
+      'samples without coordinates',
+      (s) => ({
+        ...s,
+        chains: [{ config: snapshot.config, state: { samples: [{ x: 1 }] } }],
+      }),
+      /invalid samples state/,
+    ],
+    [
+      'a non-numeric counter',
+      (s) => ({
+        ...s,
+        chains: [{ config: snapshot.config, state: { acceptedCount: '3' } }],
+      }),
+      /invalid acceptedCount state/,
+    ],
+    [
+      'duplicate chain ids',
+      (s) => ({ ...s, chains: [s.chains[0], s.chains[0]] }),
+      /duplicate chain id 0/,
+    ],
+  ])('should reject %s', (_, mutate, message) => {
+    expect(() => validateSession(mutate(valid()))).toThrow(message);
+  });
+});
+
+describe('parseSession', () => {
+  it('should parse and validate session JSON', () => {
+    const text = JSON.stringify(createSession(settings, [snapshot]));
+    expect(parseSession(text).burnIn).toBe(25);
+  });
+
+  it('should report malformed JSON as an invalid session', () => {
+    expect(() => parseSession('{not json')).toThrow(/^Invalid session file/);
+    expect(() => parseSession('null')).toThrow(/not a JSON object/);
+  });
+});
@@ -1,5 +1,20 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest';
-import { calculateGelmanRubin, calculateESS } from '../../src/utils/statistics';
+import {
+  calculateGelmanRubin,
+  calculateESS,
+  calculateSplitRHat,
+  calculateRankNormalizedRHat,
+  normalQuantile,
+  rankNormalize,
+  quantile,
+  calculateBulkESS,
+  calculateTailESS,
+  calculateMCSE,
+  autocovariance,
+  calculateACF,
+  DEFAULT_ACF_MAX_LAG,
+  RHAT_THRESHOLD,
+} from '../../src/utils/statistics';
 import { SeededRandom } from '../../src/utils/seededRandom';
 
 vi.mock('../../src/utils/logger', () => ({
@@ -208,3 +223,326 @@ describe('calculateESS', () => {
     expect(result.x).toBeGreaterThan(700);
   });
 });
+
+/** m chains of n independent draws from N(mean_j, scale_j²) */
+const normalChains = (seed, n, means, scales = means.map(() => 1)) => {
+  const rng = new SeededRandom(seed);
+  return means.map((mean, j) =>
+    Array.from({ length: n }, () => ({
+      x: mean + scales[j] * rng.randn(),
+      y: mean + scales[j] * rng.randn(),
+    }))
+  );
+};
+
+describe('normalQuantile', () => {
+  it('inverts the standard normal CDF', () => {
+    expect(normalQuantile(0.5)).toBeCloseTo(0, 12);
+    expect(normalQuantile(0.975)).toBeCloseTo(1.959964, 5);
+    expect(normalQuantile(0.01)).toBeCloseTo(-2.326348, 5);
+    expect(normalQuantile(1e-6)).toBeCloseTo(-4.753424, 5);
+  });
+});
+
+describe('rankNormalize', () => {
+  it('maps pooled ranks to normal scores, averaging ties', () => {
+    const z = rankNormalize([
+      [3, 1],
+      [2, 2],
+    ]);
+    // S = 4: ranks 4, 1 and the tie at 2.5
+    const score = (r) => normalQuantile((r - 3 / 8) / (4 + 1 / 4));
+    expect(z[0][0]).toBeCloseTo(score(4), 12);
+    expect(z[0][1]).toBeCloseTo(score(1), 12);
+    expect(z[1][0]).toBeCloseTo(score(2.5), 12);
+    expect(z[1][1]).toBe(z[1][0]);
+  });
+});
+
+describe('calculateSplitRHat', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('returns null with a warning when a chain is too short to split', () => {
+    expect(calculateSplitRHat([])).toBeNull();
+    expect(
+      calculateSplitRHat([Array(4).fill({ x: 0, y: 0 }), [{ x: 1, y: 1 }]])
+    ).toBeNull();
+    expect(logger.warn).toHaveBeenCalledWith(
+      expect.stringContaining('insufficient samples')
+    );
+  });
+
+  it('equals the Gelman-Rubin statistic of the half-chains', () => {
+    const [a, b] = normalChains(7, 40, [0, 0.5]);
+    const halves = [a.slice(0, 20), a.slice(20), b.slice(0, 20), b.slice(20)];
+    const expected = calculateGelmanRubin(halves);
+
+    const result = calculateSplitRHat([a, b]);
+
+    expect(result.x).toBeCloseTo(expected.x, 12);
+    expect(result.y).toBeCloseTo(expected.y, 12);
+  });
+
+  it('detects drift within a single chain', () => {
+    // Halves [1, 2] and [3, 4]: W = 0.5, var(means) = 2, n = 2
+    const chain = [1, 2, 3, 4].map((v) => ({ x: v, y: v }));
+    expect(calculateSplitRHat([chain]).x).toBeCloseTo(Math.sqrt(4.5), 12);
+  });
+
+  it('drops the middle draw of odd-length chains', () => {
+    const chain = [1, 2, 100, 3, 4].map((v) => ({ x: v, y: v }));
+    expect(calculateSplitRHat([chain]).x).toBeCloseTo(Math.sqrt(4.5), 12);
+  });
+
+  it('accepts any number of chains of different lengths', () => {
+    const chains = normalChains(11, 500, [0, 0, 0]);
+    chains[2] = chains[2].slice(0, 300);
+
+    const result = calculateSplitRHat(chains);
+
+    expect(result.x).toBeLessThan(RHAT_THRESHOLD);
+    expect(result.y).toBeLessThan(RHAT_THRESHOLD);
+  });
+});
+
+describe('calculateRankNormalizedRHat', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('returns null when a chain is too short to split', () => {
+    expect(calculateRankNormalizedRHat([[{ x: 0, y: 0 }]])).toBeNull();
+  });
+
+  it('stays below the threshold for well-mixed chains', () => {
+    const result = calculateRankNormalizedRHat(
+      normalChains(3, 1000, [0, 0, 0, 0])
+    );
+    expect(result.x).toBeLessThan(RHAT_THRESHOLD);
+    expect(result.y).toBeLessThan(RHAT_THRESHOLD);
+  });
+
+  it('flags chains centred in different places', () => {
+    const result = calculateRankNormalizedRHat(
+      normalChains(5, 1000, [0, 0, 0, 1])
+    );
+    expect(result.x).toBeGreaterThan(RHAT_THRESHOLD);
+  });
+
+  it('flags chains that differ only in scale through the folded draws', () => {
+    const chains = normalChains(9, 1000, [0, 0, 0, 0], [1, 1, 1, 3]);
+
+    const rank = calculateRankNormalizedRHat(chains);
+    const split = calculateSplitRHat(chains);
+
+    expect(split.x).toBeLessThan(1.05);
+    expect(rank.x).toBeGreaterThan(split.x);
+    expect(rank.x).toBeGreaterThan(RHAT_THRESHOLD);
+  });
+
+  it('depends only on the ranks of the draws and their distances from the median', () => {
+    const chains = normalChains(13, 200, [0, 0.3]);
+    const transformed = chains.map((chain) =>
+      chain.map((s) => ({ x: 2 * s.x + 5, y: 0.1 * s.y - 3 }))
+    );
+
+    const a = calculateRankNormalizedRHat(chains);
+    const b = calculateRankNormalizedRHat(transformed);
+
+    expect(b.x).toBeCloseTo(a.x, 10);
+    expect(b.y).toBeCloseTo(a.y, 10);
+  });
+});
+
+describe('quantile', () => {
+  it('interpolates linearly between order statistics', () => {
+    expect(quantile([4, 1, 3, 2], 0.25)).toBeCloseTo(1.75, 12);
+    expect(quantile([4, 1, 3, 2], 0.5)).toBeCloseTo(2.5, 12);
+    expect(quantile([4, 1, 3, 2], 0)).toBe(1);
+    expect(quantile([4, 1, 3, 2], 1)).toBe(4);
+  });
+});
+
+/**
+ * Normal draws whose scale switches between 0.5 and 3 every `period`
+ * iterations: the signs mix perfectly, but the tails are only reached in
+ * the wide stretches.
+ */
+const slowScaleChain = (seed, n, period) => {
+  const rng = new SeededRandom(seed);
+  return Array.from({ length: n }, (_, t) => {
+    const scale = Math.floor(t / period) % 2 ? 3 : 0.5;
+    return { x: scale * rng.randn(), y: scale * rng.randn() };
+  });
+};
+
+describe('calculateBulkESS', () => {
+  it('returns null when a chain is too short to split', () => {
+    expect(calculateBulkESS([[{ x: 0, y: 0 }]])).toBeNull();
+  });
+
+  it('is close to the number of draws for independent chains', () => {
+    const result = calculateBulkESS(normalChains(21, 1000, [0, 0, 0, 0]));
+    expect(result.x).toBeGreaterThan(4000 * 0.7);
+    expect(result.y).toBeGreaterThan(4000 * 0.7);
+  });
+
+  it('is lower for autocorrelated chains', () => {
+    const rng = new SeededRandom(22);
+    const chain = [];
+    let v = 0;
+    for (let i = 0; i < 2000; i++) {
+      v = 0.9 * v + rng.randn();
+      chain.push({ x: v, y: v });
+    }
+    expect(calculateBulkESS([chain]).x).toBeLessThan(2000 * 0.2);
+  });
+});
+
+describe('calculateTailESS', () => {
+  it('returns null when a chain is too short to split', () => {
+    expect(calculateTailESS([[{ x: 0, y: 0 }]])).toBeNull();
+  });
+
+  it('is close to the number of draws for independent chains', () => {
+    const result = calculateTailESS(normalChains(23, 1000, [0, 0, 0, 0]));
+    expect(result.x).toBeGreaterThan(4000 * 0.6);
+  });
+
+  it('exposes poor tail exploration that bulk ESS misses', () => {
+    const chains = [1, 2].map((seed) => slowScaleChain(seed, 2000, 200));
+
+    const bulk = calculateBulkESS(chains);
+    const tail = calculateTailESS(chains);
+
+    expect(tail.x).toBeLessThan(bulk.x / 2);
+  });
+});
+
+describe('calculateMCSE', () => {
+  it('returns null when a chain is too short to split', () => {
+    expect(calculateMCSE([[{ x: 0, y: 0 }]])).toBeNull();
+  });
+
+  it('matches the standard errors of independent normal draws', () => {
+    const N = 4000;
+    const result = calculateMCSE(normalChains(24, 1000, [0, 0, 0, 0]));
+
+    // sd / sqrt(N) for the mean
+    expect(result.x.mean).toBeGreaterThan((1 / Math.sqrt(N)) * 0.8);
+    expect(result.x.mean).toBeLessThan((1 / Math.sqrt(N)) * 1.25);
+
+    // sqrt(p(1 - p) / N) / φ(z_p) for the median
+    expect(result.x.quantiles.map((q) => q.prob)).toEqual([0.05, 0.5, 0.95]);
+    const medianSE = 0.5 / Math.sqrt(N) / (1 / Math.sqrt(2 * Math.PI));
+    expect(result.x.quantiles[1].mcse).toBeGreaterThan(medianSE * 0.7);
+    expect(result.x.quantiles[1].mcse).toBeLessThan(medianSE * 1.4);
+  });
+
+  it('accepts custom quantiles', () => {
+    const result = calculateMCSE(normalChains(25, 100, [0, 0]), [0.25]);
+    expect(result.y.quantiles).toHaveLength(1);
+    expect(result.y.quantiles[0].prob).toBe(0.25);
+    expect(result.y.quantiles[0].mcse).toBeGreaterThan(0);
+  });
+});
+
+describe('autocovariance', () => {
+  /** Direct O(n²) autocovariance with denominator n */
+  const directAutocovariance = (values) => {
+    const n = values.length;
+    const mean = values.reduce((a, b) => a + b, 0) / n;
+    return values.map((_, k) => {
+      let sum = 0;
+      for (let t = 0; t < n - k; t++) {
+        sum += (values[t] - mean) * (values[t + k] - mean);
+      }
+      return sum / n;
+    });
+  };
+
+  it.each([1, 2, 7, 64, 500])('matches the direct method for %i draws', (n) => {
+    const rng = new SeededRandom(n);
+    let v = 0;
+    const values = Array.from({ length: n }, () => (v = 0.7 * v + rng.randn()));
+
+    const fast = autocovariance(values);
+    const direct = directAutocovariance(values);
+
+    expect(fast).toHaveLength(n);
+    fast.forEach((g, k) => expect(g).toBeCloseTo(direct[k], 10));
+  });
+
+  it('returns exact zeros for a constant chain', () => {
+    expect(autocovariance([3, 3, 3])).toEqual([0, 0, 0]);
+    expect(autocovariance([])).toEqual([]);
+  });
+});
+
+describe('calculateESS on long chains', () => {
+  it('handles 50k-draw chains', () => {
+    const rng = new SeededRandom(50);
+    let x = 0;
+    const chain = Array.from({ length: 50000 }, () => {
+      x = 0.5 * x + rng.randn();
+      return { x, y: rng.randn() };
+    });
+
+    const result = calculateESS([chain]);
+
+    // tau = (1 + 0.5) / (1 - 0.5) = 3 for an AR(1) with coefficient 0.5
+    expect(result.x).toBeGreaterThan((50000 / 3) * 0.85);
+    expect(result.x).toBeLessThan((50000 / 3) * 1.15);
+    expect(result.y).toBeGreaterThan(50000 * 0.85);
+  });
+});
+
+describe('calculateACF', () => {
+  const ar1Chain = (seed, n, phi) => {
+    const rng = new SeededRandom(seed);
+    let x = 0;
+    return Array.from({ length: n }, () => {
+      x = phi * x + rng.randn();
+      return { x, y: rng.randn() };
+    });
+  };
+
+  it('returns null for fewer than 2 samples', () => {
+    expect(calculateACF([])).toBeNull();
+    expect(calculateACF([{ x: 1, y: 1 }])).toBeNull();
+  });
+
+  it('starts at 1 and decays like an AR(1) process', () => {
+    const { x, y } = calculateACF(ar1Chain(31, 5000, 0.9));
+
+    expect(x.acf).toHaveLength(DEFAULT_ACF_MAX_LAG + 1);
+    expect(x.acf[0]).toBeCloseTo(1, 12);
+    expect(x.acf[1]).toBeCloseTo(0.9, 1);
+    expect(x.acf[10]).toBeCloseTo(0.9 ** 10, 1);
+    expect(Math.abs(y.acf[1])).toBeLessThan(0.1);
+  });
+
+  it('reports the lag where the ESS truncation stopped', () => {
+    const chain = ar1Chain(32, 2000, 0.8);
+    const { x } = calculateACF(chain, 2000);
+
+    // Rebuild the ESS from the ACF up to the cut-off
+    const sumRho = x.acf.slice(1, x.cutoff + 1).reduce((a, b) => a + b, 0);
+    expect(x.cutoff % 2).toBe(0);
+    expect(x.cutoff).toBeGreaterThan(0);
+    expect(2000 / (1 + 2 * sumRho)).toBeCloseTo(calculateESS([chain]).x, 6);
+  });
+
+  it('stops at the largest lag the chain allows', () => {
+    const { x } = calculateACF(ar1Chain(33, 5, 0.5), 50);
+    expect(x.acf).toHaveLength(5);
+  });
+
+  it('treats a constant chain as uncorrelated', () => {
+    const { x } = calculateACF(Array(6).fill({ x: 2, y: 2 }));
+    expect(x.acf).toEqual([1, 0, 0, 0, 0, 0]);
+    expect(x.cutoff).toBe(0);
+  });
+});
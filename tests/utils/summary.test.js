@@ -0,0 +1,183 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  hdi,
+  allChainsCompatible,
+  groupCompatibleChains,
+  buildSummary,
+  SUMMARY_QUANTILES,
+} from '../../src/utils/summary';
+import { calculateRankNormalizedRHat } from '../../src/utils/statistics';
+import { SeededRandom } from '../../src/utils/seededRandom';
+
+vi.mock('../../src/utils/logger', () => ({
+  logger: { debug: vi.fn(), info: vi.fn(), warn: vi.fn(), error: vi.fn() },
+}));
+
+const normalChain = (seed, n) => {
+  const rng = new SeededRandom(seed);
+  return Array.from({ length: n }, () => ({
+    x: rng.randn(),
+    y: 2 + 3 * rng.randn(),
+  }));
+};
+
+const chain = (id, samplerType, samples, params = { epsilon: 0.1 }) => ({
+  id,
+  samplerType,
+  params,
+  samples,
+});
+
+describe('hdi', () => {
+  it('should return the shortest interval holding the probability mass', () => {
+    // Half of 10 draws plus the first one: the cluster 0..5 is the narrowest 6
+    const values = [0, 1, 2, 3, 4, 5, 20, 30, 40, 50];
+    expect(hdi(values, 0.5)).toEqual({ lower: 0, upper: 5 });
+  });
+
+  it('should not depend on the order of the draws', () => {
+    expect(hdi([50, 3, 40, 0, 2, 30, 1, 20, 4, 5], 0.5)).toEqual({
+      lower: 0,
+      upper: 5,
+    });
+  });
+
+  it('should approach the central interval for a symmetric distribution', () => {
+    const values = normalChain(1, 20000).map((s) => s.x);
+    const { lower, upper } = hdi(values, 0.9);
+    expect(lower).toBeCloseTo(-1.645, 1);
+    expect(upper).toBeCloseTo(1.645, 1);
+  });
+
+  it('should handle degenerate inputs', () => {
+    expect(hdi([], 0.89)).toBeNull();
+    expect(hdi([7], 0.89)).toEqual({ lower: 7, upper: 7 });
+  });
+});
+
+describe('groupCompatibleChains', () => {
+  it('should pool chains with the same sampler and parameters', () => {
+    const chains = [
+      chain(0, 'HMC', []),
+      chain(1, 'GIBBS', []),
+      chain(2, 'HMC', []),
+      chain(3, 'HMC', [], { epsilon: 0.2 }),
+    ];
+    const groups = groupCompatibleChains(chains).map((g) =>
+      g.map(({ index }) => index)
+    );
+    expect(groups).toEqual([[0, 2], [1], [3]]);
+  });
+});
+
+describe('allChainsCompatible', () => {
+  it('should ignore the key order of the parameters', () => {
+    const a = chain(0, 'METROPOLIS', [], {
+      scale: 0.5,
+      covariance: { xx: 1, xy: 0.2, yy: 1 },
+    });
+    const b = chain(1, 'METROPOLIS', [], {
+      covariance: { yy: 1, xx: 1, xy: 0.2 },
+      scale: 0.5,
+    });
+    expect(allChainsCompatible([a, b])).toBe(true);
+    expect(
+      allChainsCompatible([
+        a,
+        { ...b, params: { ...b.params, covariance: { xx: 1, xy: 0, yy: 1 } } },
+      ])
+    ).toBe(false);
+    expect(
+      allChainsCompatible([
+        a,
+        { ...b, params: { ...b.params, covariance: null } },
+      ])
+    ).toBe(false);
+  });
+});
+
+describe('buildSummary', () => {
+  it('should label each group with its chain numbers and sampler', () => {
+    const summary = buildSummary(
+      [
+        chain(10, 'HMC', normalChain(1, 50)),
+        chain(11, 'GIBBS', normalChain(2, 50)),
+        chain(12, 'HMC', normalChain(3, 50)),
+      ],
+      { burnIn: 10 }
+    );
+
+    expect(summary.map((g) => g.label)).toEqual([
+      'Chains 1, 3 (HMC)',
+      'Chain 2 (GIBBS)',
+    ]);
+    expect(summary[0].chainIds).toEqual([10, 12]);
+    expect(summary[0].chainCount).toBe(2);
+    expect(summary[0].draws).toBe(80);
+  });
+
+  it('should estimate the moments and quantiles of the pooled draws', () => {
+    const [group] = buildSummary([
+      chain(0, 'HMC', normalChain(1, 4000)),
+      chain(1, 'HMC', normalChain(2, 4000)),
+    ]);
+    const { x, y } = group.stats;
+
+    expect(x.mean).toBeCloseTo(0, 1);
+    expect(x.sd).toBeCloseTo(1, 1);
+    expect(y.mean).toBeCloseTo(2, 0);
+    expect(y.sd).toBeCloseTo(3, 0);
+    expect(y.median).toBeCloseTo(2, 0);
+    expect(x.quantiles.map((q) => q.prob)).toEqual(SUMMARY_QUANTILES);
+    expect(x.quantiles[0].value).toBeCloseTo(-1.645, 1);
+    expect(x.quantiles[2].value).toBeCloseTo(0.674, 1);
+  });
+
+  it('should report the diagnostics of the same draws', () => {
+    const chains = [
+      chain(0, 'HMC', normalChain(1, 500)),
+      chain(1, 'HMC', normalChain(2, 500)),
+    ];
+    const [group] = buildSummary(chains, { burnIn: 100 });
+    const rHat = calculateRankNormalizedRHat(
+      chains.map((c) => c.samples.slice(100))
+    );
+
+    expect(group.stats.x.rHat).toBe(rHat.x);
+    expect(group.stats.x.bulkEss).toBeGreaterThan(400);
+    expect(group.stats.y.tailEss).toBeGreaterThan(200);
+    // Independent draws: MCSE of the mean is about sd / sqrt(n)
+    expect(group.stats.y.mcseMean).toBeCloseTo(3 / Math.sqrt(800), 1);
+    expect(group.stats.x.mcseMedian).toBeGreaterThan(0);
+    group.stats.x.quantiles.forEach((q) => expect(q.mcse).toBeGreaterThan(0));
+  });
+
+  it('should use the requested HDI probability', () => {
+    const chains = [chain(0, 'HMC', normalChain(1, 2000))];
+    const narrow = buildSummary(chains, { hdiProb: 0.5 })[0].stats.x.hdi;
+    const wide = buildSummary(chains, { hdiProb: 0.95 })[0].stats.x.hdi;
+    expect(wide.upper - wide.lower).toBeGreaterThan(
+      narrow.upper - narrow.lower
+    );
+  });
+
+  it('should leave diagnostics empty when a chain is too short to split', () => {
+    const [group] = buildSummary([chain(0, 'HMC', normalChain(1, 3))]);
+    expect(group.stats.x.mean).not.toBeNull();
+    expect(group.stats.x.rHat).toBeNull();
+    expect(group.stats.x.bulkEss).toBeNull();
+    expect(group.stats.x.mcseMean).toBeNull();
+    expect(group.stats.x.quantiles[0].mcse).toBeNull();
+  });
+
+  it('should drop groups with fewer than two post-burn-in draws', () => {
+    const summary = buildSummary(
+      [
+        chain(0, 'HMC', normalChain(1, 11)),
+        chain(1, 'GIBBS', normalChain(2, 20)),
+      ],
+      { burnIn: 10 }
+    );
+    expect(summary.map((g) => g.samplerType)).toEqual(['GIBBS']);
+  });
+});
@@ -0,0 +1,196 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  createDistanceReference,
+  klDivergence,
+  wasserstein1D,
+  mmd,
+  distancesAtCheckpoints,
+  MAX_CHECKPOINTS,
+} from '../../src/utils/targetDistance';
+import { computeGroundTruth } from '../../src/utils/groundTruth';
+import { Logp } from '../../src/utils/mathEngine';
+import { SeededRandom } from '../../src/utils/seededRandom';
+
+vi.mock('../../src/utils/logger', () => ({
+  logger: { debug: vi.fn(), info: vi.fn(), warn: vi.fn(), error: vi.fn() },
+}));
+
+const truth = computeGroundTruth(new Logp('exp(-(x^2 + y^2)/2)'), {
+  xMin: -5,
+  xMax: 5,
+  yMin: -5,
+  yMax: 5,
+});
+const reference = createDistanceReference(truth);
+
+const normalDraws = (seed, n, shift = 0) => {
+  const rng = new SeededRandom(seed);
+  return Array.from({ length: n }, () => ({
+    x: rng.randn() + shift,
+    y: rng.randn(),
+  }));
+};
+
+describe('createDistanceReference', () => {
+  it('should coarsen the reference to probability bins', () => {
+    expect(reference.bins).toBe(32);
+    const total = reference.mass.reduce(
+      (acc, row) => acc + row.reduce((a, b) => a + b, 0),
+      0
+    );
+    expect(total).toBeCloseTo(1, 10);
+    expect(reference.lengthscale).toBeCloseTo(1, 3);
+  });
+
+  it('should use the grid itself when it is coarser than the bins', () => {
+    const coarse = computeGroundTruth(
+      new Logp('exp(-(x^2 + y^2)/2)'),
+      {
+        xMin: -5,
+        xMax: 5,
+        yMin: -5,
+        yMax: 5,
+      },
+      { initialCells: 16, maxCells: 16 }
+    );
+    expect(createDistanceReference(coarse).bins).toBe(16);
+  });
+});
+
+describe('klDivergence', () => {
+  it('should shrink as draws from the target accumulate', () => {
+    const draws = normalDraws(1, 20000);
+    const few = klDivergence(draws.slice(0, 500), reference);
+    const many = klDivergence(draws, reference);
+
+    expect(many).toBeLessThan(few);
+    expect(many).toBeLessThan(0.05);
+  });
+
+  it('should be large for draws from the wrong distribution', () => {
+    const shifted = klDivergence(normalDraws(2, 20000, 2), reference);
+    // KL between unit normals two apart is 2; binning keeps it close
+    expect(shifted).toBeGreaterThan(1.5);
+  });
+
+  it('should stay finite for draws where the target has no mass', () => {
+    expect(klDivergence([{ x: 100, y: 100 }], reference)).toBeLessThan(
+      Infinity
+    );
+    expect(klDivergence([], reference)).toBeNull();
+  });
+});
+
+describe('wasserstein1D', () => {
+  it('should match the shift between the draws and the marginal', () => {
+    const values = normalDraws(3, 20000, 1).map((s) => s.x);
+    expect(wasserstein1D(values, truth.marginals.x)).toBeCloseTo(1, 1);
+  });
+
+  it('should equal the mean absolute deviation for a single draw', () => {
+    // E|Z − 0| = sqrt(2/π) for a standard normal
+    expect(wasserstein1D([0], truth.marginals.x)).toBeCloseTo(
+      Math.sqrt(2 / Math.PI),
+      3
+    );
+  });
+
+  it('should be near zero for many draws from the marginal', () => {
+    const values = normalDraws(4, 20000).map((s) => s.y);
+    expect(wasserstein1D(values, truth.marginals.y)).toBeLessThan(0.03);
+    expect(wasserstein1D([], truth.marginals.y)).toBeNull();
+  });
+});
+
+describe('mmd', () => {
+  it('should separate draws from the target and from a shifted target', () => {
+    const good = mmd(normalDraws(5, 2000), reference);
+    const bad = mmd(normalDraws(6, 2000, 1), reference);
+
+    expect(good).toBeLessThan(0.1);
+    expect(bad).toBeGreaterThan(3 * good);
+  });
+
+  it('should thin long chains to the draw limit', () => {
+    const draws = normalDraws(7, 1000);
+    expect(mmd(draws, reference, { maxDraws: 1000 })).not.toBe(
+      mmd(draws, reference, { maxDraws: 100 })
+    );
+    expect(mmd([], reference)).toBeNull();
+  });
+});
+
+describe('distancesAtCheckpoints', () => {
+  it('should evaluate every interval after burn-in and the latest iteration', () => {
+    const checkpoints = distancesAtCheckpoints(normalDraws(8, 230), reference, {
+      burnIn: 30,
+      interval: 50,
+    });
+
+    expect(checkpoints.map((c) => c.iteration)).toEqual([
+      50, 100, 150, 200, 230,
+    ]);
+    expect(checkpoints.map((c) => c.draws)).toEqual([20, 70, 120, 170, 200]);
+    const last = checkpoints[4];
+    expect(last.wasserstein.sliced).toBeCloseTo(
+      (last.wasserstein.x + last.wasserstein.y) / 2,
+      12
+    );
+    expect(last.kl).toBeGreaterThan(0);
+    expect(last.mmd).toBeGreaterThan(0);
+  });
+
+  it('should match the one-shot distances at every checkpoint', () => {
+    const samples = normalDraws(10, 260, 0.3);
+    const checkpoints = distancesAtCheckpoints(samples, reference, {
+      burnIn: 20,
+      interval: 60,
+    });
+
+    checkpoints.forEach(({ iteration, kl, wasserstein, mmd: value }) => {
+      const draws = samples.slice(20, iteration);
+      expect(kl).toBeCloseTo(klDivergence(draws, reference), 10);
+      expect(wasserstein.x).toBeCloseTo(
+        wasserstein1D(
+          draws.map((s) => s.x),
+          reference.marginals.x
+        ),
+        10
+      );
+      expect(value).toBeCloseTo(mmd(draws, reference), 10);
+    });
+  });
+
+  it('should use one thinned subset of the chain for MMD', () => {
+    const samples = normalDraws(11, 400);
+    const checkpoints = distancesAtCheckpoints(samples, reference, {
+      interval: 100,
+      maxDraws: 100,
+    });
+    // Stride 4 over the whole chain: draws 0, 4, ... before each checkpoint
+    const subset = samples.filter((_, i) => i % 4 === 0);
+    expect(checkpoints[1].mmd).toBeCloseTo(
+      mmd(subset.slice(0, 50), reference, { maxDraws: 100 }),
+      10
+    );
+  });
+
+  it('should widen the interval to cap the checkpoints', () => {
+    const samples = normalDraws(12, 1234);
+    const checkpoints = distancesAtCheckpoints(samples, reference, {
+      interval: 1,
+    });
+    const iterations = checkpoints.map((c) => c.iteration);
+
+    expect(iterations.length).toBeLessThanOrEqual(MAX_CHECKPOINTS + 1);
+    // Multiples of 13, the smallest multiple of 1 that fits, plus the latest
+    expect(iterations.slice(0, 3)).toEqual([13, 26, 39]);
+    expect(iterations.at(-1)).toBe(1234);
+  });
+
+  it('should return no checkpoints before the burn-in ends', () => {
+    expect(
+      distancesAtCheckpoints(normalDraws(9, 10), reference, { burnIn: 10 })
+    ).toEqual([]);
+  });
+});
@@ -0,0 +1,84 @@
+import { describe, it, expect } from 'vitest';
+import {
+  defaultParameterSetting,
+  syncParameterSettings,
+  updateParameterSetting,
+  parameterValues,
+} from '../../src/utils/targetParameters';
+
+describe('defaultParameterSetting', () => {
+  it('should give common names ranges that keep the density proper', () => {
+    expect(defaultParameterSetting('sigma')).toEqual({
+      min: 0.1,
+      max: 3,
+      step: 0.05,
+      value: 1,
+    });
+    expect(defaultParameterSetting('rho').max).toBeLessThan(1);
+    expect(defaultParameterSetting('mu2').value).toBe(0);
+  });
+
+  it('should fall back to a generic range', () => {
+    expect(defaultParameterSetting('a')).toEqual({
+      min: -5,
+      max: 5,
+      step: 0.1,
+      value: 1,
+    });
+  });
+
+  it('should return a fresh object each time', () => {
+    defaultParameterSetting('rho').value = 0.5;
+    expect(defaultParameterSetting('rho').value).toBe(0);
+  });
+});
+
+describe('syncParameterSettings', () => {
+  it('should keep known settings and drop unused ones', () => {
+    const previous = {
+      rho: { min: -0.5, max: 0.5, step: 0.1, value: 0.3 },
+      mu: { min: -3, max: 3, step: 0.05, value: 1 },
+    };
+    const settings = syncParameterSettings(['rho', 'sigma'], previous);
+    expect(Object.keys(settings)).toEqual(['rho', 'sigma']);
+    expect(settings.rho).toEqual(previous.rho);
+    expect(settings.rho).not.toBe(previous.rho);
+    expect(settings.sigma).toEqual(defaultParameterSetting('sigma'));
+  });
+});
+
+describe('updateParameterSetting', () => {
+  const setting = { min: -1, max: 1, step: 0.1, value: 0.5 };
+
+  it('should apply a new value', () => {
+    expect(updateParameterSetting(setting, { value: -0.2 })).toEqual({
+      ...setting,
+      value: -0.2,
+    });
+  });
+
+  it('should clamp the value into a narrowed range', () => {
+    expect(updateParameterSetting(setting, { max: 0.25 }).value).toBe(0.25);
+    expect(updateParameterSetting(setting, { value: -4 }).value).toBe(-1);
+  });
+
+  it.each([
+    ['a non-numeric value', { value: NaN }],
+    ['an empty range', { min: 1 }],
+    ['an inverted range', { max: -2 }],
+    ['a non-positive step', { step: 0 }],
+  ])('should reject %s', (_, patch) => {
+    expect(updateParameterSetting(setting, patch)).toBeNull();
+  });
+});
+
+describe('parameterValues', () => {
+  it('should map each name to its current value', () => {
+    expect(
+      parameterValues({
+        rho: { min: -1, max: 1, step: 0.1, value: 0.5 },
+        mu: { min: -3, max: 3, step: 0.1, value: -1 },
+      })
+    ).toEqual({ rho: 0.5, mu: -1 });
+  });
+});
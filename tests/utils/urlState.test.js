@@ -0,0 +1,127 @@
+import { describe, it, expect } from 'vitest';
+import {
+  URL_STATE_VERSION,
+  encodeUrlState,
+  decodeUrlState,
+} from '../../src/utils/urlState';
+import { SESSION_VERSION } from '../../src/utils/session';
+
+const state = {
+  logP: '-(x^2 + y^2)/2 + log(σ)',
+  axisLimits: { xMin: -3, xMax: 3, yMin: -2, yMax: 2 },
+  burnIn: 25,
+  nSteps: 50,
+  chains: [
+    {
+      id: 4,
+      samplerType: 'HMC',
+      params: { epsilon: 0.2, L: 15, steps: 1 },
+      initialPosition: { x: 1, y: -1 },
+      seed: 42,
+      adaptation: { targetAccept: 0.8 },
+      samples: [{ x: 1, y: 2 }],
+    },
+    {
+      id: 7,
+      samplerType: 'GIBBS',
+      params: { w: 1 },
+      initialPosition: { x: 0, y: 0 },
+      seed: null,
+    },
+  ],
+};
+
+/** Hash carrying an arbitrary payload, encoded like encodeUrlState does */
+const hashFor = (payload) =>
+  `#state=${btoa(JSON.stringify(payload)).replace(/=+$/, '')}`;
+
+describe('encodeUrlState', () => {
+  it('should produce a URL-safe state parameter', () => {
+    const hash = encodeUrlState(state);
+    expect(hash).toMatch(/^state=[A-Za-z0-9_-]+$/);
+  });
+});
+
+describe('decodeUrlState', () => {
+  it('should round-trip the configuration into a session', () => {
+    const session = decodeUrlState(`#${encodeUrlState(state)}`);
+
+    expect(session.version).toBe(SESSION_VERSION);
+    expect(session.logP).toBe(state.logP);
+    expect(session.axisLimits).toEqual(state.axisLimits);
+    expect(session.burnIn).toBe(25);
+    expect(session.nSteps).toBe(50);
+    expect(session.chains).toEqual([
+      {
+        config: {
+          id: 0,
+          samplerType: 'HMC',
+          params: { epsilon: 0.2, L: 15, steps: 1 },
+          initialPosition: { x: 1, y: -1 },
+          seed: 42,
+          adaptation: { targetAccept: 0.8 },
+        },
+      },
+      {
+        config: {
+          id: 1,
+          samplerType: 'GIBBS',
+          params: { w: 1 },
+          initialPosition: { x: 0, y: 0 },
+          seed: null,
+          adaptation: null,
+        },
+      },
+    ]);
+  });
+
+  it('should carry the target parameter settings', () => {
+    const parameters = { mu: { min: -3, max: 3, step: 0.05, value: 1.5 } };
+    const session = decodeUrlState(encodeUrlState({ ...state, parameters }));
+    expect(session.parameters).toEqual(parameters);
+  });
+
+  it('should accept the hash without a leading #', () => {
+    expect(decodeUrlState(encodeUrlState(state)).burnIn).toBe(25);
+  });
+
+  it('should return null when the hash carries no state', () => {
+    expect(decodeUrlState('')).toBeNull();
+    expect(decodeUrlState('#section-2')).toBeNull();
+  });
+
+  it('should reject text that is not encoded state', () => {
+    expect(() => decodeUrlState('#state=%%%')).toThrow(
+      'Invalid link: the state could not be decoded'
+    );
+    expect(() => decodeUrlState(`#state=${btoa('{oops')}`)).toThrow(
+      /could not be decoded/
+    );
+  });
+
+  it('should reject links from another version', () => {
+    expect(() =>
+      decodeUrlState(hashFor({ v: URL_STATE_VERSION + 1, logP: 'x' }))
+    ).toThrow(/unsupported version 2/);
+    expect(() => decodeUrlState(hashFor({ logP: 'x' }))).toThrow(
+      /unsupported version undefined/
+    );
+  });
+
+  it('should report invalid settings as an invalid link', () => {
+    const payload = {
+      v: URL_STATE_VERSION,
+      logP: 'x',
+      axisLimits: state.axisLimits,
+      burnIn: -1,
+      nSteps: 10,
+      chains: [],
+    };
+    expect(() => decodeUrlState(hashFor(payload))).toThrow(
+      'Invalid link: burnIn must be a non-negative number'
+    );
+    expect(() => decodeUrlState(hashFor({ ...payload, chains: 'x' }))).toThrow(
+      'Invalid link: chains must be an array'
+    );
+  });
+});
@@ -0,0 +1,304 @@
+import { describe, it, expect, vi } from 'vitest';
+import { createSamplingEngine } from '../../src/workers/samplingEngine';
+import {
+  InProcessWorker,
+  createSamplingWorker,
+} from '../../src/workers/createSamplingWorker';
+import {
+  MESSAGE_TYPES,
+  configureMessage,
+  stepMessage,
+  cancelMessage,
+  groundTruthMessage,
+} from '../../src/workers/samplingProtocol';
+import { SamplingChain } from '../../src/samplers/SamplingChain';
+import { Logp } from '../../src/utils/mathEngine';
+
+vi.mock('../../src/utils/logger', () => ({
+  logger: { debug: vi.fn(), info: vi.fn(), warn: vi.fn(), error: vi.fn() },
+}));
+
+const PDF = 'exp(-(x^2 + y^2)/2)';
+
+const seededChain = (config = {}) =>
+  new SamplingChain({
+    id: 0,
+    samplerType: 'HMC',
+    params: { epsilon: 0.3, L: 5, steps: 1 },
+    initialPosition: { x: 1, y: -1 },
+    seed: 42,
+    ...config,
+  });
+
+// Run an engine synchronously: chunks are scheduled immediately
+const runEngine = (messages, options = {}) => {
+  const posted = [];
+  const engine = createSamplingEngine((m) => posted.push(m), {
+    schedule: (fn) => fn(),
+    ...options,
+  });
+  messages.forEach((m) => engine.handleMessage(m));
+  return posted;
+};
+
+describe('createSamplingEngine', () => {
+  it('should report progress per chunk and results at the end', () => {
+    const posted = runEngine(
+      [configureMessage(PDF, [seededChain().toSnapshot()]), stepMessage(1, 25)],
+      { chunkSize: 10 }
+    );
+
+    expect(posted.map((m) => m.type)).toEqual([
+      MESSAGE_TYPES.PROGRESS,
+      MESSAGE_TYPES.PROGRESS,
+      MESSAGE_TYPES.RESULTS,
+    ]);
+    expect(posted[0]).toMatchObject({ runId: 1, completed: 10, total: 25 });
+    const results = posted.at(-1);
+    expect(results).toMatchObject({
+      runId: 1,
+      completed: 25,
+      cancelled: false,
+    });
+    const { state } = results.chains[0];
+    expect(state.acceptedCount + state.rejectedCount).toBe(25);
+  });
+
+  it('should match an in-process seeded run exactly', () => {
+    const logp = new Logp(PDF);
+    const local = seededChain();
+    for (let i = 0; i < 40; i++) local.step(logp);
+
+    const posted = runEngine([
+      configureMessage(PDF, [seededChain().toSnapshot()]),
+      stepMessage(1, 40),
+    ]);
+    const remote = SamplingChain.fromSnapshot(posted.at(-1).chains[0]);
+
+    expect(remote.samples).toEqual(local.samples);
+    expect(remote.currentParticle).toEqual(local.currentParticle);
+  });
+
+  it('should continue a seeded run across separate batches', () => {
+    const whole = runEngine([
+      configureMessage(PDF, [seededChain().toSnapshot()]),
+      stepMessage(1, 30),
+    ]).at(-1).chains[0];
+
+    const first = runEngine([
+      configureMessage(PDF, [seededChain().toSnapshot()]),
+      stepMessage(1, 12),
+    ]).at(-1).chains[0];
+    const second = runEngine([
+      configureMessage(PDF, [first]),
+      stepMessage(2, 18),
+    ]).at(-1).chains[0];
+
+    expect(second.state.samples).toEqual(whole.state.samples);
+    expect(second.state.currentParticle).toEqual(whole.state.currentParticle);
+  });
+
+  it('should carry warmup adaptation state across batches', () => {
+    const adaptive = () =>
+      seededChain({
+        params: { epsilon: 0.3, L: 5, steps: 1, metric: 'diag' },
+        adaptation: { targetAccept: 0.8 },
+        warmupSteps: 60,
+      });
+    const logp = new Logp(PDF);
+    const local = adaptive();
+    for (let i = 0; i < 100; i++) local.step(logp);
+
+    const first = runEngine([
+      configureMessage(PDF, [adaptive().toSnapshot()]),
+      stepMessage(1, 45),
+    ]).at(-1).chains[0];
+    const second = runEngine([
+      configureMessage(PDF, [first]),
+      stepMessage(2, 55),
+    ]).at(-1).chains[0];
+
+    expect(second.state.epsilonHistory).toEqual(local.epsilonHistory);
+    expect(second.state.fittedMetric).toEqual(local.fittedMetric);
+    expect(second.state.samples).toEqual(local.samples);
+  });
+
+  it('should stop at the next chunk boundary when cancelled', () => {
+    const posted = [];
+    const pending = [];
+    const engine = createSamplingEngine((m) => posted.push(m), {
+      chunkSize: 10,
+      schedule: (fn) => pending.push(fn),
+    });
+    engine.handleMessage(configureMessage(PDF, [seededChain().toSnapshot()]));
+    engine.handleMessage(stepMessage(7, 100));
+    engine.handleMessage(cancelMessage(7));
+    pending.shift()();
+
+    const results = posted.at(-1);
+    expect(results).toMatchObject({
+      type: MESSAGE_TYPES.RESULTS,
+      runId: 7,
+      completed: 10,
+      cancelled: true,
+    });
+    expect(pending).toHaveLength(0);
+  });
+
+  it('should forget a cancel that arrives after its run finished', () => {
+    const posted = runEngine(
+      [
+        configureMessage(PDF, [seededChain().toSnapshot()]),
+        stepMessage(1, 5),
+        cancelMessage(1),
+        stepMessage(1, 20),
+      ],
+      { chunkSize: 10 }
+    );
+    expect(posted.at(-1)).toMatchObject({
+      type: MESSAGE_TYPES.RESULTS,
+      runId: 1,
+      completed: 20,
+      cancelled: false,
+    });
+  });
+
+  it('should report an error when stepping before configure', () => {
+    const posted = runEngine([stepMessage(1, 5)]);
+    expect(posted).toEqual([
+      {
+        type: MESSAGE_TYPES.ERROR,
+        runId: 1,
+        message: 'Sampling worker is not configured',
+      },
+    ]);
+  });
+
+  it('should recompile when a target parameter changes', () => {
+    const shifted = 'exp(-((x-mu)^2 + y^2)/2)';
+    const logp = new Logp(shifted, { parameters: { mu: 2 } });
+    const local = seededChain();
+    for (let i = 0; i < 20; i++) local.step(logp);
+
+    const posted = runEngine([
+      configureMessage(shifted, [seededChain().toSnapshot()], { mu: 0 }),
+      configureMessage(shifted, [seededChain().toSnapshot()], { mu: 2 }),
+      stepMessage(1, 20),
+    ]);
+
+    expect(posted.at(-1).chains[0].state.samples).toEqual(local.samples);
+  });
+
+  it('should report invalid messages and Logp errors', () => {
+    const posted = runEngine([
+      { type: 'step', runId: 1 },
+      configureMessage('exp(-(x^2', []),
+    ]);
+    expect(posted.map((m) => m.type)).toEqual([
+      MESSAGE_TYPES.ERROR,
+      MESSAGE_TYPES.ERROR,
+    ]);
+    expect(posted[0].message).toMatch(/steps must be number/);
+    expect(posted[1].message).toMatch(/Syntax error/);
+  });
+
+  it('should integrate the ground truth without touching the sampling target', () => {
+    const shifted = 'exp(-((x-mu)^2 + y^2)/2)';
+    const limits = { xMin: -5, xMax: 5, yMin: -5, yMax: 5 };
+    const posted = runEngine([
+      configureMessage(PDF, [seededChain().toSnapshot()]),
+      groundTruthMessage(3, shifted, { mu: 1 }, limits),
+      groundTruthMessage(4, 'exp(-(x^2', {}, limits),
+      stepMessage(1, 40),
+    ]);
+
+    expect(posted[0]).toMatchObject({
+      type: MESSAGE_TYPES.GROUND_TRUTH_RESULT,
+      requestId: 3,
+    });
+    expect(posted[0].truth.mean.x).toBeCloseTo(1, 4);
+    expect(posted[1]).toMatchObject({ requestId: 4, truth: null });
+    expect(posted[1].message).toMatch(/Syntax error/);
+
+    const logp = new Logp(PDF);
+    const local = seededChain();
+    for (let i = 0; i < 40; i++) local.step(logp);
+    expect(posted.at(-1).chains[0].state.samples).toEqual(local.samples);
+  });
+
+  it('should report a failed configure for its run and not step on the old target', () => {
+    const posted = runEngine([
+      configureMessage(PDF, [seededChain().toSnapshot()]),
+      configureMessage('exp(-(x^2', [], {}, 4),
+      stepMessage(4, 5),
+    ]);
+    expect(posted).toEqual([
+      expect.objectContaining({ type: MESSAGE_TYPES.ERROR, runId: 4 }),
+      {
+        type: MESSAGE_TYPES.ERROR,
+        runId: 4,
+        message: 'Sampling worker is not configured',
+      },
+    ]);
+  });
+});
+
+describe('InProcessWorker', () => {
+  it('should be used when Web Workers are unavailable', () => {
+    expect(typeof Worker).toBe('undefined');
+    expect(createSamplingWorker()).toBeInstanceOf(InProcessWorker);
+  });
+
+  it('should deliver results asynchronously through onmessage', async () => {
+    const worker = new InProcessWorker();
+    const received = [];
+    const done = new Promise((resolve) => {
+      worker.onmessage = ({ data }) => {
+        received.push(data);
+        if (data.type === MESSAGE_TYPES.RESULTS) resolve();
+      };
+    });
+
+    const snapshot = seededChain().toSnapshot();
+    worker.postMessage(configureMessage(PDF, [snapshot]));
+    worker.postMessage(stepMessage(1, 5));
+    expect(received).toEqual([]);
+    await done;
+
+    expect(received.at(-1).chains[0].state.currentParticle).not.toEqual(
+      snapshot.state.currentParticle
+    );
+    worker.terminate();
+  });
+
+  it('should report an uncaught engine exception through onerror', async () => {
+    const worker = new InProcessWorker();
+    worker.onmessage = vi.fn();
+    const failed = new Promise((resolve) => {
+      worker.onerror = resolve;
+    });
+    worker.postMessage(configureMessage(PDF, [seededChain().toSnapshot()]));
+    // The second chunk runs outside handleMessage
+    worker.postMessage(stepMessage(1, 300));
+    const toSnapshot = vi
+      .spyOn(SamplingChain.prototype, 'toSnapshot')
+      .mockImplementation(() => {
+        throw new Error('boom');
+      });
+
+    const event = await failed;
+    toSnapshot.mockRestore();
+    expect(event.message).toBe('boom');
+    worker.terminate();
+  });
+
+  it('should stop delivering messages once terminated', async () => {
+    const worker = new InProcessWorker();
+    const onmessage = vi.fn();
+    worker.onmessage = onmessage;
+    worker.postMessage(stepMessage(1, 5));
+    worker.terminate();
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    expect(onmessage).not.toHaveBeenCalled();
+  });
+});
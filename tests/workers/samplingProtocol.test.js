@@ -0,0 +1,99 @@
+import { describe, it, expect } from 'vitest';
+import {
+  MESSAGE_TYPES,
+  validateMessage,
+  configureMessage,
+  stepMessage,
+  cancelMessage,
+  progressMessage,
+  resultsMessage,
+  errorMessage,
+  groundTruthMessage,
+  groundTruthResultMessage,
+} from '../../src/workers/samplingProtocol';
+
+describe('samplingProtocol', () => {
+  it('should build messages of every type', () => {
+    expect(configureMessage('exp(-x^2)', [])).toEqual({
+      type: MESSAGE_TYPES.CONFIGURE,
+      logP: 'exp(-x^2)',
+      chains: [],
+      parameters: {},
+    });
+    expect(configureMessage('exp(-(x-mu)^2)', [], { mu: 1 })).toMatchObject({
+      parameters: { mu: 1 },
+    });
+    expect(configureMessage('exp(-x^2)', [], {}, 3)).toMatchObject({
+      runId: 3,
+    });
+    expect(stepMessage(3, 100)).toEqual({
+      type: MESSAGE_TYPES.STEP,
+      runId: 3,
+      steps: 100,
+    });
+    expect(cancelMessage(3)).toEqual({ type: MESSAGE_TYPES.CANCEL, runId: 3 });
+    expect(progressMessage(3, 50, 100)).toEqual({
+      type: MESSAGE_TYPES.PROGRESS,
+      runId: 3,
+      completed: 50,
+      total: 100,
+    });
+    expect(resultsMessage(3, 100, false, [])).toEqual({
+      type: MESSAGE_TYPES.RESULTS,
+      runId: 3,
+      completed: 100,
+      cancelled: false,
+      chains: [],
+    });
+    expect(errorMessage(3, 'boom')).toEqual({
+      type: MESSAGE_TYPES.ERROR,
+      runId: 3,
+      message: 'boom',
+    });
+    const limits = { xMin: -5, xMax: 5, yMin: -5, yMax: 5 };
+    expect(groundTruthMessage(2, 'exp(-x^2)', {}, limits)).toEqual({
+      type: MESSAGE_TYPES.GROUND_TRUTH,
+      requestId: 2,
+      logP: 'exp(-x^2)',
+      parameters: {},
+      axisLimits: limits,
+    });
+    expect(groundTruthResultMessage(2, { logZ: 0 })).toEqual({
+      type: MESSAGE_TYPES.GROUND_TRUTH_RESULT,
+      requestId: 2,
+      truth: { logZ: 0 },
+    });
+    expect(groundTruthResultMessage(2, null, 'no mass')).toEqual({
+      type: MESSAGE_TYPES.GROUND_TRUTH_RESULT,
+      requestId: 2,
+      truth: null,
+      message: 'no mass',
+    });
+  });
+
+  it('should survive structured cloning', () => {
+    const message = resultsMessage(1, 2, true, [
+      { config: { id: 0 }, state: { samples: [{ x: 1, y: 2 }] } },
+    ]);
+    expect(validateMessage(structuredClone(message))).toEqual(message);
+  });
+
+  it('should reject unknown message types', () => {
+    expect(() => validateMessage({ type: 'explode' })).toThrow(
+      'Unknown sampling message type: explode'
+    );
+    expect(() => validateMessage(null)).toThrow(/Unknown sampling message/);
+  });
+
+  it('should reject missing or mistyped fields', () => {
+    expect(() => stepMessage(1, '10')).toThrow(
+      "Invalid 'step' message: steps must be number"
+    );
+    expect(() => configureMessage('exp(-x^2)', {})).toThrow(
+      "Invalid 'configure' message: chains must be array"
+    );
+    expect(() => validateMessage({ type: MESSAGE_TYPES.CANCEL })).toThrow(
+      /runId must be number/
+    );
+  });
+});